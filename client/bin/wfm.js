@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// Command-line client for scripts, cron jobs and CI pipelines:
+//   wfm ls [-l] [--json] [path]
+//   wfm mkdir [-p] <path>...
+//   wfm cp [--conflict <policy>] <source>... <destination>
+//   wfm mv [--conflict <policy>] <source>... <destination>
+//   wfm rm <path>...
+//   wfm get <path> [<local file or folder> | -]
+//   wfm put [-r] [--conflict <policy>] <local path>... <folder>
+// Remote paths are "root:path" or just "path" in the default root. The server and account
+// come from WFM_URL and WFM_TOKEN, or WFM_USERNAME and WFM_PASSWORD; WFM_ROOT picks the
+// default root. Exits with 1 when anything failed and 2 on wrong usage.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { ApiError, JobError, createClient } = require('..');
+
+const CONFLICT_POLICIES = ['fail', 'overwrite', 'skip', 'rename', 'newer'];
+
+class UsageError extends Error {}
+
+function usage() {
+  console.error('Usage:');
+  console.error('  wfm ls [-l] [--json] [path]');
+  console.error('  wfm mkdir [-p] <path>...');
+  console.error('  wfm cp [--conflict <policy>] <source>... <destination>');
+  console.error('  wfm mv [--conflict <policy>] <source>... <destination>');
+  console.error('  wfm rm <path>...');
+  console.error('  wfm get <path> [<local file or folder> | -]');
+  console.error('  wfm put [-r] [--conflict <policy>] <local path>... <folder>');
+  console.error('Options: --url <url>, --root <id>, -q (no progress)');
+  console.error('Remote paths are "root:path" or "path" in the default root; folders end in "/" to copy or move into them.');
+  console.error('Environment: WFM_URL, WFM_TOKEN or WFM_USERNAME and WFM_PASSWORD, WFM_ROOT');
+  console.error(`Conflict policies: ${CONFLICT_POLICIES.join(', ')}`);
+  process.exit(2);
+}
+
+// Flags into options and the rest into args; flags taking a value are listed in withValue
+function parseArgs(argv, withValue) {
+  const options = {};
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      args.push(arg);
+      continue;
+    }
+    const [flag, inline] = arg.startsWith('--') ? arg.slice(2).split(/=(.*)/s) : [arg.slice(1)];
+    if (withValue.includes(flag)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) throw new UsageError(`--${flag} needs a value`);
+      options[flag] = value;
+    } else if (arg.startsWith('--')) {
+      options[flag] = true;
+    } else {
+      // Short flags may be combined, as in -lq
+      [...flag].forEach(letter => {
+        options[letter] = true;
+      });
+    }
+  }
+  return { options, args };
+}
+
+// "root:path" into { root, path }; without a root the client's default applies
+function parseRemote(value) {
+  const match = /^([A-Za-z0-9_-]+):(.*)$/s.exec(value);
+  const [root, itemPath] = match ? [match[1], match[2]] : [undefined, value];
+  return { root, path: itemPath.replace(/^\/+|\/+$/g, ''), isFolder: itemPath === '' || itemPath.endsWith('/') };
+}
+
+function showRemote(item) {
+  return item.root ? `${item.root}:${item.path}` : item.path;
+}
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  const units = ['B', 'K', 'M', 'G', 'T'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value}` : `${value.toFixed(value < 10 ? 1 : 0)}${units[unit]}`;
+}
+
+// Progress on stderr, only for a terminal
+function createProgress(quiet) {
+  const enabled = !quiet && process.stderr.isTTY;
+  return {
+    update(label, bytes, totalBytes) {
+      if (!enabled) return;
+      const percent = totalBytes ? ` ${Math.floor(bytes / totalBytes * 100)}%` : '';
+      process.stderr.write(`\r\x1b[K${label}${percent} ${formatSize(bytes)}${totalBytes ? `/${formatSize(totalBytes)}` : ''}`);
+    },
+    done() {
+      if (enabled) process.stderr.write('\r\x1b[K');
+    }
+  };
+}
+
+// Report the items of a finished job that failed; true when there were none
+function reportJob(job) {
+  const results = (job.result && job.result.results) || [];
+  results.filter(result => result.skipped).forEach(result => console.error(`Skipped ${result.path}`));
+  results.filter(result => !result.ok).forEach(result => console.error(`${result.path}: ${result.error}`));
+  return !job.result || !job.result.failed;
+}
+
+function sameRoot(items) {
+  const roots = new Set(items.map(item => item.root));
+  if (roots.size > 1) throw new UsageError('All sources must be in the same root');
+  return items[0].root;
+}
+
+async function list(client, { options, args }) {
+  if (args.length > 1) throw new UsageError('ls takes one path');
+  const folder = parseRemote(args[0] || '');
+  const items = [];
+  for await (const item of client.listAllFiles({ root: folder.root, path: folder.path })) {
+    items.push(item);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(items, null, 2));
+    return true;
+  }
+  for (const item of items) {
+    const name = item.isDirectory ? `${item.name}/` : item.name;
+    if (options.l) {
+      const modified = new Date(item.modified).toISOString().replace('T', ' ').slice(0, 16);
+      console.log(`${formatSize(item.size).padStart(6)}  ${modified}  ${name}`);
+    } else {
+      console.log(name);
+    }
+  }
+  return true;
+}
+
+async function makeFolders(client, { options, args }) {
+  if (args.length === 0) throw new UsageError('mkdir needs a path');
+  for (const arg of args) {
+    const folder = parseRemote(arg);
+    const parts = folder.path.split('/').filter(Boolean);
+    if (parts.length === 0) throw new UsageError(`Nothing to create in ${arg}`);
+    // With -p every missing parent is created and existing folders are fine
+    for (let depth = options.p ? 1 : parts.length; depth <= parts.length; depth++) {
+      try {
+        await client.mkdir({ root: folder.root, path: parts.slice(0, depth - 1).join('/'), name: parts[depth - 1] });
+      } catch (error) {
+        if (!(options.p && error instanceof ApiError && error.status === 409)) throw error;
+      }
+    }
+  }
+  return true;
+}
+
+// cp and mv. One source to a path that is not a folder copies to that path, anything else into
+// the destination folder.
+async function transfer(client, { options, args }, move) {
+  if (args.length < 2) throw new UsageError(`${move ? 'mv' : 'cp'} needs a source and a destination`);
+  const sources = args.slice(0, -1).map(parseRemote);
+  const destination = parseRemote(args[args.length - 1]);
+  const sourceRoot = sameRoot(sources);
+  const progress = createProgress(options.q);
+  const common = {
+    sourceRoot,
+    destinationRoot: destination.root ?? sourceRoot,
+    conflict: options.conflict,
+    wait: true,
+    onProgress: job => progress.update(move ? 'Moving' : 'Copying', job.progress.bytes, job.progress.totalBytes)
+  };
+
+  let job;
+  try {
+    if (sources.length === 1 && !destination.isFolder) {
+      job = await client[move ? 'move' : 'copy']({ ...common, source: sources[0].path, destination: destination.path });
+    } else {
+      job = await client[move ? 'moveMany' : 'copyMany']({ ...common, paths: sources.map(source => source.path), destination: destination.path });
+    }
+  } finally {
+    progress.done();
+  }
+  return reportJob(job);
+}
+
+async function removeItems(client, { options, args }) {
+  if (args.length === 0) throw new UsageError('rm needs a path');
+  const items = args.map(parseRemote);
+  const progress = createProgress(options.q);
+  let job;
+  try {
+    job = await client.removeMany({
+      root: sameRoot(items),
+      paths: items.map(item => item.path),
+      wait: true,
+      onProgress: current => progress.update('Deleting', current.progress.items, current.progress.totalItems)
+    });
+  } finally {
+    progress.done();
+  }
+  return reportJob(job);
+}
+
+// Download a file, or a folder as a zip, into a local file, a local folder or stdout
+async function get(client, { args }) {
+  if (args.length === 0 || args.length > 2) throw new UsageError('get takes a path and a local destination');
+  const item = parseRemote(args[0]);
+  const destination = args[1] || '.';
+  if (destination === '-') {
+    const download = await client.download({ root: item.root, path: item.path });
+    await pipeline(download.stream, process.stdout);
+    return true;
+  }
+  const result = await client.downloadTo({ root: item.root, path: item.path }, destination);
+  console.error(`Saved ${showRemote(item)} to ${result.path} (${formatSize(result.bytes)})`);
+  return true;
+}
+
+// Local files to upload below a local path: [{ source, folder }] with the remote folder relative
+// to the upload target, and the folders to create on the way
+async function collectLocal(localPath, recursive) {
+  const stats = await fs.promises.stat(localPath);
+  if (!stats.isDirectory()) return { files: [{ source: localPath, folder: '' }], folders: [] };
+  if (!recursive) throw new UsageError(`${localPath} is a folder (use -r)`);
+
+  const files = [];
+  const folders = [];
+  async function walk(fullPath, relative) {
+    folders.push(relative);
+    const entries = await fs.promises.readdir(fullPath, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const childPath = path.join(fullPath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(childPath, `${relative}/${entry.name}`);
+      } else if (entry.isFile()) {
+        files.push({ source: childPath, folder: relative });
+      }
+    }
+  }
+  await walk(localPath, path.basename(path.resolve(localPath)));
+  return { files, folders };
+}
+
+async function put(client, { options, args }) {
+  if (args.length === 0) throw new UsageError('put needs a local path');
+  const sources = args.length > 1 ? args.slice(0, -1) : args;
+  const target = parseRemote(args.length > 1 ? args[args.length - 1] : '');
+  const progress = createProgress(options.q);
+  let ok = true;
+
+  for (const source of sources) {
+    const { files, folders } = await collectLocal(source, options.r);
+    for (const folder of folders) {
+      await makeFolders(client, { options: { p: true }, args: [showRemote({ root: target.root, path: [target.path, folder].filter(Boolean).join('/') })] });
+    }
+    for (const file of files) {
+      const folder = [target.path, file.folder].filter(Boolean).join('/');
+      const name = path.basename(file.source);
+      try {
+        const result = await client.uploadFile({
+          root: target.root,
+          path: folder,
+          source: file.source,
+          conflict: options.conflict,
+          onProgress: ({ bytes, totalBytes }) => progress.update(name, bytes, totalBytes)
+        });
+        progress.done();
+        console.error(result.skipped ? `Skipped ${file.source}` : `Uploaded ${file.source} to ${showRemote({ root: target.root, path: result.path })}`);
+      } catch (error) {
+        progress.done();
+        // Keep going with the other files; a rejected conflict or bad request would repeat anyway
+        if (!(error instanceof ApiError)) throw error;
+        console.error(`${file.source}: ${error.message}`);
+        ok = false;
+      }
+    }
+  }
+  return ok;
+}
+
+const COMMANDS = {
+  ls: list,
+  mkdir: makeFolders,
+  cp: (client, parsed) => transfer(client, parsed, false),
+  mv: (client, parsed) => transfer(client, parsed, true),
+  rm: removeItems,
+  get,
+  put
+};
+
+function describeError(error) {
+  if (error instanceof JobError) {
+    return error.message;
+  }
+  if (error instanceof ApiError) {
+    const conflicts = error.details.conflicts || [];
+    return [
+      `${error.message} (${error.status})`,
+      ...conflicts.map(conflict => `  exists: ${conflict.path}${conflict.source ? ` (from ${conflict.source})` : ''}`),
+      ...(conflicts.length > 0 ? ['Use --conflict to overwrite, skip, rename or keep the newer'] : [])
+    ].join('\n');
+  }
+  if (error.cause && error.cause.code === 'ECONNREFUSED') {
+    return `Cannot reach the server at ${error.cause.address}:${error.cause.port}`;
+  }
+  return error.message;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (!COMMANDS[command]) usage();
+
+  const parsed = parseArgs(rest, ['conflict', 'url', 'root']);
+  if (parsed.options.h || parsed.options.help) usage();
+  if (parsed.options.conflict && !CONFLICT_POLICIES.includes(parsed.options.conflict)) {
+    throw new UsageError(`Conflict policy must be one of ${CONFLICT_POLICIES.join(', ')}`);
+  }
+
+  const { WFM_URL, WFM_TOKEN, WFM_USERNAME, WFM_PASSWORD, WFM_ROOT } = process.env;
+  if (!WFM_TOKEN && !(WFM_USERNAME && WFM_PASSWORD)) {
+    throw new UsageError('Set WFM_TOKEN, or WFM_USERNAME and WFM_PASSWORD');
+  }
+  const client = createClient({
+    url: parsed.options.url || WFM_URL || 'http://localhost:3000',
+    token: WFM_TOKEN || null,
+    username: WFM_TOKEN ? null : WFM_USERNAME,
+    password: WFM_TOKEN ? null : WFM_PASSWORD,
+    root: parsed.options.root || WFM_ROOT || null
+  });
+  return COMMANDS[command](client, parsed);
+}
+
+main().then(ok => {
+  process.exitCode = ok ? 0 : 1;
+}, error => {
+  console.error(`wfm: ${describeError(error)}`);
+  process.exitCode = error instanceof UsageError ? 2 : 1;
+});
@@ -0,0 +1,408 @@
+import { Readable } from 'stream';
+
+export type Role = 'read-only' | 'uploader' | 'admin';
+export type ConflictPolicy = 'fail' | 'overwrite' | 'skip' | 'rename' | 'newer';
+export type JobStatus = 'queued' | 'running' | 'done' | 'failed' | 'canceled';
+export type ChecksumAlgorithm = 'md5' | 'sha1' | 'sha256';
+
+export interface ClientOptions {
+  // Base URL of the server, default http://localhost:3000
+  url?: string;
+  // Session token from POST /api/login
+  token?: string | null;
+  // Credentials to log in with (again once the session ended)
+  username?: string | null;
+  password?: string | null;
+  // Root used when a call names none
+  root?: string | null;
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+}
+
+export interface ItemOptions extends RequestOptions {
+  root?: string;
+  path: string;
+}
+
+export interface FolderOptions extends RequestOptions {
+  root?: string;
+  path?: string;
+}
+
+export interface JobOptions extends RequestOptions {
+  // Resolve the finished job instead of the started one
+  wait?: boolean;
+  onProgress?: (job: Job) => void;
+}
+
+export interface User {
+  username: string;
+  role: Role;
+}
+
+export interface Session {
+  token: string;
+  csrfToken: string;
+  user: User;
+}
+
+export interface Root {
+  id: string;
+  name: string;
+  readOnly: boolean;
+  storage: 'local' | 'memory' | 's3';
+}
+
+export interface FileItem {
+  name: string;
+  path: string;
+  isDirectory: boolean;
+  size: number | null;
+  modified: string;
+  type: string;
+}
+
+export interface FilePage {
+  items: FileItem[];
+  total: number;
+  nextCursor: string | null;
+}
+
+export interface TreeNode {
+  name: string;
+  path: string;
+  children?: TreeNode[];
+  [key: string]: unknown;
+}
+
+export interface SearchCriteria {
+  name?: string;
+  content?: string;
+  type?: string;
+  minSize?: number;
+  maxSize?: number;
+  modifiedAfter?: string;
+  modifiedBefore?: string;
+  regex?: boolean;
+  caseSensitive?: boolean;
+  limit?: number;
+}
+
+export type SearchEvent =
+  | { type: 'match'; item: FileItem }
+  | { type: 'done'; scanned: number; matched: number; truncated: boolean; timedOut: boolean };
+
+export interface WatchEvent {
+  event: 'ready' | 'change' | string;
+  data: Record<string, unknown>;
+}
+
+export interface Conflict {
+  path: string;
+  name: string;
+  source?: string;
+  existing?: Record<string, unknown>;
+  incoming?: Record<string, unknown>;
+}
+
+// A file for a multipart upload: a local path, or a name with a path, Buffer or Blob
+export type UploadSource = string | { name: string; source: string | Buffer | Uint8Array | Blob };
+
+export interface UploadResult {
+  message: string;
+  // Names of the files written, and of the ones the conflict policy skipped
+  files: string[];
+  skipped: string[];
+}
+
+export interface UploadSession {
+  id: string;
+  offset: number;
+  size: number;
+  skipped?: false;
+  [key: string]: unknown;
+}
+
+export interface UploadFileOptions extends RequestOptions {
+  root?: string;
+  // Folder receiving the file
+  path?: string;
+  // Defaults to the file name of a local path
+  name?: string;
+  // A local path, a Buffer or a stream of `size` bytes
+  source: string | Buffer | NodeJS.ReadableStream | AsyncIterable<Uint8Array>;
+  size?: number;
+  modified?: string;
+  conflict?: ConflictPolicy;
+  chunkSize?: number;
+  onProgress?: (progress: { bytes: number; totalBytes: number }) => void;
+}
+
+export interface ByteRange {
+  start?: number;
+  // Inclusive
+  end?: number;
+}
+
+export interface Download {
+  stream: Readable;
+  fileName: string | null;
+  type: string;
+  size: number | null;
+  isZip: boolean;
+  partial: boolean;
+  etag: string | null;
+}
+
+export interface DownloadOptions extends RequestOptions {
+  root?: string;
+  path?: string;
+  // Several paths download as one zip
+  paths?: string[];
+  range?: ByteRange;
+}
+
+export interface TextFile {
+  path: string;
+  content: string;
+  etag: string;
+  [key: string]: unknown;
+}
+
+export interface Version {
+  id: string;
+  size: number;
+  modified: string;
+  [key: string]: unknown;
+}
+
+export interface TrashEntry {
+  id: string;
+  name: string;
+  originalPath: string;
+  isDirectory: boolean;
+  size: number | null;
+  deletedAt: string;
+  deletedBy: string | null;
+}
+
+export interface TransferOptions extends JobOptions {
+  root?: string;
+  sourceRoot?: string;
+  destinationRoot?: string;
+  // Path of the item after the transfer
+  destination: string;
+  conflict?: ConflictPolicy;
+}
+
+export interface SingleTransferOptions extends TransferOptions {
+  source: string;
+}
+
+export interface BatchTransferOptions extends TransferOptions {
+  paths: string[];
+  // Policy per source path, overriding conflict
+  resolutions?: Record<string, ConflictPolicy>;
+}
+
+export interface JobProgress {
+  bytes: number;
+  totalBytes: number | null;
+  files: number;
+  totalFiles: number | null;
+  items: number;
+  totalItems: number | null;
+  currentItem: string | null;
+}
+
+export interface BatchItemResult {
+  path: string;
+  ok: boolean;
+  status?: number;
+  error?: string;
+  skipped?: boolean;
+  trashId?: string;
+}
+
+export interface BatchResult {
+  results: BatchItemResult[];
+  succeeded: number;
+  failed: number;
+}
+
+export interface Job {
+  id: string;
+  type: string;
+  status: JobStatus;
+  user: string;
+  root: string | null;
+  paths: string[] | null;
+  destinationRoot: string | null;
+  destination: string | null;
+  progress: JobProgress;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  result: any;
+  error: string | null;
+}
+
+export interface StartedJob {
+  message: string;
+  jobId: string;
+  job: Job;
+}
+
+export interface ScanStatus {
+  path: string;
+  status: 'running' | 'done' | 'failed' | 'canceled';
+  startedAt: string;
+  finishedAt: string | null;
+  progress: Record<string, unknown>;
+  errors: number;
+  error: string | null;
+  [key: string]: unknown;
+}
+
+export interface DuplicateGroup {
+  size: number;
+  hash: string;
+  wasted: number;
+  files: { name: string; path: string; size: number; modified: string }[];
+}
+
+export interface Duplicates {
+  scan: ScanStatus | null;
+  groups: DuplicateGroup[] | null;
+  totals: { groups: number; files: number; wasted: number } | null;
+}
+
+export interface Checksums {
+  path: string;
+  size: number;
+  modified: string;
+  checksums: Partial<Record<ChecksumAlgorithm, string>>;
+}
+
+export interface Share {
+  token: string;
+  root: string;
+  path: string;
+  name: string;
+  isDirectory: boolean;
+  mode: 'read' | 'upload';
+  hasPassword: boolean;
+  expiresAt: string | null;
+  maxDownloads: number | null;
+  maxFileSize: number | null;
+  maxFiles: number | null;
+  downloads: number;
+  createdBy: string | null;
+  createdAt: string;
+}
+
+export interface AuditEntry {
+  time: string;
+  user: string;
+  action: string;
+  outcome: string;
+  [key: string]: unknown;
+}
+
+export class ApiError extends Error {
+  status: number;
+  // The rest of the error body, e.g. conflicts of a 409 or retryAfter of a 429
+  details: { conflicts?: Conflict[]; retryAfter?: number; [key: string]: unknown };
+}
+
+export class JobError extends Error {
+  job: Job;
+}
+
+export interface Client {
+  login(username: string, password: string): Promise<Session>;
+  logout(): Promise<{ message: string }>;
+  getSession(): Promise<{ user: User; csrfToken: string }>;
+  listRoots(): Promise<Root[]>;
+
+  listFiles(options?: FolderOptions & { sort?: string; order?: 'asc' | 'desc'; hidden?: boolean; cursor?: string | null; limit?: number }): Promise<FilePage>;
+  listAllFiles(options?: FolderOptions & { sort?: string; order?: 'asc' | 'desc'; hidden?: boolean; limit?: number }): AsyncGenerator<FileItem>;
+  getTree(options?: FolderOptions): Promise<TreeNode[]>;
+  search(options: FolderOptions & SearchCriteria): AsyncGenerator<SearchEvent>;
+  watch(options?: FolderOptions): AsyncGenerator<WatchEvent>;
+
+  mkdir(options: FolderOptions & { name: string }): Promise<{ message: string }>;
+  upload(options: FolderOptions & { files: UploadSource[]; conflict?: ConflictPolicy }): Promise<UploadResult>;
+  startUpload(options: FolderOptions & { name: string; size: number; modified?: string; conflict?: ConflictPolicy; checksum?: string }): Promise<UploadSession | { skipped: true }>;
+  getUpload(options: RequestOptions & { root?: string; id: string }): Promise<UploadSession>;
+  appendUpload(options: RequestOptions & { root?: string; id: string; offset: number; data: Uint8Array }): Promise<{ offset: number; size: number }>;
+  finalizeUpload(options: RequestOptions & { root?: string; id: string; checksum?: string; conflict?: ConflictPolicy }): Promise<{ message: string; path?: string; skipped?: boolean }>;
+  cancelUpload(options: RequestOptions & { root?: string; id: string }): Promise<{ message: string }>;
+  uploadFile(options: UploadFileOptions): Promise<{ skipped: boolean; path: string | null }>;
+
+  download(options: DownloadOptions): Promise<Download>;
+  downloadTo(options: DownloadOptions, destination: string): Promise<{ path: string; fileName: string | null; bytes: number }>;
+  open(options: ItemOptions & { range?: ByteRange }): Promise<Download>;
+  readText(options: ItemOptions): Promise<TextFile>;
+  writeText(options: ItemOptions & { content: string; etag?: string }): Promise<{ message: string; etag: string; size: number; modified: string }>;
+
+  listVersions(options: ItemOptions): Promise<{ path: string; versions: Version[] }>;
+  downloadVersion(options: ItemOptions & { id: string }): Promise<Download>;
+  diffVersions(options: ItemOptions & { from: string; to?: string }): Promise<Record<string, unknown>>;
+  restoreVersion(options: ItemOptions & { id: string }): Promise<{ message: string; version: Version }>;
+
+  remove(options: ItemOptions & JobOptions & { wait: true }): Promise<Job>;
+  remove(options: ItemOptions & JobOptions): Promise<StartedJob>;
+  removeMany(options: JobOptions & { root?: string; paths: string[]; wait: true }): Promise<Job>;
+  removeMany(options: JobOptions & { root?: string; paths: string[] }): Promise<StartedJob>;
+  listTrash(options?: RequestOptions & { root?: string }): Promise<TrashEntry[]>;
+  restoreFromTrash(options: RequestOptions & { root?: string; id: string; conflict?: ConflictPolicy }): Promise<{ message: string; path: string }>;
+  purgeTrash(options?: RequestOptions & { root?: string; id?: string }): Promise<{ message: string; purged?: number }>;
+
+  copy(options: SingleTransferOptions & { wait: true }): Promise<Job>;
+  copy(options: SingleTransferOptions): Promise<StartedJob>;
+  move(options: SingleTransferOptions & { wait: true }): Promise<Job>;
+  move(options: SingleTransferOptions): Promise<StartedJob>;
+  copyMany(options: BatchTransferOptions & { wait: true }): Promise<Job>;
+  copyMany(options: BatchTransferOptions): Promise<StartedJob>;
+  moveMany(options: BatchTransferOptions & { wait: true }): Promise<Job>;
+  moveMany(options: BatchTransferOptions): Promise<StartedJob>;
+  rename(options: ItemOptions & { name: string }): Promise<{ message: string; path: string }>;
+
+  listArchive(options: ItemOptions): Promise<{ entries: Record<string, unknown>[] } & Record<string, unknown>>;
+  extract(options: ItemOptions & { destination?: string }): Promise<{ message: string; destination: string; [key: string]: unknown }>;
+  compress(options: JobOptions & { root?: string; paths: string[]; destination?: string; name?: string; wait: true }): Promise<Job>;
+  compress(options: JobOptions & { root?: string; paths: string[]; destination?: string; name?: string }): Promise<StartedJob>;
+
+  getProperties(options: RequestOptions & { root?: string; path?: string; paths?: string[] }): Promise<Record<string, unknown>>;
+  getChecksums(options: ItemOptions & { algorithms?: ChecksumAlgorithm | ChecksumAlgorithm[] }): Promise<Checksums>;
+  chmod(options: ItemOptions & { mode: string; recursive?: boolean }): Promise<{ success: boolean; failed: number; [key: string]: unknown }>;
+  chown(options: ItemOptions & { owner?: string; group?: string; recursive?: boolean }): Promise<{ success: boolean; failed: number; [key: string]: unknown }>;
+
+  getUsage(options?: FolderOptions & { depth?: number }): Promise<Record<string, unknown>>;
+  startUsageScan(options?: FolderOptions & { refresh?: boolean }): Promise<Record<string, unknown>>;
+  cancelUsageScan(options?: FolderOptions): Promise<{ success: true }>;
+  getDuplicates(options?: FolderOptions): Promise<Duplicates>;
+  startDuplicateScan(options?: FolderOptions & { minSize?: number; refresh?: boolean }): Promise<Duplicates>;
+  cancelDuplicateScan(options?: FolderOptions): Promise<{ success: true }>;
+
+  listJobs(): Promise<{ active: Job[]; history: Job[] }>;
+  getJob(id: string): Promise<Job>;
+  cancelJob(id: string): Promise<Job>;
+  waitForJob(id: string, options?: RequestOptions & { interval?: number; onProgress?: (job: Job) => void }): Promise<Job>;
+
+  createShare(options: ItemOptions & { mode?: 'read' | 'upload'; password?: string; expiresAt?: string; maxDownloads?: number; maxFileSize?: number; maxFiles?: number }): Promise<Share>;
+  listShares(): Promise<Share[]>;
+  revokeShare(token: string): Promise<{ message: string }>;
+  getShareInfo(token: string): Promise<Record<string, unknown>>;
+  unlockShare(token: string, password: string): Promise<{ message: string }>;
+  downloadShare(token: string, options?: RequestOptions & { range?: ByteRange }): Promise<Download>;
+  uploadToShare(token: string, files: UploadSource[], options?: RequestOptions): Promise<UploadResult>;
+
+  queryAudit(options?: RequestOptions & { path?: string; root?: string; user?: string; action?: string | string[]; outcome?: string; from?: string; to?: string; limit?: number }): Promise<{ entries: AuditEntry[]; matched: number; truncated: boolean }>;
+}
+
+export function createClient(options?: ClientOptions): Client;
@@ -0,0 +1,612 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { setTimeout: sleep } = require('timers/promises');
+
+// Client for the file manager's REST API (see the README for the routes). Every method takes one
+// options object; "root" defaults to the client's root, and that to the server's first root.
+// Failed requests reject with an ApiError carrying the status and the response body.
+// Copies, moves, deletions and archives run as server jobs: those methods resolve the started job,
+// or with { wait: true } the finished one (a failed or canceled job rejects with a JobError).
+
+// Chunk size of resumable uploads, the same as the browser's
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+// Attempts per chunk before a resumable upload gives up
+const CHUNK_ATTEMPTS = 3;
+const JOB_POLL_INTERVAL = 500;
+
+class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class JobError extends Error {
+  constructor(job) {
+    super(job.status === 'canceled' ? `The ${job.type} job was canceled` : job.error || `The ${job.type} job failed`);
+    this.name = 'JobError';
+    this.job = job;
+  }
+}
+
+// Query string from an object; arrays repeat the parameter, undefined and null are left out
+function buildQuery(params = {}) {
+  const search = new URLSearchParams();
+  for (const [name, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    (Array.isArray(value) ? value : [value]).forEach(item => search.append(name, String(item)));
+  }
+  const query = search.toString();
+  return query ? `?${query}` : '';
+}
+
+async function toError(res) {
+  const text = await res.text().catch(() => '');
+  let body = {};
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    body = { error: text.trim() || res.statusText };
+  }
+  const { error: message, ...details } = body;
+  if (res.headers.get('retry-after')) {
+    details.retryAfter = Number(res.headers.get('retry-after'));
+  }
+  return new ApiError(res.status, message || `Request failed with status ${res.status}`, details);
+}
+
+// File name from a Content-Disposition header, preferring the UTF-8 form
+function parseFileName(header) {
+  if (!header) return null;
+  const encoded = /filename\*=UTF-8''([^;]+)/i.exec(header);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch (error) {
+      // fall back to the plain name
+    }
+  }
+  const plain = /filename="((?:[^"\\]|\\.)*)"/i.exec(header);
+  return plain ? plain[1].replace(/\\(.)/g, '$1') : null;
+}
+
+function describeDownload(res) {
+  const type = res.headers.get('content-type') || 'application/octet-stream';
+  const length = res.headers.get('content-length');
+  return {
+    stream: Readable.fromWeb(res.body),
+    fileName: parseFileName(res.headers.get('content-disposition')),
+    type,
+    size: length === null ? null : Number(length),
+    isZip: type.startsWith('application/zip'),
+    partial: res.status === 206,
+    etag: res.headers.get('etag')
+  };
+}
+
+// Buffers of exactly `size` bytes from a stream, the last one shorter
+async function* chunksOf(stream, size) {
+  let parts = [];
+  let length = 0;
+  for await (const data of stream) {
+    let buffer = Buffer.from(data);
+    while (length + buffer.length >= size) {
+      const take = size - length;
+      parts.push(buffer.subarray(0, take));
+      yield Buffer.concat(parts);
+      parts = [];
+      length = 0;
+      buffer = buffer.subarray(take);
+    }
+    if (buffer.length > 0) {
+      parts.push(buffer);
+      length += buffer.length;
+    }
+  }
+  if (length > 0) yield Buffer.concat(parts);
+}
+
+// Lines of a fetch response body as they arrive
+async function* linesOf(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+// A file to send in a multipart upload: a local path, a Buffer or a Blob
+async function toBlob(source) {
+  if (typeof source === 'string') return fs.openAsBlob(source);
+  if (source instanceof Blob) return source;
+  return new Blob([source]);
+}
+
+// options: { url, token, username, password, root, fetch }. A token is used as it is; with a
+// username and password the client logs in on its first request and again once its session ends.
+function createClient({ url = 'http://localhost:3000', token = null, username = null, password = null, root: defaultRoot = null, fetch: fetchImpl = globalThis.fetch } = {}) {
+  const baseUrl = String(url).replace(/\/+$/, '');
+  let sessionToken = token;
+  const shareCookies = new Map(); // share token -> unlock cookie
+
+  const rootOf = root => root ?? defaultRoot ?? undefined;
+
+  // Send a request and resolve the response; statuses from 400 on reject with an ApiError.
+  // body is sent as JSON unless it is a Buffer, Uint8Array or FormData.
+  async function send(method, route, { query, body, headers = {}, signal, auth = true } = {}, retried = false) {
+    if (auth && !sessionToken && username) {
+      await login(username, password);
+    }
+
+    const init = { method, headers: { ...headers }, signal };
+    if (auth && sessionToken) {
+      init.headers.authorization = `Bearer ${sessionToken}`;
+    }
+    if (body instanceof FormData || body instanceof Uint8Array) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.body = JSON.stringify(body);
+      init.headers['content-type'] = 'application/json';
+    }
+
+    const res = await fetchImpl(`${baseUrl}${route}${buildQuery(query)}`, init);
+    // Sessions live in the server's memory; log in again after it restarted
+    if (res.status === 401 && auth && username && !retried) {
+      await res.body?.cancel();
+      sessionToken = null;
+      return send(method, route, { query, body, headers, signal, auth }, true);
+    }
+    if (!res.ok) {
+      throw await toError(res);
+    }
+    return res;
+  }
+
+  async function json(method, route, options) {
+    return (await send(method, route, options)).json();
+  }
+
+  // Start a job; with wait, resolve it once it finished
+  async function runJob(method, route, { wait = false, onProgress, signal, ...options }) {
+    const started = await json(method, route, { ...options, signal });
+    return wait ? waitForJob(started.jobId, { onProgress, signal }) : started;
+  }
+
+  // Session
+
+  async function login(name, secret) {
+    const session = await json('POST', '/api/login', { body: { username: name, password: secret }, auth: false });
+    sessionToken = session.token;
+    return session;
+  }
+
+  async function logout() {
+    const result = await json('POST', '/api/logout');
+    sessionToken = null;
+    return result;
+  }
+
+  const getSession = () => json('GET', '/api/session');
+  const listRoots = () => json('GET', '/api/roots');
+
+  // Browsing
+
+  function listFiles({ root, path: folder = '', sort, order, hidden, cursor, limit, signal } = {}) {
+    return json('GET', '/api/files', { query: { root: rootOf(root), path: folder, sort, order, hidden, cursor, limit }, signal });
+  }
+
+  // Every entry of a folder, fetching one page after the other
+  async function* listAllFiles(options = {}) {
+    let cursor = null;
+    do {
+      const page = await listFiles({ ...options, cursor });
+      yield* page.items;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  function getTree({ root, path: folder = '', signal } = {}) {
+    return json('GET', '/api/tree', { query: { root: rootOf(root), path: folder }, signal });
+  }
+
+  // Search results as they stream in: { type: 'match', item } for every hit, then
+  // { type: 'done', scanned, matched, truncated, timedOut }
+  async function* search({ root, path: folder = '', signal, ...criteria } = {}) {
+    const res = await send('GET', '/api/search', { query: { root: rootOf(root), path: folder, ...criteria }, signal });
+    for await (const line of linesOf(res.body)) {
+      if (!line.trim()) continue;
+      const event = JSON.parse(line);
+      if (event.type === 'error') {
+        throw new ApiError(500, event.error);
+      }
+      yield event;
+    }
+  }
+
+  // Live changes of a folder as { event, data } ("ready" once subscribed, then "change"), until
+  // the signal aborts
+  async function* watch({ root, path: folder = '', signal } = {}) {
+    const res = await send('GET', '/api/events', { query: { root: rootOf(root), path: folder }, headers: { accept: 'text/event-stream' }, signal });
+    let event = 'message';
+    let data = [];
+    try {
+      for await (const line of linesOf(res.body)) {
+        if (line === '') {
+          if (data.length > 0) yield { event, data: JSON.parse(data.join('\n')) };
+          event = 'message';
+          data = [];
+        } else if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).trim());
+        }
+      }
+    } catch (error) {
+      if (!(signal && signal.aborted)) throw error;
+    }
+  }
+
+  // Files
+
+  function mkdir({ root, path: folder = '', name, signal }) {
+    return json('POST', '/api/directory', { body: { root: rootOf(root), path: folder, name }, signal });
+  }
+
+  // Several files in one multipart request: files is [{ name, source }] with a local path, Buffer
+  // or Blob as source (a path alone takes its file name)
+  async function upload({ root, path: folder = '', files, conflict, signal }) {
+    // The fields must come before the files, the server reads them while receiving
+    const form = new FormData();
+    if (rootOf(root)) form.append('root', rootOf(root));
+    form.append('path', folder);
+    if (conflict) form.append('conflict', conflict);
+    for (const file of files) {
+      const { name, source } = typeof file === 'string' ? { name: path.basename(file), source: file } : file;
+      form.append('files', await toBlob(source), name);
+    }
+    return json('POST', '/api/upload', { body: form, signal });
+  }
+
+  // Resumable upload session, step by step (uploadFile does all of them)
+  const startUpload = ({ root, path: folder = '', name, size, modified, conflict, checksum, signal }) => (
+    json('POST', '/api/uploads', { body: { root: rootOf(root), path: folder, name, size, modified, conflict, checksum }, signal })
+  );
+  const getUpload = ({ root, id, signal }) => json('GET', `/api/uploads/${encodeURIComponent(id)}`, { query: { root: rootOf(root) }, signal });
+  const appendUpload = ({ root, id, offset, data, signal }) => json('PATCH', `/api/uploads/${encodeURIComponent(id)}`, {
+    query: { root: rootOf(root) },
+    body: data,
+    headers: { 'upload-offset': String(offset), 'content-type': 'application/offset+octet-stream' },
+    signal
+  });
+  const finalizeUpload = ({ root, id, checksum, conflict, signal }) => (
+    json('POST', `/api/uploads/${encodeURIComponent(id)}/finalize`, { body: { root: rootOf(root), checksum, conflict }, signal })
+  );
+  const cancelUpload = ({ root, id, signal }) => json('DELETE', `/api/uploads/${encodeURIComponent(id)}`, { query: { root: rootOf(root) }, signal });
+
+  // Send a chunk at offset. After a failure the server's offset tells what arrived, and only
+  // the rest is sent again. Resolves the new offset.
+  async function sendChunk(root, id, offset, chunk, signal) {
+    let sent = 0;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return (await appendUpload({ root, id, offset: offset + sent, data: chunk.subarray(sent), signal })).offset;
+      } catch (error) {
+        const retriable = !(error instanceof ApiError) || error.status === 409;
+        if (!retriable || attempt >= CHUNK_ATTEMPTS || (signal && signal.aborted)) throw error;
+        const { offset: received } = await getUpload({ root, id, signal });
+        if (received < offset || received > offset + chunk.length) throw error;
+        if (received === offset + chunk.length) return received;
+        sent = received - offset;
+      }
+    }
+  }
+
+  // Upload one file through a resumable session, streaming it in chunks and verifying its
+  // SHA-256 at the end. source is a local path, a Buffer or a readable stream (which needs
+  // size). Resolves { path } with the final path, or { skipped: true } when the conflict
+  // policy kept an existing file.
+  async function uploadFile({ root, path: folder = '', name, source, size, modified, conflict, chunkSize = DEFAULT_CHUNK_SIZE, onProgress, signal }) {
+    let stream = source;
+    if (typeof source === 'string') {
+      const stats = await fs.promises.stat(source);
+      size = stats.size;
+      modified = modified ?? stats.mtime.toISOString();
+      name = name ?? path.basename(source);
+      stream = fs.createReadStream(source);
+    } else if (Buffer.isBuffer(source)) {
+      size = source.length;
+      stream = Readable.from([source]);
+    }
+    if (!name) throw new TypeError('name is required');
+    if (!Number.isSafeInteger(size)) throw new TypeError('size is required to upload a stream');
+
+    const session = await startUpload({ root, path: folder, name, size, modified, conflict, signal });
+    if (session.skipped) {
+      if (typeof stream.destroy === 'function') stream.destroy();
+      return { skipped: true, path: null };
+    }
+
+    const hash = crypto.createHash('sha256');
+    let offset = 0;
+    try {
+      for await (const chunk of chunksOf(stream, chunkSize)) {
+        hash.update(chunk);
+        offset = await sendChunk(root, session.id, offset, chunk, signal);
+        if (onProgress) onProgress({ bytes: offset, totalBytes: size });
+      }
+      const result = await finalizeUpload({ root, id: session.id, checksum: `sha256:${hash.digest('hex')}`, signal });
+      return { skipped: !!result.skipped, path: result.path || null };
+    } catch (error) {
+      await cancelUpload({ root, id: session.id }).catch(() => {});
+      throw error;
+    } finally {
+      if (typeof stream.destroy === 'function') stream.destroy();
+    }
+  }
+
+  // Download a file, or a folder or several paths as a zip. Resolves { stream, fileName, type,
+  // size, isZip, partial, etag }; range { start, end } (end inclusive) asks for part of a file.
+  async function download({ root, path: itemPath, paths, range, signal }) {
+    const headers = range ? { range: `bytes=${range.start ?? ''}-${range.end ?? ''}` } : {};
+    return describeDownload(await send('GET', '/api/download', { query: { root: rootOf(root), path: paths || itemPath }, headers, signal }));
+  }
+
+  // Download into a local file, or into a local folder under the served name. Resolves
+  // { path, fileName, bytes }.
+  async function downloadTo(options, destination) {
+    const result = await download(options);
+    let target = destination;
+    const stats = await fs.promises.stat(destination).catch(() => null);
+    if (stats && stats.isDirectory()) {
+      target = path.join(destination, path.basename(result.fileName || 'download'));
+    }
+    let bytes = 0;
+    result.stream.on('data', chunk => {
+      bytes += chunk.length;
+    });
+    await pipeline(result.stream, fs.createWriteStream(target), ...(options.signal ? [{ signal: options.signal }] : []));
+    return { path: target, fileName: result.fileName, bytes };
+  }
+
+  // A file as the browser views it (inline, with the same result as download)
+  async function open({ root, path: itemPath, range, signal }) {
+    const headers = range ? { range: `bytes=${range.start ?? ''}-${range.end ?? ''}` } : {};
+    return describeDownload(await send('GET', '/api/open', { query: { root: rootOf(root), path: itemPath }, headers, signal }));
+  }
+
+  // Text files as the editor reads and saves them. Saving an existing file needs the etag
+  // it was read with; a file changed in between rejects with status 409.
+  const readText = ({ root, path: itemPath, signal }) => json('GET', '/api/content', { query: { root: rootOf(root), path: itemPath }, signal });
+  const writeText = ({ root, path: itemPath, content, etag, signal }) => (
+    json('PUT', '/api/content', { body: { root: rootOf(root), path: itemPath, content, etag }, signal })
+  );
+
+  // Versions
+
+  const listVersions = ({ root, path: itemPath, signal }) => json('GET', '/api/versions', { query: { root: rootOf(root), path: itemPath }, signal });
+  const diffVersions = ({ root, path: itemPath, from, to, signal }) => (
+    json('GET', '/api/versions/diff', { query: { root: rootOf(root), path: itemPath, from, to }, signal })
+  );
+  const restoreVersion = ({ root, path: itemPath, id, signal }) => (
+    json('POST', '/api/versions/restore', { body: { root: rootOf(root), path: itemPath, id }, signal })
+  );
+
+  async function downloadVersion({ root, path: itemPath, id, signal }) {
+    return describeDownload(await send('GET', '/api/versions/download', { query: { root: rootOf(root), path: itemPath, id }, signal }));
+  }
+
+  // Deleting and the trash
+
+  const remove = ({ root, path: itemPath, ...options }) => (
+    runJob('DELETE', '/api/files', { query: { root: rootOf(root), path: itemPath }, ...options })
+  );
+  const removeMany = ({ root, paths, ...options }) => (
+    runJob('POST', '/api/batch/delete', { body: { root: rootOf(root), paths }, ...options })
+  );
+  const listTrash = ({ root, signal } = {}) => json('GET', '/api/trash', { query: { root: rootOf(root) }, signal });
+  const restoreFromTrash = ({ root, id, conflict, signal }) => json('POST', '/api/trash/restore', { body: { root: rootOf(root), id, conflict }, signal });
+  // Without an id the whole trash is emptied
+  const purgeTrash = ({ root, id, signal } = {}) => json('DELETE', '/api/trash', { query: { root: rootOf(root), id }, signal });
+
+  // Copy and move. destination is the new path of the item, or for the batch versions the
+  // folder receiving the items. sourceRoot and destinationRoot transfer between roots.
+
+  function transferBody({ root, source, paths, destination, sourceRoot, destinationRoot, conflict, resolutions }) {
+    return { root: rootOf(root), source, paths, destination, sourceRoot, destinationRoot, conflict, resolutions };
+  }
+
+  const copy = ({ wait, onProgress, signal, ...options }) => runJob('POST', '/api/copy', { body: transferBody(options), wait, onProgress, signal });
+  const move = ({ wait, onProgress, signal, ...options }) => runJob('POST', '/api/move', { body: transferBody(options), wait, onProgress, signal });
+  const copyMany = ({ wait, onProgress, signal, ...options }) => runJob('POST', '/api/batch/copy', { body: transferBody(options), wait, onProgress, signal });
+  const moveMany = ({ wait, onProgress, signal, ...options }) => runJob('POST', '/api/batch/move', { body: transferBody(options), wait, onProgress, signal });
+  const rename = ({ root, path: itemPath, name, signal }) => json('POST', '/api/rename', { body: { root: rootOf(root), path: itemPath, name }, signal });
+
+  // Archives
+
+  const listArchive = ({ root, path: itemPath, signal }) => json('GET', '/api/archive/entries', { query: { root: rootOf(root), path: itemPath }, signal });
+  const extract = ({ root, path: itemPath, destination, signal }) => (
+    json('POST', '/api/archive/extract', { body: { root: rootOf(root), path: itemPath, destination }, signal })
+  );
+  const compress = ({ root, paths, destination, name, ...options }) => (
+    runJob('POST', '/api/archive/create', { body: { root: rootOf(root), paths, destination, name }, ...options })
+  );
+
+  // Details
+
+  // One item's properties, or with paths the totals of several
+  const getProperties = ({ root, path: itemPath, paths, signal }) => (
+    json('GET', '/api/properties', { query: { root: rootOf(root), path: paths || itemPath }, signal })
+  );
+  const getChecksums = ({ root, path: itemPath, algorithms, signal }) => json('GET', '/api/checksum', {
+    query: { root: rootOf(root), path: itemPath, algorithm: algorithms && [].concat(algorithms).join(',') },
+    signal
+  });
+  const chmod = ({ root, path: itemPath, mode, recursive, signal }) => json('POST', '/api/chmod', { body: { root: rootOf(root), path: itemPath, mode, recursive }, signal });
+  const chown = ({ root, path: itemPath, owner, group, recursive, signal }) => (
+    json('POST', '/api/chown', { body: { root: rootOf(root), path: itemPath, owner, group, recursive }, signal })
+  );
+
+  // Disk usage and duplicates: start a scan, then poll for its results
+
+  const getUsage = ({ root, path: folder = '', depth, signal } = {}) => json('GET', '/api/usage', { query: { root: rootOf(root), path: folder, depth }, signal });
+  const startUsageScan = ({ root, path: folder = '', refresh, signal } = {}) => (
+    json('POST', '/api/usage/scan', { body: { root: rootOf(root), path: folder, refresh }, signal })
+  );
+  const cancelUsageScan = ({ root, path: folder = '', signal } = {}) => json('DELETE', '/api/usage/scan', { query: { root: rootOf(root), path: folder }, signal });
+  const getDuplicates = ({ root, path: folder = '', signal } = {}) => json('GET', '/api/duplicates', { query: { root: rootOf(root), path: folder }, signal });
+  const startDuplicateScan = ({ root, path: folder = '', minSize, refresh, signal } = {}) => (
+    json('POST', '/api/duplicates/scan', { body: { root: rootOf(root), path: folder, minSize, refresh }, signal })
+  );
+  const cancelDuplicateScan = ({ root, path: folder = '', signal } = {}) => (
+    json('DELETE', '/api/duplicates/scan', { query: { root: rootOf(root), path: folder }, signal })
+  );
+
+  // Jobs
+
+  const listJobs = () => json('GET', '/api/jobs');
+  const getJob = id => json('GET', `/api/jobs/${encodeURIComponent(id)}`);
+  const cancelJob = id => json('POST', `/api/jobs/${encodeURIComponent(id)}/cancel`);
+
+  // Poll a job until it finished; onProgress(job) sees it while queued or running
+  async function waitForJob(id, { interval = JOB_POLL_INTERVAL, onProgress, signal } = {}) {
+    for (;;) {
+      const job = await json('GET', `/api/jobs/${encodeURIComponent(id)}`, { signal });
+      if (job.status !== 'queued' && job.status !== 'running') {
+        if (job.status !== 'done') throw new JobError(job);
+        return job;
+      }
+      if (onProgress) onProgress(job);
+      await sleep(interval, undefined, { signal });
+    }
+  }
+
+  // Share links
+
+  const createShare = ({ root, path: itemPath, mode, password: sharePassword, expiresAt, maxDownloads, maxFileSize, maxFiles, signal }) => json('POST', '/api/shares', {
+    body: { root: rootOf(root), path: itemPath, mode, password: sharePassword, expiresAt, maxDownloads, maxFileSize, maxFiles },
+    signal
+  });
+  const listShares = () => json('GET', '/api/shares');
+  const revokeShare = shareToken => json('DELETE', `/api/shares/${encodeURIComponent(shareToken)}`);
+
+  // The public side of a share needs no account; a password protected one is unlocked first
+  function shareRequest(method, shareToken, route, options = {}) {
+    const cookie = shareCookies.get(shareToken);
+    return send(method, `/s/${encodeURIComponent(shareToken)}${route}`, {
+      ...options,
+      headers: { ...options.headers, ...(cookie && { cookie }) },
+      auth: false
+    });
+  }
+
+  async function getShareInfo(shareToken) {
+    return (await shareRequest('GET', shareToken, '/info')).json();
+  }
+
+  async function unlockShare(shareToken, sharePassword) {
+    const res = await shareRequest('POST', shareToken, '/unlock', { body: { password: sharePassword } });
+    const [cookie] = res.headers.getSetCookie();
+    if (cookie) shareCookies.set(shareToken, cookie.split(';')[0]);
+    return res.json();
+  }
+
+  async function downloadShare(shareToken, { range, signal } = {}) {
+    const headers = range ? { range: `bytes=${range.start ?? ''}-${range.end ?? ''}` } : {};
+    return describeDownload(await shareRequest('GET', shareToken, '/download', { headers, signal }));
+  }
+
+  async function uploadToShare(shareToken, files, { signal } = {}) {
+    const form = new FormData();
+    for (const file of files) {
+      const { name, source } = typeof file === 'string' ? { name: path.basename(file), source: file } : file;
+      form.append('files', await toBlob(source), name);
+    }
+    return (await shareRequest('POST', shareToken, '/upload', { body: form, signal })).json();
+  }
+
+  // Audit log (admins): filters { path, root, user, action, outcome, from, to, limit }
+  const queryAudit = ({ action, signal, ...filters } = {}) => json('GET', '/api/audit', {
+    query: { ...filters, action: action && [].concat(action).join(',') },
+    signal
+  });
+
+  return {
+    login,
+    logout,
+    getSession,
+    listRoots,
+    listFiles,
+    listAllFiles,
+    getTree,
+    search,
+    watch,
+    mkdir,
+    upload,
+    startUpload,
+    getUpload,
+    appendUpload,
+    finalizeUpload,
+    cancelUpload,
+    uploadFile,
+    download,
+    downloadTo,
+    open,
+    readText,
+    writeText,
+    listVersions,
+    downloadVersion,
+    diffVersions,
+    restoreVersion,
+    remove,
+    removeMany,
+    listTrash,
+    restoreFromTrash,
+    purgeTrash,
+    copy,
+    move,
+    copyMany,
+    moveMany,
+    rename,
+    listArchive,
+    extract,
+    compress,
+    getProperties,
+    getChecksums,
+    chmod,
+    chown,
+    getUsage,
+    startUsageScan,
+    cancelUsageScan,
+    getDuplicates,
+    startDuplicateScan,
+    cancelDuplicateScan,
+    listJobs,
+    getJob,
+    cancelJob,
+    waitForJob,
+    createShare,
+    listShares,
+    revokeShare,
+    getShareInfo,
+    unlockShare,
+    downloadShare,
+    uploadToShare,
+    queryAudit
+  };
+}
+
+module.exports = {
+  ApiError,
+  JobError,
+  createClient
+};
@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+const { INTERNAL_DIR } = require('./config');
+const { HttpError } = require('./errors');
+
+// A fresh path in the root's scratch space, so finished files are moved into place without copying
+async function createTempPath(root) {
+  const tempDir = path.join(root.path, INTERNAL_DIR, 'tmp');
+  await fs.ensureDir(tempDir);
+  return path.join(tempDir, crypto.randomBytes(8).toString('hex'));
+}
+
+// Archive formats we can read, by file name
+function getArchiveType(fileName) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.zip')) return 'zip';
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar.gz';
+  if (name.endsWith('.tar')) return 'tar';
+  return null;
+}
+
+// Where an entry lands inside destDir. Absolute names and ".." segments that would
+// escape destDir ("zip slip") reject the whole archive.
+function resolveEntryPath(destDir, entryName) {
+  const name = entryName.replace(/\\/g, '/');
+  const target = path.resolve(destDir, name);
+  if (path.isAbsolute(name) || (target !== destDir && !target.startsWith(destDir + path.sep))) {
+    throw new HttpError(422, `Archive entry "${entryName}" points outside the target folder`);
+  }
+  return target;
+}
+
+// Keeps running totals of extracted entries and bytes against the limits
+function createLimiter({ maxEntries, maxSize }) {
+  const totals = { files: 0, directories: 0, size: 0 };
+  return {
+    totals,
+    countEntry(isDirectory) {
+      if (totals.files + totals.directories >= maxEntries) {
+        throw new HttpError(413, `Archive has more than ${maxEntries} entries`);
+      }
+      totals[isDirectory ? 'directories' : 'files']++;
+    },
+    // Counts the bytes actually produced, so a lying size header cannot get around the limit
+    counter() {
+      return new Transform({
+        transform(chunk, encoding, callback) {
+          totals.size += chunk.length;
+          if (totals.size > maxSize) {
+            callback(new HttpError(413, `Archive expands to more than ${maxSize} bytes`));
+          } else {
+            callback(null, chunk);
+          }
+        }
+      });
+    }
+  };
+}
+
+async function writeEntry(input, target, limiter) {
+  await fs.ensureDir(path.dirname(target));
+  await pipeline(input, limiter.counter(), fs.createWriteStream(target));
+}
+
+function openZip(filePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (err, zip) => {
+      if (err) {
+        reject(new HttpError(422, `Not a valid zip archive: ${err.message}`));
+      } else {
+        resolve(zip);
+      }
+    });
+  });
+}
+
+function isZipSymlink(entry) {
+  return ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+}
+
+// Call onEntry(entry) for every zip entry in order; onEntry may return a promise
+async function walkZip(filePath, onEntry) {
+  const zip = await openZip(filePath);
+  try {
+    await new Promise((resolve, reject) => {
+      zip.on('entry', entry => {
+        Promise.resolve(onEntry(entry, zip)).then(() => zip.readEntry(), reject);
+      });
+      zip.on('end', resolve);
+      zip.on('error', err => reject(err instanceof HttpError ? err : new HttpError(422, `Invalid zip archive: ${err.message}`)));
+      zip.readEntry();
+    });
+  } finally {
+    zip.close();
+  }
+}
+
+// Call onEntry(header, stream) for every tar entry in order. The entry stream must be consumed.
+async function walkTar(filePath, gzipped, onEntry) {
+  const extract = tar.extract();
+  let entryError = null;
+  extract.on('entry', (header, stream, next) => {
+    Promise.resolve(onEntry(header, stream)).then(() => {
+      stream.resume();
+      next();
+    }, err => {
+      entryError = err;
+      stream.resume();
+      extract.destroy(err);
+    });
+  });
+
+  const streams = [fs.createReadStream(filePath)];
+  if (gzipped) streams.push(zlib.createGunzip());
+  try {
+    await pipeline(...streams, extract);
+  } catch (err) {
+    // Errors from onEntry pass through; anything else means the archive is damaged
+    throw entryError || new HttpError(422, `Invalid tar archive: ${err.message}`);
+  }
+}
+
+// List an archive's entries without extracting it. Stops after maxEntries.
+async function listArchive(filePath, { maxEntries }) {
+  const type = getArchiveType(filePath);
+  const entries = [];
+  let truncated = false;
+  const full = new Error('listing full');
+
+  const add = entry => {
+    if (entries.length >= maxEntries) {
+      truncated = true;
+      throw full;
+    }
+    entries.push(entry);
+  };
+
+  try {
+    if (type === 'zip') {
+      await walkZip(filePath, entry => add({
+        name: entry.fileName,
+        isDirectory: entry.fileName.endsWith('/'),
+        size: entry.uncompressedSize,
+        compressedSize: entry.compressedSize,
+        modified: entry.getLastModDate()
+      }));
+    } else if (type) {
+      await walkTar(filePath, type === 'tar.gz', header => add({
+        name: header.name,
+        isDirectory: header.type === 'directory',
+        size: header.size,
+        modified: header.mtime,
+        ...(header.type !== 'file' && header.type !== 'directory' && { linkType: header.type })
+      }));
+    } else {
+      throw new HttpError(415, 'Unsupported archive type');
+    }
+  } catch (err) {
+    if (err !== full) throw err;
+  }
+
+  return { type, entries, truncated };
+}
+
+// Extract an archive into destDir. Only regular files and directories are written;
+// links and devices are skipped. Returns the totals.
+async function extractToDirectory(filePath, destDir, limits) {
+  const type = getArchiveType(filePath);
+  const limiter = createLimiter(limits);
+  const skipped = [];
+  await fs.ensureDir(destDir);
+
+  if (type === 'zip') {
+    await walkZip(filePath, async (entry, zip) => {
+      const target = resolveEntryPath(destDir, entry.fileName);
+      if (entry.fileName.endsWith('/')) {
+        limiter.countEntry(true);
+        await fs.ensureDir(target);
+        return;
+      }
+      if (isZipSymlink(entry)) {
+        skipped.push(entry.fileName);
+        return;
+      }
+      if (entry.isEncrypted()) {
+        throw new HttpError(422, 'Encrypted zip entries are not supported');
+      }
+
+      limiter.countEntry(false);
+      const input = await new Promise((resolve, reject) => {
+        zip.openReadStream(entry, (err, stream) => (err ? reject(new HttpError(422, err.message)) : resolve(stream)));
+      });
+      await writeEntry(input, target, limiter);
+    });
+  } else if (type) {
+    await walkTar(filePath, type === 'tar.gz', async (header, stream) => {
+      const target = resolveEntryPath(destDir, header.name);
+      if (header.type === 'directory') {
+        limiter.countEntry(true);
+        await fs.ensureDir(target);
+      } else if (header.type === 'file' || header.type === 'contiguous-file') {
+        limiter.countEntry(false);
+        await writeEntry(stream, target, limiter);
+      } else {
+        skipped.push(header.name);
+      }
+    });
+  } else {
+    throw new HttpError(415, 'Unsupported archive type');
+  }
+
+  return { ...limiter.totals, skipped };
+}
+
+// Extract through a staging folder inside the root, so a rejected archive leaves nothing
+// behind, then move the top-level items into destDir. Existing items are never replaced.
+// limits: { maxEntries, maxSize } with maxSize in extracted bytes
+async function extractArchive(root, filePath, destDir, limits) {
+  const stagingDir = await createTempPath(root);
+  try {
+    const result = await extractToDirectory(filePath, stagingDir, limits);
+    const items = await fs.readdir(stagingDir);
+    if (destDir === root.path && items.includes(INTERNAL_DIR)) {
+      throw new HttpError(422, `The archive contains the reserved folder "${INTERNAL_DIR}"`);
+    }
+
+    const conflicts = [];
+    for (const item of items) {
+      if (await fs.pathExists(path.join(destDir, item))) conflicts.push(item);
+    }
+    if (conflicts.length > 0) {
+      throw new HttpError(409, 'Some extracted items already exist in the destination', { conflicts });
+    }
+
+    await fs.ensureDir(destDir);
+    for (const item of items) {
+      await fs.move(path.join(stagingDir, item), path.join(destDir, item));
+    }
+    return { ...result, items };
+  } finally {
+    await fs.remove(stagingDir);
+  }
+}
+
+module.exports = {
+  createTempPath,
+  getArchiveType,
+  listArchive,
+  extractArchive
+};
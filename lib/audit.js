@@ -0,0 +1,192 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { HttpError } = require('./errors');
+
+function parseDate(value, label) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HttpError(400, `${label} must be a date`);
+  }
+  return time;
+}
+
+function splitList(value) {
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Query filters, all optional:
+//   path      path prefix; matches the item, any of several items or the destination
+//   root, user, outcome
+//   action    comma list of actions
+//   from, to  ISO dates
+function parseAuditFilters(query) {
+  return {
+    path: query.path ? String(query.path).replace(/^\/+|\/+$/g, '') : null,
+    root: query.root || null,
+    user: query.user || null,
+    outcome: query.outcome || null,
+    actions: splitList(query.action),
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to')
+  };
+}
+
+function isBelow(itemPath, prefix) {
+  return typeof itemPath === 'string' && (itemPath === prefix || itemPath.startsWith(`${prefix}/`));
+}
+
+function matchesFilters(entry, filters) {
+  if (filters.root && entry.root !== filters.root && entry.destinationRoot !== filters.root) return false;
+  if (filters.user && entry.user !== filters.user) return false;
+  if (filters.outcome && entry.outcome !== filters.outcome) return false;
+  if (filters.actions.length > 0 && !filters.actions.includes(entry.action)) return false;
+
+  const time = Date.parse(entry.time);
+  if (filters.from !== null && time < filters.from) return false;
+  if (filters.to !== null && time > filters.to) return false;
+
+  if (filters.path) {
+    const paths = [entry.path, entry.destination, ...(entry.paths || [])];
+    if (!paths.some(itemPath => isBelow(itemPath, filters.path))) return false;
+  }
+  return true;
+}
+
+// Where a request's entry comes from unless the route says otherwise (res.locals.audit)
+function describeRequest(req) {
+  const body = req.body || {};
+  const query = req.query || {};
+  const itemPath = body.path ?? query.path ?? body.source ?? null;
+  const paths = Array.isArray(itemPath) ? itemPath : Array.isArray(body.paths) ? body.paths : null;
+  return {
+    root: body.root ?? query.root ?? body.sourceRoot ?? null,
+    path: typeof itemPath === 'string' ? itemPath : null,
+    paths,
+    destination: typeof body.destination === 'string' ? body.destination : null,
+    destinationRoot: body.destinationRoot ?? null
+  };
+}
+
+// Append-only log of file operations, one JSON object per line
+function createAuditLog({ logFile }) {
+  fs.ensureDirSync(path.dirname(logFile));
+  const output = fs.createWriteStream(logFile, { flags: 'a', mode: 0o600 });
+  output.on('error', error => console.error('Error writing audit log:', error));
+
+  function record(entry) {
+    output.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  // Middleware: log the request once its response has been sent or aborted.
+  // Routes refine the entry through res.locals.audit ({ root, path, destination, bytes, ... });
+  // res.locals.audit.items logs one entry per item of a batch: { path, destination, bytes, ok, error }.
+  // For work that goes on after the response (background jobs), res.locals.audit.pending is a
+  // promise for the rest of the entry, which may also set outcome and error; the entry waits for it.
+  // countBytes logs the response body size, for downloads.
+  function track(action, { countBytes = false } = {}) {
+    return (req, res, next) => {
+      let errorMessage = null;
+      let sentBytes = 0;
+
+      const { json, write, end } = res;
+      res.json = function (body) {
+        if (res.statusCode >= 400 && body && body.error) errorMessage = body.error;
+        return json.call(this, body);
+      };
+      if (countBytes) {
+        res.write = function (chunk, ...args) {
+          if (chunk) sentBytes += Buffer.byteLength(chunk);
+          return write.call(this, chunk, ...args);
+        };
+        res.end = function (chunk, ...args) {
+          if (chunk && typeof chunk !== 'function') sentBytes += Buffer.byteLength(chunk);
+          return end.call(this, chunk, ...args);
+        };
+      }
+
+      res.on('close', async () => {
+        // Read before waiting; the connection may be gone by then
+        const ip = req.ip;
+        const { pending, ...locals } = res.locals.audit || {};
+        const later = pending ? await pending.catch(() => ({ outcome: 'failure' })) : {};
+        const { items, outcome: laterOutcome, error: laterError, ...details } = { ...describeRequest(req), ...locals, ...later };
+        const outcome = laterOutcome ||
+          (!res.writableFinished ? 'aborted' : res.statusCode < 400 ? 'success' : 'failure');
+        const base = {
+          time: new Date().toISOString(),
+          user: req.user ? req.user.username : null,
+          ip,
+          action,
+          ...details,
+          bytes: details.bytes ?? (countBytes && outcome !== 'failure' ? sentBytes : null),
+          outcome,
+          status: res.statusCode,
+          error: laterError ?? errorMessage
+        };
+
+        if (items) {
+          items.forEach(item => record({
+            ...base,
+            path: item.path,
+            paths: null,
+            destination: item.destination ?? null,
+            bytes: item.bytes ?? null,
+            outcome: item.ok === false ? 'failure' : outcome,
+            status: item.status ?? base.status,
+            error: item.error ?? null
+          }));
+        } else {
+          record(base);
+        }
+      });
+      next();
+    };
+  }
+
+  // Matching entries, newest first, at most `limit` of them
+  async function query(filters, limit) {
+    const entries = [];
+    let matched = 0;
+    if (!await fs.pathExists(logFile)) {
+      return { entries, matched, truncated: false };
+    }
+
+    const input = fs.createReadStream(logFile, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A line cut short by a crash
+          continue;
+        }
+        // Entries are appended in time order
+        if (filters.to !== null && Date.parse(entry.time) > filters.to) break;
+        if (!matchesFilters(entry, filters)) continue;
+
+        matched++;
+        entries.push(entry);
+        if (entries.length > limit) entries.shift();
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+    return { entries: entries.reverse(), matched, truncated: matched > limit };
+  }
+
+  return {
+    track,
+    query
+  };
+}
+
+module.exports = {
+  parseAuditFilters,
+  createAuditLog
+};
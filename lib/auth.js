@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// Roles ordered from least to most privileged
+const ROLES = ['read-only', 'uploader', 'admin'];
+
+const SESSION_COOKIE = 'wfm_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const BASIC_CACHE_TTL = 5 * 60 * 1000;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PROPFIND'];
+
+// Hash a password with scrypt, storing the salt alongside the hash
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hasRole(role, requiredRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// Parse the Cookie header without pulling in cookie-parser
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+function loadUsers(usersFile) {
+  if (!fs.pathExistsSync(usersFile)) return [];
+  return fs.readJsonSync(usersFile).users || [];
+}
+
+function saveUsers(usersFile, users) {
+  fs.outputJsonSync(usersFile, { users }, { spaces: 2, mode: 0o600 });
+}
+
+// Add or update a user in the store file
+function setUser(usersFile, username, password, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}", expected one of: ${ROLES.join(', ')}`);
+  }
+
+  const users = loadUsers(usersFile).filter(user => user.username !== username);
+  users.push({ username, password: hashPassword(password), role });
+  saveUsers(usersFile, users);
+}
+
+function removeUser(usersFile, username) {
+  const users = loadUsers(usersFile);
+  const remaining = users.filter(user => user.username !== username);
+  saveUsers(usersFile, remaining);
+  return remaining.length !== users.length;
+}
+
+// Create the authentication layer backed by a JSON user store
+function createAuth({ usersFile }) {
+  const sessions = new Map();
+
+  // First start: create an admin account so the UI is reachable
+  if (loadUsers(usersFile).length === 0) {
+    const password = crypto.randomBytes(9).toString('base64url');
+    setUser(usersFile, 'admin', password, 'admin');
+    console.log(`Created initial user "admin" with password: ${password}`);
+    console.log(`Manage users with: npm run user -- <add|remove|list>`);
+  }
+
+  // The parsed user store, read again only once the file changed (npm run user writes it while
+  // the server runs), as every authenticated request looks its user up
+  let cached = { version: null, users: [] };
+
+  function getUsers() {
+    const stats = fs.statSync(usersFile, { throwIfNoEntry: false });
+    const version = stats ? `${stats.ino}:${stats.size}:${stats.mtimeMs}:${stats.ctimeMs}` : null;
+    if (version !== cached.version) {
+      cached = { version, users: loadUsers(usersFile) };
+    }
+    return cached.users;
+  }
+
+  function findUser(username) {
+    return getUsers().find(user => user.username === username);
+  }
+
+  // Unknown users are checked against this hash, so a failed login takes as long whether or not
+  // the account exists
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  function checkPassword(user, password) {
+    const valid = verifyPassword(password, user ? user.password : dummyHash);
+    return valid && !!user;
+  }
+
+  function login(username, password) {
+    const user = findUser(username);
+    if (!checkPassword(user, password)) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const csrfToken = crypto.randomBytes(32).toString('base64url');
+    sessions.set(token, {
+      username: user.username,
+      role: user.role,
+      csrfToken,
+      expires: Date.now() + SESSION_TTL
+    });
+    return { token, csrfToken, user: { username: user.username, role: user.role } };
+  }
+
+  function logout(token) {
+    sessions.delete(token);
+  }
+
+  function getToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  }
+
+  // Browsers send the session cookie along with any request, also one a foreign page makes.
+  // Changes made with the cookie must therefore carry the session's CSRF token in an
+  // X-CSRF-Token header, which other sites cannot read; bearer tokens are never sent implicitly.
+  function checkCsrf(req, session) {
+    if (SAFE_METHODS.includes(req.method) || (req.headers.authorization || '').startsWith('Bearer ')) {
+      return true;
+    }
+    const expected = Buffer.from(session.csrfToken);
+    const actual = Buffer.from(String(req.headers['x-csrf-token'] || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  function getSession(token) {
+    const session = token && sessions.get(token);
+    if (!session) return null;
+
+    if (session.expires < Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+
+    // Sliding expiration: every authenticated request extends the session
+    session.expires = Date.now() + SESSION_TTL;
+    return session;
+  }
+
+  // Middleware: attach req.user or reject with 401
+  function authenticate(req, res, next) {
+    const token = getToken(req);
+    const session = getSession(token);
+    if (!session) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    // Pick up role changes made in the user store while logged in
+    const user = findUser(session.username);
+    if (!user) {
+      sessions.delete(token);
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!checkCsrf(req, session)) {
+      return res.status(403).json({ error: 'Missing or invalid CSRF token' });
+    }
+
+    session.role = user.role;
+    req.user = { username: user.username, role: user.role };
+    req.sessionToken = token;
+    req.csrfToken = session.csrfToken;
+    next();
+  }
+
+  // Basic credentials checked recently, so clients that send them with every request (WebDAV)
+  // do not pay for scrypt each time. Keyed by a hash of the header; an entry stops counting
+  // once the user's password changes.
+  const basicCache = new Map(); // sha256(header) -> { username, passwordHash, expires }
+
+  function checkBasic(header) {
+    const key = crypto.createHash('sha256').update(header).digest('hex');
+    const cached = basicCache.get(key);
+    if (cached && cached.expires > Date.now()) {
+      const user = findUser(cached.username);
+      if (user && user.password === cached.passwordHash) return user;
+    }
+    basicCache.delete(key);
+
+    const decoded = Buffer.from(header.slice(6).trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator < 0) return null;
+    const user = findUser(decoded.slice(0, separator));
+    if (!checkPassword(user, decoded.slice(separator + 1))) {
+      return null;
+    }
+    basicCache.set(key, { username: user.username, passwordHash: user.password, expires: Date.now() + BASIC_CACHE_TTL });
+    return user;
+  }
+
+  // Middleware factory for clients that cannot log in first: HTTP Basic credentials or an
+  // existing session, otherwise a 401 challenge for the realm
+  function authenticateBasic(realm) {
+    return (req, res, next) => {
+      const header = req.headers.authorization || '';
+      let user;
+      if (header.startsWith('Basic ')) {
+        user = checkBasic(header);
+      } else {
+        const session = getSession(getToken(req));
+        user = session && checkCsrf(req, session) && findUser(session.username);
+      }
+      if (user) {
+        req.user = { username: user.username, role: user.role };
+        return next();
+      }
+
+      res.setHeader('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+      res.status(401).type('text/plain').send('Authentication required\n');
+    };
+  }
+
+  // Middleware factory: require at least the given role
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user || !hasRole(req.user.role, role)) {
+        return res.status(403).json({ error: 'Permission denied' });
+      }
+      next();
+    };
+  }
+
+  function setSessionCookie(res, token) {
+    res.setHeader('Set-Cookie',
+      `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL / 1000}`);
+  }
+
+  function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  }
+
+  // Drop expired sessions periodically
+  setInterval(() => {
+    const now = Date.now();
+    for (const [token, session] of sessions) {
+      if (session.expires < now) sessions.delete(token);
+    }
+    for (const [key, entry] of basicCache) {
+      if (entry.expires < now) basicCache.delete(key);
+    }
+  }, 60 * 60 * 1000).unref();
+
+  return {
+    login,
+    logout,
+    authenticate,
+    authenticateBasic,
+    requireRole,
+    setSessionCookie,
+    clearSessionCookie
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  parseCookies,
+  loadUsers,
+  setUser,
+  removeUser,
+  createAuth
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./errors');
+
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'sha256'];
+
+// "md5,sha256" (or an array of names) into a list of algorithms; empty means all of them
+function parseAlgorithms(value) {
+  if (!value) return CHECKSUM_ALGORITHMS;
+
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = names.find(name => !CHECKSUM_ALGORITHMS.includes(name));
+  if (unknown || names.length === 0) {
+    throw new HttpError(400, `Algorithm must be one of ${CHECKSUM_ALGORITHMS.join(', ')}`);
+  }
+  return [...new Set(names)];
+}
+
+// Read a stream once and resolve { <algorithm>: <hex digest> } for each algorithm
+async function hashStream(stream, algorithms = CHECKSUM_ALGORITHMS, { signal } = {}) {
+  const hashes = algorithms.map(algorithm => crypto.createHash(algorithm));
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      hashes.forEach(hash => hash.update(chunk));
+      callback();
+    }
+  });
+  await pipeline(stream, sink, ...(signal ? [{ signal }] : []));
+  return Object.fromEntries(algorithms.map((algorithm, index) => [algorithm, hashes[index].digest('hex')]));
+}
+
+module.exports = {
+  CHECKSUM_ALGORITHMS,
+  parseAlgorithms,
+  hashStream
+};
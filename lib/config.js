@@ -0,0 +1,195 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Optional JSON config file, see config.example.json
+const CONFIG_FILE = process.env.WFM_CONFIG || path.join(__dirname, '..', 'config.json');
+const fileConfig = fs.pathExistsSync(CONFIG_FILE) ? fs.readJsonSync(CONFIG_FILE) : {};
+
+// Runtime state (users, sessions) lives outside the managed directories
+const DATA_DIR = path.resolve(process.env.WFM_DATA_DIR || fileConfig.dataDir || path.join(__dirname, '..', 'data'));
+const USERS_FILE = process.env.WFM_USERS_FILE || path.join(DATA_DIR, 'users.json');
+const SHARES_FILE = process.env.WFM_SHARES_FILE || path.join(DATA_DIR, 'shares.json');
+const AUDIT_LOG_FILE = process.env.WFM_AUDIT_LOG_FILE || path.join(DATA_DIR, 'audit.log');
+const JOBS_FILE = process.env.WFM_JOBS_FILE || path.join(DATA_DIR, 'jobs.json');
+
+// Hidden per-root directory for the file manager's own data (trash, ...)
+const INTERNAL_DIR = '.wfm';
+
+// Days deleted items stay in the trash before being purged (0 keeps them forever)
+const TRASH_RETENTION_DAYS = Number(process.env.WFM_TRASH_RETENTION_DAYS ?? fileConfig.trashRetentionDays ?? 30);
+
+// Earlier versions kept per file when it is overwritten or edited (0 turns versioning off), and
+// days a version is kept (0 keeps it until newer versions push it out)
+const VERSIONS_MAX = Number(process.env.WFM_VERSIONS_MAX ?? fileConfig.versionsMax ?? 10);
+const VERSIONS_MAX_AGE_DAYS = Number(process.env.WFM_VERSIONS_MAX_AGE_DAYS ?? fileConfig.versionsMaxAgeDays ?? 30);
+
+// Hours an unfinished chunked upload may sit idle before its partial data is removed
+const UPLOAD_SESSION_TTL_HOURS = Number(process.env.WFM_UPLOAD_SESSION_TTL_HOURS ?? fileConfig.uploadSessionTtlHours ?? 24);
+
+// Largest file (in bytes) and number of files one upload through a share link may carry, unless
+// the share sets its own
+const SHARE_UPLOAD_MAX_FILE_SIZE = Number(process.env.WFM_SHARE_UPLOAD_MAX_FILE_SIZE ?? fileConfig.shareUploadMaxFileSize ?? 1024 * 1024 * 1024);
+const SHARE_UPLOAD_MAX_FILES = Number(process.env.WFM_SHARE_UPLOAD_MAX_FILES ?? fileConfig.shareUploadMaxFiles ?? 20);
+
+// Largest file (in bytes) the in-browser editor will load or save
+const EDITOR_MAX_SIZE = Number(process.env.WFM_EDITOR_MAX_SIZE ?? fileConfig.editorMaxSize ?? 1024 * 1024);
+
+// Seconds a search may run before it stops with partial results
+const SEARCH_TIMEOUT_SECONDS = Number(process.env.WFM_SEARCH_TIMEOUT_SECONDS ?? fileConfig.searchTimeoutSeconds ?? 30);
+
+// Largest file (in bytes) whose content a search will scan
+const SEARCH_CONTENT_MAX_SIZE = Number(process.env.WFM_SEARCH_CONTENT_MAX_SIZE ?? fileConfig.searchContentMaxSize ?? 10 * 1024 * 1024);
+
+// Limits for extracting archives, against zip bombs
+const ARCHIVE_MAX_ENTRIES = Number(process.env.WFM_ARCHIVE_MAX_ENTRIES ?? fileConfig.archiveMaxEntries ?? 10000);
+const ARCHIVE_MAX_EXTRACTED_SIZE = Number(process.env.WFM_ARCHIVE_MAX_EXTRACTED_SIZE ?? fileConfig.archiveMaxExtractedSize ?? 1024 * 1024 * 1024);
+
+// Live updates watch folders with fs.watch; set watchPolling to rescan them every
+// watchPollIntervalSeconds instead (network file systems often miss fs.watch events)
+const WATCH_POLLING = String(process.env.WFM_WATCH_POLLING ?? fileConfig.watchPolling ?? false) === 'true';
+const WATCH_POLL_INTERVAL_SECONDS = Number(process.env.WFM_WATCH_POLL_INTERVAL_SECONDS ?? fileConfig.watchPollIntervalSeconds ?? 5);
+
+// Directory listings stat at most this many entries at the same time
+const LISTING_STAT_CONCURRENCY = Number(process.env.WFM_LISTING_STAT_CONCURRENCY ?? fileConfig.listingStatConcurrency ?? 32);
+
+// Minutes a finished disk usage scan is reused before the folder has to be scanned again
+const USAGE_CACHE_MINUTES = Number(process.env.WFM_USAGE_CACHE_MINUTES ?? fileConfig.usageCacheMinutes ?? 10);
+
+// Background jobs (copy, move, delete, compress) running at the same time, and finished jobs kept
+const JOB_CONCURRENCY = Number(process.env.WFM_JOB_CONCURRENCY ?? fileConfig.jobConcurrency ?? 2);
+const JOB_HISTORY_LIMIT = Number(process.env.WFM_JOB_HISTORY_LIMIT ?? fileConfig.jobHistoryLimit ?? 100);
+
+// Requests a client (by IP) may make per minute, and failed logins (including share passwords and
+// WebDAV credentials) per minute; 0 turns a limit off
+const RATE_LIMIT_PER_MINUTE = Number(process.env.WFM_RATE_LIMIT_PER_MINUTE ?? fileConfig.rateLimitPerMinute ?? 1200);
+const LOGIN_RATE_LIMIT_PER_MINUTE = Number(process.env.WFM_LOGIN_RATE_LIMIT_PER_MINUTE ?? fileConfig.loginRateLimitPerMinute ?? 10);
+
+// Folder scans (disk usage, duplicates) a user may start per minute; each walks the whole tree
+// below the folder, so they are limited much lower than other requests. 0 turns the limit off
+const SCAN_RATE_LIMIT_PER_MINUTE = Number(process.env.WFM_SCAN_RATE_LIMIT_PER_MINUTE ?? fileConfig.scanRateLimitPerMinute ?? 10);
+
+// Comma-separated list of origins allowed to call the API cross-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || (fileConfig.corsOrigins || []).join(','))
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Roots on S3-compatible storage take whatever their settings leave out from here
+const S3_DEFAULTS = {
+  endpoint: process.env.WFM_S3_ENDPOINT || 'https://s3.amazonaws.com',
+  region: process.env.WFM_S3_REGION || 'us-east-1',
+  accessKeyId: process.env.WFM_S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey: process.env.WFM_S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY
+};
+
+// Storage named by a WFM_ROOTS entry: a local path, "memory" or "s3://bucket/prefix"
+function parseRootLocation(location) {
+  if (location === 'memory') {
+    return { storage: { type: 'memory' } };
+  }
+  if (location.startsWith('s3://')) {
+    const [bucket, ...prefix] = location.slice(5).split('/');
+    return { storage: { type: 's3', bucket, prefix: prefix.join('/') } };
+  }
+  return { path: location };
+}
+
+// Parse WFM_ROOTS, e.g. "media=/srv/media,backups=/mnt/backup:ro,bucket=s3://photos/2024"
+function parseRootsEnv(value) {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const index = entry.indexOf('=');
+      if (index < 1) {
+        throw new Error(`Invalid WFM_ROOTS entry "${entry}", expected id=location[:ro]`);
+      }
+      let rootPath = entry.slice(index + 1);
+      let readOnly = false;
+      if (rootPath.endsWith(':ro') || rootPath.endsWith(':rw')) {
+        readOnly = rootPath.endsWith(':ro');
+        rootPath = rootPath.slice(0, -3);
+      }
+      return { id: entry.slice(0, index), ...parseRootLocation(rootPath), readOnly };
+    });
+}
+
+function loadRoots() {
+  let roots;
+  if (process.env.WFM_ROOTS) {
+    roots = parseRootsEnv(process.env.WFM_ROOTS);
+  } else if (Array.isArray(fileConfig.roots) && fileConfig.roots.length > 0) {
+    roots = fileConfig.roots;
+  } else {
+    roots = [{ id: 'default', name: 'Root', path: process.env.ROOT_DIR || '/mnt/test' }];
+  }
+
+  const seen = new Set();
+  return roots.map(root => {
+    if (!root.id || !/^[A-Za-z0-9_-]+$/.test(root.id)) {
+      throw new Error(`Invalid root id "${root.id}", use letters, digits, "-" and "_"`);
+    }
+    if (seen.has(root.id)) {
+      throw new Error(`Duplicate root id "${root.id}"`);
+    }
+    seen.add(root.id);
+
+    const storage = { type: 'local', ...root.storage };
+    if (!['local', 'memory', 's3'].includes(storage.type)) {
+      throw new Error(`Root "${root.id}" has unknown storage type "${storage.type}", expected local, memory or s3`);
+    }
+    if (storage.type === 'local' && !root.path) {
+      throw new Error(`Root "${root.id}" has no path`);
+    }
+    if (storage.type === 's3') {
+      Object.assign(storage, { ...S3_DEFAULTS, ...root.storage });
+      if (!storage.bucket || !storage.accessKeyId || !storage.secretAccessKey) {
+        throw new Error(`Root "${root.id}" needs a bucket and S3 credentials`);
+      }
+    }
+
+    return {
+      id: root.id,
+      name: root.name || root.id,
+      // Only local roots have a directory of their own
+      path: storage.type === 'local' ? path.resolve(root.path) : null,
+      readOnly: !!root.readOnly,
+      storage
+    };
+  });
+}
+
+const ROOTS = loadRoots();
+
+module.exports = {
+  CONFIG_FILE,
+  DATA_DIR,
+  USERS_FILE,
+  SHARES_FILE,
+  AUDIT_LOG_FILE,
+  JOBS_FILE,
+  CORS_ORIGINS,
+  ROOTS,
+  INTERNAL_DIR,
+  TRASH_RETENTION_DAYS,
+  VERSIONS_MAX,
+  VERSIONS_MAX_AGE_DAYS,
+  UPLOAD_SESSION_TTL_HOURS,
+  SHARE_UPLOAD_MAX_FILE_SIZE,
+  SHARE_UPLOAD_MAX_FILES,
+  EDITOR_MAX_SIZE,
+  SEARCH_TIMEOUT_SECONDS,
+  SEARCH_CONTENT_MAX_SIZE,
+  ARCHIVE_MAX_ENTRIES,
+  ARCHIVE_MAX_EXTRACTED_SIZE,
+  WATCH_POLLING,
+  WATCH_POLL_INTERVAL_SECONDS,
+  LISTING_STAT_CONCURRENCY,
+  USAGE_CACHE_MINUTES,
+  JOB_CONCURRENCY,
+  JOB_HISTORY_LIMIT,
+  RATE_LIMIT_PER_MINUTE,
+  LOGIN_RATE_LIMIT_PER_MINUTE,
+  SCAN_RATE_LIMIT_PER_MINUTE
+};
@@ -0,0 +1,85 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { HttpError } = require('./errors');
+
+// What happens when an upload, copy or move meets an existing item of the same name:
+//   fail       refuse with a 409 listing the conflicts (default)
+//   overwrite  replace the existing item (the caller moves it to the trash first)
+//   skip       leave the existing item alone and drop the incoming one
+//   rename     keep both, the incoming item becomes "name (1).ext"
+//   newer      overwrite when the incoming item was modified later, skip otherwise
+const CONFLICT_POLICIES = ['fail', 'overwrite', 'skip', 'rename', 'newer'];
+
+function parseConflictPolicy(value) {
+  if (value === undefined || value === null || value === '') return 'fail';
+  if (!CONFLICT_POLICIES.includes(value)) {
+    throw new HttpError(400, `conflict must be one of ${CONFLICT_POLICIES.join(', ')}`);
+  }
+  return value;
+}
+
+// Per-item policies ({ "<source path>": policy }) sent after the user resolved a 409
+function parseConflictResolutions(value) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new HttpError(400, 'resolutions must map paths to conflict policies');
+  }
+  return Object.fromEntries(Object.entries(value).map(([itemPath, policy]) => [itemPath, parseConflictPolicy(policy)]));
+}
+
+// Find "name (1).ext", "name (2).ext", ... that does not exist yet. exists(path) checks a
+// candidate, on the local file system unless given.
+async function getAvailablePath(fullPath, exists = fs.pathExists) {
+  const dir = path.dirname(fullPath);
+  const ext = path.extname(fullPath);
+  const base = path.basename(fullPath, ext);
+
+  for (let i = 1; ; i++) {
+    const candidate = path.join(dir, `${base} (${i})${ext}`);
+    if (!await exists(candidate)) return candidate;
+  }
+}
+
+// One entry of a 409 response: the item in the way and the one that was to replace it.
+// incoming: { isDirectory, size, modified }
+function describeConflict(itemPath, existingStats, incoming) {
+  return {
+    path: itemPath,
+    name: path.basename(itemPath),
+    existing: {
+      isDirectory: existingStats.isDirectory(),
+      size: existingStats.isDirectory() ? null : existingStats.size,
+      modified: existingStats.mtime
+    },
+    incoming: {
+      isDirectory: !!incoming.isDirectory,
+      size: incoming.isDirectory ? null : incoming.size ?? null,
+      modified: incoming.modified ? new Date(incoming.modified) : null
+    }
+  };
+}
+
+function conflictError(conflicts) {
+  const message = conflicts.length === 1
+    ? `"${conflicts[0].name}" already exists in the destination`
+    : `${conflicts.length} items already exist in the destination`;
+  return new HttpError(409, message, { conflicts });
+}
+
+// What a policy does with an existing item: "overwrite", "skip", "rename" or "fail".
+// Without a modification date the incoming item counts as the newer one.
+function decideConflict(policy, existingStats, incoming) {
+  if (policy !== 'newer') return policy;
+  const incomingTime = incoming.modified ? new Date(incoming.modified).getTime() : Date.now();
+  return incomingTime > existingStats.mtimeMs ? 'overwrite' : 'skip';
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  parseConflictPolicy,
+  parseConflictResolutions,
+  getAvailablePath,
+  describeConflict,
+  conflictError,
+  decideConflict
+};
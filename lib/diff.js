@@ -0,0 +1,145 @@
+// Line diffs for the version history. Past this many changed lines the differing middle is shown
+// as removed and re-added as a whole, which keeps the search's memory bounded.
+const MAX_EDIT_DISTANCE = 2000;
+
+// Shortest edit script between two line arrays (Myers' algorithm), as { type, text } entries
+// with type "same", "remove" or "add". Returns null when it needs more than maxDistance edits.
+function findEdits(a, b, maxDistance) {
+  const max = Math.min(a.length + b.length, maxDistance);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // What the previous step reached on diagonals -d-1 .. d+1
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+  return null;
+}
+
+function backtrack(a, b, trace) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const at = k => previous[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      edits.push({ type: 'same', text: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === previousX) {
+        edits.push({ type: 'add', text: b[--y] });
+      } else {
+        edits.push({ type: 'remove', text: a[--x] });
+      }
+    }
+  }
+  return edits.reverse();
+}
+
+function splitLines(text) {
+  const lines = text.split(/\r?\n/);
+  // A final newline does not start another line
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Edits between two texts, line by line
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = findEdits(middleA, middleB, MAX_EDIT_DISTANCE) || [
+    ...middleA.map(text => ({ type: 'remove', text })),
+    ...middleB.map(text => ({ type: 'add', text }))
+  ];
+  return [
+    ...a.slice(0, start).map(text => ({ type: 'same', text })),
+    ...middle,
+    ...a.slice(endA).map(text => ({ type: 'same', text }))
+  ];
+}
+
+// Group edits into unified-diff style hunks with `context` unchanged lines around each change:
+// [{ oldStart, oldLines, newStart, newLines, lines: [{ type, text }] }], line numbers from 1
+function toHunks(edits, context = 3) {
+  const hunks = [];
+  let hunk = null;
+  let oldLine = 1;
+  let newLine = 1;
+  let lastChange = -Infinity;
+
+  edits.forEach((edit, index) => {
+    if (edit.type !== 'same') {
+      if (!hunk || index - lastChange > 2 * context) {
+        // Start a new hunk with the unchanged lines before this change
+        const from = Math.max(index - context, lastChange + context + 1, 0);
+        const before = edits.slice(from, index);
+        hunk = {
+          oldStart: oldLine - before.length,
+          oldLines: before.length,
+          newStart: newLine - before.length,
+          newLines: before.length,
+          lines: [...before]
+        };
+        hunks.push(hunk);
+      } else {
+        // Unchanged lines since the last change belong to this hunk
+        for (const same of edits.slice(lastChange + context + 1, index)) {
+          hunk.lines.push(same);
+          hunk.oldLines++;
+          hunk.newLines++;
+        }
+      }
+      lastChange = index;
+      hunk.lines.push(edit);
+      if (edit.type === 'remove') hunk.oldLines++;
+      if (edit.type === 'add') hunk.newLines++;
+    } else if (hunk && index - lastChange <= context) {
+      hunk.lines.push(edit);
+      hunk.oldLines++;
+      hunk.newLines++;
+    }
+
+    if (edit.type !== 'add') oldLine++;
+    if (edit.type !== 'remove') newLine++;
+  });
+  return hunks;
+}
+
+module.exports = {
+  diffLines,
+  toHunks
+};
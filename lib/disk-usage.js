@@ -0,0 +1,284 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { mapLimit } = require('./listing');
+const { HttpError } = require('./errors');
+
+// Files kept by name per folder and entries in the "largest" lists. Smaller files of a
+// folder are only summed up (otherFiles), which keeps scans of huge trees in memory.
+const LARGEST_LIMIT = 100;
+
+function isBelow(itemPath, folderPath) {
+  return folderPath === '' || itemPath === folderPath || itemPath.startsWith(`${folderPath}/`);
+}
+
+// Insert into a list sorted by size, largest first. Returns the item that no longer fits, if any.
+function keepLargest(list, item) {
+  let index = list.findIndex(candidate => candidate.size < item.size);
+  if (index < 0) index = list.length;
+  if (index >= LARGEST_LIMIT) return item;
+  list.splice(index, 0, item);
+  return list.length > LARGEST_LIMIT ? list.pop() : null;
+}
+
+function summarize(node) {
+  return {
+    name: node.name,
+    path: node.path,
+    isDirectory: node.isDirectory,
+    size: node.size,
+    files: node.files,
+    folders: node.folders
+  };
+}
+
+// Size, total and free space of the file system a path lives on
+async function getDiskSpace(fullPath) {
+  try {
+    const stats = await fs.promises.statfs(fullPath);
+    return {
+      total: stats.blocks * stats.bsize,
+      free: stats.bavail * stats.bsize,
+      used: (stats.blocks - stats.bfree) * stats.bsize
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// du-style scans: recursive sizes and counts of a folder, computed in the background.
+// A finished scan is cached for cacheMinutes and also answers for every folder below it.
+// Symlinks are not followed, hard-linked files count once, skip(root, fullPath) leaves out
+// the internal directory.
+function createDiskUsage({ skip, cacheMinutes = 10, concurrency = 32 }) {
+  const scans = new Map(); // "<root id>:<relative path>" -> scan
+
+  function isFresh(scan) {
+    return scan.status === 'running' ||
+      (scan.status === 'done' && Date.now() - scan.finishedAt < cacheMinutes * 60 * 1000);
+  }
+
+  function dropStale() {
+    for (const [key, scan] of scans) {
+      if (!isFresh(scan)) scans.delete(key);
+    }
+  }
+
+  // Scans are shared by everyone who looks at a folder; only the user who started a running one
+  // and admins may stop it
+  function canControl(scan, user) {
+    return user.role === 'admin' || scan.user === user.username;
+  }
+
+  // The running or cached scan covering a folder, the closest one first
+  function findScan(root, relativePath) {
+    dropStale();
+    let best = null;
+    for (const scan of scans.values()) {
+      if (scan.root.id !== root.id || !isBelow(relativePath, scan.path)) continue;
+      if (!best || scan.path.length > best.path.length) best = scan;
+    }
+    return best;
+  }
+
+  async function scanFolder(scan, fullPath, node) {
+    let names;
+    try {
+      names = await fs.readdir(fullPath);
+    } catch (error) {
+      scan.errors++;
+      return;
+    }
+
+    const entries = await mapLimit(names, concurrency, async name => {
+      const childPath = path.join(fullPath, name);
+      if (scan.controller.signal.aborted || skip(scan.root, childPath)) return null;
+      try {
+        return { name, childPath, stats: await fs.lstat(childPath) };
+      } catch (error) {
+        scan.errors++;
+        return null;
+      }
+    });
+
+    const largestFiles = [];
+    for (const entry of entries) {
+      if (!entry) continue;
+      if (scan.controller.signal.aborted) return;
+      const { name, childPath, stats } = entry;
+      const relativePath = node.path ? `${node.path}/${name}` : name;
+
+      if (stats.isDirectory()) {
+        const child = { name, path: relativePath, isDirectory: true, size: 0, files: 0, folders: 0, children: [], otherFiles: { size: 0, count: 0 } };
+        scan.progress.folders++;
+        await scanFolder(scan, childPath, child);
+        node.children.push(child);
+        node.size += child.size;
+        node.files += child.files;
+        node.folders += child.folders + 1;
+        continue;
+      }
+
+      let size = stats.size;
+      if (stats.nlink > 1 && !stats.isSymbolicLink()) {
+        const inode = `${stats.dev}:${stats.ino}`;
+        if (scan.inodes.has(inode)) size = 0;
+        scan.inodes.add(inode);
+      }
+      const file = { name, path: relativePath, isDirectory: false, size, files: 1, folders: 0 };
+      const dropped = keepLargest(largestFiles, file);
+      if (dropped) {
+        node.otherFiles.size += dropped.size;
+        node.otherFiles.count++;
+      }
+      node.size += size;
+      node.files++;
+      scan.progress.files++;
+      scan.progress.size += size;
+    }
+    node.children.push(...largestFiles);
+  }
+
+  // Start scanning a folder for user, unless a running or cached scan already covers it
+  function startScan(root, relativePath, fullPath, { user, refresh = false }) {
+    const existing = findScan(root, relativePath);
+    if (existing && (existing.status === 'running' || (existing.status === 'done' && !refresh))) {
+      return existing;
+    }
+
+    const name = relativePath ? path.basename(relativePath) : root.name;
+    const scan = {
+      root,
+      path: relativePath,
+      user: user.username,
+      status: 'running',
+      startedAt: Date.now(),
+      finishedAt: null,
+      progress: { files: 0, folders: 0, size: 0 },
+      errors: 0,
+      error: null,
+      tree: { name, path: relativePath, isDirectory: true, size: 0, files: 0, folders: 0, children: [], otherFiles: { size: 0, count: 0 } },
+      inodes: new Set(),
+      controller: new AbortController()
+    };
+    // A new scan replaces the ones below it, except running ones the user may not stop
+    for (const [key, other] of scans) {
+      if (other.root.id === root.id && isBelow(other.path, relativePath) &&
+          (other.status !== 'running' || canControl(other, user))) {
+        other.controller.abort();
+        scans.delete(key);
+      }
+    }
+    const key = `${root.id}:${relativePath}`;
+    scans.set(key, scan);
+
+    scanFolder(scan, fullPath, scan.tree).then(() => {
+      scan.status = scan.controller.signal.aborted ? 'canceled' : 'done';
+    }, error => {
+      console.error('Error scanning disk usage:', error);
+      scan.status = 'failed';
+      scan.error = error.message;
+    }).finally(() => {
+      scan.finishedAt = Date.now();
+      scan.inodes = null;
+      // Canceled and failed scans are reported once, then forgotten
+      if (scan.status !== 'done') {
+        setTimeout(() => {
+          if (scans.get(key) === scan) scans.delete(key);
+        }, 60 * 1000).unref();
+      }
+    });
+    return scan;
+  }
+
+  // Stop the scan of exactly this folder. Returns false when there was none running.
+  function cancelScan(root, relativePath, user) {
+    const scan = scans.get(`${root.id}:${relativePath}`);
+    if (!scan || scan.status !== 'running') return false;
+    if (!canControl(scan, user)) {
+      throw new HttpError(403, 'Only the user who started this scan or an admin can cancel it');
+    }
+    scan.controller.abort();
+    return true;
+  }
+
+  function findNode(tree, relativePath) {
+    let node = tree;
+    while (node && node.path !== relativePath) {
+      node = node.children.find(child => child.isDirectory && isBelow(relativePath, child.path));
+    }
+    return node || null;
+  }
+
+  // Tree below a node down to `depth` levels, largest first
+  function describeNode(node, depth) {
+    const item = summarize(node);
+    if (node.isDirectory) {
+      item.otherFiles = node.otherFiles;
+      item.children = depth > 0
+        ? [...node.children].sort((a, b) => b.size - a.size).map(child => describeNode(child, depth - 1))
+        : null;
+    }
+    return item;
+  }
+
+  function collectLargest(node, files, folders) {
+    for (const child of node.children) {
+      if (child.isDirectory) {
+        keepLargest(folders, summarize(child));
+        collectLargest(child, files, folders);
+      } else {
+        keepLargest(files, summarize(child));
+      }
+    }
+  }
+
+  function describeScan(scan) {
+    return {
+      path: scan.path,
+      user: scan.user,
+      status: scan.status,
+      startedAt: new Date(scan.startedAt).toISOString(),
+      finishedAt: scan.finishedAt ? new Date(scan.finishedAt).toISOString() : null,
+      progress: scan.progress,
+      errors: scan.errors,
+      error: scan.error
+    };
+  }
+
+  // Usage of a folder: { scan, item, largestFiles, largestFolders }. scan is null when no scan
+  // covers the folder, the results stay null until one has finished.
+  function getUsage(root, relativePath, { depth = 1 } = {}) {
+    const scan = findScan(root, relativePath);
+    const result = { scan: scan && describeScan(scan), item: null, largestFiles: null, largestFolders: null };
+    if (!scan || scan.status !== 'done') return result;
+
+    const node = findNode(scan.tree, relativePath);
+    if (!node) {
+      throw new HttpError(404, 'The folder did not exist when it was scanned');
+    }
+    const largestFiles = [];
+    const largestFolders = [];
+    collectLargest(node, largestFiles, largestFolders);
+    return { ...result, item: describeNode(node, depth), largestFiles, largestFolders };
+  }
+
+  // Recursive size of a folder from a cached scan, or null
+  function getCachedSize(root, relativePath) {
+    const scan = findScan(root, relativePath);
+    if (!scan || scan.status !== 'done') return null;
+    const node = findNode(scan.tree, relativePath);
+    return node ? { ...summarize(node), scannedAt: new Date(scan.finishedAt).toISOString() } : null;
+  }
+
+  return {
+    startScan,
+    cancelScan,
+    getUsage,
+    getCachedSize
+  };
+}
+
+module.exports = {
+  getDiskSpace,
+  createDiskUsage
+};
@@ -0,0 +1,268 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { mapLimit } = require('./listing');
+const { hashStream } = require('./checksums');
+const { HttpError } = require('./errors');
+
+// Bytes hashed from the start of every candidate before whole files are read
+const PARTIAL_BYTES = 64 * 1024;
+// Groups returned, the ones wasting the most space first
+const GROUP_LIMIT = 500;
+
+// Group files of equal size whose key (partial or full hash) matches too; groups of one are dropped
+async function regroup(groups, concurrency, getKey) {
+  const result = [];
+  for (const files of groups) {
+    const keys = await mapLimit(files, concurrency, getKey);
+    const byKey = new Map();
+    files.forEach((file, index) => {
+      if (keys[index] === null) return;
+      if (!byKey.has(keys[index])) byKey.set(keys[index], []);
+      byKey.get(keys[index]).push(file);
+    });
+    for (const [key, matches] of byKey) {
+      if (matches.length > 1) result.push(Object.assign(matches, { key }));
+    }
+  }
+  return result;
+}
+
+// Duplicate scans: files below a folder with identical content, found in the background in three
+// passes that each read more of fewer files: sizes, a hash of the first bytes, then the whole file.
+// Results are cached for cacheMinutes. Symlinks are not followed and hard links to the same file
+// count once, as removing one frees nothing; skip(root, fullPath) leaves out the internal directory.
+function createDuplicateFinder({ skip, cacheMinutes = 10, concurrency = 32, hashConcurrency = 2 }) {
+  const scans = new Map(); // "<root id>:<relative path>" -> scan
+
+  function isFresh(scan) {
+    return scan.status === 'running' ||
+      (scan.status === 'done' && Date.now() - scan.finishedAt < cacheMinutes * 60 * 1000);
+  }
+
+  function dropStale() {
+    for (const [key, scan] of scans) {
+      if (!isFresh(scan)) scans.delete(key);
+    }
+  }
+
+  // Every regular file below a folder, into scan.bySize
+  async function listFolder(scan, fullPath, relativePath) {
+    let names;
+    try {
+      names = await fs.readdir(fullPath);
+    } catch (error) {
+      scan.errors++;
+      return;
+    }
+
+    const entries = await mapLimit(names, concurrency, async name => {
+      const childPath = path.join(fullPath, name);
+      if (scan.controller.signal.aborted || skip(scan.root, childPath)) return null;
+      try {
+        return { name, childPath, stats: await fs.lstat(childPath) };
+      } catch (error) {
+        scan.errors++;
+        return null;
+      }
+    });
+
+    for (const entry of entries) {
+      if (!entry) continue;
+      if (scan.controller.signal.aborted) return;
+      const { name, childPath, stats } = entry;
+      const childRelative = relativePath ? `${relativePath}/${name}` : name;
+
+      if (stats.isDirectory()) {
+        scan.progress.folders++;
+        await listFolder(scan, childPath, childRelative);
+        continue;
+      }
+      if (!stats.isFile() || stats.size < scan.minSize) continue;
+      if (stats.nlink > 1) {
+        const inode = `${stats.dev}:${stats.ino}`;
+        if (scan.inodes.has(inode)) continue;
+        scan.inodes.add(inode);
+      }
+
+      const file = { name, path: childRelative, fullPath: childPath, size: stats.size, mtimeMs: stats.mtimeMs };
+      if (!scan.bySize.has(stats.size)) scan.bySize.set(stats.size, []);
+      scan.bySize.get(stats.size).push(file);
+      scan.progress.files++;
+    }
+  }
+
+  // Hash of a file's first `bytes` bytes (all of it when omitted); null when it cannot be read
+  async function hashFile(scan, file, bytes) {
+    if (scan.controller.signal.aborted) return null;
+    try {
+      const stream = fs.createReadStream(file.fullPath, bytes ? { start: 0, end: bytes - 1 } : {});
+      const { sha256 } = await hashStream(stream, ['sha256'], { signal: scan.controller.signal });
+      scan.progress.hashedBytes += Math.min(file.size, bytes || file.size);
+      return sha256;
+    } catch (error) {
+      if (!scan.controller.signal.aborted) scan.errors++;
+      return null;
+    }
+  }
+
+  async function findDuplicates(scan, fullPath) {
+    scan.progress.phase = 'listing';
+    await listFolder(scan, fullPath, scan.path);
+    let groups = [...scan.bySize.values()].filter(files => files.length > 1);
+    scan.bySize = null;
+    scan.inodes = null;
+    if (scan.controller.signal.aborted) return;
+
+    // Files no larger than the partial hash are fully hashed by it already
+    scan.progress.phase = 'hashing';
+    scan.progress.candidates = groups.reduce((sum, files) => sum + files.length, 0);
+    scan.progress.totalBytes = groups.reduce((sum, files) => sum + Math.min(files[0].size, PARTIAL_BYTES) * files.length, 0);
+    groups = await regroup(groups, hashConcurrency, file => hashFile(scan, file, PARTIAL_BYTES));
+    if (scan.controller.signal.aborted) return;
+
+    const small = groups.filter(files => files[0].size <= PARTIAL_BYTES);
+    const large = groups.filter(files => files[0].size > PARTIAL_BYTES);
+    scan.progress.totalBytes += large.reduce((sum, files) => sum + files[0].size * files.length, 0);
+    groups = [...small, ...await regroup(large, hashConcurrency, file => hashFile(scan, file))];
+    if (scan.controller.signal.aborted) return;
+
+    scan.groups = groups
+      .map(files => ({
+        size: files[0].size,
+        hash: files.key,
+        wasted: files[0].size * (files.length - 1),
+        files: files.sort((a, b) => a.path.localeCompare(b.path))
+      }))
+      .sort((a, b) => b.wasted - a.wasted);
+  }
+
+  // Start scanning a folder for user, unless a running or cached scan of it exists. minSize
+  // leaves out smaller files (default 1, as empty files are all alike).
+  function startScan(root, relativePath, fullPath, { user, refresh = false, minSize = 1 }) {
+    dropStale();
+    const key = `${root.id}:${relativePath}`;
+    const existing = scans.get(key);
+    if (existing && (existing.status === 'running' || (existing.status === 'done' && !refresh && existing.minSize === minSize))) {
+      return existing;
+    }
+    if (existing) existing.controller.abort();
+
+    const scan = {
+      root,
+      path: relativePath,
+      user: user.username,
+      minSize,
+      status: 'running',
+      startedAt: Date.now(),
+      finishedAt: null,
+      progress: { phase: 'listing', files: 0, folders: 0, candidates: 0, hashedBytes: 0, totalBytes: 0 },
+      errors: 0,
+      error: null,
+      bySize: new Map(),
+      inodes: new Set(),
+      groups: null,
+      controller: new AbortController()
+    };
+    scans.set(key, scan);
+
+    findDuplicates(scan, fullPath).then(() => {
+      scan.status = scan.controller.signal.aborted ? 'canceled' : 'done';
+    }, error => {
+      console.error('Error scanning for duplicates:', error);
+      scan.status = 'failed';
+      scan.error = error.message;
+    }).finally(() => {
+      scan.finishedAt = Date.now();
+      scan.bySize = null;
+      scan.inodes = null;
+      // Canceled and failed scans are reported once, then forgotten
+      if (scan.status !== 'done') {
+        setTimeout(() => {
+          if (scans.get(key) === scan) scans.delete(key);
+        }, 60 * 1000).unref();
+      }
+    });
+    return scan;
+  }
+
+  // Stop the scan of a folder. Returns false when there was none running. Scans are shared by
+  // everyone who looks at the folder; only the user who started one and admins may stop it.
+  function cancelScan(root, relativePath, user) {
+    const scan = scans.get(`${root.id}:${relativePath}`);
+    if (!scan || scan.status !== 'running') return false;
+    if (user.role !== 'admin' && scan.user !== user.username) {
+      throw new HttpError(403, 'Only the user who started this scan or an admin can cancel it');
+    }
+    scan.controller.abort();
+    return true;
+  }
+
+  function describeScan(scan) {
+    return {
+      path: scan.path,
+      user: scan.user,
+      minSize: scan.minSize,
+      status: scan.status,
+      startedAt: new Date(scan.startedAt).toISOString(),
+      finishedAt: scan.finishedAt ? new Date(scan.finishedAt).toISOString() : null,
+      progress: scan.progress,
+      errors: scan.errors,
+      error: scan.error
+    };
+  }
+
+  // Files deleted, moved or changed since the scan drop out of their group, and so do groups
+  // left with a single file
+  async function currentGroups(scan) {
+    const groups = await mapLimit(scan.groups, concurrency, async group => {
+      const present = await mapLimit(group.files, concurrency, async file => {
+        const stats = await fs.lstat(file.fullPath).catch(() => null);
+        return stats && stats.size === file.size && stats.mtimeMs === file.mtimeMs;
+      });
+      return { ...group, files: group.files.filter((file, index) => present[index]) };
+    });
+    scan.groups = groups.filter(group => group.files.length > 1);
+    scan.groups.forEach(group => {
+      group.wasted = group.size * (group.files.length - 1);
+    });
+    return scan.groups;
+  }
+
+  // Duplicates below a folder: { scan, groups, totals }. scan is null when the folder was not
+  // scanned, groups and totals stay null until its scan has finished.
+  async function getDuplicates(root, relativePath) {
+    dropStale();
+    const scan = scans.get(`${root.id}:${relativePath}`);
+    const result = { scan: scan ? describeScan(scan) : null, groups: null, totals: null };
+    if (!scan || scan.status !== 'done') return result;
+
+    const groups = await currentGroups(scan);
+    return {
+      ...result,
+      groups: groups.slice(0, GROUP_LIMIT).map(group => ({
+        ...group,
+        files: group.files.map(file => ({
+          name: file.name,
+          path: file.path,
+          size: file.size,
+          modified: new Date(file.mtimeMs).toISOString()
+        }))
+      })),
+      totals: {
+        groups: groups.length,
+        files: groups.reduce((sum, group) => sum + group.files.length, 0),
+        wasted: groups.reduce((sum, group) => sum + group.wasted, 0)
+      }
+    };
+  }
+
+  return {
+    startScan,
+    cancelScan,
+    getDuplicates
+  };
+}
+
+module.exports = {
+  createDuplicateFinder
+};
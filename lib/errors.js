@@ -0,0 +1,23 @@
+// Error carrying the HTTP status (and optional extra JSON fields) to report
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Report an HttpError as-is; anything else is logged and becomes a generic 500
+function sendError(res, error, logMessage, fallbackMessage) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+
+  console.error(logMessage, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+module.exports = {
+  HttpError,
+  sendError
+};
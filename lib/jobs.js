@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { HttpError } = require('./errors');
+
+// Copy a file or folder to target, which must not exist yet. onBytes(count) is called as data is
+// written, onFile() after every file. Symlinks are recreated, not followed; sockets, FIFOs and
+// devices are left out. Stops with an AbortError once signal is aborted.
+async function copyTree(source, target, { signal, onBytes, onFile, preserveTimestamps = false }) {
+  signal.throwIfAborted();
+  const stats = await fs.lstat(source);
+
+  if (stats.isDirectory()) {
+    await fs.mkdir(target);
+    for (const name of await fs.readdir(source)) {
+      await copyTree(path.join(source, name), path.join(target, name), { signal, onBytes, onFile, preserveTimestamps });
+    }
+    // Only now, so read-only folders can still be filled
+    await fs.chmod(target, stats.mode & 0o7777);
+  } else if (stats.isSymbolicLink()) {
+    await fs.symlink(await fs.readlink(source), target);
+    onFile();
+    return;
+  } else if (stats.isFile()) {
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        onBytes(chunk.length);
+        callback(null, chunk);
+      }
+    });
+    await pipeline(
+      fs.createReadStream(source),
+      counter,
+      fs.createWriteStream(target, { flags: 'wx', mode: stats.mode & 0o7777 }),
+      { signal }
+    );
+    onFile();
+  } else {
+    return;
+  }
+
+  if (preserveTimestamps) {
+    await fs.utimes(target, stats.atime, stats.mtime);
+  }
+}
+
+async function checkTarget(target) {
+  if (await fs.pathExists(target)) {
+    throw new HttpError(409, `"${path.basename(target)}" already exists in the destination`);
+  }
+}
+
+// Copy with progress (see copyTree). Whatever was written of an unfinished copy is removed.
+async function copyWithProgress(source, target, options) {
+  await checkTarget(target);
+  try {
+    await copyTree(source, target, options);
+  } catch (error) {
+    await fs.remove(target).catch(() => {});
+    throw error;
+  }
+}
+
+// Move with progress. Within a file system this is a rename; across file systems the item is
+// copied and then removed, and a canceled move leaves the source untouched.
+async function moveWithProgress(source, target, options) {
+  await checkTarget(target);
+  try {
+    await fs.rename(source, target);
+    return;
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+  }
+  await copyWithProgress(source, target, { ...options, preserveTimestamps: true });
+  await fs.remove(source);
+}
+
+// Copies, moves, deletions and archives run here in the background, at most `concurrency` at
+// a time, so the request that starts one returns right away. Jobs still running when the server
+// stops are lost; finished ones are kept in historyFile, the newest historyLimit of them.
+function createJobs({ historyFile, concurrency = 2, historyLimit = 100 }) {
+  const active = new Map(); // id -> queued or running job
+  const queue = [];
+  let running = 0;
+
+  function loadHistory() {
+    try {
+      return fs.pathExistsSync(historyFile) ? fs.readJsonSync(historyFile).jobs || [] : [];
+    } catch (error) {
+      console.warn('Could not read the job history:', error.message);
+      return [];
+    }
+  }
+
+  let history = loadHistory();
+
+  function saveHistory() {
+    fs.outputJson(historyFile, { jobs: history }, { spaces: 2, mode: 0o600 }).catch(error => {
+      console.error('Error saving the job history:', error);
+    });
+  }
+
+  function toPublic(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      user: job.user,
+      root: job.root,
+      paths: job.paths,
+      destinationRoot: job.destinationRoot,
+      destination: job.destination,
+      progress: { ...job.progress },
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  function finish(job) {
+    job.finishedAt = new Date().toISOString();
+    job.progress.currentItem = null;
+    active.delete(job.id);
+
+    const record = toPublic(job);
+    history = [record, ...history].slice(0, historyLimit);
+    saveHistory();
+    job.resolveDone(record);
+  }
+
+  function pump() {
+    while (running < concurrency && queue.length > 0) {
+      const { job, run } = queue.shift();
+      running++;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+
+      Promise.resolve().then(() => run(job)).then(result => {
+        job.result = result ?? null;
+        job.status = job.signal.aborted ? 'canceled' : 'done';
+      }, error => {
+        if (job.signal.aborted) {
+          job.status = 'canceled';
+          return;
+        }
+        if (!(error instanceof HttpError)) {
+          console.error(`Error in ${job.type} job:`, error);
+        }
+        job.status = 'failed';
+        job.error = error instanceof HttpError ? error.message : 'Operation failed';
+      }).finally(() => {
+        running--;
+        finish(job);
+        pump();
+      });
+    }
+  }
+
+  // Queue a job. options: { type, user, root, paths, destinationRoot, destination, totalItems }.
+  // run(job) does the work, stopping once job.signal is aborted and keeping job.progress up to
+  // date; what it resolves becomes the job's result. job.done resolves the finished job.
+  function startJob(options, run) {
+    const controller = new AbortController();
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type: options.type,
+      status: 'queued',
+      user: options.user.username,
+      root: options.root ?? null,
+      paths: options.paths ?? null,
+      destinationRoot: options.destinationRoot ?? null,
+      destination: options.destination ?? null,
+      // totalBytes and totalFiles stay null until the job has measured its items
+      progress: {
+        bytes: 0,
+        totalBytes: null,
+        files: 0,
+        totalFiles: null,
+        items: 0,
+        totalItems: options.totalItems ?? null,
+        currentItem: null
+      },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller,
+      signal: controller.signal
+    };
+    job.done = new Promise(resolve => {
+      job.resolveDone = resolve;
+    });
+
+    active.set(job.id, job);
+    queue.push({ job, run });
+    pump();
+    return toPublic(job);
+  }
+
+  // Users see their own jobs, admins everyone's
+  function canSee(job, user) {
+    return user.role === 'admin' || job.user === user.username;
+  }
+
+  function getJob(id, user) {
+    const job = active.has(id) ? toPublic(active.get(id)) : history.find(record => record.id === id);
+    if (!job || !canSee(job, user)) {
+      throw new HttpError(404, 'Job not found');
+    }
+    return job;
+  }
+
+  // Queued and running jobs in the order they were started, finished ones newest first
+  function listJobs(user) {
+    return {
+      active: [...active.values()].filter(job => canSee(job, user)).map(toPublic),
+      history: history.filter(record => canSee(record, user))
+    };
+  }
+
+  // A queued job is dropped at once; a running one stops at the next chance it gets
+  function cancelJob(id, user) {
+    const job = active.get(id);
+    if (!job || !canSee(job, user)) {
+      getJob(id, user);
+      throw new HttpError(409, 'The job has already finished');
+    }
+
+    job.controller.abort();
+    const index = queue.findIndex(entry => entry.job === job);
+    if (index >= 0) {
+      queue.splice(index, 1);
+      job.status = 'canceled';
+      finish(job);
+    }
+    return toPublic(job);
+  }
+
+  // Resolves the finished job, for work that has to wait for it
+  function waitForJob(id) {
+    const job = active.get(id);
+    return job ? job.done : Promise.resolve(history.find(record => record.id === id) || null);
+  }
+
+  return {
+    startJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    waitForJob
+  };
+}
+
+module.exports = {
+  copyWithProgress,
+  moveWithProgress,
+  createJobs
+};
@@ -0,0 +1,194 @@
+const fs = require('fs-extra');
+const path = require('path');
+const mime = require('mime-types');
+const { HttpError } = require('./errors');
+
+const SORT_FIELDS = ['name', 'size', 'modified', 'type'];
+
+// Folders sorted by size or date need every entry stat'ed. Those results are kept for
+// following pages; a changed folder mtime (entries added or removed) or age drops them.
+const CACHE_TTL_MS = 30 * 1000;
+const CACHE_MAX_FOLDERS = 20;
+const describedFolders = new Map(); // "<full path>\0<relative path>" -> { mtimeMs, expires, entries }
+
+const collator = new Intl.Collator();
+
+// Call fn for every item with at most `limit` calls in flight. Results keep the input order.
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function encodeCursor(sort, order, key) {
+  return Buffer.from(JSON.stringify({ sort, order, key })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || !Array.isArray(decoded.key) || decoded.key.length !== 3) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+  if (decoded.sort !== sort || decoded.order !== order) {
+    throw new HttpError(400, 'The cursor belongs to a different sort order');
+  }
+  return decoded.key;
+}
+
+// Listing options from query parameters:
+//   sort     name (default), size, modified or type; folders always come first
+//   order    asc (default) or desc
+//   hidden   "false" leaves out dot files
+//   cursor   nextCursor of the previous page
+function parseListingOptions(query) {
+  const sort = query.sort || 'name';
+  const order = query.order || 'asc';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new HttpError(400, `sort must be one of ${SORT_FIELDS.join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw new HttpError(400, 'order must be asc or desc');
+  }
+  return {
+    sort,
+    order,
+    showHidden: query.hidden !== 'false',
+    cursor: query.cursor ? decodeCursor(query.cursor, sort, order) : null
+  };
+}
+
+// Sort keys are [folder flag, value, name] so a cursor can hold the last item's key
+function getSortKey(entry, sort) {
+  let value = '';
+  if (sort === 'size') value = entry.isDirectory ? 0 : entry.size;
+  if (sort === 'modified') value = new Date(entry.modified).getTime();
+  if (sort === 'type') value = entry.type;
+  return [entry.isDirectory ? 1 : 0, value, entry.name];
+}
+
+function compareKeys(a, b, direction) {
+  if (a[0] !== b[0]) return b[0] - a[0];
+  let result = typeof a[1] === 'string' ? collator.compare(a[1], b[1]) : a[1] - b[1];
+  if (result === 0) result = collator.compare(a[2], b[2]);
+  // The collator may consider two different names equal; the order must still be total
+  if (result === 0 && a[2] !== b[2]) result = a[2] < b[2] ? -1 : 1;
+  return result * direction;
+}
+
+// Names and kinds from the directory entries alone. Only symlinks that canFollow allows are
+// stat'ed, to find out whether they point at a folder; the others count as files.
+async function readEntries(fullPath, skip, canFollow, showHidden, concurrency) {
+  const dirents = (await fs.readdir(fullPath, { withFileTypes: true }))
+    .filter(dirent => (showHidden || !dirent.name.startsWith('.')) && !skip(path.join(fullPath, dirent.name)));
+
+  return mapLimit(dirents, concurrency, async dirent => {
+    const entryPath = path.join(fullPath, dirent.name);
+    let isDirectory = dirent.isDirectory();
+    if (dirent.isSymbolicLink()) {
+      const stats = canFollow(entryPath) ? await fs.stat(entryPath).catch(() => null) : null;
+      if (!stats) {
+        return { name: dirent.name, isDirectory: false, type: 'unknown' };
+      }
+      isDirectory = stats.isDirectory();
+    }
+    return {
+      name: dirent.name,
+      isDirectory,
+      type: isDirectory ? 'folder' : mime.lookup(dirent.name) || 'unknown'
+    };
+  });
+}
+
+// Full file infos for every entry, from the cache when continuing a listing
+async function describeEntries({ fullPath, relativePath, describe, skip, concurrency, useCache }) {
+  const cacheKey = `${fullPath}\0${relativePath}`;
+  const { mtimeMs } = await fs.stat(fullPath);
+  const cached = describedFolders.get(cacheKey);
+  if (useCache && cached && cached.mtimeMs === mtimeMs && cached.expires > Date.now()) {
+    return cached.entries;
+  }
+
+  const names = (await fs.readdir(fullPath)).filter(name => !skip(path.join(fullPath, name)));
+  const entries = (await mapLimit(names, concurrency, name => (
+    describe(path.join(fullPath, name), path.join(relativePath, name)).catch(() => null)
+  ))).filter(Boolean);
+
+  describedFolders.delete(cacheKey);
+  describedFolders.set(cacheKey, { mtimeMs, expires: Date.now() + CACHE_TTL_MS, entries });
+  if (describedFolders.size > CACHE_MAX_FOLDERS) {
+    describedFolders.delete(describedFolders.keys().next().value);
+  }
+  return entries;
+}
+
+// One page of a folder's entries in the requested order.
+// describe(fullPath, relativePath) returns the file info sent for each entry; skip(fullPath)
+// excludes entries such as the internal directory, and canFollow(fullPath) tells whether a
+// symlink may be followed. At most `concurrency` stat calls run at once.
+// Resolves { items, total, nextCursor }, nextCursor being null on the last page.
+async function listDirectory({ fullPath, relativePath, describe, skip, canFollow, sort, order, showHidden, cursor, limit, concurrency }) {
+  const needsStats = sort === 'size' || sort === 'modified';
+
+  const entries = needsStats
+    ? await describeEntries({ fullPath, relativePath, describe, skip, concurrency, useCache: !!cursor })
+    : await readEntries(fullPath, skip, canFollow, showHidden, concurrency);
+  const { page, total, nextCursor } = pageEntries(entries, { sort, order, showHidden, cursor, limit });
+
+  const items = needsStats
+    ? page
+    : (await mapLimit(page, concurrency, entry => (
+      describe(path.join(fullPath, entry.name), path.join(relativePath, entry.name)).catch(() => null)
+    ))).filter(Boolean);
+
+  return { items, total, nextCursor };
+}
+
+// Sort entries ({ name, isDirectory, size?, modified?, type }) and cut out one page
+function pageEntries(entries, { sort, order, showHidden, cursor, limit }) {
+  const direction = order === 'desc' ? -1 : 1;
+  const sorted = entries
+    .filter(entry => showHidden || !entry.name.startsWith('.'))
+    .map(entry => ({ entry, key: getSortKey(entry, sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, direction));
+
+  // The page starts after the cursor's key, so entries added or removed meanwhile do not shift it
+  let start = 0;
+  if (cursor) {
+    start = sorted.findIndex(({ key }) => compareKeys(key, cursor, direction) > 0);
+    if (start < 0) start = sorted.length;
+  }
+  const page = sorted.slice(start, start + limit);
+
+  const hasMore = start + limit < sorted.length;
+  return {
+    page: page.map(({ entry }) => entry),
+    total: sorted.length,
+    nextCursor: hasMore ? encodeCursor(sort, order, page[page.length - 1].key) : null
+  };
+}
+
+// One page of file infos that are all known already, as listDirectory returns it. For roots
+// on other storage, whose folder listings come with sizes and dates.
+function listEntries(items, options) {
+  const { page, total, nextCursor } = pageEntries(items, options);
+  return { items: page, total, nextCursor };
+}
+
+module.exports = {
+  mapLimit,
+  parseListingOptions,
+  listDirectory,
+  listEntries
+};
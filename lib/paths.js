@@ -0,0 +1,92 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { INTERNAL_DIR } = require('./config');
+const { HttpError } = require('./errors');
+
+// Whether target is base itself or something below it. Whole segments are compared, so
+// "/srv/media-old" is not inside "/srv/media".
+function isInside(base, target) {
+  const relative = path.relative(base, target);
+  return relative === '' ||
+    (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+// Whether fullPath is the root's .wfm directory (trash, versions, ...) or inside it
+function isInternal(rootPath, fullPath) {
+  return path.relative(rootPath, fullPath).split(path.sep)[0] === INTERNAL_DIR;
+}
+
+// Where a path really leads once symlinks are followed. Segments that do not exist yet (the
+// target of a create) are kept as they are.
+function realpathOfExisting(fullPath) {
+  const missing = [];
+  let existing = fullPath;
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync.native(existing), ...missing.reverse());
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+      const parent = path.dirname(existing);
+      if (parent === existing) throw error;
+      missing.push(path.basename(existing));
+      existing = parent;
+    }
+  }
+}
+
+const realRoots = new Map(); // root path -> where it really is
+
+function getRealRoot(root) {
+  if (!realRoots.has(root.path)) {
+    try {
+      realRoots.set(root.path, fs.realpathSync.native(root.path));
+    } catch (error) {
+      // Missing roots have nothing to reach through links yet; try again next time
+      return root.path;
+    }
+  }
+  return realRoots.get(root.path);
+}
+
+// The absolute path of relativePath inside a root. Refuses with 400 a path that leaves the root
+// and with 403 one that gets out of it, or into its internal directory, through a symlink.
+// With followLinks false the last segment is not followed, for changes to a symlink itself
+// (delete, rename, ...) rather than to what it points at.
+function resolveInRoot(root, relativePath, { followLinks = true } = {}) {
+  const value = relativePath || '';
+  if (typeof value !== 'string' || value.includes('\0')) {
+    throw new HttpError(400, 'Invalid path');
+  }
+  const fullPath = path.join(root.path, value);
+  if (!isInside(root.path, fullPath)) {
+    throw new HttpError(400, 'Invalid path');
+  }
+  if (isInternal(root.path, fullPath)) {
+    throw new HttpError(403, 'Access to internal data is not allowed');
+  }
+
+  const checkedPath = followLinks || fullPath === root.path ? fullPath : path.dirname(fullPath);
+  let realPath;
+  try {
+    realPath = realpathOfExisting(checkedPath);
+  } catch (error) {
+    if (error.code === 'ELOOP') {
+      throw new HttpError(400, 'Too many levels of symbolic links');
+    }
+    throw error;
+  }
+  const realRoot = getRealRoot(root);
+  if (!isInside(realRoot, realPath)) {
+    throw new HttpError(403, 'The path leads outside the root through a symbolic link');
+  }
+  if (isInternal(realRoot, realPath)) {
+    throw new HttpError(403, 'Access to internal data is not allowed');
+  }
+  return fullPath;
+}
+
+module.exports = {
+  isInside,
+  isInternal,
+  resolveInRoot
+};
@@ -0,0 +1,15 @@
+const { parentPort, workerData } = require('worker_threads');
+
+// Worker thread testing the regular expressions of one search (see createPatternRunner in
+// lib/search.js). workerData.patterns maps names to { source, flags }; each message
+// { id, pattern, texts } is answered with { id, index }, the index of the first text matching
+// that pattern or -1. A pattern that backtracks for ages only blocks this thread, which the
+// search then stops.
+const patterns = {};
+for (const [name, { source, flags }] of Object.entries(workerData.patterns)) {
+  patterns[name] = new RegExp(source, flags);
+}
+
+parentPort.on('message', ({ id, pattern, texts }) => {
+  parentPort.postMessage({ id, index: texts.findIndex(text => patterns[pattern].test(text)) });
+});
@@ -0,0 +1,215 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { HttpError } = require('./errors');
+
+// User and group names come from /etc/passwd and /etc/group, re-read at most once a minute
+const NAMES_TTL_MS = 60 * 1000;
+const nameFiles = {
+  users: { file: '/etc/passwd', loadedAt: 0, byId: new Map(), byName: new Map() },
+  groups: { file: '/etc/group', loadedAt: 0, byId: new Map(), byName: new Map() }
+};
+
+function getNames(kind) {
+  const names = nameFiles[kind];
+  if (Date.now() - names.loadedAt < NAMES_TTL_MS) return names;
+
+  names.byId.clear();
+  names.byName.clear();
+  try {
+    for (const line of fs.readFileSync(names.file, 'utf8').split('\n')) {
+      const [name, , id] = line.split(':');
+      if (!name || name.startsWith('#') || !/^\d+$/.test(id || '')) continue;
+      if (!names.byId.has(Number(id))) names.byId.set(Number(id), name);
+      names.byName.set(name, Number(id));
+    }
+  } catch (error) {
+    // No such file (Windows, some containers): ids stay unnamed
+  }
+  names.loadedAt = Date.now();
+  return names;
+}
+
+function getUserName(uid) {
+  return getNames('users').byId.get(uid) || null;
+}
+
+function getGroupName(gid) {
+  return getNames('groups').byId.get(gid) || null;
+}
+
+// A user or group given by name or numeric id
+function resolveId(kind, value, label) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const id = Number(value);
+    if (!Number.isSafeInteger(id)) {
+      throw new HttpError(400, `Invalid ${label} id`);
+    }
+    return id;
+  }
+  const id = getNames(kind).byName.get(String(value));
+  if (id === undefined) {
+    throw new HttpError(400, `Unknown ${label} "${value}"`);
+  }
+  return id;
+}
+
+function resolveUser(value) {
+  return resolveId('users', value, 'user');
+}
+
+function resolveGroup(value) {
+  return resolveId('groups', value, 'group');
+}
+
+// "rwxr-xr-x" with setuid/setgid/sticky shown as s/S and t/T like ls does
+function formatPermissions(mode) {
+  const chars = [];
+  for (const [shift, special, specialChar] of [[6, 0o4000, 's'], [3, 0o2000, 's'], [0, 0o1000, 't']]) {
+    const bits = (mode >> shift) & 7;
+    chars.push(bits & 4 ? 'r' : '-', bits & 2 ? 'w' : '-');
+    const execute = bits & 1;
+    if (mode & special) {
+      chars.push(execute ? specialChar : specialChar.toUpperCase());
+    } else {
+      chars.push(execute ? 'x' : '-');
+    }
+  }
+  return chars.join('');
+}
+
+// Ownership, permission bits and timestamps from lstat
+function describeStats(stats) {
+  const mode = stats.mode & 0o7777;
+  return {
+    mode: mode.toString(8).padStart(4, '0'),
+    permissions: formatPermissions(mode),
+    uid: stats.uid,
+    gid: stats.gid,
+    owner: getUserName(stats.uid),
+    group: getGroupName(stats.gid),
+    accessed: stats.atime,
+    changed: stats.ctime,
+    created: stats.birthtimeMs > 0 ? stats.birthtime : null
+  };
+}
+
+// Failures listed in the response of a recursive change; the rest are only counted
+const MAX_REPORTED_ERRORS = 100;
+
+const SYMBOLIC_CLAUSE = /^([ugoa]*)([-+=])([rwxXst]*)$/;
+
+// A chmod(1) mode: octal ("755", "0644") or symbolic ("u+x,go-w", "a=rX").
+// Returns a function giving the new mode for an item's current mode.
+function parseMode(value) {
+  const text = String(value ?? '').trim();
+  if (/^[0-7]{1,4}$/.test(text)) {
+    const mode = parseInt(text, 8);
+    return () => mode;
+  }
+
+  const clauses = text.split(',').map(clause => {
+    const match = SYMBOLIC_CLAUSE.exec(clause);
+    if (!match) {
+      throw new HttpError(400, 'mode must be octal ("755") or symbolic ("u+x,go-w")');
+    }
+    return { who: match[1] || 'a', op: match[2], perms: match[3] };
+  });
+
+  return (currentMode, isDirectory) => {
+    let mode = currentMode & 0o7777;
+    for (const { who, op, perms } of clauses) {
+      const classes = who.includes('a') ? 'ugo' : who;
+      // X: execute for folders, and for files that are already executable by someone
+      const execute = perms.includes('x') || (perms.includes('X') && (isDirectory || (mode & 0o111) !== 0));
+      let bits = 0;
+      let clear = 0;
+      for (const [cls, shift] of [['u', 6], ['g', 3], ['o', 0]]) {
+        if (!classes.includes(cls)) continue;
+        clear |= 7 << shift;
+        if (perms.includes('r')) bits |= 4 << shift;
+        if (perms.includes('w')) bits |= 2 << shift;
+        if (execute) bits |= 1 << shift;
+      }
+      if (perms.includes('s')) {
+        if (classes.includes('u')) bits |= 0o4000;
+        if (classes.includes('g')) bits |= 0o2000;
+      }
+      if (perms.includes('t')) bits |= 0o1000;
+      if (classes.includes('u')) clear |= 0o4000;
+      if (classes.includes('g')) clear |= 0o2000;
+      if (classes.includes('o')) clear |= 0o1000;
+
+      if (op === '+') mode |= bits;
+      if (op === '-') mode &= ~bits;
+      if (op === '=') mode = (mode & ~clear) | bits;
+    }
+    return mode;
+  };
+}
+
+// Errors a change can run into, as HTTP errors
+function toHttpError(error) {
+  if (error instanceof HttpError) return error;
+  if (error.code === 'EPERM' || error.code === 'EACCES') {
+    return new HttpError(403, 'The server is not allowed to change this item');
+  }
+  if (error.code === 'ENOENT') {
+    return new HttpError(404, 'File or directory not found');
+  }
+  return error;
+}
+
+// Apply fn(fullPath, stats) to an item and, when recursive, to everything below it (fn returns
+// false for items it left alone).
+// Symlinks are never followed, so a change cannot leave the root through one; skip(fullPath)
+// leaves out the internal directory. Failures below the item are collected, not thrown:
+// resolves { changed, failed, errors: [{ path, error }] } with paths relative to relativeBase,
+// listing the first MAX_REPORTED_ERRORS failures.
+async function applyToTree(fullPath, relativeBase, { recursive, skip, fn }) {
+  const result = { changed: 0, failed: 0, errors: [] };
+  const addError = (relativePath, message) => {
+    result.failed++;
+    if (result.errors.length < MAX_REPORTED_ERRORS) result.errors.push({ path: relativePath, error: message });
+  };
+
+  const visit = async (itemPath, relativePath, isTop) => {
+    let stats;
+    try {
+      stats = await fs.lstat(itemPath);
+      if (await fn(itemPath, stats) !== false) result.changed++;
+    } catch (error) {
+      const httpError = toHttpError(error);
+      if (isTop) throw httpError;
+      if (!(httpError instanceof HttpError)) {
+        console.error(`Error changing ${itemPath}:`, error);
+      }
+      addError(relativePath, httpError instanceof HttpError ? httpError.message : 'Operation failed');
+      if (!stats) return;
+    }
+
+    if (!recursive || !stats.isDirectory()) return;
+    let names;
+    try {
+      names = await fs.readdir(itemPath);
+    } catch (error) {
+      addError(relativePath, 'Could not read the folder');
+      return;
+    }
+    for (const name of names) {
+      const childPath = path.join(itemPath, name);
+      if (skip(childPath)) continue;
+      await visit(childPath, path.join(relativePath, name), false);
+    }
+  };
+
+  await visit(fullPath, relativeBase, true);
+  return result;
+}
+
+module.exports = {
+  resolveUser,
+  resolveGroup,
+  describeStats,
+  parseMode,
+  applyToTree
+};
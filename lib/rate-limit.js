@@ -0,0 +1,61 @@
+// Middleware factory for fixed-window request limits kept in memory: at most `max` requests per
+// key (the client's IP by default) every windowMs, then 429 until the window ends. max 0 turns
+// the limit off. countIf(req, res) decides once the response is done whether the request
+// counts, e.g. only failed logins.
+function createRateLimiter({ windowMs, max, key = req => req.ip, countIf = null }) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, window] of windows) {
+      if (window.resetAt <= now) windows.delete(id);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    if (!max) return next();
+
+    const id = key(req);
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+
+    const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+    if (window.count >= max) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many requests, please try again later' });
+    }
+
+    window.count++;
+    if (countIf) {
+      // The slot is taken up front, so parallel requests cannot all pass the check before any of
+      // them is counted. Requests that turn out not to count give it back as soon as their status
+      // is sent, so long downloads do not hold on to it.
+      let settled = false;
+      const settle = () => {
+        if (settled) return;
+        settled = true;
+        if (!countIf(req, res) && window.count > 0) window.count--;
+      };
+      const { writeHead } = res;
+      res.writeHead = function (...args) {
+        const result = writeHead.apply(this, args);
+        settle();
+        return result;
+      };
+      res.on('close', settle);
+    } else {
+      res.setHeader('RateLimit-Limit', String(max));
+      res.setHeader('RateLimit-Remaining', String(max - window.count));
+      res.setHeader('RateLimit-Reset', String(retryAfter));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
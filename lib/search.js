@@ -0,0 +1,310 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { Worker } = require('worker_threads');
+const { HttpError } = require('./errors');
+const { isTextFile } = require('./text-files');
+
+// Longest line excerpt returned for a content match
+const SNIPPET_LENGTH = 200;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Turn a glob ("*.txt", "report-??.pdf") into a regex on the whole name.
+// Text without wildcards matches anywhere in the name.
+function globToRegExp(glob, flags) {
+  if (!/[*?]/.test(glob)) {
+    return new RegExp(escapeRegExp(glob), flags);
+  }
+  const source = glob
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : escapeRegExp(char)))
+    .join('');
+  return new RegExp(`^${source}$`, flags);
+}
+
+// Longest regular expression accepted from a search request
+const MAX_PATTERN_LENGTH = 200;
+
+// Milliseconds a worker may take to test one batch of texts against a pattern (see
+// createPatternRunner) before the search is stopped
+const MATCH_TIMEOUT_MS = 2000;
+
+// Lines or bytes of a file sent to the worker at a time
+const MATCH_BATCH_LINES = 1000;
+const MATCH_BATCH_BYTES = 256 * 1024;
+
+function parseRegExp(source, flags, label) {
+  const text = String(source);
+  if (text.length > MAX_PATTERN_LENGTH) {
+    throw new HttpError(400, `The ${label} pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  try {
+    return new RegExp(text, flags);
+  } catch (error) {
+    throw new HttpError(400, `Invalid ${label} pattern: ${error.message}`);
+  }
+}
+
+function parseNumber(value, label) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new HttpError(400, `${label} must be a non-negative number`);
+  }
+  return number;
+}
+
+function parseDate(value, label) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HttpError(400, `${label} must be a date`);
+  }
+  return time;
+}
+
+// Build the matcher options from query parameters:
+//   name            glob, or a regular expression when regex=true
+//   content         text to look for inside text files (a regular expression when regex=true)
+//   caseSensitive   "true" to match names and content case-sensitively
+//   minSize/maxSize size range in bytes (directories never match a size filter)
+//   modifiedAfter/modifiedBefore  ISO dates
+//   type            comma list of MIME types, top-level types ("image") or "folder"
+function parseCriteria(query) {
+  const flags = query.caseSensitive === 'true' ? '' : 'i';
+  const regex = query.regex === 'true';
+
+  const criteria = {
+    name: null,
+    content: null,
+    minSize: parseNumber(query.minSize, 'minSize'),
+    maxSize: parseNumber(query.maxSize, 'maxSize'),
+    modifiedAfter: parseDate(query.modifiedAfter, 'modifiedAfter'),
+    modifiedBefore: parseDate(query.modifiedBefore, 'modifiedBefore'),
+    types: query.type
+      ? String(query.type).split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+      : []
+  };
+
+  if (query.name) {
+    criteria.name = regex ? parseRegExp(query.name, flags, 'name') : globToRegExp(String(query.name), flags);
+  }
+  if (query.content) {
+    criteria.content = regex
+      ? parseRegExp(query.content, flags, 'content')
+      : new RegExp(escapeRegExp(String(query.content)), flags);
+  }
+  // Regular expressions, and globs (whose wildcards can backtrack too), only run in a worker;
+  // plain text matches in linear time
+  criteria.isolated = [
+    ...(criteria.name && (regex || /[*?]/.test(query.name)) ? ['name'] : []),
+    ...(criteria.content && regex ? ['content'] : [])
+  ];
+
+  if (!criteria.name && !criteria.content && criteria.minSize === null && criteria.maxSize === null &&
+      criteria.modifiedAfter === null && criteria.modifiedBefore === null && criteria.types.length === 0) {
+    throw new HttpError(400, 'At least one search filter is required');
+  }
+  return criteria;
+}
+
+function matchesType(types, itemType) {
+  return types.some(type => itemType === type || (!type.includes('/') && itemType.startsWith(`${type}/`)));
+}
+
+// Filters that only need the file info, checked before the name and any content (see
+// createPatternRunner)
+function matchesInfo(criteria, info) {
+  if (criteria.types.length > 0 && !matchesType(criteria.types, info.type)) return false;
+
+  if (criteria.minSize !== null || criteria.maxSize !== null) {
+    if (info.isDirectory) return false;
+    if (criteria.minSize !== null && info.size < criteria.minSize) return false;
+    if (criteria.maxSize !== null && info.size > criteria.maxSize) return false;
+  }
+
+  const modified = new Date(info.modified).getTime();
+  if (criteria.modifiedAfter !== null && modified < criteria.modifiedAfter) return false;
+  if (criteria.modifiedBefore !== null && modified > criteria.modifiedBefore) return false;
+  return true;
+}
+
+// Tests texts against the search's patterns, resolving the index of the first match or -1.
+// Isolated patterns (see parseCriteria) run in a worker thread started on first use: matching
+// cannot be interrupted, so a pattern that backtracks catastrophically would otherwise block
+// the server. A batch taking longer than MATCH_TIMEOUT_MS stops the worker and fails with 422.
+// close() stops the worker when the search is done.
+function createPatternRunner(criteria) {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map(); // id -> { resolve, reject, timer }
+
+  function failAll(error) {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+    worker = null;
+  }
+
+  function startWorker() {
+    const patterns = {};
+    for (const name of criteria.isolated) {
+      patterns[name] = { source: criteria[name].source, flags: criteria[name].flags };
+    }
+    worker = new Worker(path.join(__dirname, 'pattern-worker.js'), { workerData: { patterns } });
+    worker.on('message', ({ id, index }) => {
+      const call = pending.get(id);
+      if (!call) return;
+      pending.delete(id);
+      clearTimeout(call.timer);
+      call.resolve(index);
+    });
+    worker.on('error', failAll);
+    worker.on('exit', () => failAll(new Error('The pattern worker stopped')));
+  }
+
+  function test(name, texts) {
+    if (!criteria.isolated.includes(name)) {
+      return Promise.resolve(texts.findIndex(text => criteria[name].test(text)));
+    }
+    if (!worker) startWorker();
+    const current = worker;
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        failAll(new HttpError(422, `The ${name} pattern took too long to match and the search was stopped`));
+        current.terminate();
+      }, MATCH_TIMEOUT_MS);
+      pending.set(id, { resolve, reject, timer });
+      current.postMessage({ id, pattern: name, texts });
+    });
+  }
+
+  function close() {
+    if (worker) worker.terminate();
+  }
+
+  return { test, close };
+}
+
+// Find the first line matching the content pattern, reading the file in batches of lines.
+// Resolves { line, text } or null.
+async function grepFile(filePath, patterns, signal) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let batch = [];
+  let batchBytes = 0;
+  let firstLine = 1;
+
+  const testBatch = async () => {
+    const index = await patterns.test('content', batch);
+    const match = index === -1 ? null : { line: firstLine + index, text: batch[index].trim().slice(0, SNIPPET_LENGTH) };
+    firstLine += batch.length;
+    batch = [];
+    batchBytes = 0;
+    return match;
+  };
+
+  try {
+    for await (const text of lines) {
+      if (signal.aborted) return null;
+      batch.push(text);
+      batchBytes += text.length;
+      if (batch.length >= MATCH_BATCH_LINES || batchBytes >= MATCH_BATCH_BYTES) {
+        const match = await testBatch();
+        if (match) return match;
+      }
+    }
+    return batch.length > 0 && !signal.aborted ? await testBatch() : null;
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+// Walk the directory below startPath breadth first, so shallow hits come first, and call
+// onMatch(info) for every hit.
+// describe(fullPath, relativePath) returns the file info used for filtering and results;
+// skip(fullPath) excludes entries such as the internal directory. Symlinks are only described
+// and read when canFollow(fullPath) allows it (their target stays inside the root), and
+// symlinked directories are never walked, so links cannot send the walk out of the root or
+// into a loop.
+// Resolves { scanned, matched, truncated } when done, aborted or limit is reached; rejects with
+// a 422 HttpError when a pattern takes too long to match (see createPatternRunner).
+async function searchTree({ startPath, relativeStart, criteria, describe, skip, canFollow, onMatch, signal, limit, contentMaxSize }) {
+  const stats = { scanned: 0, matched: 0, truncated: false };
+  const pending = [{ fullPath: startPath, relativePath: relativeStart }];
+  const patterns = createPatternRunner(criteria);
+
+  try {
+    while (pending.length > 0 && !signal.aborted) {
+      const directory = pending.shift();
+      let entries;
+      try {
+        entries = await fs.readdir(directory.fullPath, { withFileTypes: true });
+      } catch (error) {
+        // Unreadable folders are skipped rather than failing the whole search
+        continue;
+      }
+
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+      for (const entry of entries) {
+        if (signal.aborted) break;
+
+        const fullPath = path.join(directory.fullPath, entry.name);
+        const relativePath = path.join(directory.relativePath, entry.name);
+        if (skip(fullPath)) continue;
+        if (entry.isSymbolicLink() && !canFollow(fullPath)) continue;
+
+        let info;
+        try {
+          info = await describe(fullPath, relativePath);
+        } catch (error) {
+          // Broken symlinks and entries removed during the walk
+          continue;
+        }
+        stats.scanned++;
+
+        if (entry.isDirectory()) {
+          pending.push({ fullPath, relativePath });
+        }
+        if (!matchesInfo(criteria, info)) continue;
+        if (criteria.name && await patterns.test('name', [info.name]) === -1) continue;
+
+        let match = null;
+        if (criteria.content) {
+          if (info.isDirectory || info.size > contentMaxSize) continue;
+          try {
+            if (!await isTextFile(fullPath)) continue;
+            match = await grepFile(fullPath, patterns, signal);
+          } catch (error) {
+            // A pattern that took too long ends the search; unreadable files are skipped
+            if (error instanceof HttpError) throw error;
+            continue;
+          }
+          if (!match) continue;
+        }
+
+        stats.matched++;
+        await onMatch({ ...info, folder: directory.relativePath, match });
+        if (stats.matched >= limit) {
+          stats.truncated = true;
+          return stats;
+        }
+      }
+    }
+    return stats;
+  } finally {
+    patterns.close();
+  }
+}
+
+module.exports = {
+  parseCriteria,
+  searchTree
+};
@@ -0,0 +1,149 @@
+const fs = require('fs-extra');
+const mime = require('mime-types');
+
+// Types a browser can display inline without running scripts in our origin.
+// Anything else served inline (HTML, SVG, XML, ...) gets a sandboxing CSP.
+const SAFE_INLINE_TYPES = /^(image\/(?!svg)|video\/|audio\/|application\/pdf$|text\/plain$)/;
+
+// Validator derived from size and mtime, so it changes whenever the content is rewritten
+function getETag(stats) {
+  return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+// Content-Disposition with an ASCII fallback and the RFC 5987 UTF-8 name
+function contentDisposition(type, fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+function matchesETag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// Compare HTTP dates at one-second resolution
+function notModifiedSince(header, mtime) {
+  const since = Date.parse(header);
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+// Evaluate If-Match/If-Unmodified-Since (412) and If-None-Match/If-Modified-Since (304)
+function checkConditionals(req, stats, etag) {
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch && !matchesETag(ifMatch, etag)) return 412;
+  if (!ifMatch && req.headers['if-unmodified-since'] && !notModifiedSince(req.headers['if-unmodified-since'], stats.mtime)) {
+    return 412;
+  }
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return matchesETag(ifNoneMatch, etag) ? 304 : null;
+  }
+  if (req.headers['if-modified-since'] && notModifiedSince(req.headers['if-modified-since'], stats.mtime)) {
+    return 304;
+  }
+  return null;
+}
+
+// Parse a single "bytes=start-end" range. Returns null to serve the whole file
+// (no header, multiple ranges or a stale If-Range) and false when unsatisfiable.
+function parseRange(req, size, etag, mtime) {
+  const header = req.headers.range;
+  if (!header || !header.startsWith('bytes=') || header.includes(',')) return null;
+
+  // If-Range holds either the ETag or the exact Last-Modified date the client has
+  const ifRange = (req.headers['if-range'] || '').trim();
+  if (ifRange) {
+    const fresh = ifRange.startsWith('"')
+      ? ifRange === etag
+      : Date.parse(ifRange) === Math.floor(mtime.getTime() / 1000) * 1000;
+    if (!fresh) return null;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) return false;
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+// Send a file with Range/206, ETag/Last-Modified and conditional request support.
+// disposition is "inline" or "attachment". open(range) reads files that are not on the local
+// file system (see lib/storage), stats then being the adapter's. onBody(range) is called just
+// before the content goes out (not for HEAD, 304 or 416), range being null for the whole file.
+async function sendFile(req, res, filePath, { disposition = 'attachment', fileName, stats, open, onBody } = {}) {
+  stats = stats || await fs.stat(filePath);
+  const etag = getETag(stats);
+  const type = mime.lookup(filePath) || 'application/octet-stream';
+  const contentType = mime.contentType(type) || type;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', stats.mtime.toUTCString());
+  res.setHeader('Cache-Control', 'private, no-cache');
+
+  const conditional = checkConditionals(req, stats, etag);
+  if (conditional) {
+    return res.status(conditional).end();
+  }
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', contentDisposition(disposition, fileName));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (disposition === 'inline' && !SAFE_INLINE_TYPES.test(type)) {
+    res.setHeader('Content-Security-Policy', 'sandbox');
+  }
+
+  const range = parseRange(req, stats.size, etag, stats.mtime);
+  if (range === false) {
+    res.setHeader('Content-Range', `bytes */${stats.size}`);
+    return res.status(416).end();
+  }
+
+  let start = 0;
+  let end = stats.size - 1;
+  if (range) {
+    ({ start, end } = range);
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+  }
+  res.setHeader('Content-Length', Math.max(end - start + 1, 0));
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  if (onBody) {
+    onBody(range);
+  }
+  if (stats.size === 0) {
+    return res.end();
+  }
+
+  const stream = open ? open({ start, end }) : fs.createReadStream(filePath, { start, end });
+  stream.on('error', error => {
+    console.error('Error streaming file:', error);
+    res.destroy(error);
+  });
+  res.on('close', () => stream.destroy());
+  stream.pipe(res);
+}
+
+module.exports = {
+  getETag,
+  contentDisposition,
+  sendFile
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { hashPassword, verifyPassword, parseCookies } = require('./auth');
+const { HttpError } = require('./errors');
+
+// "read" shares can be downloaded; "upload" shares are drop boxes for a folder
+const SHARE_MODES = ['read', 'upload'];
+
+// Set on /s/<token> once the share's password was entered
+const UNLOCK_COOKIE = 'wfm_share';
+
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new HttpError(400, 'expiresAt must be a date');
+  }
+  if (time <= Date.now()) {
+    throw new HttpError(400, 'expiresAt must be in the future');
+  }
+  return new Date(time).toISOString();
+}
+
+function parseLimit(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new HttpError(400, `${label} must be a positive whole number`);
+  }
+  return number;
+}
+
+// Public links to a single file or folder, kept in a JSON file next to the users.
+// A share stops working when it expires, reaches its download limit or is revoked.
+function createShares({ sharesFile }) {
+  // Signs the unlock cookie. A new key on every start only means entering the password again.
+  const unlockKey = crypto.randomBytes(32);
+
+  function loadShares() {
+    if (!fs.pathExistsSync(sharesFile)) return [];
+    return fs.readJsonSync(sharesFile).shares || [];
+  }
+
+  function saveShares(shares) {
+    fs.outputJsonSync(sharesFile, { shares }, { spaces: 2, mode: 0o600 });
+  }
+
+  function isActive(share) {
+    if (share.expiresAt && Date.parse(share.expiresAt) <= Date.now()) return false;
+    return share.maxDownloads === null || share.downloads < share.maxDownloads;
+  }
+
+  // What the admin API shows: everything but the password hash
+  function toPublic(share) {
+    const { password, ...rest } = share;
+    return { ...rest, hasPassword: !!password };
+  }
+
+  // options: { root, path, name, isDirectory, mode, password, expiresAt, maxDownloads, createdBy }
+  function createShare(options) {
+    const mode = options.mode || 'read';
+    if (!SHARE_MODES.includes(mode)) {
+      throw new HttpError(400, `mode must be one of ${SHARE_MODES.join(', ')}`);
+    }
+    if (mode === 'upload' && !options.isDirectory) {
+      throw new HttpError(400, 'Upload shares must point to a folder');
+    }
+    if (options.password !== undefined && options.password !== null && typeof options.password !== 'string') {
+      throw new HttpError(400, 'password must be a string');
+    }
+
+    const share = {
+      token: crypto.randomBytes(24).toString('base64url'),
+      root: options.root,
+      path: options.path,
+      name: options.name,
+      isDirectory: options.isDirectory,
+      mode,
+      password: options.password ? hashPassword(options.password) : null,
+      expiresAt: parseExpiry(options.expiresAt),
+      maxDownloads: mode === 'read' ? parseLimit(options.maxDownloads, 'maxDownloads') : null,
+      // Limits per upload request on drop boxes; null uses the configured defaults
+      maxFileSize: mode === 'upload' ? parseLimit(options.maxFileSize, 'maxFileSize') : null,
+      maxFiles: mode === 'upload' ? parseLimit(options.maxFiles, 'maxFiles') : null,
+      downloads: 0,
+      createdBy: options.createdBy || null,
+      createdAt: new Date().toISOString()
+    };
+    saveShares([...loadShares(), share]);
+    return toPublic(share);
+  }
+
+  // Active shares, newest first. Expired and used-up ones are dropped from the file.
+  function listShares() {
+    const shares = loadShares();
+    const active = shares.filter(isActive);
+    if (active.length !== shares.length) {
+      saveShares(active);
+    }
+    return active.map(toPublic).reverse();
+  }
+
+  // Returns the removed share, or null when there was none
+  function revokeShare(token) {
+    const shares = loadShares();
+    const share = shares.find(candidate => candidate.token === token);
+    if (!share) return null;
+    saveShares(shares.filter(candidate => candidate !== share));
+    return toPublic(share);
+  }
+
+  // The active share for a token: 404 when unknown or revoked, 410 once it expired or was used up
+  function getShare(token) {
+    const share = loadShares().find(candidate => candidate.token === token);
+    if (!share) {
+      throw new HttpError(404, 'Share not found');
+    }
+    if (!isActive(share)) {
+      throw new HttpError(410, 'This share link is no longer available');
+    }
+    return share;
+  }
+
+  // Tied to the password hash, so changing or removing the share invalidates it
+  function getUnlockValue(share) {
+    return crypto.createHmac('sha256', unlockKey).update(`${share.token}:${share.password}`).digest('base64url');
+  }
+
+  function isUnlocked(share, req) {
+    if (!share.password) return true;
+    const value = parseCookies(req.headers.cookie)[UNLOCK_COOKIE];
+    const expected = getUnlockValue(share);
+    return typeof value === 'string' && value.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(value), Buffer.from(expected));
+  }
+
+  // Check the password and set the cookie that unlocks the share's routes
+  function unlock(share, password, res) {
+    if (!share.password || !verifyPassword(String(password || ''), share.password)) {
+      throw new HttpError(401, 'Wrong password');
+    }
+    res.setHeader('Set-Cookie',
+      `${UNLOCK_COOKIE}=${getUnlockValue(share)}; Path=/s/${share.token}; HttpOnly; SameSite=Lax`);
+  }
+
+  // Count a download; refuses once the limit is reached, so parallel requests cannot exceed it
+  function recordDownload(token) {
+    const shares = loadShares();
+    const share = shares.find(candidate => candidate.token === token);
+    if (!share || !isActive(share)) {
+      throw new HttpError(410, 'This share link is no longer available');
+    }
+    share.downloads++;
+    saveShares(shares);
+  }
+
+  return {
+    createShare,
+    listShares,
+    revokeShare,
+    getShare,
+    isUnlocked,
+    unlock,
+    recordDownload
+  };
+}
+
+module.exports = {
+  createShares
+};
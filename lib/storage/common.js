@@ -0,0 +1,52 @@
+const { PassThrough } = require('stream');
+const { HttpError } = require('../errors');
+
+// A path relative to the root as "a/b/c", "" being the root itself. Paths leaving the root are
+// refused like resolveInRoot does for local roots.
+function toKey(relativePath) {
+  const value = relativePath || '';
+  if (typeof value !== 'string' || value.includes('\0')) {
+    throw new HttpError(400, 'Invalid path');
+  }
+  const segments = value.split(/[\\/]+/).filter(segment => segment && segment !== '.');
+  if (segments.includes('..')) {
+    throw new HttpError(400, 'Invalid path');
+  }
+  return segments.join('/');
+}
+
+// Stats in the shape of fs.Stats, as far as the routes use them. modified may be unknown
+// (folders in object storage), which leaves mtime null.
+function makeStats({ isDirectory, size = 0, modified = null }) {
+  const mtime = modified ? new Date(modified) : null;
+  return {
+    isDirectory: () => isDirectory,
+    isFile: () => !isDirectory,
+    isSymbolicLink: () => false,
+    size: isDirectory ? 0 : size,
+    mtime,
+    mtimeMs: mtime ? mtime.getTime() : 0
+  };
+}
+
+// Errors with the codes fs uses (ENOENT, EEXIST, ENOTDIR, ...), so callers handle every
+// adapter alike
+function storageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// A stream that fails with error once read or written, for streams that cannot be opened
+function failedStream(error) {
+  const stream = new PassThrough();
+  process.nextTick(() => stream.destroy(error));
+  return stream;
+}
+
+module.exports = {
+  toKey,
+  makeStats,
+  storageError,
+  failedStream
+};
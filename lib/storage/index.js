@@ -0,0 +1,77 @@
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createLocalStorage } = require('./local');
+const { createMemoryStorage } = require('./memory');
+const { createS3Storage } = require('./s3');
+const { storageError } = require('./common');
+
+// Storage adapters: what the routes need from a root, every path relative to the root.
+//   stat(path)                     fs.Stats-like ({ isDirectory(), size, mtime, mtimeMs }) or null
+//   list(path)                     the folder's entries as [{ name, stats }]
+//   createReadStream(path, range)  range { start, end } (end inclusive) is optional
+//   createWriteStream(path)        creates or replaces a file; it is complete once the stream finished
+//   mkdir(path)                    in an existing folder
+//   copy(from, to), move(from, to) files and folders, to a target that does not exist yet
+//   remove(path)                   files and folders with everything in them
+// Failures carry fs error codes (ENOENT, EEXIST, ...), bad paths an HttpError.
+
+// The adapter for a root, from its "storage" settings (see lib/config.js)
+function createStorage(root) {
+  switch (root.storage.type) {
+    case 'memory':
+      return createMemoryStorage();
+    case 's3':
+      return createS3Storage(root.storage);
+    default:
+      return createLocalStorage(root);
+  }
+}
+
+async function copyItem(source, sourcePath, target, targetPath, { signal, onBytes, onFile }) {
+  if (signal) signal.throwIfAborted();
+  const stats = await source.stat(sourcePath);
+  if (!stats) {
+    throw storageError('ENOENT', `"${sourcePath}" does not exist`);
+  }
+
+  if (stats.isDirectory()) {
+    await target.mkdir(targetPath);
+    for (const entry of await source.list(sourcePath)) {
+      await copyItem(source, path.join(sourcePath, entry.name), target, path.join(targetPath, entry.name), { signal, onBytes, onFile });
+    }
+    return;
+  }
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      onBytes(chunk.length);
+      callback(null, chunk);
+    }
+  });
+  await pipeline(source.createReadStream(sourcePath), counter, target.createWriteStream(targetPath), ...(signal ? [{ signal }] : []));
+  onFile();
+}
+
+// Copy a file or folder from one adapter to another, file by file through streams, reporting
+// like copyWithProgress in lib/jobs.js. Whatever was written of an unfinished copy is removed.
+async function copyBetween(source, sourcePath, target, targetPath, { signal, onBytes = () => {}, onFile = () => {} } = {}) {
+  try {
+    await copyItem(source, sourcePath, target, targetPath, { signal, onBytes, onFile });
+  } catch (error) {
+    await target.remove(targetPath).catch(() => {});
+    throw error;
+  }
+}
+
+// Move between adapters: copy, then remove the source, which a canceled move leaves untouched
+async function moveBetween(source, sourcePath, target, targetPath, progress) {
+  await copyBetween(source, sourcePath, target, targetPath, progress);
+  await source.remove(sourcePath);
+}
+
+module.exports = {
+  createStorage,
+  copyBetween,
+  moveBetween
+};
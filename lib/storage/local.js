@@ -0,0 +1,41 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { isInternal, resolveInRoot } = require('../paths');
+
+// The root's own directory on the local file system. Every path goes through resolveInRoot, so
+// symlinks leading out of the root and the internal directory stay out of reach. Changes to an
+// item itself (move, remove) do not follow a symlink at its path.
+function createLocalStorage(root) {
+  const resolve = (relativePath, options) => resolveInRoot(root, relativePath, options);
+
+  function stat(relativePath) {
+    return fs.stat(resolve(relativePath)).catch(() => null);
+  }
+
+  // Broken links and links out of the root are left out
+  async function list(relativePath) {
+    const fullPath = resolve(relativePath);
+    const names = (await fs.readdir(fullPath)).filter(name => !isInternal(root.path, path.join(fullPath, name)));
+    const entries = await Promise.all(names.map(async name => {
+      const stats = await Promise.resolve().then(() => stat(path.join(relativePath || '', name))).catch(() => null);
+      return stats && { name, stats };
+    }));
+    return entries.filter(Boolean);
+  }
+
+  return {
+    type: 'local',
+    stat,
+    list,
+    createReadStream: (relativePath, range) => fs.createReadStream(resolve(relativePath), range),
+    createWriteStream: relativePath => fs.createWriteStream(resolve(relativePath)),
+    mkdir: relativePath => fs.mkdir(resolve(relativePath)),
+    copy: (from, to) => fs.copy(resolve(from), resolve(to), { overwrite: false, errorOnExist: true }),
+    move: (from, to) => fs.move(resolve(from, { followLinks: false }), resolve(to, { followLinks: false })),
+    remove: relativePath => fs.remove(resolve(relativePath, { followLinks: false }))
+  };
+}
+
+module.exports = {
+  createLocalStorage
+};
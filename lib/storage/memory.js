@@ -0,0 +1,141 @@
+const { Readable, Writable } = require('stream');
+const { toKey, makeStats, storageError, failedStream } = require('./common');
+
+// Files and folders kept in memory, for tests and scratch roots. Everything is lost on restart.
+function createMemoryStorage() {
+  const items = new Map([['', { isDirectory: true, modified: new Date() }]]); // key -> { isDirectory, data, modified }
+
+  function parentOf(key) {
+    const index = key.lastIndexOf('/');
+    return index < 0 ? '' : key.slice(0, index);
+  }
+
+  // The key and everything below it
+  function keysFrom(key) {
+    return [...items.keys()].filter(other => other === key || other.startsWith(key ? `${key}/` : ''));
+  }
+
+  function getItem(key) {
+    const item = items.get(key);
+    if (!item) {
+      throw storageError('ENOENT', `"${key}" does not exist`);
+    }
+    return item;
+  }
+
+  function checkTarget(key) {
+    const parent = items.get(parentOf(key));
+    if (!parent || !parent.isDirectory) {
+      throw storageError('ENOENT', `The folder of "${key}" does not exist`);
+    }
+    if (items.has(key)) {
+      throw storageError('EEXIST', `"${key}" already exists`);
+    }
+  }
+
+  // Used by move too, so neither the root nor a folder into itself
+  function copyItems(from, to) {
+    getItem(from);
+    checkTarget(to);
+    if (!from || to.startsWith(`${from}/`)) {
+      throw storageError('EINVAL', 'Cannot copy a folder into itself');
+    }
+    for (const key of keysFrom(from)) {
+      const item = items.get(key);
+      items.set(to + key.slice(from.length), { ...item, data: item.data && Buffer.from(item.data) });
+    }
+  }
+
+  function removeItems(key) {
+    if (!key) {
+      throw storageError('EPERM', 'The root cannot be removed');
+    }
+    keysFrom(key).forEach(other => items.delete(other));
+  }
+
+  return {
+    type: 'memory',
+
+    async stat(relativePath) {
+      const item = items.get(toKey(relativePath));
+      return item ? makeStats({ isDirectory: item.isDirectory, size: item.data && item.data.length, modified: item.modified }) : null;
+    },
+
+    async list(relativePath) {
+      const key = toKey(relativePath);
+      if (!getItem(key).isDirectory) {
+        throw storageError('ENOTDIR', `"${key}" is not a folder`);
+      }
+      return [...items.entries()]
+        .filter(([other]) => other !== '' && parentOf(other) === key)
+        .map(([other, item]) => ({
+          name: key ? other.slice(key.length + 1) : other,
+          stats: makeStats({ isDirectory: item.isDirectory, size: item.data && item.data.length, modified: item.modified })
+        }));
+    },
+
+    createReadStream(relativePath, range = {}) {
+      try {
+        const item = getItem(toKey(relativePath));
+        if (item.isDirectory) {
+          throw storageError('EISDIR', 'Folders cannot be read');
+        }
+        const end = range.end === undefined ? item.data.length : range.end + 1;
+        return Readable.from([item.data.subarray(range.start || 0, end)]);
+      } catch (error) {
+        return failedStream(error);
+      }
+    },
+
+    // The file appears once everything was written
+    createWriteStream(relativePath) {
+      let key;
+      try {
+        key = toKey(relativePath);
+        const existing = items.get(key);
+        if (existing && existing.isDirectory) {
+          throw storageError('EISDIR', `"${key}" is a folder`);
+        }
+        if (!existing) checkTarget(key);
+      } catch (error) {
+        return failedStream(error);
+      }
+
+      const chunks = [];
+      return new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        },
+        final(callback) {
+          items.set(key, { isDirectory: false, data: Buffer.concat(chunks), modified: new Date() });
+          callback();
+        }
+      });
+    },
+
+    async mkdir(relativePath) {
+      const key = toKey(relativePath);
+      checkTarget(key);
+      items.set(key, { isDirectory: true, modified: new Date() });
+    },
+
+    async copy(from, to) {
+      copyItems(toKey(from), toKey(to));
+    },
+
+    async move(from, to) {
+      const fromKey = toKey(from);
+      copyItems(fromKey, toKey(to));
+      removeItems(fromKey);
+    },
+
+    async remove(relativePath) {
+      removeItems(toKey(relativePath));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStorage
+};
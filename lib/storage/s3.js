@@ -0,0 +1,340 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const mime = require('mime-types');
+const { Readable, Writable } = require('stream');
+const { toKey, makeStats, storageError } = require('./common');
+
+// A bucket on S3 or a compatible server (MinIO, Ceph, ...). Folders are key prefixes; mkdir writes
+// an empty "folder/" marker object so empty folders survive. Requests are signed with AWS
+// Signature Version 4 and use path-style URLs (<endpoint>/<bucket>/<key>).
+// options: { endpoint, region, bucket, prefix, accessKeyId, secretAccessKey }
+
+const EMPTY_PAYLOAD_HASH = sha256('');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding, as the signature expects it
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(x?)([0-9a-f]+);/gi, (match, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+    .replace(/&amp;/g, '&');
+}
+
+// Contents of every <name> element; the responses we read never nest an element in itself
+function xmlElements(xml, name) {
+  return [...xml.matchAll(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'g'))].map(match => match[1]);
+}
+
+function xmlValue(xml, name) {
+  const [value] = xmlElements(xml, name);
+  return value === undefined ? null : decodeXml(value);
+}
+
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    res.on('error', reject);
+  });
+}
+
+// Missing keys become ENOENT like on a file system; the rest keeps S3's error code
+function responseError(res, body) {
+  const code = xmlValue(body, 'Code');
+  const error = storageError(res.statusCode === 404 ? 'ENOENT' : 'EIO',
+    `S3 request failed with status ${res.statusCode}${code ? ` (${code})` : ''}`);
+  error.s3Code = code;
+  return error;
+}
+
+function createS3Storage({ endpoint, region = 'us-east-1', bucket, prefix = '', accessKeyId, secretAccessKey }) {
+  const base = new URL(endpoint);
+  const transport = base.protocol === 'https:' ? https : http;
+  const basePath = base.pathname.replace(/\/+$/, '');
+  const keyPrefix = toKey(prefix) ? `${toKey(prefix)}/` : '';
+
+  const objectKey = relativePath => keyPrefix + toKey(relativePath);
+  const folderKey = relativePath => keyPrefix + (toKey(relativePath) ? `${toKey(relativePath)}/` : '');
+
+  // Sign and send a request (key null for the bucket itself). Resolves the response as soon as
+  // its headers arrived. body is a Buffer or a stream, with its content-length in headers.
+  function send(method, key, { query = {}, headers = {}, body = null } = {}) {
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const uri = `${basePath}/${encode(bucket)}${key === null ? '' : `/${key.split('/').map(encode).join('/')}`}`;
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join('&');
+
+    const allHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+      allHeaders[name.toLowerCase()] = String(value).trim();
+    }
+    allHeaders.host = base.host;
+    allHeaders['x-amz-date'] = amzDate;
+    allHeaders['x-amz-content-sha256'] = body ? 'UNSIGNED-PAYLOAD' : EMPTY_PAYLOAD_HASH;
+
+    const names = Object.keys(allHeaders).sort();
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [
+      method,
+      uri,
+      canonicalQuery,
+      names.map(name => `${name}:${allHeaders[name]}\n`).join(''),
+      signedHeaders,
+      allHeaders['x-amz-content-sha256']
+    ].join('\n');
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    allHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${hmac(signingKey, stringToSign).toString('hex')}`;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        method,
+        protocol: base.protocol,
+        hostname: base.hostname,
+        port: base.port,
+        path: canonicalQuery ? `${uri}?${canonicalQuery}` : uri,
+        headers: allHeaders
+      }, resolve);
+      req.on('error', reject);
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', error => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  // Send a request and read the whole response; statuses from 300 on become errors
+  async function request(method, key, options) {
+    const res = await send(method, key, options);
+    const body = await readBody(res);
+    if (res.statusCode >= 300) {
+      throw responseError(res, body);
+    }
+    return { headers: res.headers, body };
+  }
+
+  // Objects below a key prefix, all of them or with delimited only the direct children.
+  // Resolves { files: [{ key, size, modified }], folders: [prefix] }.
+  async function listPrefix(folder, { delimited = false, maxKeys = 0 } = {}) {
+    const files = [];
+    const folders = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', prefix: folder };
+      if (delimited) query.delimiter = '/';
+      if (maxKeys) query['max-keys'] = String(maxKeys);
+      if (token) query['continuation-token'] = token;
+
+      const { body } = await request('GET', null, { query });
+      xmlElements(body, 'Contents').forEach(entry => files.push({
+        key: xmlValue(entry, 'Key'),
+        size: Number(xmlValue(entry, 'Size')),
+        modified: xmlValue(entry, 'LastModified')
+      }));
+      xmlElements(body, 'CommonPrefixes').forEach(entry => folders.push(xmlValue(entry, 'Prefix')));
+      token = !maxKeys && xmlValue(body, 'IsTruncated') === 'true' ? xmlValue(body, 'NextContinuationToken') : null;
+    } while (token);
+    return { files, folders };
+  }
+
+  // Server-side copy of one object (up to 5 GB, S3's limit for a single copy)
+  async function copyObject(sourceKey, targetKey) {
+    const { body } = await request('PUT', targetKey, {
+      headers: { 'x-amz-copy-source': `/${encode(bucket)}/${sourceKey.split('/').map(encode).join('/')}` }
+    });
+    // A copy can fail after the 200 status was sent
+    if (body.includes('<Error>')) {
+      throw storageError('EIO', `S3 copy failed (${xmlValue(body, 'Code')})`);
+    }
+  }
+
+  async function stat(relativePath) {
+    if (!toKey(relativePath)) {
+      return makeStats({ isDirectory: true });
+    }
+    try {
+      const { headers } = await request('HEAD', objectKey(relativePath));
+      return makeStats({ isDirectory: false, size: Number(headers['content-length']), modified: headers['last-modified'] });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    const { files, folders } = await listPrefix(folderKey(relativePath), { maxKeys: 1 });
+    return files.length > 0 || folders.length > 0 ? makeStats({ isDirectory: true }) : null;
+  }
+
+  async function list(relativePath) {
+    const folder = folderKey(relativePath);
+    const { files, folders } = await listPrefix(folder, { delimited: true });
+    return [
+      ...folders.map(prefix => ({ name: prefix.slice(folder.length, -1), stats: makeStats({ isDirectory: true }) })),
+      ...files
+        .filter(file => file.key !== folder)
+        .map(file => ({
+          name: file.key.slice(folder.length),
+          stats: makeStats({ isDirectory: false, size: file.size, modified: file.modified })
+        }))
+    ];
+  }
+
+  // The object is only requested once the stream is read, so zips can queue many of them
+  function createReadStream(relativePath, range) {
+    const key = objectKey(relativePath);
+    let response = null;
+    let requested = false;
+    const stream = new Readable({
+      read() {
+        if (response) {
+          response.resume();
+          return;
+        }
+        if (requested) return;
+        requested = true;
+
+        const headers = range ? { range: `bytes=${range.start || 0}-${range.end === undefined ? '' : range.end}` } : {};
+        send('GET', key, { headers }).then(res => {
+          if (res.statusCode >= 300) {
+            return readBody(res).then(body => stream.destroy(responseError(res, body)));
+          }
+          response = res;
+          res.on('data', chunk => {
+            if (!stream.push(chunk)) res.pause();
+          });
+          res.on('end', () => stream.push(null));
+          res.on('error', error => stream.destroy(error));
+        }).catch(error => stream.destroy(error));
+      },
+      destroy(error, callback) {
+        if (response) response.destroy();
+        callback(error);
+      }
+    });
+    return stream;
+  }
+
+  // A single PUT needs the length up front, so the data is collected in a temporary file first
+  // and uploaded once the stream ends (up to 5 GB, S3's limit for a single PUT)
+  function createWriteStream(relativePath) {
+    const key = objectKey(relativePath);
+    const tempPath = path.join(os.tmpdir(), `wfm-s3-${crypto.randomBytes(8).toString('hex')}`);
+    const temp = fs.createWriteStream(tempPath);
+
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        if (temp.write(chunk)) callback();
+        else temp.once('drain', callback);
+      },
+      final(callback) {
+        temp.end(async () => {
+          try {
+            const { size } = await fs.stat(tempPath);
+            await request('PUT', key, {
+              headers: { 'content-length': size, 'content-type': mime.lookup(key) || 'application/octet-stream' },
+              body: fs.createReadStream(tempPath)
+            });
+            callback();
+          } catch (error) {
+            callback(error);
+          }
+        });
+      },
+      destroy(error, callback) {
+        temp.destroy();
+        fs.remove(tempPath).then(() => callback(error), () => callback(error));
+      }
+    });
+    temp.on('error', error => stream.destroy(error));
+    return stream;
+  }
+
+  // Like fs.mkdir: the parent folder must exist and the path must not
+  async function mkdir(relativePath) {
+    if (await stat(relativePath)) {
+      throw storageError('EEXIST', `"${toKey(relativePath)}" already exists`);
+    }
+    const parent = await stat(path.posix.dirname(toKey(relativePath)).replace(/^\.$/, ''));
+    if (!parent || !parent.isDirectory()) {
+      throw storageError('ENOENT', `The folder of "${toKey(relativePath)}" does not exist`);
+    }
+    await request('PUT', folderKey(relativePath), { headers: { 'content-length': 0 } });
+  }
+
+  async function copy(from, to) {
+    const stats = await stat(from);
+    if (!stats) {
+      throw storageError('ENOENT', `"${toKey(from)}" does not exist`);
+    }
+    if (!stats.isDirectory()) {
+      return copyObject(objectKey(from), objectKey(to));
+    }
+
+    const source = folderKey(from);
+    const target = folderKey(to);
+    await mkdir(to);
+    for (const file of (await listPrefix(source)).files) {
+      if (file.key !== source) {
+        await copyObject(file.key, target + file.key.slice(source.length));
+      }
+    }
+  }
+
+  // Objects are deleted one at a time; batch deletes would need Content-MD5 on every request
+  async function remove(relativePath) {
+    if (!toKey(relativePath)) {
+      throw storageError('EPERM', 'The root cannot be removed');
+    }
+    const stats = await stat(relativePath);
+    if (!stats) return;
+    if (!stats.isDirectory()) {
+      await request('DELETE', objectKey(relativePath));
+      return;
+    }
+    for (const file of (await listPrefix(folderKey(relativePath))).files) {
+      await request('DELETE', file.key);
+    }
+  }
+
+  return {
+    type: 's3',
+    stat,
+    list,
+    createReadStream,
+    createWriteStream,
+    mkdir,
+    copy,
+    // S3 has no rename: objects are copied, then the originals removed
+    move: async (from, to) => {
+      await copy(from, to);
+      await remove(from);
+    },
+    remove
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
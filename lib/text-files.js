@@ -0,0 +1,52 @@
+const fs = require('fs-extra');
+const { buffer: readBuffer } = require('stream/consumers');
+
+// How much of a file to inspect when deciding whether it is text
+const SNIFF_SIZE = 8000;
+
+// A buffer is text when it has no NUL bytes and decodes as UTF-8
+function isTextBuffer(buffer) {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    // A multi-byte character cut off at the end of the sample is still text
+    if (buffer.length === SNIFF_SIZE) {
+      for (let trim = 1; trim <= 3; trim++) {
+        try {
+          new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, buffer.length - trim));
+          return true;
+        } catch (err) {
+          // Try a shorter sample
+        }
+      }
+    }
+    return false;
+  }
+}
+
+// Check the beginning of a file for binary content
+async function isTextFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_SIZE, 0);
+    return isTextBuffer(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+// The same check for a file behind a storage adapter (see lib/storage). Empty files are text;
+// object storage refuses ranges on them.
+async function isTextInStorage(storage, relativePath, stats) {
+  if (stats.size === 0) return true;
+  return isTextBuffer(await readBuffer(storage.createReadStream(relativePath, { start: 0, end: SNIFF_SIZE - 1 })));
+}
+
+module.exports = {
+  isTextBuffer,
+  isTextFile,
+  isTextInStorage
+};
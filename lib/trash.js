@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { INTERNAL_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { getAvailablePath } = require('./conflicts');
+const { resolveInRoot } = require('./paths');
+
+// Layout inside each root:
+//   .wfm/trash/files/<id>      the deleted file or directory
+//   .wfm/trash/info/<id>.json  where it came from, when and who deleted it
+function getTrashDirs(root) {
+  const trashDir = path.join(root.path, INTERNAL_DIR, 'trash');
+  return {
+    filesDir: path.join(trashDir, 'files'),
+    infoDir: path.join(trashDir, 'info')
+  };
+}
+
+function isValidId(id) {
+  return typeof id === 'string' && /^[0-9]+-[0-9a-f]+$/.test(id);
+}
+
+async function readEntry(root, id) {
+  if (!isValidId(id)) {
+    throw new HttpError(400, 'Invalid trash entry id');
+  }
+
+  const { infoDir } = getTrashDirs(root);
+  const infoPath = path.join(infoDir, `${id}.json`);
+  if (!await fs.pathExists(infoPath)) {
+    throw new HttpError(404, 'Trash entry not found');
+  }
+  return fs.readJson(infoPath);
+}
+
+// Check that fullPath is in the root, also once symlinks in its parent folders are followed, so
+// that nothing outside the root is trashed or restored over. Refuses with 403.
+function checkInRoot(root, fullPath) {
+  try {
+    return resolveInRoot(root, path.relative(root.path, fullPath), { followLinks: false });
+  } catch (error) {
+    throw new HttpError(403, error.status === 403 ? error.message : 'The path is outside the root');
+  }
+}
+
+// Move an item into the root's trash and record its metadata
+async function moveToTrash(root, fullPath, deletedBy) {
+  checkInRoot(root, fullPath);
+  const { filesDir, infoDir } = getTrashDirs(root);
+  const stats = await fs.lstat(fullPath);
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+  const entry = {
+    id,
+    name: path.basename(fullPath),
+    originalPath: path.relative(root.path, fullPath),
+    isDirectory: stats.isDirectory(),
+    size: stats.isDirectory() ? null : stats.size,
+    deletedAt: new Date().toISOString(),
+    deletedBy: deletedBy || null
+  };
+
+  await fs.ensureDir(filesDir);
+  await fs.ensureDir(infoDir);
+  await fs.move(fullPath, path.join(filesDir, id));
+  await fs.writeJson(path.join(infoDir, `${id}.json`), entry, { spaces: 2 });
+  return entry;
+}
+
+// List trash entries, most recently deleted first
+async function listTrash(root) {
+  const { infoDir } = getTrashDirs(root);
+  if (!await fs.pathExists(infoDir)) return [];
+
+  const entries = [];
+  for (const file of await fs.readdir(infoDir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      entries.push(await fs.readJson(path.join(infoDir, file)));
+    } catch (err) {
+      console.warn(`Could not read trash entry ${file}:`, err.message);
+    }
+  }
+
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// Restore an entry to its original location.
+// conflict: "fail" (409 when occupied), "rename" (restore next to it) or
+// "overwrite" (the occupying item is moved to the trash first)
+async function restoreFromTrash(root, id, { conflict = 'fail', restoredBy } = {}) {
+  const entry = await readEntry(root, id);
+  const { filesDir, infoDir } = getTrashDirs(root);
+  let targetPath = checkInRoot(root, path.join(root.path, entry.originalPath));
+
+  if (await fs.pathExists(targetPath)) {
+    if (conflict === 'rename') {
+      targetPath = await getAvailablePath(targetPath);
+    } else if (conflict === 'overwrite') {
+      await moveToTrash(root, targetPath, restoredBy);
+    } else {
+      throw new HttpError(409, `"${entry.originalPath}" already exists`, {
+        conflicts: [entry.originalPath]
+      });
+    }
+  }
+
+  await fs.ensureDir(path.dirname(targetPath));
+  await fs.move(path.join(filesDir, id), targetPath);
+  await fs.remove(path.join(infoDir, `${id}.json`));
+  return { ...entry, restoredPath: path.relative(root.path, targetPath) };
+}
+
+// Permanently delete one entry
+async function purgeTrashEntry(root, id) {
+  const entry = await readEntry(root, id);
+  const { filesDir, infoDir } = getTrashDirs(root);
+  await fs.remove(path.join(filesDir, id));
+  await fs.remove(path.join(infoDir, `${id}.json`));
+  return entry;
+}
+
+// Permanently delete every entry, or only those deleted before the cutoff date
+async function purgeTrash(root, olderThan) {
+  const entries = await listTrash(root);
+  let purged = 0;
+
+  for (const entry of entries) {
+    if (olderThan && new Date(entry.deletedAt) >= olderThan) continue;
+    await purgeTrashEntry(root, entry.id);
+    purged++;
+  }
+  return purged;
+}
+
+// Periodically purge entries older than the retention period on every writable root
+function scheduleTrashExpiry(roots, retentionDays) {
+  if (!retentionDays) return;
+
+  const expire = async () => {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    for (const root of roots.filter(r => !r.readOnly)) {
+      try {
+        const purged = await purgeTrash(root, cutoff);
+        if (purged > 0) {
+          console.log(`Expired ${purged} trash entries in root "${root.id}"`);
+        }
+      } catch (err) {
+        console.warn(`Could not expire trash in root "${root.id}":`, err.message);
+      }
+    }
+  };
+
+  expire();
+  setInterval(expire, 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+  moveToTrash,
+  listTrash,
+  restoreFromTrash,
+  purgeTrashEntry,
+  purgeTrash,
+  scheduleTrashExpiry
+};
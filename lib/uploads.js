@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR, INTERNAL_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { CHECKSUM_ALGORITHMS, hashStream } = require('./checksums');
+
+// Resumable upload protocol:
+//   init      create a session for a file of known size
+//   append    send the next chunk at the current offset (repeat, resume after failures)
+//   finalize  verify size and optional checksum, then move the file into place
+//   cancel    drop the session and its partial data
+//
+// Layout inside each root (roots on other storage use <data dir>/uploads/<root id> instead):
+//   .wfm/uploads/<id>.part  bytes received so far
+//   .wfm/uploads/<id>.json  session metadata
+
+// Sessions currently receiving a chunk, so two appends cannot interleave
+const activeAppends = new Set();
+
+function getUploadsDir(root) {
+  return root.path ? path.join(root.path, INTERNAL_DIR, 'uploads') : path.join(DATA_DIR, 'uploads', root.id);
+}
+
+function getSessionPaths(root, id) {
+  if (typeof id !== 'string' || !/^[0-9a-f]{32}$/.test(id)) {
+    throw new HttpError(400, 'Invalid upload id');
+  }
+  const uploadsDir = getUploadsDir(root);
+  return {
+    partPath: path.join(uploadsDir, `${id}.part`),
+    infoPath: path.join(uploadsDir, `${id}.json`)
+  };
+}
+
+// Parse "sha256:<hex>" into { algorithm, value }
+function parseChecksum(checksum) {
+  if (!checksum) return null;
+
+  const [algorithm, value] = String(checksum).split(':');
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !/^[0-9a-f]+$/i.test(value || '')) {
+    throw new HttpError(400, `Checksum must look like "<${CHECKSUM_ALGORITHMS.join('|')}>:<hex digest>"`);
+  }
+  return { algorithm, value: value.toLowerCase() };
+}
+
+// Load a session and check that the user may access it
+async function getSession(root, id, user) {
+  const { partPath, infoPath } = getSessionPaths(root, id);
+  if (!await fs.pathExists(infoPath)) {
+    throw new HttpError(404, 'Upload session not found');
+  }
+
+  const session = await fs.readJson(infoPath);
+  if (session.createdBy !== user.username && user.role !== 'admin') {
+    throw new HttpError(403, 'Upload session belongs to another user');
+  }
+
+  // The partial file is the source of truth for how much has arrived
+  const stats = await fs.stat(partPath).catch(() => null);
+  session.offset = stats ? stats.size : 0;
+  return session;
+}
+
+// The offset is derived from the partial file, so it is not stored
+function saveSession(infoPath, session) {
+  const { offset, ...stored } = session;
+  return fs.writeJson(infoPath, stored, { spaces: 2 });
+}
+
+// Start a new session. directory is the target folder, relative to the root; conflict is the
+// policy applied when the file is finalized and modified the file's own modification date.
+async function createUpload(root, { directory, name, size, checksum, conflict, modified }, user) {
+  if (!Number.isSafeInteger(size) || size < 0) {
+    throw new HttpError(400, 'File size must be a non-negative integer');
+  }
+  parseChecksum(checksum);
+
+  const id = crypto.randomBytes(16).toString('hex');
+  const { partPath, infoPath } = getSessionPaths(root, id);
+  const now = new Date().toISOString();
+  const session = {
+    id,
+    root: root.id,
+    directory: directory || '',
+    name,
+    size,
+    checksum: checksum || null,
+    conflict: conflict || 'fail',
+    modified: modified || null,
+    createdBy: user.username,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await fs.ensureDir(getUploadsDir(root));
+  await fs.writeFile(partPath, '');
+  await saveSession(infoPath, session);
+  return { ...session, offset: 0 };
+}
+
+// Append the request body at the given offset
+async function appendChunk(root, id, offset, req, user) {
+  const session = await getSession(root, id, user);
+  const { partPath, infoPath } = getSessionPaths(root, id);
+
+  if (offset !== session.offset) {
+    throw new HttpError(409, 'Upload offset mismatch', { offset: session.offset });
+  }
+  if (activeAppends.has(id)) {
+    throw new HttpError(409, 'Another chunk is being uploaded for this session', { offset: session.offset });
+  }
+
+  activeAppends.add(id);
+  try {
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(partPath, { flags: 'a' });
+      let received = 0;
+
+      req.on('data', chunk => {
+        received += chunk.length;
+        if (session.offset + received > session.size) {
+          req.unpipe(output);
+          output.end();
+          reject(new HttpError(413, 'Chunk exceeds the declared file size'));
+        }
+      });
+      // Whatever arrived before an aborted request stays; the client resumes from there
+      req.on('aborted', () => output.end());
+      req.on('error', () => output.end());
+      output.on('error', reject);
+      output.on('finish', resolve);
+      req.pipe(output);
+    });
+  } finally {
+    activeAppends.delete(id);
+  }
+
+  const stats = await fs.stat(partPath);
+  session.updatedAt = new Date().toISOString();
+  session.offset = stats.size;
+  await saveSession(infoPath, session);
+  return session;
+}
+
+// Verify the received data and hand it to target, a function given the data's path that moves
+// it into place (or, for roots on other storage, writes it through the adapter and removes it)
+async function finalizeUpload(root, id, target, { checksum } = {}, user) {
+  const session = await getSession(root, id, user);
+  const { partPath, infoPath } = getSessionPaths(root, id);
+
+  if (activeAppends.has(id)) {
+    throw new HttpError(409, 'A chunk is still being uploaded for this session');
+  }
+  if (session.offset !== session.size) {
+    throw new HttpError(409, `Upload is incomplete (${session.offset} of ${session.size} bytes)`, {
+      offset: session.offset
+    });
+  }
+
+  const expected = parseChecksum(checksum || session.checksum);
+  if (expected) {
+    const { [expected.algorithm]: actual } = await hashStream(fs.createReadStream(partPath), [expected.algorithm]);
+    if (actual !== expected.value) {
+      // The data is unusable; drop the session so the client starts over
+      await fs.remove(partPath);
+      await fs.remove(infoPath);
+      throw new HttpError(422, `${expected.algorithm} checksum mismatch`, { actual });
+    }
+  }
+
+  await target(partPath);
+  await fs.remove(infoPath);
+  return session;
+}
+
+async function cancelUpload(root, id, user) {
+  await getSession(root, id, user);
+  const { partPath, infoPath } = getSessionPaths(root, id);
+  await fs.remove(partPath);
+  await fs.remove(infoPath);
+}
+
+// Periodically remove sessions that saw no chunk within maxIdleHours
+function scheduleUploadCleanup(roots, maxIdleHours) {
+  if (!maxIdleHours) return;
+
+  const cleanup = async () => {
+    const cutoff = Date.now() - maxIdleHours * 60 * 60 * 1000;
+    for (const root of roots.filter(r => !r.readOnly)) {
+      const uploadsDir = getUploadsDir(root);
+      if (!await fs.pathExists(uploadsDir)) continue;
+
+      for (const file of await fs.readdir(uploadsDir)) {
+        if (!file.endsWith('.json')) continue;
+        const id = path.basename(file, '.json');
+        try {
+          const session = await fs.readJson(path.join(uploadsDir, file));
+          if (new Date(session.updatedAt).getTime() < cutoff && !activeAppends.has(id)) {
+            await fs.remove(path.join(uploadsDir, `${id}.part`));
+            await fs.remove(path.join(uploadsDir, file));
+            console.log(`Removed abandoned upload "${session.name}" in root "${root.id}"`);
+          }
+        } catch (err) {
+          console.warn(`Could not check upload session ${file}:`, err.message);
+        }
+      }
+    }
+  };
+
+  cleanup();
+  setInterval(cleanup, 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+  createUpload,
+  getSession,
+  appendChunk,
+  finalizeUpload,
+  cancelUpload,
+  scheduleUploadCleanup
+};
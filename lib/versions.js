@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { INTERNAL_DIR } = require('./config');
+const { HttpError } = require('./errors');
+const { createTempPath } = require('./archives');
+
+// Layout inside each root:
+//   .wfm/versions/<key>/<id>       earlier content of a file
+//   .wfm/versions/<key>/<id>.json  its path, size, modification time, and who replaced it and why
+// where <key> is a hash of the file's path, so the versions of a path share a folder
+function getVersionsDir(root) {
+  return path.join(root.path, INTERNAL_DIR, 'versions');
+}
+
+function getRelativePath(root, fullPath) {
+  return path.relative(root.path, fullPath);
+}
+
+function getPathDir(root, relativePath) {
+  const key = crypto.createHash('sha256').update(relativePath.split(path.sep).join('/')).digest('hex').slice(0, 32);
+  return path.join(getVersionsDir(root), key);
+}
+
+function isValidId(id) {
+  return typeof id === 'string' && /^[0-9]+-[0-9a-f]+$/.test(id);
+}
+
+// Earlier contents of files that were overwritten or edited. Each path keeps its newest
+// maxVersions versions (0 turns versioning off) for at most maxAgeDays (0 keeps them until
+// they are pushed out).
+function createVersions({ maxVersions = 10, maxAgeDays = 30 }) {
+  function isExpired(entry) {
+    return maxAgeDays > 0 && Date.now() - new Date(entry.savedAt).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+  }
+
+  async function readEntries(pathDir) {
+    if (!await fs.pathExists(pathDir)) return [];
+    const entries = [];
+    for (const file of await fs.readdir(pathDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        entries.push(await fs.readJson(path.join(pathDir, file)));
+      } catch (err) {
+        console.warn(`Could not read version entry ${file}:`, err.message);
+      }
+    }
+    return entries.sort((a, b) => b.savedAt.localeCompare(a.savedAt) || b.id.localeCompare(a.id));
+  }
+
+  async function removeEntry(pathDir, id) {
+    await fs.remove(path.join(pathDir, id));
+    await fs.remove(path.join(pathDir, `${id}.json`));
+  }
+
+  // Drop versions past the limits, and the folder once it is empty
+  async function prune(pathDir) {
+    const entries = await readEntries(pathDir);
+    let kept = 0;
+    for (const entry of entries) {
+      if (kept < maxVersions && !isExpired(entry)) {
+        kept++;
+      } else {
+        await removeEntry(pathDir, entry.id);
+      }
+    }
+    if (kept === 0) {
+      await fs.remove(pathDir);
+    }
+    return entries.length - kept;
+  }
+
+  // Keep the current content of a file before it changes. With move the file itself goes into
+  // the store (the caller puts the new content in its place). With link it is hard-linked there
+  // when the file system allows it, for callers that then rename new content over the file, which
+  // leaves the linked content as it is; otherwise it is copied.
+  // Resolves the version entry, or null when versioning is off or fullPath is not a regular file.
+  async function keepVersion(root, fullPath, { savedBy, reason, move = false, link = false }) {
+    if (maxVersions <= 0) return null;
+    const stats = await fs.lstat(fullPath).catch(() => null);
+    if (!stats || !stats.isFile()) return null;
+
+    const relativePath = getRelativePath(root, fullPath);
+    const pathDir = getPathDir(root, relativePath);
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const entry = {
+      id,
+      path: relativePath,
+      name: path.basename(fullPath),
+      size: stats.size,
+      modified: stats.mtime,
+      savedAt: new Date().toISOString(),
+      savedBy: savedBy || null,
+      reason
+    };
+
+    await fs.ensureDir(pathDir);
+    if (move) {
+      await fs.move(fullPath, path.join(pathDir, id));
+    } else if (!link || !await fs.link(fullPath, path.join(pathDir, id)).then(() => true, () => false)) {
+      await fs.copy(fullPath, path.join(pathDir, id), { preserveTimestamps: true });
+    }
+    await fs.writeJson(path.join(pathDir, `${id}.json`), entry, { spaces: 2 });
+    await prune(pathDir);
+    return entry;
+  }
+
+  // Versions of a file, newest first
+  async function listVersions(root, fullPath) {
+    const entries = await readEntries(getPathDir(root, getRelativePath(root, fullPath)));
+    return entries.filter(entry => !isExpired(entry));
+  }
+
+  // A version's entry and where its content is stored
+  async function getVersion(root, fullPath, id) {
+    if (!isValidId(id)) {
+      throw new HttpError(400, 'Invalid version id');
+    }
+    const pathDir = getPathDir(root, getRelativePath(root, fullPath));
+    const infoPath = path.join(pathDir, `${id}.json`);
+    if (!await fs.pathExists(infoPath)) {
+      throw new HttpError(404, 'Version not found');
+    }
+    return { entry: await fs.readJson(infoPath), contentPath: path.join(pathDir, id) };
+  }
+
+  // Put a version's content back in place. The content it replaces becomes a version itself,
+  // so a restore can be undone; a deleted file is recreated.
+  async function restoreVersion(root, fullPath, id, restoredBy) {
+    const { entry, contentPath } = await getVersion(root, fullPath, id);
+    const current = await fs.lstat(fullPath).catch(() => null);
+    if (current && current.isDirectory()) {
+      throw new HttpError(409, `"${entry.name}" is now a folder`);
+    }
+
+    const tempPath = await createTempPath(root);
+    try {
+      await fs.copyFile(contentPath, tempPath);
+      await fs.ensureDir(path.dirname(fullPath));
+      if (current) {
+        await keepVersion(root, fullPath, { savedBy: restoredBy, reason: 'restore', link: true });
+      }
+      await fs.rename(tempPath, fullPath);
+    } finally {
+      await fs.remove(tempPath).catch(() => {});
+    }
+    return entry;
+  }
+
+  // Periodically drop expired versions on every writable root
+  function scheduleVersionExpiry(roots) {
+    if (!maxAgeDays) return;
+
+    const expire = async () => {
+      for (const root of roots.filter(r => !r.readOnly)) {
+        const versionsDir = getVersionsDir(root);
+        try {
+          if (!await fs.pathExists(versionsDir)) continue;
+          let expired = 0;
+          for (const key of await fs.readdir(versionsDir)) {
+            expired += await prune(path.join(versionsDir, key));
+          }
+          if (expired > 0) {
+            console.log(`Expired ${expired} file versions in root "${root.id}"`);
+          }
+        } catch (err) {
+          console.warn(`Could not expire file versions in root "${root.id}":`, err.message);
+        }
+      }
+    };
+
+    expire();
+    setInterval(expire, 60 * 60 * 1000).unref();
+  }
+
+  return {
+    keepVersion,
+    listVersions,
+    getVersion,
+    restoreVersion,
+    scheduleVersionExpiry
+  };
+}
+
+module.exports = {
+  createVersions
+};
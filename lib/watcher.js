@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Watches the folders clients are looking at and reports what changed in them.
+// Each watched folder keeps a snapshot of its entries; whenever fs.watch reports
+// activity (debounced) or the poll timer fires, the folder is re-read and diffed
+// against the snapshot. Diffing instead of trusting fs.watch event names keeps the
+// result the same on every platform and for the polling fallback.
+//
+// Listeners receive:
+//   { type: 'create' | 'modify', item }
+//   { type: 'delete', path, isDirectory }
+//   { type: 'rename', oldPath, item }       same inode under a new name
+//   { type: 'unavailable' }                 the folder itself is gone
+//
+// describe(root, fullPath, relativePath) returns the item sent for an entry and
+// stat(root, fullPath) the stats its changes are detected from.
+function createWatcher({ describe, stat, skip, debounceMs = 200, pollIntervalMs = 5000, forcePolling = false }) {
+  const folders = new Map(); // "<root id>:<relative path>" -> watched folder
+
+  async function readSnapshot(folder) {
+    const snapshot = new Map();
+    for (const name of await fs.readdir(folder.fullPath)) {
+      const fullPath = path.join(folder.fullPath, name);
+      if (skip(folder.root, fullPath)) continue;
+      try {
+        const stats = await stat(folder.root, fullPath);
+        snapshot.set(name, {
+          ino: stats.ino,
+          size: stats.size,
+          mtimeMs: stats.mtimeMs,
+          isDirectory: stats.isDirectory()
+        });
+      } catch (err) {
+        // Removed between readdir and stat
+      }
+    }
+    return snapshot;
+  }
+
+  function emit(folder, event) {
+    folder.listeners.forEach(listener => listener(event));
+  }
+
+  async function describeEntry(folder, name) {
+    return describe(folder.root, path.join(folder.fullPath, name), path.join(folder.relativePath, name));
+  }
+
+  async function rescan(folder) {
+    if (folder.scanning) {
+      folder.rescanPending = true;
+      return;
+    }
+    folder.scanning = true;
+
+    try {
+      await folder.ready;
+      let current;
+      try {
+        current = await readSnapshot(folder);
+      } catch (err) {
+        if (folder.previous !== null) emit(folder, { type: 'unavailable' });
+        folder.previous = null;
+        return;
+      }
+
+      const previous = folder.previous || new Map();
+      const removed = [...previous.keys()].filter(name => !current.has(name));
+      const added = [...current.keys()].filter(name => !previous.has(name));
+      folder.previous = current;
+
+      for (const name of added) {
+        // A removed entry with the same inode was renamed
+        const oldName = removed.find(candidate => previous.get(candidate).ino === current.get(name).ino);
+        const item = await describeEntry(folder, name).catch(() => null);
+        if (!item) continue;
+        if (oldName) {
+          removed.splice(removed.indexOf(oldName), 1);
+          emit(folder, { type: 'rename', oldPath: path.join(folder.relativePath, oldName), item });
+        } else {
+          emit(folder, { type: 'create', item });
+        }
+      }
+
+      for (const name of removed) {
+        emit(folder, {
+          type: 'delete',
+          path: path.join(folder.relativePath, name),
+          isDirectory: previous.get(name).isDirectory
+        });
+      }
+
+      for (const [name, entry] of current) {
+        const before = previous.get(name);
+        if (!before || added.includes(name)) continue;
+        if (before.size !== entry.size || before.mtimeMs !== entry.mtimeMs || before.ino !== entry.ino) {
+          const item = await describeEntry(folder, name).catch(() => null);
+          if (item) emit(folder, { type: 'modify', item });
+        }
+      }
+    } finally {
+      folder.scanning = false;
+      if (folder.rescanPending && folder.listeners.size > 0) {
+        folder.rescanPending = false;
+        rescan(folder);
+      }
+    }
+  }
+
+  function scheduleRescan(folder) {
+    clearTimeout(folder.debounceTimer);
+    folder.debounceTimer = setTimeout(() => rescan(folder), debounceMs);
+  }
+
+  // fs.watch is unavailable on some file systems (network mounts, ...) and
+  // fails when inotify watches run out; poll in those cases
+  function startPolling(folder) {
+    folder.pollTimer = setInterval(() => rescan(folder), pollIntervalMs);
+    folder.pollTimer.unref();
+  }
+
+  function startWatching(folder) {
+    if (forcePolling) {
+      startPolling(folder);
+      return;
+    }
+    try {
+      folder.fsWatcher = fs.watch(folder.fullPath, { persistent: false }, () => scheduleRescan(folder));
+      folder.fsWatcher.on('error', () => {
+        folder.fsWatcher.close();
+        folder.fsWatcher = null;
+        if (!folder.pollTimer) startPolling(folder);
+        scheduleRescan(folder);
+      });
+    } catch (err) {
+      startPolling(folder);
+    }
+  }
+
+  function stopWatching(folder) {
+    clearTimeout(folder.debounceTimer);
+    clearInterval(folder.pollTimer);
+    if (folder.fsWatcher) folder.fsWatcher.close();
+  }
+
+  // Start receiving events for one folder. relativePath must be normalized (no "." segments
+  // or trailing slash), as it is part of the key that lets subscribers share a watched folder.
+  // Returns a function that stops them.
+  async function subscribe(root, relativePath, fullPath, listener) {
+    const key = `${root.id}:${relativePath}`;
+    let folder = folders.get(key);
+    if (!folder) {
+      folder = {
+        root,
+        relativePath,
+        fullPath,
+        listeners: new Set(),
+        previous: new Map(),
+        scanning: false,
+        rescanPending: false,
+        debounceTimer: null,
+        pollTimer: null,
+        fsWatcher: null
+      };
+      folders.set(key, folder);
+      folder.ready = readSnapshot(folder).then(snapshot => {
+        folder.previous = snapshot;
+      }, () => {
+        folder.previous = null;
+      });
+      startWatching(folder);
+    }
+
+    folder.listeners.add(listener);
+    await folder.ready;
+
+    return () => {
+      folder.listeners.delete(listener);
+      if (folder.listeners.size === 0) {
+        stopWatching(folder);
+        folders.delete(key);
+      }
+    };
+  }
+
+  return { subscribe };
+}
+
+module.exports = {
+  createWatcher
+};
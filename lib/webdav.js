@@ -0,0 +1,743 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const mime = require('mime-types');
+const { pipeline } = require('stream/promises');
+const { hasRole } = require('./auth');
+const { HttpError } = require('./errors');
+const { getETag, sendFile } = require('./send-file');
+const { mapLimit } = require('./listing');
+
+// Largest XML body (PROPFIND, LOCK, PROPPATCH) we read
+const MAX_XML_BODY = 1024 * 1024;
+
+// Lock timeouts in seconds: what a LOCK without Timeout header gets, and the most it can ask for
+const DEFAULT_LOCK_TIMEOUT = 600;
+const MAX_LOCK_TIMEOUT = 3600;
+
+const ROLE_BY_METHOD = {
+  PROPFIND: 'read-only',
+  GET: 'read-only',
+  HEAD: 'read-only',
+  PUT: 'uploader',
+  MKCOL: 'uploader',
+  COPY: 'uploader',
+  PROPPATCH: 'uploader',
+  LOCK: 'uploader',
+  UNLOCK: 'uploader',
+  MOVE: 'admin',
+  DELETE: 'admin'
+};
+
+// Audit actions, matching the API's (see lib/audit.js)
+const AUDIT_BY_METHOD = {
+  GET: ['download', { countBytes: true }],
+  PUT: ['upload'],
+  MKCOL: ['mkdir'],
+  COPY: ['copy'],
+  MOVE: ['move'],
+  DELETE: ['delete']
+};
+
+const ALLOWED_METHODS = ['OPTIONS', ...Object.keys(ROLE_BY_METHOD)].join(', ');
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[char]);
+}
+
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    }
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[name.toLowerCase()];
+  });
+}
+
+// Just enough XML for WebDAV request bodies: elements with resolved namespaces and their text.
+// Entities other than the predefined ones are not expanded, DOCTYPEs are ignored.
+function parseXml(text) {
+  const document = { children: [] };
+  const stack = [{ element: document, namespaces: { '': '' } }];
+  const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s>/]+)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+  let match;
+  while ((match = tokens.exec(text))) {
+    const [, cdata, closing, tagName, attributeText, selfClosing, characters, stray] = match;
+    const current = stack[stack.length - 1];
+    if (stray) {
+      throw new HttpError(400, 'Invalid XML body');
+    }
+    if (cdata !== undefined || characters !== undefined) {
+      current.element.text = (current.element.text || '') + (cdata ?? decodeXmlText(characters));
+      continue;
+    }
+    if (!tagName) continue;
+
+    if (closing) {
+      if (stack.length === 1 || current.tagName !== tagName) {
+        throw new HttpError(400, 'Invalid XML body');
+      }
+      stack.pop();
+      continue;
+    }
+
+    const namespaces = { ...current.namespaces };
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted] of attributeText.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+      const value = decodeXmlText(doubleQuoted ?? singleQuoted);
+      if (name === 'xmlns') {
+        namespaces[''] = value;
+      } else if (name.startsWith('xmlns:')) {
+        namespaces[name.slice(6)] = value;
+      } else {
+        attributes[name] = value;
+      }
+    }
+    const separator = tagName.indexOf(':');
+    const prefix = separator < 0 ? '' : tagName.slice(0, separator);
+    if (namespaces[prefix] === undefined) {
+      throw new HttpError(400, `Undeclared XML namespace prefix "${prefix}"`);
+    }
+    const element = { ns: namespaces[prefix], name: tagName.slice(separator + 1), attributes, children: [], text: '' };
+    current.element.children.push(element);
+    if (!selfClosing) {
+      stack.push({ element, namespaces, tagName });
+    }
+  }
+  if (stack.length !== 1 || document.children.length !== 1) {
+    throw new HttpError(400, 'Invalid XML body');
+  }
+  return document.children[0];
+}
+
+function findChild(element, name, ns = 'DAV:') {
+  return element && element.children.find(child => child.ns === ns && child.name === name) || null;
+}
+
+async function readBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new HttpError(413, 'Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readXmlBody(req) {
+  const text = (await readBody(req, MAX_XML_BODY)).trim();
+  return text ? parseXml(text) : null;
+}
+
+// A property element to list in a response, e.g. <D:getetag/> or <foo xmlns="urn:x"/>
+function propertyTag(ns, name, content = '') {
+  const tag = ns === 'DAV:' ? `D:${name}` : name;
+  const namespace = ns === 'DAV:' ? '' : ` xmlns="${escapeXml(ns)}"`;
+  return content === '' ? `<${tag}${namespace}/>` : `<${tag}${namespace}>${content}</${tag}>`;
+}
+
+function propstat(props, status) {
+  return `<D:propstat><D:prop>${props.join('')}</D:prop><D:status>HTTP/1.1 ${status}</D:status></D:propstat>`;
+}
+
+function sendMultistatus(res, responses) {
+  res.status(207);
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.end(`<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>\n`);
+}
+
+// "Second-600" and "Infinite" entries of a Timeout header, the first usable one wins
+function parseTimeout(header) {
+  for (const entry of String(header || '').split(',').map(value => value.trim())) {
+    if (entry === 'Infinite') return MAX_LOCK_TIMEOUT;
+    const match = /^Second-(\d+)$/i.exec(entry);
+    if (match) return Math.min(Math.max(Number(match[1]), 1), MAX_LOCK_TIMEOUT);
+  }
+  return DEFAULT_LOCK_TIMEOUT;
+}
+
+// Lock tokens a request submits in its If header. Tagged lists and "Not" are not evaluated:
+// presenting a token is what counts.
+function getSubmittedTokens(req) {
+  return [...String(req.headers.if || '').matchAll(/<(opaquelocktoken:[^>]+)>/g)].map(match => match[1]);
+}
+
+function isBelow(itemPath, folderPath) {
+  return folderPath === '' || itemPath.startsWith(`${folderPath}/`);
+}
+
+// WebDAV (class 1 and 2) access to the roots, mounted at `mount`: "/dav/" lists the roots and
+// "/dav/<root>/<path>" maps to getSafePath(root, path). Requests go through authenticate and
+// the same roles as the API. Locks live in memory and are lost on restart.
+// options: { mount, roots, getRoot, getWritableRoot, getSafePath, isInternalPath, validateFileName,
+//            createTempPath, swapIn, authenticate, audit, trash, versions, concurrency }
+// swapIn(root, sourcePath, targetPath, user) puts a complete item in place of another, keeping
+// what it replaces as a version or in the trash (see server.js).
+function createWebDav(options) {
+  const { mount, roots, getRoot, getWritableRoot, getSafePath, isInternalPath, validateFileName, authenticate, audit, trash, versions } = options;
+  const locks = new Map(); // token -> { token, root, path, depth, scope, owner, timeout, expires, user }
+
+  // The resource a request path names: { root: null } for the list of roots
+  function resolvePath(pathname, writable = false) {
+    let segments;
+    try {
+      segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      throw new HttpError(400, 'Invalid path encoding');
+    }
+    if (segments.some(segment => segment === '.' || segment === '..' || segment.includes('\\') || segment.includes('\0'))) {
+      throw new HttpError(400, 'Invalid path');
+    }
+    if (segments.length === 0) {
+      if (writable) throw new HttpError(403, 'The list of roots cannot be changed');
+      return { root: null, path: '', fullPath: null };
+    }
+
+    const root = writable ? getWritableRoot(segments[0]) : getRoot(segments[0]);
+    const relativePath = segments.slice(1).join('/');
+    return { root, path: relativePath, fullPath: getSafePath(root, relativePath) };
+  }
+
+  function getHref(resource, isDirectory) {
+    if (!resource.root) return `${mount}/`;
+    const segments = [resource.root.id, ...resource.path.split('/').filter(Boolean)];
+    return `${mount}/${segments.map(encodeURIComponent).join('/')}${isDirectory ? '/' : ''}`;
+  }
+
+  // The resource a COPY or MOVE goes to, from its Destination header
+  function resolveDestination(req) {
+    const header = req.headers.destination;
+    if (!header) {
+      throw new HttpError(400, 'Destination header is required');
+    }
+    let url;
+    try {
+      url = new URL(header, `${req.protocol}://${req.headers.host}`);
+    } catch (error) {
+      throw new HttpError(400, 'Invalid Destination header');
+    }
+    if (url.host !== req.headers.host) {
+      throw new HttpError(502, 'Destination is on another server');
+    }
+    if (url.pathname !== mount && !url.pathname.startsWith(`${mount}/`)) {
+      throw new HttpError(502, 'Destination is outside the WebDAV share');
+    }
+    return resolvePath(url.pathname.slice(mount.length), true);
+  }
+
+  // Locks
+
+  function getLocks() {
+    const now = Date.now();
+    for (const [token, lock] of locks) {
+      if (lock.expires <= now) locks.delete(token);
+    }
+    return [...locks.values()];
+  }
+
+  // Locks on a resource, on folders above it with depth infinity and, with descendants, below it
+  function findLocks(resource, { descendants = false } = {}) {
+    return getLocks().filter(lock => lock.root === resource.root.id && (
+      lock.path === resource.path ||
+      (lock.depth === 'infinity' && isBelow(resource.path, lock.path)) ||
+      (descendants && isBelow(lock.path, resource.path))
+    ));
+  }
+
+  // Refuse a change with 423 unless the request holds every lock in the way. members also
+  // checks the parent folder, whose member list the change alters.
+  function checkLocks(req, resource, { descendants = false, members = false } = {}) {
+    const blocking = findLocks(resource, { descendants });
+    if (members && resource.path) {
+      const parentPath = path.posix.dirname(resource.path);
+      blocking.push(...findLocks({ root: resource.root, path: parentPath === '.' ? '' : parentPath }));
+    }
+    const tokens = getSubmittedTokens(req);
+    const missing = blocking.find(lock => !tokens.includes(lock.token) || lock.user !== req.user.username);
+    if (missing) {
+      throw new HttpError(423, 'The resource is locked');
+    }
+  }
+
+  // Drop locks on a removed resource and everything below it
+  function releaseLocks(resource) {
+    for (const lock of getLocks()) {
+      if (lock.root === resource.root.id && (lock.path === resource.path || isBelow(lock.path, resource.path))) {
+        locks.delete(lock.token);
+      }
+    }
+  }
+
+  function describeLock(lock) {
+    const seconds = Math.max(Math.round((lock.expires - Date.now()) / 1000), 0);
+    return '<D:activelock>' +
+      `<D:locktype><D:write/></D:locktype><D:lockscope><D:${lock.scope}/></D:lockscope>` +
+      `<D:depth>${lock.depth === 'infinity' ? 'infinity' : '0'}</D:depth>` +
+      (lock.owner ? `<D:owner>${escapeXml(lock.owner)}</D:owner>` : '') +
+      `<D:timeout>Second-${seconds}</D:timeout>` +
+      `<D:locktoken><D:href>${escapeXml(lock.token)}</D:href></D:locktoken>` +
+      `<D:lockroot><D:href>${escapeXml(lock.href)}</D:href></D:lockroot>` +
+      '</D:activelock>';
+  }
+
+  // Properties
+
+  const SUPPORTED_LOCK = ['exclusive', 'shared'].map(scope => (
+    `<D:lockentry><D:lockscope><D:${scope}/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>`
+  )).join('');
+
+  // Live properties of a resource by name, as XML content
+  function getProperties(resource, stats, name) {
+    const isDirectory = !stats || stats.isDirectory();
+    const properties = {
+      displayname: escapeXml(resource.root ? (resource.path ? path.posix.basename(resource.path) : resource.root.name) : ''),
+      resourcetype: isDirectory ? '<D:collection/>' : '',
+      supportedlock: SUPPORTED_LOCK,
+      lockdiscovery: resource.root ? findLocks(resource).map(describeLock).join('') : ''
+    };
+    if (stats) {
+      properties.getlastmodified = stats.mtime.toUTCString();
+      properties.creationdate = (stats.birthtimeMs > 0 ? stats.birthtime : stats.ctime).toISOString();
+    }
+    if (stats && !isDirectory) {
+      properties.getcontentlength = String(stats.size);
+      properties.getcontenttype = escapeXml(mime.contentType(mime.lookup(name) || 'application/octet-stream'));
+      properties.getetag = escapeXml(getETag(stats));
+    }
+    return properties;
+  }
+
+  // One <D:response> for PROPFIND. request is null for allprop, "propname" or a list of { ns, name }.
+  function describeResource(resource, stats, request) {
+    const isDirectory = !stats || stats.isDirectory();
+    const name = resource.path ? path.posix.basename(resource.path) : '';
+    const properties = getProperties(resource, stats, name);
+    const href = `<D:href>${escapeXml(getHref(resource, isDirectory))}</D:href>`;
+
+    if (request === 'propname') {
+      return `<D:response>${href}${propstat(Object.keys(properties).map(key => propertyTag('DAV:', key)), '200 OK')}</D:response>`;
+    }
+    if (!request) {
+      const found = Object.entries(properties).map(([key, value]) => propertyTag('DAV:', key, value));
+      return `<D:response>${href}${propstat(found, '200 OK')}</D:response>`;
+    }
+
+    const found = [];
+    const missing = [];
+    for (const { ns, name: propertyName } of request) {
+      if (ns === 'DAV:' && properties[propertyName] !== undefined) {
+        found.push(propertyTag(ns, propertyName, properties[propertyName]));
+      } else {
+        missing.push(propertyTag(ns, propertyName));
+      }
+    }
+    return `<D:response>${href}` +
+      (found.length > 0 ? propstat(found, '200 OK') : '') +
+      (missing.length > 0 ? propstat(missing, '404 Not Found') : '') +
+      '</D:response>';
+  }
+
+  // Stats of an item, following symlinks; null when it does not exist
+  function statItem(fullPath) {
+    return fs.stat(fullPath).catch(() => null);
+  }
+
+  // Methods
+
+  async function propfind(req, res, resource) {
+    const depth = req.headers.depth ?? 'infinity';
+    if (depth !== '0' && depth !== '1') {
+      res.status(403);
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      return res.end('<?xml version="1.0" encoding="utf-8"?>\n<D:error xmlns:D="DAV:"><D:propfind-finite-depth/></D:error>\n');
+    }
+
+    const body = await readXmlBody(req);
+    let request = null;
+    if (body) {
+      if (body.ns !== 'DAV:' || body.name !== 'propfind') {
+        throw new HttpError(400, 'Expected a propfind element');
+      }
+      if (findChild(body, 'propname')) {
+        request = 'propname';
+      } else if (findChild(body, 'prop')) {
+        request = findChild(body, 'prop').children.map(({ ns, name }) => ({ ns, name }));
+      }
+    }
+
+    if (!resource.root) {
+      const responses = [describeResource(resource, null, request)];
+      if (depth === '1') {
+        for (const root of roots) {
+          responses.push(describeResource({ root, path: '' }, await statItem(root.path), request));
+        }
+      }
+      return sendMultistatus(res, responses);
+    }
+
+    const stats = await statItem(resource.fullPath);
+    if (!stats) {
+      throw new HttpError(404, 'Not found');
+    }
+    const responses = [describeResource(resource, stats, request)];
+    if (depth === '1' && stats.isDirectory()) {
+      const names = (await fs.readdir(resource.fullPath))
+        .filter(name => !isInternalPath(resource.root, path.join(resource.fullPath, name)));
+      const children = await mapLimit(names, options.concurrency || 32, async name => {
+        const child = { root: resource.root, path: resource.path ? `${resource.path}/${name}` : name };
+        // Broken symlinks are left out
+        const childStats = await statItem(path.join(resource.fullPath, name));
+        return childStats && describeResource(child, childStats, request);
+      });
+      responses.push(...children.filter(Boolean));
+    }
+    sendMultistatus(res, responses);
+  }
+
+  async function get(req, res, resource) {
+    if (!resource.root) {
+      throw new HttpError(405, 'Collections cannot be downloaded');
+    }
+    const stats = await statItem(resource.fullPath);
+    if (!stats) {
+      throw new HttpError(404, 'Not found');
+    }
+    if (stats.isDirectory()) {
+      res.setHeader('Allow', ALLOWED_METHODS);
+      throw new HttpError(405, 'Collections cannot be downloaded');
+    }
+    await sendFile(req, res, resource.fullPath, { disposition: 'attachment', fileName: path.basename(resource.fullPath), stats });
+  }
+
+  // Existing files are replaced and kept as a version; the body is written out of sight first, so
+  // readers never see half a file
+  async function put(req, res, resource) {
+    if (!resource.path) {
+      throw new HttpError(405, 'A root cannot be replaced');
+    }
+    if (req.headers['content-range']) {
+      throw new HttpError(400, 'Partial PUT is not supported');
+    }
+    validateFileName(path.basename(resource.fullPath));
+    checkLocks(req, resource, { members: true });
+
+    const existing = await fs.lstat(resource.fullPath).catch(() => null);
+    if (existing && existing.isDirectory()) {
+      throw new HttpError(405, 'A collection cannot be replaced by a file');
+    }
+    const parentStats = await statItem(path.dirname(resource.fullPath));
+    if (!parentStats || !parentStats.isDirectory()) {
+      throw new HttpError(409, 'The parent collection does not exist');
+    }
+
+    const tempPath = await options.createTempPath(resource.root);
+    try {
+      await pipeline(req, fs.createWriteStream(tempPath, { flags: 'wx' }));
+      if (existing) {
+        await versions.keepVersion(resource.root, resource.fullPath, { savedBy: req.user.username, reason: 'overwrite', link: true });
+      }
+      await fs.rename(tempPath, resource.fullPath);
+    } finally {
+      await fs.remove(tempPath).catch(() => {});
+    }
+    res.locals.audit.bytes = (await fs.stat(resource.fullPath)).size;
+    res.status(existing ? 204 : 201).end();
+  }
+
+  async function mkcol(req, res, resource) {
+    if (!resource.path) {
+      throw new HttpError(405, 'The root already exists');
+    }
+    if ((await readBody(req, MAX_XML_BODY)).length > 0) {
+      throw new HttpError(415, 'MKCOL bodies are not supported');
+    }
+    validateFileName(path.basename(resource.fullPath));
+    checkLocks(req, resource, { members: true });
+
+    if (await fs.lstat(resource.fullPath).catch(() => null)) {
+      throw new HttpError(405, 'The resource already exists');
+    }
+    const parentStats = await statItem(path.dirname(resource.fullPath));
+    if (!parentStats || !parentStats.isDirectory()) {
+      throw new HttpError(409, 'The parent collection does not exist');
+    }
+    await fs.mkdir(resource.fullPath);
+    res.status(201).end();
+  }
+
+  // Deleted items go to the trash, like in the browser
+  async function remove(req, res, resource) {
+    if (!resource.path) {
+      throw new HttpError(403, 'A root cannot be deleted');
+    }
+    if (!await fs.lstat(resource.fullPath).catch(() => null)) {
+      throw new HttpError(404, 'Not found');
+    }
+    checkLocks(req, resource, { descendants: true, members: true });
+    await trash.moveToTrash(resource.root, resource.fullPath, req.user.username);
+    releaseLocks(resource);
+    res.status(204).end();
+  }
+
+  // COPY and MOVE. When Overwrite allows it, the item is written beside an existing destination
+  // and only then takes its place: a file replaced by a file is kept as a version, anything else
+  // goes to the trash.
+  async function transfer(req, res, resource, move) {
+    if (!resource.path) {
+      throw new HttpError(403, 'A root cannot be copied or moved');
+    }
+    const destination = resolveDestination(req);
+    if (!destination.path) {
+      throw new HttpError(403, 'A root cannot be replaced');
+    }
+    validateFileName(path.basename(destination.fullPath));
+    res.locals.audit.destinationRoot = destination.root.id;
+    res.locals.audit.destination = destination.path;
+
+    const stats = await fs.lstat(resource.fullPath).catch(() => null);
+    if (!stats) {
+      throw new HttpError(404, 'Not found');
+    }
+    if (destination.fullPath === resource.fullPath) {
+      throw new HttpError(403, 'Source and destination are the same');
+    }
+    if (destination.fullPath.startsWith(resource.fullPath + path.sep)) {
+      throw new HttpError(409, 'Cannot copy or move a collection into itself');
+    }
+    const depth = req.headers.depth ?? 'infinity';
+    if (stats.isDirectory() && depth !== 'infinity' && (move || depth !== '0')) {
+      throw new HttpError(400, move ? 'MOVE requires Depth: infinity' : 'COPY takes Depth 0 or infinity');
+    }
+    const parentStats = await statItem(path.dirname(destination.fullPath));
+    if (!parentStats || !parentStats.isDirectory()) {
+      throw new HttpError(409, 'The parent collection of the destination does not exist');
+    }
+
+    if (move) {
+      checkLocks(req, resource, { descendants: true, members: true });
+    }
+    checkLocks(req, destination, { descendants: true, members: true });
+
+    const existing = await fs.lstat(destination.fullPath).catch(() => null);
+    if (existing && String(req.headers.overwrite || 'T').toUpperCase() === 'F') {
+      throw new HttpError(412, 'The destination exists and Overwrite is F');
+    }
+
+    // What gets replaced stays untouched until the new item is complete beside it
+    const writePath = existing ? await options.createTempPath(destination.root) : destination.fullPath;
+    try {
+      if (move) {
+        await fs.move(resource.fullPath, writePath);
+      } else if (stats.isDirectory() && depth === '0') {
+        await fs.mkdir(writePath);
+      } else {
+        await fs.copy(resource.fullPath, writePath, {
+          overwrite: false,
+          errorOnExist: true,
+          filter: source => !isInternalPath(resource.root, source)
+        });
+      }
+      if (existing) {
+        await options.swapIn(destination.root, writePath, destination.fullPath, req.user);
+      }
+    } catch (error) {
+      // Leave things as they were: a moved item goes back, a copy is dropped
+      if (existing) {
+        await (move ? fs.move(writePath, resource.fullPath) : fs.remove(writePath)).catch(() => {});
+      }
+      throw error;
+    }
+
+    if (existing) {
+      releaseLocks(destination);
+    }
+    if (move) {
+      releaseLocks(resource);
+    }
+    res.status(existing ? 204 : 201).end();
+  }
+
+  // Dead properties are not stored, so every change is refused
+  async function proppatch(req, res, resource) {
+    const body = await readXmlBody(req);
+    if (!body || body.ns !== 'DAV:' || body.name !== 'propertyupdate') {
+      throw new HttpError(400, 'Expected a propertyupdate element');
+    }
+    if (!resource.root || !await fs.lstat(resource.fullPath).catch(() => null)) {
+      throw new HttpError(404, 'Not found');
+    }
+    checkLocks(req, resource);
+
+    const names = body.children.flatMap(update => {
+      const prop = findChild(update, 'prop');
+      return prop ? prop.children : [];
+    });
+    const stats = await statItem(resource.fullPath);
+    sendMultistatus(res, [`<D:response><D:href>${escapeXml(getHref(resource, stats && stats.isDirectory()))}</D:href>` +
+      propstat(names.map(({ ns, name }) => propertyTag(ns, name)), '403 Forbidden') + '</D:response>']);
+  }
+
+  async function lock(req, res, resource) {
+    if (!resource.path && !resource.root) {
+      throw new HttpError(403, 'The list of roots cannot be locked');
+    }
+    const body = await readXmlBody(req);
+    const timeout = parseTimeout(req.headers.timeout);
+
+    // No body: refresh a lock the If header names
+    if (!body) {
+      const tokens = getSubmittedTokens(req);
+      const existing = findLocks(resource).find(candidate => tokens.includes(candidate.token));
+      if (!existing || existing.user !== req.user.username) {
+        throw new HttpError(412, 'No matching lock to refresh');
+      }
+      existing.expires = Date.now() + timeout * 1000;
+      res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+      return res.end(`<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:"><D:lockdiscovery>${describeLock(existing)}</D:lockdiscovery></D:prop>\n`);
+    }
+
+    if (body.ns !== 'DAV:' || body.name !== 'lockinfo') {
+      throw new HttpError(400, 'Expected a lockinfo element');
+    }
+    const scope = findChild(findChild(body, 'lockscope'), 'shared') ? 'shared' : 'exclusive';
+    const depth = req.headers.depth === '0' ? '0' : 'infinity';
+    const ownerElement = findChild(body, 'owner');
+    const owner = ownerElement
+      ? [ownerElement, ...ownerElement.children].map(element => element.text.trim()).filter(Boolean).join(' ')
+      : '';
+
+    const conflicting = findLocks(resource, { descendants: depth === 'infinity' })
+      .find(other => scope === 'exclusive' || other.scope === 'exclusive');
+    if (conflicting) {
+      throw new HttpError(423, 'The resource is already locked');
+    }
+
+    // Locking a name that does not exist yet creates an empty file
+    let created = false;
+    if (!await fs.lstat(resource.fullPath).catch(() => null)) {
+      validateFileName(path.basename(resource.fullPath));
+      checkLocks(req, resource, { members: true });
+      const parentStats = await statItem(path.dirname(resource.fullPath));
+      if (!parentStats || !parentStats.isDirectory()) {
+        throw new HttpError(409, 'The parent collection does not exist');
+      }
+      await fs.writeFile(resource.fullPath, '', { flag: 'wx' });
+      created = true;
+    }
+
+    const stats = await statItem(resource.fullPath);
+    const newLock = {
+      token: `opaquelocktoken:${crypto.randomUUID()}`,
+      root: resource.root.id,
+      path: resource.path,
+      href: getHref(resource, stats.isDirectory()),
+      depth,
+      scope,
+      owner,
+      expires: Date.now() + timeout * 1000,
+      user: req.user.username
+    };
+    locks.set(newLock.token, newLock);
+
+    res.status(created ? 201 : 200);
+    res.setHeader('Lock-Token', `<${newLock.token}>`);
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.end(`<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:"><D:lockdiscovery>${describeLock(newLock)}</D:lockdiscovery></D:prop>\n`);
+  }
+
+  async function unlock(req, res, resource) {
+    const token = /^<(.+)>$/.exec(String(req.headers['lock-token'] || '').trim());
+    if (!token) {
+      throw new HttpError(400, 'Lock-Token header is required');
+    }
+    const existing = resource.root && findLocks(resource).find(candidate => candidate.token === token[1]);
+    if (!existing) {
+      throw new HttpError(409, 'The lock token does not apply to this resource');
+    }
+    if (existing.user !== req.user.username && req.user.role !== 'admin') {
+      throw new HttpError(403, 'The lock belongs to another user');
+    }
+    locks.delete(existing.token);
+    res.status(204).end();
+  }
+
+  const HANDLERS = {
+    PROPFIND: propfind,
+    GET: get,
+    HEAD: get,
+    PUT: put,
+    MKCOL: mkcol,
+    DELETE: remove,
+    COPY: (req, res, resource) => transfer(req, res, resource, false),
+    MOVE: (req, res, resource) => transfer(req, res, resource, true),
+    PROPPATCH: proppatch,
+    LOCK: lock,
+    UNLOCK: unlock
+  };
+
+  function sendDavError(res, error) {
+    if (!(error instanceof HttpError)) {
+      console.error('Error handling WebDAV request:', error);
+    }
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    const message = error instanceof HttpError ? error.message : 'Internal server error';
+    if (res.locals.audit) {
+      res.locals.audit.error = message;
+    }
+    res.status(error instanceof HttpError ? error.status : 500);
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end(`${message}\n`);
+  }
+
+  async function dispatch(req, res) {
+    const handler = HANDLERS[req.method];
+    if (!handler) {
+      res.setHeader('Allow', ALLOWED_METHODS);
+      throw new HttpError(405, 'Method not allowed');
+    }
+    if (!hasRole(req.user.role, ROLE_BY_METHOD[req.method])) {
+      throw new HttpError(403, 'Permission denied');
+    }
+
+    const writable = !['PROPFIND', 'GET', 'HEAD', 'COPY', 'UNLOCK'].includes(req.method);
+    const resource = resolvePath(req.path, writable);
+    res.locals.audit = {
+      root: resource.root ? resource.root.id : null,
+      path: resource.path,
+      paths: null,
+      destination: null,
+      destinationRoot: null
+    };
+    await handler(req, res, resource);
+  }
+
+  // Middleware for app.use(mount, ...)
+  return (req, res) => {
+    res.setHeader('DAV', '1, 2');
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Allow', ALLOWED_METHODS);
+      res.setHeader('MS-Author-Via', 'DAV');
+      return res.status(200).end();
+    }
+
+    authenticate(req, res, () => {
+      const auditEntry = AUDIT_BY_METHOD[req.method];
+      const run = () => dispatch(req, res).catch(error => sendDavError(res, error));
+      if (auditEntry) {
+        audit.track(...auditEntry)(req, res, run);
+      } else {
+        run();
+      }
+    });
+  };
+}
+
+module.exports = {
+  createWebDav
+};
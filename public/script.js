@@ -1,19 +1,107 @@
 // Global state
 let currentPath = '';
-let selectedItem = null;
+let roots = [];
+let currentRoot = null; // id of the root being browsed
+let selectedItem = null; // the focused item; single-item actions (open, rename, edit) use it
+let selectedElement = null;
+let selectedItems = []; // every selected item, including selectedItem
+let selectionAnchor = null; // item where a shift-click range starts
+let currentFiles = []; // items loaded so far for the current folder, in display order
 let clipboard = null;
 let clipboardOperation = null; // 'copy' or 'cut'
+let currentUser = null;
+let csrfToken = null; // sent with every change, see checkCsrf in lib/auth.js
+
+// Roles ordered from least to most privileged (mirrors lib/auth.js)
+const ROLES = ['read-only', 'uploader', 'admin'];
 
 // DOM elements
+const mainContent = document.querySelector('.main-content');
 const fileGrid = document.getElementById('fileGrid');
+const filesView = document.getElementById('filesView');
+const listingCount = document.getElementById('listingCount');
+const showHiddenToggle = document.getElementById('showHiddenToggle');
+const sortField = document.getElementById('sortField');
+const sortOrderBtn = document.getElementById('sortOrderBtn');
+const gridViewBtn = document.getElementById('gridViewBtn');
+const detailsViewBtn = document.getElementById('detailsViewBtn');
+const detailsHeader = document.getElementById('detailsHeader');
 const directoryTree = document.getElementById('directoryTree');
+const rootList = document.getElementById('rootList');
+const trashItem = document.getElementById('trashItem');
+const trashView = document.getElementById('trashView');
+const trashList = document.getElementById('trashList');
+const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+const sharesItem = document.getElementById('sharesItem');
+const sharesView = document.getElementById('sharesView');
+const sharesList = document.getElementById('sharesList');
+const activityItem = document.getElementById('activityItem');
+const jobsItem = document.getElementById('jobsItem');
+const activityView = document.getElementById('activityView');
+const activityForm = document.getElementById('activityForm');
+const activityPath = document.getElementById('activityPath');
+const activityUser = document.getElementById('activityUser');
+const activityAction = document.getElementById('activityAction');
+const activityFrom = document.getElementById('activityFrom');
+const activityTo = document.getElementById('activityTo');
+const activityStatus = document.getElementById('activityStatus');
+const activityList = document.getElementById('activityList');
+const usageItem = document.getElementById('usageItem');
+const usageView = document.getElementById('usageView');
+const usageTitle = document.getElementById('usageTitle');
+const usageDisk = document.getElementById('usageDisk');
+const usageDiskUsed = document.getElementById('usageDiskUsed');
+const usageDiskText = document.getElementById('usageDiskText');
+const usageStatus = document.getElementById('usageStatus');
+const usageTreemapTab = document.getElementById('usageTreemapTab');
+const usageListTab = document.getElementById('usageListTab');
+const usageListKind = document.getElementById('usageListKind');
+const usageTreemap = document.getElementById('usageTreemap');
+const usageTable = document.getElementById('usageTable');
+const usageList = document.getElementById('usageList');
+const rescanBtn = document.getElementById('rescanBtn');
+const cancelScanBtn = document.getElementById('cancelScanBtn');
+const duplicatesItem = document.getElementById('duplicatesItem');
+const duplicatesView = document.getElementById('duplicatesView');
+const duplicatesTitle = document.getElementById('duplicatesTitle');
+const duplicatesMinSize = document.getElementById('duplicatesMinSize');
+const duplicatesStatus = document.getElementById('duplicatesStatus');
+const duplicatesToolbar = document.getElementById('duplicatesToolbar');
+const duplicatesList = document.getElementById('duplicatesList');
+const rescanDuplicatesBtn = document.getElementById('rescanDuplicatesBtn');
+const cancelDuplicatesBtn = document.getElementById('cancelDuplicatesBtn');
+const deleteDuplicatesBtn = document.getElementById('deleteDuplicatesBtn');
 const breadcrumb = document.getElementById('breadcrumb');
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('searchInput');
+const searchOptions = document.getElementById('searchOptions');
+const searchOptionsBtn = document.getElementById('searchOptionsBtn');
+const searchView = document.getElementById('searchView');
+const searchTitle = document.getElementById('searchTitle');
+const searchStatus = document.getElementById('searchStatus');
+const searchResults = document.getElementById('searchResults');
+const cancelSearchBtn = document.getElementById('cancelSearchBtn');
 const actionsSection = document.getElementById('actionsSection');
 const loadingIndicator = document.getElementById('loadingIndicator');
 const uploadProgress = document.getElementById('uploadProgress');
+const uploadList = document.getElementById('uploadList');
+const jobTray = document.getElementById('jobTray');
+const jobList = document.getElementById('jobList');
+const jobHistoryList = document.getElementById('jobHistoryList');
+const jobHistoryBtn = document.getElementById('jobHistoryBtn');
+const closeJobTrayBtn = document.getElementById('closeJobTrayBtn');
+const currentUserLabel = document.getElementById('currentUser');
+
+// Login
+const loginScreen = document.getElementById('loginScreen');
+const loginForm = document.getElementById('loginForm');
+const loginUsername = document.getElementById('loginUsername');
+const loginPassword = document.getElementById('loginPassword');
+const loginError = document.getElementById('loginError');
 
 // Buttons
 const darkModeToggle = document.getElementById('darkModeToggle');
+const logoutBtn = document.getElementById('logoutBtn');
 const newFolderBtn = document.getElementById('newFolderBtn');
 const fileUpload = document.getElementById('fileUpload');
 const propertiesBtn = document.getElementById('propertiesBtn');
@@ -22,6 +110,10 @@ const copyBtn = document.getElementById('copyBtn');
 const cutBtn = document.getElementById('cutBtn');
 const pasteBtn = document.getElementById('pasteBtn');
 const deleteBtn = document.getElementById('deleteBtn');
+const renameBtn = document.getElementById('renameBtn');
+
+// Context menu
+const contextMenu = document.getElementById('contextMenu');
 
 // Modals
 const newFolderModal = document.getElementById('newFolderModal');
@@ -30,16 +122,221 @@ const folderNameInput = document.getElementById('folderNameInput');
 const createFolderBtn = document.getElementById('createFolderBtn');
 const cancelFolderBtn = document.getElementById('cancelFolderBtn');
 const closePropertiesBtn = document.getElementById('closePropertiesBtn');
+const conflictModal = document.getElementById('conflictModal');
+const conflictMessage = document.getElementById('conflictMessage');
+const conflictExistingSize = document.getElementById('conflictExistingSize');
+const conflictExistingModified = document.getElementById('conflictExistingModified');
+const conflictIncomingSize = document.getElementById('conflictIncomingSize');
+const conflictIncomingModified = document.getElementById('conflictIncomingModified');
+const conflictApplyAllLabel = document.getElementById('conflictApplyAllLabel');
+const conflictApplyAll = document.getElementById('conflictApplyAll');
+const conflictApplyAllText = document.getElementById('conflictApplyAllText');
+const viewerModal = document.getElementById('viewerModal');
+const viewerTitle = document.getElementById('viewerTitle');
+const viewerBody = document.getElementById('viewerBody');
+const viewerDownloadBtn = document.getElementById('viewerDownloadBtn');
+const closeViewerBtn = document.getElementById('closeViewerBtn');
+const editorModal = document.getElementById('editorModal');
+const editorTitle = document.getElementById('editorTitle');
+const editorStatus = document.getElementById('editorStatus');
+const editorContainer = document.getElementById('editorContainer');
+const saveEditorBtn = document.getElementById('saveEditorBtn');
+const closeEditorBtn = document.getElementById('closeEditorBtn');
+const editBtn = document.getElementById('editBtn');
+const compressBtn = document.getElementById('compressBtn');
+const extractBtn = document.getElementById('extractBtn');
+const archiveModal = document.getElementById('archiveModal');
+const archiveTitle = document.getElementById('archiveTitle');
+const archiveSummary = document.getElementById('archiveSummary');
+const archiveEntries = document.getElementById('archiveEntries');
+const archiveExtractBtn = document.getElementById('archiveExtractBtn');
+const archiveDownloadBtn = document.getElementById('archiveDownloadBtn');
+const closeArchiveBtn = document.getElementById('closeArchiveBtn');
 const propertiesContent = document.getElementById('propertiesContent');
+const propertiesTabs = document.getElementById('propertiesTabs');
+const propertiesDetailsTab = document.getElementById('propertiesDetailsTab');
+const propertiesHistoryTab = document.getElementById('propertiesHistoryTab');
+const propertiesHistory = document.getElementById('propertiesHistory');
+const versionsStatus = document.getElementById('versionsStatus');
+const versionsTable = document.getElementById('versionsTable');
+const versionsList = document.getElementById('versionsList');
+const versionDiff = document.getElementById('versionDiff');
+const versionDiffTitle = document.getElementById('versionDiffTitle');
+const versionDiffBody = document.getElementById('versionDiffBody');
+const shareBtn = document.getElementById('shareBtn');
+const shareModal = document.getElementById('shareModal');
+const shareModalTitle = document.getElementById('shareModalTitle');
+const shareForm = document.getElementById('shareForm');
+const shareMode = document.getElementById('shareMode');
+const sharePassword = document.getElementById('sharePassword');
+const shareExpires = document.getElementById('shareExpires');
+const shareMaxDownloads = document.getElementById('shareMaxDownloads');
+const shareResult = document.getElementById('shareResult');
+const shareLink = document.getElementById('shareLink');
+const copyShareLinkBtn = document.getElementById('copyShareLinkBtn');
+const createShareBtn = document.getElementById('createShareBtn');
+const closeShareBtn = document.getElementById('closeShareBtn');
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     initializeDarkMode();
-    loadDirectoryTree();
-    loadFiles(currentPath);
+    initializeListingOptions();
     setupEventListeners();
+    
+    try {
+        const response = await fetch('/api/session');
+        if (!response.ok) {
+            showLoginScreen();
+            return;
+        }
+        const session = await response.json();
+        csrfToken = session.csrfToken;
+        startSession(session.user);
+    } catch (error) {
+        showLoginScreen();
+    }
 });
 
+// Authentication
+function hasRole(requiredRole) {
+    return !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(requiredRole);
+}
+
+function showLoginScreen() {
+    currentUser = null;
+    loginScreen.classList.add('show');
+    loginPassword.value = '';
+    loginUsername.focus();
+}
+
+function startSession(user) {
+    currentUser = user;
+    loginScreen.classList.remove('show');
+    loginError.textContent = '';
+    currentUserLabel.textContent = `${user.username} (${user.role})`;
+    loadRoots();
+    // Jobs started before a reload keep running on the server
+    pollJobs();
+}
+
+function getCurrentRootInfo() {
+    return roots.find(root => root.id === currentRoot) || null;
+}
+
+// Roots on other storage (memory, S3) lack what needs a file system: trash, search, archives, ...
+function isLocalRoot() {
+    const rootInfo = getCurrentRootInfo();
+    return !rootInfo || rootInfo.storage === 'local';
+}
+
+// Actions above read-only are writes, so they are also refused on read-only roots
+function canPerform(requiredRole) {
+    const rootInfo = getCurrentRootInfo();
+    const readOnlyRoot = !!rootInfo && rootInfo.readOnly;
+    return hasRole(requiredRole) && (requiredRole === 'read-only' || !readOnlyRoot);
+}
+
+// Hide every control the current role is not allowed to use. Controls marked
+// data-any-root do not write to the root, so they stay available on read-only roots;
+// those marked data-local-only are hidden on roots that are not local.
+function applyRolePermissions() {
+    document.querySelectorAll('[data-min-role], [data-local-only]').forEach(el => {
+        const requiredRole = el.getAttribute('data-min-role') || 'read-only';
+        const allowed = (el.hasAttribute('data-any-root') ? hasRole(requiredRole) : canPerform(requiredRole)) &&
+            (!el.hasAttribute('data-local-only') || isLocalRoot());
+        el.classList.toggle('role-hidden', !allowed);
+    });
+}
+
+// Roots
+async function loadRoots() {
+    try {
+        roots = await apiCall('/api/roots');
+        const savedRoot = localStorage.getItem('currentRoot');
+        const initialRoot = roots.find(root => root.id === savedRoot) || roots[0];
+        renderRoots();
+        if (initialRoot) {
+            switchRoot(initialRoot.id);
+        }
+    } catch (error) {
+        console.error('Failed to load roots:', error);
+    }
+}
+
+const ROOT_ICONS = { memory: 'fas fa-memory', s3: 'fas fa-cloud' };
+
+function renderRoots() {
+    rootList.innerHTML = '';
+    
+    roots.forEach(root => {
+        const rootItem = document.createElement('div');
+        rootItem.className = 'tree-item root-item';
+        rootItem.classList.toggle('selected', root.id === currentRoot);
+        
+        const icon = document.createElement('i');
+        icon.className = root.readOnly ? 'fas fa-lock' : ROOT_ICONS[root.storage] || 'fas fa-hdd';
+        const label = document.createElement('span');
+        label.textContent = root.name;
+        rootItem.append(icon, label);
+        rootItem.title = root.readOnly ? `${root.name} (read-only)` : root.name;
+        
+        rootItem.addEventListener('click', () => switchRoot(root.id));
+        rootList.appendChild(rootItem);
+    });
+}
+
+function switchRoot(rootId) {
+    currentRoot = rootId;
+    localStorage.setItem('currentRoot', rootId);
+    renderRoots();
+    applyRolePermissions();
+    loadDirectoryTree();
+    navigateToPath('');
+}
+
+async function login(event) {
+    event.preventDefault();
+    loginError.textContent = '';
+    
+    try {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: loginUsername.value.trim(),
+                password: loginPassword.value
+            })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            loginError.textContent = result.error || 'Login failed';
+            return;
+        }
+        
+        csrfToken = result.csrfToken;
+        startSession(result.user);
+    } catch (error) {
+        loginError.textContent = 'Login failed';
+    }
+}
+
+async function logout() {
+    try {
+        await fetch('/api/logout', { method: 'POST', headers: { 'X-CSRF-Token': csrfToken } });
+    } finally {
+        clearSelection();
+        stopWatching();
+        clipboard = null;
+        clipboardOperation = null;
+        fileGrid.innerHTML = '';
+        directoryTree.innerHTML = '';
+        rootList.innerHTML = '';
+        currentUserLabel.textContent = '';
+        showLoginScreen();
+    }
+}
+
 // Dark mode functionality
 function initializeDarkMode() {
     const isDarkMode = localStorage.getItem('darkMode') === 'true';
@@ -65,6 +362,8 @@ function toggleDarkMode() {
 // Event listeners setup
 function setupEventListeners() {
     darkModeToggle.addEventListener('click', toggleDarkMode);
+    logoutBtn.addEventListener('click', logout);
+    loginForm.addEventListener('submit', login);
     newFolderBtn.addEventListener('click', () => showModal(newFolderModal));
     fileUpload.addEventListener('change', handleFileUpload);
     
@@ -75,11 +374,143 @@ function setupEventListeners() {
     cutBtn.addEventListener('click', () => copyItem('cut'));
     pasteBtn.addEventListener('click', pasteItem);
     deleteBtn.addEventListener('click', deleteItem);
+    renameBtn.addEventListener('click', () => startRename());
+    
+    // Trash
+    trashItem.addEventListener('click', showTrash);
+    emptyTrashBtn.addEventListener('click', emptyTrash);
+    
+    // Share links
+    shareBtn.addEventListener('click', openShareModal);
+    sharesItem.addEventListener('click', showShares);
+    shareMode.addEventListener('change', () => {
+        shareMaxDownloads.disabled = shareMode.value === 'upload';
+    });
+    createShareBtn.addEventListener('click', createShare);
+    closeShareBtn.addEventListener('click', () => hideModal(shareModal));
+    copyShareLinkBtn.addEventListener('click', () => copyShareLink(shareLink.value));
+    
+    // Activity
+    activityItem.addEventListener('click', () => showActivity());
+    jobsItem.addEventListener('click', () => toggleJobHistory(true));
+    jobHistoryBtn.addEventListener('click', () => toggleJobHistory());
+    closeJobTrayBtn.addEventListener('click', () => {
+        // Finished jobs go away; running ones keep the tray open
+        jobTasks.forEach(task => {
+            if (task.finished) removeJobTask(task);
+        });
+        toggleJobHistory(false);
+    });
+    activityForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadActivity();
+    });
+    
+    // Disk usage
+    usageItem.addEventListener('click', () => showUsage(currentPath));
+    rescanBtn.addEventListener('click', () => startUsageScan(true));
+    cancelScanBtn.addEventListener('click', cancelUsageScan);
+    usageTreemapTab.addEventListener('click', () => setUsageTab('treemap'));
+    usageListTab.addEventListener('click', () => setUsageTab('list'));
+    usageListKind.addEventListener('change', renderUsageList);
+    usageTable.querySelectorAll('th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => setUsageSort(th.dataset.sort));
+    });
+    
+    // Duplicates
+    duplicatesItem.addEventListener('click', () => showDuplicates(currentPath));
+    rescanDuplicatesBtn.addEventListener('click', () => startDuplicatesScan(true));
+    cancelDuplicatesBtn.addEventListener('click', cancelDuplicatesScan);
+    duplicatesMinSize.addEventListener('change', () => startDuplicatesScan(false));
+    document.getElementById('selectAllButNewestBtn').addEventListener('click', () => selectDuplicates('newest'));
+    document.getElementById('selectAllButOldestBtn').addEventListener('click', () => selectDuplicates('oldest'));
+    document.getElementById('selectNoDuplicatesBtn').addEventListener('click', () => selectDuplicates(null));
+    deleteDuplicatesBtn.addEventListener('click', deleteSelectedDuplicates);
+    
+    // Search
+    searchForm.addEventListener('submit', startSearch);
+    searchOptionsBtn.addEventListener('click', () => searchOptions.classList.toggle('show'));
+    cancelSearchBtn.addEventListener('click', cancelSearch);
+    document.addEventListener('click', (e) => {
+        if (!searchForm.contains(e.target)) searchOptions.classList.remove('show');
+    });
+    
+    // Rubber-band selection
+    mainContent.addEventListener('mousedown', startRubberBand);
+    
+    // Listing: sort, hidden files, view and virtual scrolling
+    sortField.addEventListener('change', () => setSort(sortField.value, listingOptions.order));
+    sortOrderBtn.addEventListener('click', () => setSort(listingOptions.sort, listingOptions.order === 'asc' ? 'desc' : 'asc'));
+    detailsHeader.querySelectorAll('[data-sort]').forEach(column => {
+        column.addEventListener('click', () => {
+            const field = column.dataset.sort;
+            setSort(field, listingOptions.sort === field && listingOptions.order === 'asc' ? 'desc' : 'asc');
+        });
+    });
+    showHiddenToggle.addEventListener('change', () => {
+        listingOptions.showHidden = showHiddenToggle.checked;
+        saveListingOptions();
+        loadFiles(currentPath);
+    });
+    gridViewBtn.addEventListener('click', () => setView('grid'));
+    detailsViewBtn.addEventListener('click', () => setView('details'));
+    mainContent.addEventListener('scroll', scheduleRenderVisibleFiles);
+    window.addEventListener('resize', scheduleRenderVisibleFiles);
+    
+    // Context menu
+    contextMenu.addEventListener('click', handleContextMenuAction);
+    document.addEventListener('click', hideContextMenu);
+    window.addEventListener('blur', hideContextMenu);
+    
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+        const typing = ['INPUT', 'TEXTAREA'].includes(e.target.tagName) || e.target.isContentEditable;
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's' && editorModal.classList.contains('show')) {
+            e.preventDefault();
+            saveEditor();
+        } else if (e.key === 'F2' && !typing) {
+            e.preventDefault();
+            startRename();
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'a' && !typing && filesView.style.display !== 'none') {
+            e.preventDefault();
+            setSelection([...currentFiles]);
+        } else if (e.key === 'Escape') {
+            hideContextMenu();
+            if (viewerModal.classList.contains('show')) closeViewer();
+            if (editorModal.classList.contains('show')) closeEditor();
+            hideModal(archiveModal);
+            conflictModal.querySelector('[data-conflict="cancel"]').click();
+        }
+    });
     
     // Modal buttons
     createFolderBtn.addEventListener('click', createFolder);
     cancelFolderBtn.addEventListener('click', () => hideModal(newFolderModal));
     closePropertiesBtn.addEventListener('click', () => hideModal(propertiesModal));
+    propertiesDetailsTab.addEventListener('click', () => setPropertiesTab('details'));
+    propertiesHistoryTab.addEventListener('click', () => setPropertiesTab('history'));
+    closeViewerBtn.addEventListener('click', closeViewer);
+    viewerDownloadBtn.addEventListener('click', downloadItem);
+    editBtn.addEventListener('click', () => selectedItem && openEditor(selectedItem));
+    saveEditorBtn.addEventListener('click', () => saveEditor());
+    closeEditorBtn.addEventListener('click', closeEditor);
+    compressBtn.addEventListener('click', compressSelection);
+    extractBtn.addEventListener('click', () => selectedItem && extractArchive(selectedItem));
+    archiveExtractBtn.addEventListener('click', () => {
+        hideModal(archiveModal);
+        extractArchive(selectedItem);
+    });
+    archiveDownloadBtn.addEventListener('click', downloadItem);
+    closeArchiveBtn.addEventListener('click', () => hideModal(archiveModal));
+    archiveModal.addEventListener('click', (e) => {
+        if (e.target === archiveModal) hideModal(archiveModal);
+    });
+    window.addEventListener('beforeunload', (e) => {
+        if (editorState && editorState.dirty) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
     
     // Modal backdrop clicks
     newFolderModal.addEventListener('click', (e) => {
@@ -88,6 +519,9 @@ function setupEventListeners() {
     propertiesModal.addEventListener('click', (e) => {
         if (e.target === propertiesModal) hideModal(propertiesModal);
     });
+    viewerModal.addEventListener('click', (e) => {
+        if (e.target === viewerModal) closeViewer();
+    });
     
     // Enter key for folder creation
     folderNameInput.addEventListener('keypress', (e) => {
@@ -96,29 +530,43 @@ function setupEventListeners() {
 }
 
 // API calls
+// Pass { quiet: true } to handle errors (e.g. 409 conflicts) without the error notification
+// quiet: no error notification; background: no loading indicator (for polling)
 async function apiCall(url, options = {}) {
-    showLoading();
+    const { quiet, background, ...fetchOptions } = options;
+    if (!background) showLoading();
     try {
         const response = await fetch(url, {
             headers: {
                 'Content-Type': 'application/json',
-                ...options.headers
+                'X-CSRF-Token': csrfToken,
+                ...fetchOptions.headers
             },
-            ...options
+            ...fetchOptions
         });
         
+        if (response.status === 401) {
+            showLoginScreen();
+            throw new Error('Please log in again');
+        }
+        
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Request failed');
+            const body = await response.json();
+            const error = new Error(body.error || 'Request failed');
+            error.status = response.status;
+            error.details = body;
+            throw error;
         }
         
         return await response.json();
     } catch (error) {
         console.error('API call failed:', error);
-        showNotification(error.message, 'error');
+        if (!quiet) {
+            showNotification(error.message, 'error');
+        }
         throw error;
     } finally {
-        hideLoading();
+        if (!background) hideLoading();
     }
 }
 
@@ -180,13 +628,45 @@ function showNotification(message, type = 'info') {
     }, 3000);
 }
 
+// Extensions by icon category. Code extensions map to the editor's syntax mode.
+const DOCUMENT_EXTENSIONS = ['pdf', 'doc', 'docx', 'txt', 'rtf'];
+const ARCHIVE_EXTENSIONS = ['zip', 'rar', '7z', 'tar', 'gz'];
+const CODE_EDITOR_MODES = {
+    js: 'javascript',
+    html: 'htmlmixed',
+    css: 'css',
+    php: 'application/x-httpd-php',
+    py: 'python',
+    java: 'text/x-java',
+    cpp: 'text/x-c++src',
+    c: 'text/x-csrc'
+};
+
+// Plain-text formats the editor opens without highlighting
+const TEXT_EXTENSIONS = ['txt', 'md', 'json', 'xml', 'yml', 'yaml', 'ini', 'conf', 'cfg', 'log', 'csv', 'sh', 'env'];
+
+function getExtension(name) {
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+// File names and other text from the server go into HTML only through this
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
 // File icon helper
 function getFileIcon(item) {
     if (item.isDirectory) {
         return '<i class="fas fa-folder file-icon folder"></i>';
     }
     
-    const ext = item.name.split('.').pop().toLowerCase();
+    const ext = getExtension(item.name);
     const type = item.type || '';
     
     if (type.startsWith('image/')) {
@@ -195,11 +675,11 @@ function getFileIcon(item) {
         return '<i class="fas fa-video file-icon video"></i>';
     } else if (type.startsWith('audio/')) {
         return '<i class="fas fa-music file-icon audio"></i>';
-    } else if (['pdf', 'doc', 'docx', 'txt', 'rtf'].includes(ext)) {
+    } else if (DOCUMENT_EXTENSIONS.includes(ext)) {
         return '<i class="fas fa-file-alt file-icon document"></i>';
-    } else if (['zip', 'rar', '7z', 'tar', 'gz'].includes(ext)) {
+    } else if (ARCHIVE_EXTENSIONS.includes(ext)) {
         return '<i class="fas fa-file-archive file-icon archive"></i>';
-    } else if (['js', 'html', 'css', 'php', 'py', 'java', 'cpp', 'c'].includes(ext)) {
+    } else if (ext in CODE_EDITOR_MODES) {
         return '<i class="fas fa-code file-icon code"></i>';
     } else {
         return '<i class="fas fa-file file-icon"></i>';
@@ -217,120 +697,656 @@ function formatFileSize(bytes) {
 }
 
 // Format date
+// Folders show their total size once a disk usage scan has measured it
+function getItemSize(item) {
+    if (item.isDirectory) {
+        return item.totalSize === undefined ? '' : formatFileSize(item.totalSize);
+    }
+    return formatFileSize(item.size);
+}
+
+// Folders in object storage have no date of their own
 function formatDate(date) {
+    if (!date) return '—';
     return new Date(date).toLocaleDateString() + ' ' + new Date(date).toLocaleTimeString();
 }
 
-// Load directory tree
+// Folders expanded in the sidebar tree, remembered per root
+function getExpandedFolders() {
+    return new Set(JSON.parse(localStorage.getItem(`expandedFolders:${currentRoot}`) || '[]'));
+}
+
+function saveExpandedFolders(folders) {
+    localStorage.setItem(`expandedFolders:${currentRoot}`, JSON.stringify([...folders]));
+}
+
+// The subfolders of one folder
+function fetchTreeLevel(path) {
+    return apiCall(`/api/tree?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(path)}`);
+}
+
+// Load directory tree: the top level plus every folder that was left expanded
+let treeLoadCount = 0;
 async function loadDirectoryTree() {
+    const load = ++treeLoadCount;
+    const expanded = getExpandedFolders();
+    const container = document.createElement('div');
+    
     try {
-        const tree = await apiCall('/api/tree');
-        renderDirectoryTree(tree, directoryTree);
+        const items = await fetchTreeLevel('');
+        await renderDirectoryTree(items, container, 0, expanded);
+        
+        // A newer load (e.g. after another paste) replaces this one
+        if (load !== treeLoadCount) return;
+        directoryTree.replaceChildren(...container.childNodes);
+        saveExpandedFolders(expanded);
+        
+        const current = findTreeElement('.tree-item', currentPath);
+        if (current) current.classList.add('selected');
     } catch (error) {
         console.error('Failed to load directory tree:', error);
     }
 }
 
-// Render directory tree
-function renderDirectoryTree(items, container, level = 0) {
+// Render directory tree, one level at a time. Remembered expanded folders are fetched and
+// rendered too; ones that no longer exist are dropped from the expanded set.
+async function renderDirectoryTree(items, container, level = 0, expanded = new Set()) {
     container.innerHTML = '';
     
-    items.forEach(item => {
-        if (item.isDirectory) {
-            const treeItem = document.createElement('div');
-            treeItem.className = 'tree-item';
-            treeItem.style.paddingLeft = `${level * 1}rem`;
-            treeItem.innerHTML = `
-                <i class="fas fa-folder"></i>
-                <span>${item.name}</span>
-            `;
-            
-            treeItem.addEventListener('click', () => {
-                navigateToPath(item.path);
-                // Update selected state
-                document.querySelectorAll('.tree-item').forEach(el => el.classList.remove('selected'));
-                treeItem.classList.add('selected');
-            });
-            
-            container.appendChild(treeItem);
-            
-            if (item.children && item.children.length > 0) {
-                const childContainer = document.createElement('div');
-                childContainer.className = 'tree-children';
-                renderDirectoryTree(item.children, childContainer, level + 1);
+    for (const item of items) {
+        const treeItem = createTreeItem(item, level);
+        container.appendChild(treeItem);
+        
+        if (item.hasChildren && expanded.has(item.path)) {
+            try {
+                const children = await fetchTreeLevel(item.path);
+                const childContainer = createTreeChildren(item.path, level + 1);
+                await renderDirectoryTree(children, childContainer, level + 1, expanded);
                 container.appendChild(childContainer);
+                treeItem.classList.add('expanded');
+            } catch (error) {
+                expanded.delete(item.path);
             }
         }
+    }
+}
+
+function createTreeItem(item, level) {
+    const treeItem = document.createElement('div');
+    treeItem.className = 'tree-item';
+    treeItem.dataset.path = item.path;
+    treeItem.dataset.level = level;
+    treeItem.style.paddingLeft = `${level * 1}rem`;
+    treeItem.innerHTML = `
+        <i class="fas fa-caret-right tree-caret"></i>
+        <i class="fas fa-folder"></i>
+        <span>${escapeHtml(item.name)}</span>
+    `;
+    
+    const caret = treeItem.querySelector('.tree-caret');
+    caret.classList.toggle('empty', !item.hasChildren);
+    caret.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleTreeItem(treeItem);
+    });
+    if (item.loop) {
+        treeItem.title = 'Link to one of its parent folders';
+    }
+    
+    // The path is read on click because live updates may rename the folder
+    treeItem.addEventListener('click', () => {
+        navigateToPath(treeItem.dataset.path);
+        // Update selected state
+        document.querySelectorAll('.tree-item').forEach(el => el.classList.remove('selected'));
+        treeItem.classList.add('selected');
+    });
+    
+    return treeItem;
+}
+
+function createTreeChildren(path, level) {
+    const childContainer = document.createElement('div');
+    childContainer.className = 'tree-children';
+    childContainer.dataset.path = path;
+    childContainer.dataset.level = level;
+    return childContainer;
+}
+
+// Expand a folder in the tree (fetching its subfolders) or collapse it
+async function toggleTreeItem(treeItem) {
+    const path = treeItem.dataset.path;
+    const expanded = getExpandedFolders();
+    
+    if (treeItem.classList.contains('expanded')) {
+        treeItem.classList.remove('expanded');
+        const children = findTreeElement('.tree-children', path);
+        if (children) children.remove();
+        expanded.delete(path);
+        saveExpandedFolders(expanded);
+        return;
+    }
+    
+    try {
+        const items = await fetchTreeLevel(path);
+        const level = Number(treeItem.dataset.level) + 1;
+        const childContainer = createTreeChildren(path, level);
+        await renderDirectoryTree(items, childContainer, level, expanded);
+        
+        // The folder may have been expanded or removed while loading
+        const stale = findTreeElement('.tree-children', path);
+        if (stale) stale.remove();
+        if (!treeItem.isConnected) return;
+        
+        treeItem.after(childContainer);
+        treeItem.classList.add('expanded');
+        treeItem.querySelector('.tree-caret').classList.toggle('empty', items.length === 0);
+        expanded.add(path);
+        saveExpandedFolders(expanded);
+    } catch (error) {
+        console.error('Failed to expand folder:', error);
+    }
+}
+
+// Listing options, remembered in the browser
+const LISTING_PAGE_SIZE = 200;
+let listingOptions = { sort: 'name', order: 'asc', showHidden: true, view: 'grid' };
+let listingCursor = null; // where the next page of the current folder starts, null when all is loaded
+let listingTotal = 0;
+let listingRequest = 0; // bumped by every loadFiles, so late pages of a previous folder are dropped
+let loadingMore = null;
+
+function initializeListingOptions() {
+    listingOptions = { ...listingOptions, ...JSON.parse(localStorage.getItem('listingOptions') || '{}') };
+    updateListingControls();
+}
+
+function saveListingOptions() {
+    localStorage.setItem('listingOptions', JSON.stringify(listingOptions));
+    updateListingControls();
+}
+
+function updateListingControls() {
+    sortField.value = listingOptions.sort;
+    sortOrderBtn.querySelector('i').className = listingOptions.order === 'asc'
+        ? 'fas fa-sort-amount-down-alt'
+        : 'fas fa-sort-amount-down';
+    showHiddenToggle.checked = listingOptions.showHidden;
+    
+    const details = listingOptions.view === 'details';
+    fileGrid.classList.toggle('details-view', details);
+    detailsHeader.classList.toggle('show', details);
+    gridViewBtn.classList.toggle('active', !details);
+    detailsViewBtn.classList.toggle('active', details);
+    detailsHeader.querySelectorAll('[data-sort]').forEach(column => {
+        column.classList.toggle('sorted', column.dataset.sort === listingOptions.sort);
+        column.classList.toggle('descending', listingOptions.order === 'desc');
+    });
+}
+
+function setSort(sort, order) {
+    listingOptions.sort = sort;
+    listingOptions.order = order;
+    saveListingOptions();
+    loadFiles(currentPath);
+}
+
+function setView(view) {
+    listingOptions.view = view;
+    saveListingOptions();
+    renderVisibleFiles(true);
+}
+
+function updateListingCount() {
+    listingCount.textContent = listingTotal === 1 ? '1 item' : `${listingTotal} items`;
+}
+
+function fetchFilesPage(path, cursor) {
+    const params = new URLSearchParams({
+        root: currentRoot,
+        path,
+        sort: listingOptions.sort,
+        order: listingOptions.order,
+        limit: LISTING_PAGE_SIZE
     });
+    if (!listingOptions.showHidden) params.set('hidden', 'false');
+    if (cursor) params.set('cursor', cursor);
+    return apiCall(`/api/files?${params}`);
 }
 
-// Load files in current path
+// Load files in current path. Only the first page is fetched; more follow while scrolling.
 async function loadFiles(path) {
+    const request = ++listingRequest;
     try {
-        const files = await apiCall(`/api/files?path=${encodeURIComponent(path)}`);
-        renderFiles(files);
+        const listing = await fetchFilesPage(path, null);
+        if (request !== listingRequest) return;
+        
+        showFilesView();
+        if (path !== currentPath) mainContent.scrollTop = 0;
+        listingCursor = listing.nextCursor;
+        listingTotal = listing.total;
+        loadingMore = null;
+        renderFiles(listing.items);
         updateBreadcrumb(path);
         currentPath = path;
+        watchFolder(path);
     } catch (error) {
         console.error('Failed to load files:', error);
     }
 }
 
+// Fetch the next page of the current folder
+function loadMoreFiles() {
+    if (loadingMore || !listingCursor) return loadingMore;
+    
+    const request = listingRequest;
+    loadingMore = fetchFilesPage(currentPath, listingCursor)
+        .then(listing => {
+            if (request !== listingRequest) return;
+            // Live updates may already have added some of these
+            const loaded = new Set(currentFiles.map(file => file.path));
+            currentFiles.push(...listing.items.filter(item => !loaded.has(item.path)));
+            listingCursor = listing.nextCursor;
+            listingTotal = listing.total;
+        })
+        .catch(error => console.error('Failed to load more files:', error))
+        .finally(() => {
+            if (request !== listingRequest) return;
+            loadingMore = null;
+            updateListingCount();
+            renderVisibleFiles(true);
+        });
+    return loadingMore;
+}
+
 // Render files in grid
 function renderFiles(files) {
-    fileGrid.innerHTML = '';
+    currentFiles = files;
+    updateListingCount();
     
     if (files.length === 0) {
-        fileGrid.innerHTML = '<p style="grid-column: 1 / -1; text-align: center; color: var(--text-secondary); margin: 2rem;">This folder is empty</p>';
+        setSelection([]);
+        showEmptyFolder();
         return;
     }
     
-    files.forEach(file => {
-        const fileElement = document.createElement('div');
-        fileElement.className = 'file-item';
+    // Keep the selection across reloads of the same folder
+    const selectedPaths = new Set(selectedItems.map(item => item.path));
+    const focusedPath = selectedItem && selectedItem.path;
+    const reselected = files.filter(file => selectedPaths.has(file.path));
+    selectedItems = reselected;
+    selectedItem = reselected.find(file => file.path === focusedPath) || null;
+    renderVisibleFiles(true);
+}
+
+function showEmptyFolder() {
+    renderedRange = null;
+    fileGrid.style.paddingTop = '';
+    fileGrid.style.paddingBottom = '';
+    fileGrid.innerHTML = '<p class="empty-folder" style="grid-column: 1 / -1; text-align: center; color: var(--text-secondary); margin: 2rem;">This folder is empty</p>';
+}
+
+// Virtual scrolling: items have a fixed height (grid-auto-rows), so the rows in view follow
+// from the scroll position. Only those rows, plus a margin, exist in the DOM; padding
+// above and below stands in for the rest.
+const OVERSCAN_ROWS = 3;
+let renderedRange = null;
+let renderFrame = null;
+
+function getGridLayout() {
+    const style = getComputedStyle(fileGrid);
+    return {
+        columns: Math.max(style.gridTemplateColumns.split(' ').length, 1),
+        rowStride: parseFloat(style.gridAutoRows) + (parseFloat(style.rowGap) || 0)
+    };
+}
+
+function scheduleRenderVisibleFiles() {
+    if (renderFrame) return;
+    renderFrame = requestAnimationFrame(() => {
+        renderFrame = null;
+        renderVisibleFiles();
+    });
+}
+
+function renderVisibleFiles(force = false) {
+    if (currentFiles.length === 0 || filesView.style.display === 'none') return;
+    // Re-rendering would throw away an inline rename in progress
+    if (!force && fileGrid.querySelector('.renaming')) return;
+    
+    const { columns, rowStride } = getGridLayout();
+    const rows = Math.ceil(currentFiles.length / columns);
+    const gridTop = fileGrid.getBoundingClientRect().top - mainContent.getBoundingClientRect().top;
+    const firstRow = Math.max(Math.floor(-gridTop / rowStride) - OVERSCAN_ROWS, 0);
+    const lastRow = Math.min(Math.ceil((mainContent.clientHeight - gridTop) / rowStride) + OVERSCAN_ROWS, rows);
+    const start = firstRow * columns;
+    const end = Math.min(lastRow * columns, currentFiles.length);
+    
+    if (force || !renderedRange || renderedRange.start !== start || renderedRange.end !== end) {
+        renderedRange = { start, end };
+        fileGrid.style.paddingTop = `${firstRow * rowStride}px`;
+        fileGrid.style.paddingBottom = `${Math.max(rows - lastRow, 0) * rowStride}px`;
+        fileGrid.replaceChildren(...currentFiles.slice(start, end).map(createFileElement));
+        setSelection(selectedItems, selectedItem);
+    }
+    
+    // Fetch more before the user reaches the end of what is loaded
+    if (lastRow >= rows - OVERSCAN_ROWS && listingCursor) {
+        loadMoreFiles();
+    }
+}
+
+// Scroll the grid so that an item is in view
+function scrollToFile(file) {
+    const index = currentFiles.indexOf(file);
+    if (index < 0) return;
+    
+    const { columns, rowStride } = getGridLayout();
+    const gridTop = fileGrid.getBoundingClientRect().top - mainContent.getBoundingClientRect().top + mainContent.scrollTop;
+    const rowTop = gridTop + Math.floor(index / columns) * rowStride;
+    if (rowTop < mainContent.scrollTop || rowTop + rowStride > mainContent.scrollTop + mainContent.clientHeight) {
+        mainContent.scrollTop = rowTop - (mainContent.clientHeight - rowStride) / 2;
+    }
+    renderVisibleFiles(true);
+}
+
+function createFileElement(file) {
+    const fileElement = document.createElement('div');
+    fileElement.className = 'file-item';
+    fileElement.dataset.path = file.path;
+    if (listingOptions.view === 'details') {
         fileElement.innerHTML = `
             ${getFileIcon(file)}
-            <div class="file-name">${file.name}</div>
+            <div class="file-name">${escapeHtml(file.name)}</div>
+            <div class="file-info">${getItemSize(file)}</div>
+            <div class="file-info">${formatDate(file.modified)}</div>
+            <div class="file-info">${file.isDirectory ? 'Folder' : escapeHtml(file.type)}</div>
+        `;
+    } else {
+        fileElement.innerHTML = `
+            ${getFileIcon(file)}
+            <div class="file-name">${escapeHtml(file.name)}</div>
             <div class="file-info">
-                ${file.isDirectory ? '' : formatFileSize(file.size)}
+                ${getItemSize(file)}
             </div>
         `;
-        
-        fileElement.addEventListener('click', () => selectItem(file, fileElement));
-        fileElement.addEventListener('dblclick', () => {
-            if (file.isDirectory) {
-                navigateToPath(file.path);
-            } else {
-                downloadItem();
-            }
-        });
-        
-        fileGrid.appendChild(fileElement);
+    }
+    
+    fileElement.addEventListener('click', (e) => selectItem(file, fileElement, e));
+    fileElement.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        // Right-clicking inside the selection keeps it, like desktop file managers
+        if (!selectedItems.includes(file)) {
+            selectItem(file, fileElement);
+        }
+        showContextMenu(e.clientX, e.clientY);
     });
+    fileElement.addEventListener('dblclick', () => {
+        if (fileElement.classList.contains('renaming')) return;
+        openItem(file);
+    });
+    
+    return fileElement;
+}
+
+function getFileByPath(path) {
+    return currentFiles.find(file => file.path === path);
 }
 
-// Select item
-function selectItem(item, element) {
-    // Remove previous selection
-    document.querySelectorAll('.file-item').forEach(el => el.classList.remove('selected'));
+// Select item. Ctrl/Cmd-click toggles an item, Shift-click selects a range from the anchor.
+function selectItem(item, element, event = {}) {
+    const index = currentFiles.indexOf(item);
+    const anchorIndex = currentFiles.indexOf(selectionAnchor);
+    const toggle = event.ctrlKey || event.metaKey;
     
-    // Select current item
-    element.classList.add('selected');
-    selectedItem = item;
+    if (event.shiftKey && anchorIndex >= 0 && index >= 0) {
+        const start = Math.min(anchorIndex, index);
+        const end = Math.max(anchorIndex, index);
+        const range = currentFiles.slice(start, end + 1);
+        selectedItems = toggle ? [...new Set([...selectedItems, ...range])] : range;
+    } else if (toggle) {
+        selectedItems = selectedItems.includes(item)
+            ? selectedItems.filter(selected => selected !== item)
+            : [...selectedItems, item];
+        selectionAnchor = item;
+    } else {
+        selectedItems = [item];
+        selectionAnchor = item;
+    }
+    
+    // The clicked item stays focused unless it was just deselected
+    const focused = selectedItems.includes(item) ? item : selectedItems[selectedItems.length - 1];
+    setSelection(selectedItems, focused || null, focused === item ? element : null);
+}
+
+// Apply a selection to the grid and the action buttons
+function setSelection(items, focusedItem = items[items.length - 1] || null, focusedElement = null) {
+    selectedItems = items;
+    selectedItem = focusedItem;
+    selectedElement = focusedElement;
+    
+    const selectedPaths = new Set(selectedItems.map(item => item.path));
+    fileGrid.querySelectorAll('.file-item').forEach(el => {
+        el.classList.toggle('selected', selectedPaths.has(el.dataset.path));
+        if (selectedItem && el.dataset.path === selectedItem.path && !selectedElement) {
+            selectedElement = el;
+        }
+    });
     
     // Show actions section
-    actionsSection.style.display = 'block';
+    actionsSection.style.display = selectedItems.length > 0 ? 'block' : 'none';
+    
+    // Single-item actions
+    const multiple = selectedItems.length > 1;
+    editBtn.disabled = multiple;
+    renameBtn.disabled = multiple;
+    
+    // Actions that only apply to one kind of item
+    const archive = !multiple && !!selectedItem && isArchive(selectedItem);
+    document.querySelectorAll('[data-requires="archive"]').forEach(el => {
+        el.classList.toggle('item-hidden', !archive);
+    });
+    const folder = !multiple && !!selectedItem && selectedItem.isDirectory;
+    document.querySelectorAll('[data-requires="folder"]').forEach(el => {
+        el.classList.toggle('item-hidden', !folder);
+    });
     
     // Update paste button state
     pasteBtn.disabled = !clipboard;
 }
 
+function clearSelection() {
+    selectionAnchor = null;
+    setSelection([]);
+}
+
+// Rubber-band selection: drag over the empty area around the grid to select the items it touches
+function startRubberBand(e) {
+    if (e.button !== 0 || filesView.style.display === 'none' || e.target.closest('.file-item, .listing-toolbar, .details-header')) return;
+    
+    e.preventDefault();
+    const startX = e.clientX;
+    const startY = e.clientY;
+    const additive = e.ctrlKey || e.metaKey;
+    const initial = additive ? selectedItems : [];
+    let box = null;
+    
+    const onMove = (moveEvent) => {
+        const left = Math.min(startX, moveEvent.clientX);
+        const top = Math.min(startY, moveEvent.clientY);
+        const right = Math.max(startX, moveEvent.clientX);
+        const bottom = Math.max(startY, moveEvent.clientY);
+        if (!box) {
+            if (right - left < 4 && bottom - top < 4) return;
+            box = document.createElement('div');
+            box.className = 'selection-box';
+            document.body.appendChild(box);
+        }
+        Object.assign(box.style, {
+            left: `${left}px`,
+            top: `${top}px`,
+            width: `${right - left}px`,
+            height: `${bottom - top}px`
+        });
+        
+        const touched = [...fileGrid.querySelectorAll('.file-item')]
+            .filter(el => {
+                const rect = el.getBoundingClientRect();
+                return rect.left < right && rect.right > left && rect.top < bottom && rect.bottom > top;
+            })
+            .map(el => getFileByPath(el.dataset.path));
+        setSelection([...new Set([...initial, ...touched])]);
+    };
+    
+    const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+        if (box) {
+            box.remove();
+        } else if (!additive) {
+            // A plain click on the empty area clears the selection
+            clearSelection();
+        }
+    };
+    
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+}
+
 // Navigate to path
 function navigateToPath(path) {
     loadFiles(path);
-    selectedItem = null;
-    actionsSection.style.display = 'none';
-    document.querySelectorAll('.file-item').forEach(el => el.classList.remove('selected'));
+    clearSelection();
+}
+
+// Context menu
+function showContextMenu(x, y) {
+    contextMenu.classList.add('show');
+    
+    // Keep the menu inside the viewport
+    const rect = contextMenu.getBoundingClientRect();
+    contextMenu.style.left = `${Math.min(x, window.innerWidth - rect.width - 4)}px`;
+    contextMenu.style.top = `${Math.min(y, window.innerHeight - rect.height - 4)}px`;
+}
+
+function hideContextMenu() {
+    contextMenu.classList.remove('show');
+}
+
+function handleContextMenuAction(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    
+    hideContextMenu();
+    switch (button.getAttribute('data-action')) {
+        case 'open':
+            openItem(selectedItem);
+            break;
+        case 'edit':
+            openEditor(selectedItem);
+            break;
+        case 'browse-archive':
+            openArchive(selectedItem);
+            break;
+        case 'extract':
+            extractArchive(selectedItem);
+            break;
+        case 'compress':
+            compressSelection();
+            break;
+        case 'rename':
+            startRename();
+            break;
+        case 'download':
+            downloadItem();
+            break;
+        case 'share':
+            openShareModal();
+            break;
+        case 'activity':
+            showActivity({ path: selectedItem.path, root: currentRoot });
+            break;
+        case 'usage':
+            showUsage(selectedItem.path);
+            break;
+        case 'duplicates':
+            showDuplicates(selectedItem.path);
+            break;
+        case 'copy':
+            copyItem('copy');
+            break;
+        case 'cut':
+            copyItem('cut');
+            break;
+        case 'delete':
+            deleteItem();
+            break;
+        case 'properties':
+            showProperties();
+            break;
+    }
+}
+
+// Inline rename of the selected item's name in the grid
+function startRename() {
+    if (!selectedItem || !selectedElement || selectedItems.length > 1 || !canPerform('admin')) return;
+    if (selectedElement.classList.contains('renaming')) return;
+    
+    const item = selectedItem;
+    const element = selectedElement;
+    const nameElement = element.querySelector('.file-name');
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'rename-input';
+    input.value = item.name;
+    
+    element.classList.add('renaming');
+    nameElement.replaceWith(input);
+    input.focus();
+    
+    // Select the name without its extension, like desktop file managers
+    const dotIndex = item.isDirectory ? -1 : item.name.lastIndexOf('.');
+    input.setSelectionRange(0, dotIndex > 0 ? dotIndex : item.name.length);
+    
+    let finished = false;
+    const finish = async (save) => {
+        if (finished) return;
+        finished = true;
+        
+        const newName = input.value.trim();
+        input.replaceWith(nameElement);
+        element.classList.remove('renaming');
+        
+        if (!save || !newName || newName === item.name) return;
+        
+        try {
+            await apiCall('/api/rename', {
+                method: 'POST',
+                body: JSON.stringify({
+                    root: currentRoot,
+                    path: item.path,
+                    name: newName
+                })
+            });
+            
+            loadFiles(currentPath);
+            if (item.isDirectory) {
+                loadDirectoryTree();
+            }
+            showNotification('Item renamed successfully', 'success');
+        } catch (error) {
+            // apiCall already reported the server's reason
+        }
+    };
+    
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('dblclick', (e) => e.stopPropagation());
 }
 
 // Update breadcrumb
@@ -340,7 +1356,9 @@ function updateBreadcrumb(path) {
     const rootItem = document.createElement('span');
     rootItem.className = 'breadcrumb-item';
     rootItem.setAttribute('data-path', '');
-    rootItem.innerHTML = '<i class="fas fa-home"></i> Root';
+    const rootInfo = getCurrentRootInfo();
+    rootItem.innerHTML = '<i class="fas fa-home"></i> ';
+    rootItem.appendChild(document.createTextNode(rootInfo ? rootInfo.name : 'Root'));
     rootItem.addEventListener('click', () => navigateToPath(''));
     breadcrumb.appendChild(rootItem);
     
@@ -378,6 +1396,7 @@ async function createFolder() {
         await apiCall('/api/directory', {
             method: 'POST',
             body: JSON.stringify({
+                root: currentRoot,
                 path: currentPath,
                 name: name
             })
@@ -393,67 +1412,568 @@ async function createFolder() {
 }
 
 // Handle file upload
-async function handleFileUpload(event) {
+function handleFileUpload(event) {
     const files = Array.from(event.target.files);
-    if (files.length === 0) return;
+    const conflictBatch = createConflictBatch(files.length);
+    files.forEach(file => startUpload(file, currentRoot, currentPath, conflictBatch));
     
-    const formData = new FormData();
-    files.forEach(file => formData.append('files', file));
-    formData.append('path', currentPath);
-    
-    try {
-        // Show upload progress
-        uploadProgress.style.display = 'block';
-        const progressFill = document.getElementById('progressFill');
-        const progressText = document.getElementById('progressText');
+    // Reset file input
+    event.target.value = '';
+}
+
+// Chunked, resumable uploads (see lib/uploads.js)
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+const UPLOAD_MAX_RETRIES = 5;
+const UPLOAD_CHECKSUM_MAX_SIZE = 64 * 1024 * 1024;
+
+// Server session ids by file, so re-selecting a file after a failure or reload resumes it
+function getSavedUploadSessions() {
+    return JSON.parse(localStorage.getItem('uploadSessions') || '{}');
+}
+
+function saveUploadSession(key, id) {
+    const sessions = getSavedUploadSessions();
+    if (id) {
+        sessions[key] = id;
+    } else {
+        delete sessions[key];
+    }
+    localStorage.setItem('uploadSessions', JSON.stringify(sessions));
+}
+
+// conflictBatch holds the "for all" answer to conflicts among the files uploaded together
+function startUpload(file, root, directory, conflictBatch = createConflictBatch(1)) {
+    const key = [root, directory, file.name, file.size, file.lastModified].join('|');
+    const task = {
+        key,
+        file,
+        root,
+        directory,
+        conflictBatch,
+        conflict: 'fail',
+        id: getSavedUploadSessions()[key] || null,
+        offset: 0,
+        sent: 0,
+        state: 'pending',
+        xhr: null
+    };
+    
+    task.element = createUploadTaskElement(task);
+    runUpload(task);
+}
+
+async function runUpload(task) {
+    task.state = 'uploading';
+    updateUploadTask(task, 'Starting...');
+    
+    try {
+        if (!await openUploadSession(task)) {
+            finishSkippedUpload(task);
+            return;
+        }
         
-        // Simulate progress (you can implement real progress tracking)
-        let progress = 0;
-        const progressInterval = setInterval(() => {
-            progress += 10;
-            progressFill.style.width = progress + '%';
-            progressText.textContent = `Uploading... ${progress}%`;
-            
-            if (progress >= 90) {
-                clearInterval(progressInterval);
+        let retries = 0;
+        while (task.offset < task.file.size) {
+            const chunk = task.file.slice(task.offset, task.offset + UPLOAD_CHUNK_SIZE);
+            try {
+                task.offset = await sendUploadChunk(task, chunk);
+                retries = 0;
+            } catch (error) {
+                if (task.state !== 'uploading') return; // paused or cancelled
+                if (error.status === 401 || error.status === 403 || error.status === 404) throw error;
+                if (++retries > UPLOAD_MAX_RETRIES) throw error;
+                
+                // Back off, then ask the server how much actually arrived
+                updateUploadTask(task, `Connection problem, retrying (${retries}/${UPLOAD_MAX_RETRIES})...`);
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** retries));
+                if (task.state !== 'uploading') return;
+                await openUploadSession(task);
             }
-        }, 100);
-        
-        await fetch('/api/upload', {
-            method: 'POST',
-            body: formData
-        });
+        }
         
-        clearInterval(progressInterval);
-        progressFill.style.width = '100%';
-        progressText.textContent = 'Upload complete!';
+        updateUploadTask(task, 'Verifying...');
+        if (!await finalizeUpload(task)) {
+            finishSkippedUpload(task);
+            return;
+        }
         
-        setTimeout(() => {
-            uploadProgress.style.display = 'none';
-        }, 1000);
+        task.state = 'done';
+        saveUploadSession(task.key, null);
+        updateUploadTask(task, 'Upload complete');
+        setTimeout(() => removeUploadTask(task), 3000);
         
-        loadFiles(currentPath);
-        showNotification('Files uploaded successfully', 'success');
+        if (task.root === currentRoot && task.directory === currentPath) {
+            loadFiles(currentPath);
+        }
     } catch (error) {
+        if (task.state !== 'uploading') return;
+        if (error.status === 401) {
+            showLoginScreen();
+        }
+        task.state = 'failed';
+        updateUploadTask(task, `Failed: ${error.message}`);
+    }
+}
+
+// Ask what to do about a file that already exists. Resolves false when the user cancelled,
+// which also cancels the upload.
+async function resolveUploadConflict(task, error) {
+    const conflicts = error.details && error.details.conflicts;
+    if (error.status !== 409 || !conflicts) throw error;
+    
+    updateUploadTask(task, 'Already exists');
+    const policy = task.conflictBatch.cancelled ? null : await askConflict(conflicts[0], task.conflictBatch);
+    if (!policy) {
+        cancelUpload(task);
+        return false;
+    }
+    task.conflict = policy;
+    updateUploadTask(task, 'Starting...');
+    return true;
+}
+
+function finishSkippedUpload(task) {
+    if (task.state !== 'uploading') return;
+    task.state = 'done';
+    saveUploadSession(task.key, null);
+    updateUploadTask(task, 'Skipped, the existing file was kept');
+    setTimeout(() => removeUploadTask(task), 3000);
+}
+
+// Resume the saved session if the server still has it, otherwise start a new one.
+// Resolves false when the file is skipped because of a conflict.
+async function openUploadSession(task) {
+    if (task.id) {
+        try {
+            const session = await apiCall(`/api/uploads/${task.id}?root=${encodeURIComponent(task.root)}`, { quiet: true });
+            task.offset = session.offset;
+            task.sent = session.offset;
+            return true;
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            saveUploadSession(task.key, null);
+        }
+    }
+    
+    let session;
+    while (!session) {
+        try {
+            session = await apiCall('/api/uploads', {
+                method: 'POST',
+                quiet: true,
+                body: JSON.stringify({
+                    root: task.root,
+                    path: task.directory,
+                    name: task.file.name,
+                    size: task.file.size,
+                    modified: new Date(task.file.lastModified).toISOString(),
+                    conflict: task.conflict
+                })
+            });
+        } catch (error) {
+            if (!await resolveUploadConflict(task, error)) return false;
+        }
+    }
+    if (session.skipped) return false;
+    
+    task.id = session.id;
+    task.offset = 0;
+    task.sent = 0;
+    saveUploadSession(task.key, task.id);
+    return true;
+}
+
+// Send one chunk with XHR for byte-level progress; resolves with the new offset
+function sendUploadChunk(task, chunk) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        task.xhr = xhr;
+        xhr.open('PATCH', `/api/uploads/${task.id}?root=${encodeURIComponent(task.root)}`);
+        xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+        xhr.setRequestHeader('Upload-Offset', String(task.offset));
+        xhr.setRequestHeader('X-CSRF-Token', csrfToken);
+        
+        xhr.upload.addEventListener('progress', (e) => {
+            task.sent = task.offset + e.loaded;
+            updateUploadTask(task);
+        });
+        xhr.addEventListener('load', () => {
+            task.xhr = null;
+            let body = {};
+            try {
+                body = JSON.parse(xhr.responseText);
+            } catch (error) {
+                // Non-JSON error page
+            }
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(body.offset);
+            } else {
+                const error = new Error(body.error || 'Upload failed');
+                error.status = xhr.status;
+                reject(error);
+            }
+        });
+        xhr.addEventListener('error', () => {
+            task.xhr = null;
+            reject(new Error('Network error'));
+        });
+        xhr.addEventListener('abort', () => {
+            task.xhr = null;
+            reject(new Error('Upload aborted'));
+        });
+        
+        xhr.send(chunk);
+    });
+}
+
+async function finalizeUpload(task) {
+    let checksum;
+    // Hash small files so the server can verify what it received
+    if (task.file.size <= UPLOAD_CHECKSUM_MAX_SIZE && window.crypto && crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', await task.file.arrayBuffer());
+        checksum = 'sha256:' + Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
+    // A file created meanwhile conflicts again; conflict is then sent with the new answer
+    let conflict;
+    for (;;) {
+        try {
+            const result = await apiCall(`/api/uploads/${task.id}/finalize`, {
+                method: 'POST',
+                quiet: true,
+                body: JSON.stringify({ root: task.root, checksum, conflict })
+            });
+            return !result.skipped;
+        } catch (error) {
+            if (error.status === 422) {
+                // Checksum mismatch: the server dropped the session
+                saveUploadSession(task.key, null);
+                task.id = null;
+                throw error;
+            }
+            if (!await resolveUploadConflict(task, error)) return false;
+            conflict = task.conflict;
+        }
+    }
+}
+
+function pauseUpload(task) {
+    if (task.state !== 'uploading') return;
+    task.state = 'paused';
+    if (task.xhr) task.xhr.abort();
+    updateUploadTask(task, 'Paused');
+}
+
+async function cancelUpload(task) {
+    const wasActive = task.state !== 'done';
+    task.state = 'cancelled';
+    if (task.xhr) task.xhr.abort();
+    removeUploadTask(task);
+    
+    if (wasActive && task.id) {
+        saveUploadSession(task.key, null);
+        try {
+            await apiCall(`/api/uploads/${task.id}?root=${encodeURIComponent(task.root)}`, {
+                method: 'DELETE',
+                quiet: true
+            });
+        } catch (error) {
+            // The server removes abandoned sessions on its own
+        }
+    }
+}
+
+function createUploadTaskElement(task) {
+    const element = document.createElement('div');
+    element.className = 'upload-task';
+    element.innerHTML = `
+        <div class="upload-task-header">
+            <span class="upload-task-name"></span>
+            <span class="upload-task-actions">
+                <button class="btn-icon upload-toggle" title="Pause"><i class="fas fa-pause"></i></button>
+                <button class="btn-icon upload-cancel" title="Cancel"><i class="fas fa-times"></i></button>
+            </span>
+        </div>
+        <div class="progress-bar">
+            <div class="progress-fill"></div>
+        </div>
+        <span class="upload-task-status"></span>
+    `;
+    element.querySelector('.upload-task-name').textContent = task.file.name;
+    
+    element.querySelector('.upload-toggle').addEventListener('click', () => {
+        if (task.state === 'uploading') {
+            pauseUpload(task);
+        } else if (task.state === 'paused' || task.state === 'failed') {
+            runUpload(task);
+        }
+    });
+    element.querySelector('.upload-cancel').addEventListener('click', () => cancelUpload(task));
+    
+    uploadList.appendChild(element);
+    uploadProgress.style.display = 'block';
+    return element;
+}
+
+function updateUploadTask(task, statusText) {
+    const size = task.file.size;
+    const percent = size === 0 ? (task.state === 'done' ? 100 : 0) : Math.floor(task.sent / size * 100);
+    
+    task.element.querySelector('.progress-fill').style.width = `${percent}%`;
+    task.element.classList.toggle('failed', task.state === 'failed');
+    
+    const toggle = task.element.querySelector('.upload-toggle');
+    const canResume = task.state === 'paused' || task.state === 'failed';
+    toggle.title = canResume ? 'Resume' : 'Pause';
+    toggle.innerHTML = canResume ? '<i class="fas fa-play"></i>' : '<i class="fas fa-pause"></i>';
+    toggle.disabled = task.state === 'done';
+    
+    const status = task.element.querySelector('.upload-task-status');
+    if (statusText) {
+        status.textContent = statusText;
+    } else if (task.state === 'uploading') {
+        status.textContent = `${formatFileSize(task.sent)} of ${formatFileSize(size)} (${percent}%)`;
+    }
+}
+
+function removeUploadTask(task) {
+    task.element.remove();
+    if (uploadList.children.length === 0) {
         uploadProgress.style.display = 'none';
-        showNotification('Upload failed', 'error');
+    }
+}
+
+// Background jobs: copies, moves, deletions and archives run on the server (see lib/jobs.js)
+// and show their progress in the job tray. The tray polls while any job is queued or running.
+const JOB_VERBS = { copy: 'Copying', move: 'Moving', delete: 'Deleting', zip: 'Compressing' };
+const JOB_HISTORY_SHOWN = 20;
+const jobTasks = new Map(); // job id -> { job, element, onDone }
+let jobTimer = null;
+let jobHistory = [];
+let jobHistoryOpen = false;
+
+// Follow a job the server has accepted; onDone(job) runs once it finished successfully
+function trackJob(job, onDone) {
+    addJobTask(job, onDone);
+    clearTimeout(jobTimer);
+    jobTimer = setTimeout(pollJobs, 500);
+}
+
+function addJobTask(job, onDone) {
+    const task = jobTasks.get(job.id) || { element: createJobElement(job) };
+    task.job = job;
+    task.onDone = onDone || task.onDone;
+    jobTasks.set(job.id, task);
+    updateJobElement(task);
+}
+
+async function pollJobs() {
+    clearTimeout(jobTimer);
+    let result;
+    try {
+        result = await apiCall('/api/jobs', { quiet: true, background: true });
+    } catch (error) {
+        // Try again while jobs are being followed; a lost session shows the login screen anyway
+        if (currentUser && jobTasks.size > 0) jobTimer = setTimeout(pollJobs, 5000);
+        return;
     }
     
-    // Reset file input
-    event.target.value = '';
+    jobHistory = result.history;
+    result.active.forEach(job => {
+        const task = jobTasks.get(job.id);
+        if (!task) {
+            addJobTask(job);
+        } else if (!task.finished) {
+            task.job = job;
+            updateJobElement(task);
+        }
+    });
+    
+    jobTasks.forEach(task => {
+        if (task.finished || result.active.some(job => job.id === task.job.id)) return;
+        const record = jobHistory.find(job => job.id === task.job.id);
+        if (record) finishJobTask(task, record);
+    });
+    
+    renderJobHistory();
+    updateJobTray();
+    clearTimeout(jobTimer);
+    if (result.active.length > 0) {
+        jobTimer = setTimeout(pollJobs, 1000);
+    }
+}
+
+function finishJobTask(task, job) {
+    task.job = job;
+    task.finished = true;
+    updateJobElement(task);
+    
+    if (job.root === currentRoot || job.destinationRoot === currentRoot) {
+        // Other views (duplicates, disk usage, ...) stay open and refresh themselves
+        if (filesView.style.display !== 'none') loadFiles(currentPath);
+        loadDirectoryTree();
+    }
+    if (job.status === 'done' && task.onDone) {
+        task.onDone(job);
+    } else if (job.status === 'failed') {
+        showNotification(`${describeJob(job)}: ${job.error}`, 'error');
+    }
+    // Failures stay until they are dismissed
+    if (job.status !== 'failed') {
+        setTimeout(() => removeJobTask(task), 3000);
+    }
+}
+
+async function cancelJob(task) {
+    try {
+        await apiCall(`/api/jobs/${encodeURIComponent(task.job.id)}/cancel`, { method: 'POST' });
+        pollJobs();
+    } catch (error) {
+        console.error('Failed to cancel job:', error);
+    }
+}
+
+// "Copying "report.pdf"", "Moving 3 items", ...
+function describeJob(job) {
+    const paths = job.paths || [];
+    const what = paths.length === 1 ? `"${paths[0].split('/').pop()}"` : `${paths.length} items`;
+    return job.type === 'zip'
+        ? `${JOB_VERBS.zip} ${what} into ${job.destination.split('/').pop()}`
+        : `${JOB_VERBS[job.type] || job.type} ${what}`;
+}
+
+function describeJobProgress(job) {
+    const progress = job.progress;
+    switch (job.status) {
+        case 'queued':
+            return 'Waiting...';
+        case 'done':
+            return job.result && job.result.failed ? `Done, ${job.result.failed} failed` : 'Done';
+        case 'failed':
+            return job.error;
+        case 'canceled':
+            return 'Canceled';
+    }
+    if (progress.totalBytes !== null) {
+        return `${formatFileSize(progress.bytes)} of ${formatFileSize(progress.totalBytes)}, ${progress.files} of ${progress.totalFiles} files`;
+    }
+    if (job.type === 'delete') {
+        return `${progress.items} of ${progress.totalItems} items`;
+    }
+    return 'Counting files...';
+}
+
+function getJobPercent(job) {
+    if (job.status === 'done') return 100;
+    const progress = job.progress;
+    if (progress.totalBytes) return Math.min(100, Math.floor(progress.bytes / progress.totalBytes * 100));
+    if (progress.totalItems) return Math.floor(progress.items / progress.totalItems * 100);
+    return 0;
+}
+
+function createJobElement(job) {
+    const element = document.createElement('div');
+    element.className = 'upload-task';
+    element.innerHTML = `
+        <div class="upload-task-header">
+            <span class="upload-task-name"></span>
+            <span class="upload-task-actions">
+                <button class="btn-icon job-cancel" title="Cancel"><i class="fas fa-times"></i></button>
+            </span>
+        </div>
+        <div class="progress-bar">
+            <div class="progress-fill"></div>
+        </div>
+        <span class="upload-task-status"></span>
+    `;
+    element.querySelector('.upload-task-name').textContent = describeJob(job);
+    element.querySelector('.job-cancel').addEventListener('click', () => {
+        const task = jobTasks.get(job.id);
+        if (task.finished) {
+            removeJobTask(task);
+        } else {
+            cancelJob(task);
+        }
+    });
+    
+    jobList.appendChild(element);
+    return element;
+}
+
+function updateJobElement(task) {
+    const job = task.job;
+    task.element.querySelector('.progress-fill').style.width = `${getJobPercent(job)}%`;
+    task.element.querySelector('.upload-task-status').textContent = describeJobProgress(job);
+    task.element.querySelector('.upload-task-status').title = job.progress.currentItem || '';
+    task.element.classList.toggle('failed', job.status === 'failed');
+    task.element.querySelector('.job-cancel').title = task.finished ? 'Dismiss' : 'Cancel';
+    updateJobTray();
+}
+
+function removeJobTask(task) {
+    task.element.remove();
+    jobTasks.delete(task.job.id);
+    updateJobTray();
+}
+
+function updateJobTray() {
+    jobTray.style.display = jobTasks.size > 0 || jobHistoryOpen ? 'block' : 'none';
+    jobHistoryList.style.display = jobHistoryOpen ? '' : 'none';
+    jobHistoryBtn.classList.toggle('active', jobHistoryOpen);
+}
+
+function toggleJobHistory(open = !jobHistoryOpen) {
+    jobHistoryOpen = open;
+    updateJobTray();
+    if (open) pollJobs();
+}
+
+function renderJobHistory() {
+    jobHistoryList.innerHTML = '';
+    if (jobHistory.length === 0) {
+        jobHistoryList.textContent = 'No finished jobs';
+        return;
+    }
+    
+    jobHistory.slice(0, JOB_HISTORY_SHOWN).forEach(job => {
+        const row = document.createElement('div');
+        row.className = `job-history-item ${job.status}`;
+        
+        const name = document.createElement('span');
+        name.className = 'job-history-name';
+        name.textContent = describeJob(job);
+        name.title = `${job.user}, ${formatDate(job.createdAt)}`;
+        
+        const status = document.createElement('span');
+        status.className = 'job-history-status';
+        status.textContent = describeJobProgress(job);
+        status.title = job.finishedAt ? formatDate(job.finishedAt) : '';
+        
+        row.append(name, status);
+        jobHistoryList.appendChild(row);
+    });
 }
 
+let propertiesItem = null; // the file whose properties are open, for the History tab
+
 // Show properties
 async function showProperties() {
-    if (!selectedItem) return;
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    if (items.length > 1) {
+        showSelectionProperties(items);
+        return;
+    }
     
     try {
-        const properties = await apiCall(`/api/properties?path=${encodeURIComponent(selectedItem.path)}`);
+        const properties = await apiCall(`/api/properties?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(selectedItem.path)}`);
         
         propertiesContent.innerHTML = `
             <div class="property-item">
                 <span class="property-label">Name:</span>
-                <span class="property-value">${properties.name}</span>
+                <span class="property-value">${escapeHtml(properties.name)}</span>
             </div>
             <div class="property-item">
                 <span class="property-label">Type:</span>
@@ -463,104 +1983,2276 @@ async function showProperties() {
                 <span class="property-label">Size:</span>
                 <span class="property-value">${properties.isDirectory ? `${properties.itemCount || 0} items` : formatFileSize(properties.size)}</span>
             </div>
+            ${properties.usage ? `
+            <div class="property-item">
+                <span class="property-label">Total size:</span>
+                <span class="property-value">${formatFileSize(properties.usage.size)} in ${properties.usage.files} files and ${properties.usage.folders} folders</span>
+            </div>` : ''}
             <div class="property-item">
                 <span class="property-label">Modified:</span>
                 <span class="property-value">${formatDate(properties.modified)}</span>
             </div>
             <div class="property-item">
                 <span class="property-label">Path:</span>
-                <span class="property-value">${properties.path}</span>
+                <span class="property-value">${escapeHtml(properties.path)}</span>
             </div>
         `;
         
+        if (properties.isSymlink) {
+            addPropertyRow('Link target:', properties.linkBroken ? `${properties.linkTarget} (missing or outside the root)` : properties.linkTarget);
+        }
+        // Only items on the local file system have permissions and further timestamps
+        if (properties.mode) {
+            addPropertyRow('Accessed:', formatDate(properties.accessed));
+            addPropertyRow('Changed:', formatDate(properties.changed));
+            if (properties.created) {
+                addPropertyRow('Created:', formatDate(properties.created));
+            }
+            propertiesContent.appendChild(createPermissionsEditor(properties));
+        }
+        if (!properties.isDirectory && !properties.linkBroken) {
+            propertiesContent.appendChild(createChecksumsSection(properties));
+        }
+        
+        // Files on local roots have a version history
+        propertiesItem = properties;
+        propertiesTabs.style.display = properties.isDirectory || !isLocalRoot() ? 'none' : '';
+        setPropertiesTab('details');
         showModal(propertiesModal);
     } catch (error) {
         showNotification('Failed to get properties', 'error');
     }
 }
 
-// Download item
-function downloadItem() {
-    if (!selectedItem) return;
+function setPropertiesTab(tab) {
+    propertiesDetailsTab.classList.toggle('active', tab === 'details');
+    propertiesHistoryTab.classList.toggle('active', tab === 'history');
+    propertiesContent.style.display = tab === 'details' ? '' : 'none';
+    propertiesHistory.style.display = tab === 'history' ? '' : 'none';
+    if (tab === 'history') loadVersions();
+}
+
+// Earlier versions of the file whose properties are open
+async function loadVersions() {
+    const item = propertiesItem;
+    versionsList.innerHTML = '';
+    versionsTable.style.display = 'none';
+    versionDiff.style.display = 'none';
+    versionsStatus.textContent = 'Loading versions...';
+    try {
+        const result = await apiCall(`/api/versions?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(item.path)}`, { quiet: true });
+        if (item !== propertiesItem) return;
+        renderVersions(item, result.versions);
+    } catch (error) {
+        versionsStatus.textContent = error.message;
+    }
+}
+
+const VERSION_REASONS = {
+    edit: 'edited',
+    overwrite: 'overwritten',
+    restore: 'replaced by a restore'
+};
+
+function renderVersions(item, versions) {
+    if (versions.length === 0) {
+        versionsStatus.textContent = 'No earlier versions. Versions are kept when the file is edited or overwritten.';
+        return;
+    }
+    versionsStatus.textContent = `${versions.length} earlier version${versions.length === 1 ? '' : 's'}, newest first`;
+    versionsTable.style.display = '';
     
-    const downloadUrl = `/api/download?path=${encodeURIComponent(selectedItem.path)}`;
+    versions.forEach((version, index) => {
+        const row = document.createElement('tr');
+        
+        const savedCell = document.createElement('td');
+        savedCell.textContent = formatDate(version.savedAt);
+        savedCell.title = `Last modified ${formatDate(version.modified)}, ${VERSION_REASONS[version.reason] || version.reason}`;
+        
+        const byCell = document.createElement('td');
+        byCell.textContent = version.savedBy || '';
+        
+        const sizeCell = document.createElement('td');
+        sizeCell.textContent = formatFileSize(version.size);
+        
+        const actionsCell = document.createElement('td');
+        actionsCell.className = 'trash-actions';
+        
+        const compareButton = document.createElement('button');
+        compareButton.className = 'btn';
+        compareButton.title = 'Compare with the current file';
+        compareButton.innerHTML = '<i class="fas fa-exchange-alt"></i> Compare';
+        compareButton.addEventListener('click', () => showVersionDiff(item, version, null));
+        actionsCell.appendChild(compareButton);
+        
+        // What changed between the version before this one and this one
+        const older = versions[index + 1];
+        if (older) {
+            const changesButton = document.createElement('button');
+            changesButton.className = 'btn';
+            changesButton.title = 'Compare with the version before';
+            changesButton.innerHTML = '<i class="fas fa-code-branch"></i> Changes';
+            changesButton.addEventListener('click', () => showVersionDiff(item, older, version));
+            actionsCell.appendChild(changesButton);
+        }
+        
+        const downloadButton = document.createElement('button');
+        downloadButton.className = 'btn';
+        downloadButton.title = 'Download this version';
+        downloadButton.innerHTML = '<i class="fas fa-download"></i>';
+        downloadButton.addEventListener('click', () => downloadVersion(item, version));
+        actionsCell.appendChild(downloadButton);
+        
+        if (canPerform('uploader')) {
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'btn';
+            restoreButton.innerHTML = '<i class="fas fa-undo"></i> Restore';
+            restoreButton.addEventListener('click', () => restoreVersion(item, version));
+            actionsCell.appendChild(restoreButton);
+        }
+        
+        row.append(savedCell, byCell, sizeCell, actionsCell);
+        versionsList.appendChild(row);
+    });
+}
+
+// Line diff from one version to a later one (or the current file when `to` is null)
+async function showVersionDiff(item, from, to) {
+    try {
+        const toParam = to ? `&to=${encodeURIComponent(to.id)}` : '';
+        const diff = await apiCall(`/api/versions/diff?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(item.path)}&from=${encodeURIComponent(from.id)}${toParam}`);
+        if (item !== propertiesItem) return;
+        
+        const target = to ? `the version of ${formatDate(to.savedAt)}` : 'the current file';
+        versionDiffTitle.textContent = `From the version of ${formatDate(from.savedAt)} to ${target}: ` +
+            `${diff.added} lines added, ${diff.removed} removed`;
+        versionDiffBody.innerHTML = '';
+        if (diff.hunks.length === 0) {
+            versionDiffBody.textContent = 'No differences';
+        }
+        diff.hunks.forEach(hunk => {
+            const header = document.createElement('div');
+            header.className = 'diff-hunk';
+            header.textContent = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+            versionDiffBody.appendChild(header);
+            hunk.lines.forEach(line => {
+                const lineElement = document.createElement('div');
+                lineElement.className = `diff-${line.type}`;
+                lineElement.textContent = `${{ add: '+', remove: '-', same: ' ' }[line.type]}${line.text}`;
+                versionDiffBody.appendChild(lineElement);
+            });
+        });
+        versionDiff.style.display = '';
+    } catch (error) {
+        console.error('Failed to compare versions:', error);
+    }
+}
+
+function downloadVersion(item, version) {
     const link = document.createElement('a');
-    link.href = downloadUrl;
-    link.download = selectedItem.name;
+    link.href = `/api/versions/download?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(item.path)}&id=${encodeURIComponent(version.id)}`;
+    link.download = item.name;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
 }
 
-// Copy/Cut item
-function copyItem(operation) {
-    if (!selectedItem) return;
+async function restoreVersion(item, version) {
+    if (!confirm(`Restore "${item.name}" as it was on ${formatDate(version.savedAt)}? The current content is kept as a version.`)) return;
+    try {
+        await apiCall('/api/versions/restore', {
+            method: 'POST',
+            body: JSON.stringify({ root: currentRoot, path: item.path, id: version.id })
+        });
+        showNotification('Version restored', 'success');
+        loadVersions();
+    } catch (error) {
+        console.error('Failed to restore version:', error);
+    }
+}
+
+function addPropertyRow(label, value) {
+    const row = document.createElement('div');
+    row.className = 'property-item';
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'property-label';
+    labelSpan.textContent = label;
+    const valueSpan = document.createElement('span');
+    valueSpan.className = 'property-value';
+    valueSpan.textContent = value;
+    row.append(labelSpan, valueSpan);
+    propertiesContent.appendChild(row);
+}
+
+const CHECKSUM_LABELS = { md5: 'MD5', sha1: 'SHA-1', sha256: 'SHA-256' };
+
+// Checksums are only computed on request, as the whole file has to be read. A pasted checksum
+// is compared with all of them.
+function createChecksumsSection(properties) {
+    const section = document.createElement('div');
+    section.className = 'checksums';
     
-    clipboard = selectedItem;
-    clipboardOperation = operation;
-    pasteBtn.disabled = false;
+    const title = document.createElement('h4');
+    title.textContent = 'Checksums';
+    section.appendChild(title);
+    
+    const computeButton = document.createElement('button');
+    computeButton.className = 'btn';
+    computeButton.innerHTML = '<i class="fas fa-fingerprint"></i> Compute';
+    section.appendChild(computeButton);
+    
+    const values = document.createElement('div');
+    const compareInput = document.createElement('input');
+    compareInput.type = 'text';
+    compareInput.placeholder = 'Paste a checksum to compare';
+    compareInput.className = 'checksum-compare';
+    compareInput.style.display = 'none';
+    const compareResult = document.createElement('p');
+    compareResult.className = 'search-status';
+    section.append(values, compareInput, compareResult);
+    
+    let checksums = null;
+    computeButton.addEventListener('click', async () => {
+        computeButton.disabled = true;
+        computeButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Computing...';
+        try {
+            const result = await apiCall(`/api/checksum?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(properties.path)}`, { background: true });
+            checksums = result.checksums;
+            Object.entries(checksums).forEach(([algorithm, value]) => {
+                const row = document.createElement('div');
+                row.className = 'property-item';
+                const label = document.createElement('span');
+                label.className = 'property-label';
+                label.textContent = `${CHECKSUM_LABELS[algorithm] || algorithm}:`;
+                const digest = document.createElement('code');
+                digest.className = 'property-value checksum-value';
+                digest.textContent = value;
+                row.append(label, digest);
+                values.appendChild(row);
+            });
+            computeButton.remove();
+            compareInput.style.display = '';
+        } catch (error) {
+            computeButton.disabled = false;
+            computeButton.innerHTML = '<i class="fas fa-fingerprint"></i> Compute';
+        }
+    });
     
-    showNotification(`Item ${operation === 'copy' ? 'copied' : 'cut'}`, 'success');
+    compareInput.addEventListener('input', () => {
+        const expected = compareInput.value.trim().toLowerCase().replace(/^(md5|sha1|sha256):/, '');
+        if (!expected || !checksums) {
+            compareResult.textContent = '';
+            return;
+        }
+        const match = Object.keys(checksums).find(algorithm => checksums[algorithm] === expected);
+        compareResult.textContent = match ? `Matches the ${CHECKSUM_LABELS[match]} checksum` : 'Does not match';
+        compareResult.classList.toggle('checksum-match', !!match);
+        compareResult.classList.toggle('checksum-mismatch', !match);
+    });
+    return section;
 }
 
-// Paste item
-async function pasteItem() {
-    if (!clipboard) return;
+// Mode bits as owner/group/others checkboxes kept in sync with an octal field, plus owner
+// and group. Editable by admins on writable roots; symlinks only change their owner.
+function createPermissionsEditor(properties) {
+    const editable = canPerform('admin');
+    const section = document.createElement('div');
+    section.className = 'permissions-editor';
+    
+    const title = document.createElement('h4');
+    title.textContent = 'Permissions';
+    section.appendChild(title);
+    
+    const grid = document.createElement('div');
+    grid.className = 'permissions-grid';
+    ['', 'Read', 'Write', 'Execute'].forEach(heading => {
+        const cell = document.createElement('span');
+        cell.className = 'permissions-heading';
+        cell.textContent = heading;
+        grid.appendChild(cell);
+    });
     
-    const sourcePath = clipboard.path;
-    const fileName = clipboard.name;
-    const destinationPath = currentPath ? `${currentPath}/${fileName}` : fileName;
+    const checkboxes = [];
+    [['Owner', 6], ['Group', 3], ['Others', 0]].forEach(([label, shift]) => {
+        const labelCell = document.createElement('span');
+        labelCell.className = 'permissions-heading';
+        labelCell.textContent = label;
+        grid.appendChild(labelCell);
+        [4, 2, 1].forEach(bit => {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.bit = String(bit << shift);
+            checkbox.disabled = !editable || properties.isSymlink;
+            grid.appendChild(checkbox);
+            checkboxes.push(checkbox);
+        });
+    });
+    section.appendChild(grid);
+    
+    const fields = document.createElement('div');
+    fields.className = 'permissions-fields';
+    const modeInput = createPermissionsField(fields, 'Mode', properties.mode);
+    const ownerInput = createPermissionsField(fields, 'Owner', properties.owner ?? String(properties.uid));
+    const groupInput = createPermissionsField(fields, 'Group', properties.group ?? String(properties.gid));
+    modeInput.disabled = !editable || properties.isSymlink;
+    modeInput.maxLength = 4;
+    ownerInput.disabled = !editable;
+    groupInput.disabled = !editable;
+    section.appendChild(fields);
+    
+    const showMode = (mode) => {
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = (mode & Number(checkbox.dataset.bit)) !== 0;
+        });
+    };
+    showMode(parseInt(properties.mode, 8));
+    checkboxes.forEach(checkbox => checkbox.addEventListener('change', () => {
+        // Keep setuid/setgid/sticky, which have no checkbox
+        let mode = parseInt(modeInput.value, 8) || 0;
+        const bit = Number(checkbox.dataset.bit);
+        mode = checkbox.checked ? mode | bit : mode & ~bit;
+        modeInput.value = mode.toString(8).padStart(4, '0');
+    }));
+    modeInput.addEventListener('input', () => {
+        if (/^[0-7]{1,4}$/.test(modeInput.value)) showMode(parseInt(modeInput.value, 8));
+    });
+    
+    if (!editable) return section;
+    
+    const actions = document.createElement('div');
+    actions.className = 'permissions-actions';
+    let recursiveInput = null;
+    if (properties.isDirectory && !properties.isSymlink) {
+        const recursiveLabel = document.createElement('label');
+        recursiveInput = document.createElement('input');
+        recursiveInput.type = 'checkbox';
+        recursiveLabel.append(recursiveInput, ' Apply to everything inside');
+        actions.appendChild(recursiveLabel);
+    }
+    const applyButton = document.createElement('button');
+    applyButton.className = 'btn btn-primary';
+    applyButton.textContent = 'Apply';
+    applyButton.addEventListener('click', () => applyPermissions(properties, {
+        mode: modeInput.value.trim(),
+        owner: ownerInput.value.trim(),
+        group: groupInput.value.trim(),
+        recursive: !!recursiveInput && recursiveInput.checked
+    }));
+    actions.appendChild(applyButton);
+    section.appendChild(actions);
+    
+    return section;
+}
+
+function createPermissionsField(container, label, value) {
+    const fieldLabel = document.createElement('label');
+    fieldLabel.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    fieldLabel.appendChild(input);
+    container.appendChild(fieldLabel);
+    return input;
+}
+
+async function applyPermissions(properties, { mode, owner, group, recursive }) {
+    const changes = [];
+    // Recursive changes apply even when the folder itself already matches
+    if (!properties.isSymlink && (mode !== properties.mode || recursive)) {
+        changes.push(['/api/chmod', { mode }]);
+    }
+    const ownerChanged = owner !== (properties.owner ?? String(properties.uid));
+    const groupChanged = group !== (properties.group ?? String(properties.gid));
+    if (ownerChanged || groupChanged || recursive) {
+        changes.push(['/api/chown', { owner: ownerChanged || recursive ? owner : null, group: groupChanged || recursive ? group : null }]);
+    }
+    if (changes.length === 0) return;
     
+    let failed = 0;
     try {
-        if (clipboardOperation === 'copy') {
-            await apiCall('/api/copy', {
+        for (const [url, body] of changes) {
+            const result = await apiCall(url, {
                 method: 'POST',
-                body: JSON.stringify({
-                    source: sourcePath,
-                    destination: destinationPath
-                })
-            });
-        } else if (clipboardOperation === 'cut') {
-            await apiCall('/api/move', {
-                method: 'POST',
-                body: JSON.stringify({
-                    source: sourcePath,
-                    destination: destinationPath
-                })
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ root: currentRoot, path: properties.path, recursive, ...body })
             });
-            
-            // Clear clipboard after move
-            clipboard = null;
-            clipboardOperation = null;
-            pasteBtn.disabled = true;
+            failed += result.failed;
+        }
+        if (failed > 0) {
+            showNotification(`${failed} items inside could not be changed`, 'error');
+        } else {
+            showNotification('Permissions changed', 'success');
         }
-        
-        loadFiles(currentPath);
-        loadDirectoryTree();
-        showNotification('Item pasted successfully', 'success');
     } catch (error) {
-        showNotification('Paste failed', 'error');
+        console.error('Failed to change permissions:', error);
     }
+    showProperties();
 }
 
-// Delete item
-async function deleteItem() {
-    if (!selectedItem) return;
+// Total size and counts of a multi-item selection
+async function showSelectionProperties(items) {
+    try {
+        const pathParams = items.map(item => `&path=${encodeURIComponent(item.path)}`).join('');
+        const summary = await apiCall(`/api/properties?root=${encodeURIComponent(currentRoot)}${pathParams}`);
+        
+        propertiesContent.innerHTML = `
+            <div class="property-item">
+                <span class="property-label">Selected:</span>
+                <span class="property-value">${summary.count} items</span>
+            </div>
+            <div class="property-item">
+                <span class="property-label">Contains:</span>
+                <span class="property-value">${summary.files} files, ${summary.folders} folders</span>
+            </div>
+            <div class="property-item">
+                <span class="property-label">Total size:</span>
+                <span class="property-value">${formatFileSize(summary.size)}</span>
+            </div>
+        `;
+        
+        propertiesItem = null;
+        propertiesTabs.style.display = 'none';
+        setPropertiesTab('details');
+        showModal(propertiesModal);
+    } catch (error) {
+        showNotification('Failed to get properties', 'error');
+    }
+}
+
+// Open item: folders navigate, viewable files open in the viewer, the rest download
+function openItem(item) {
+    if (item.isDirectory) {
+        navigateToPath(item.path);
+    } else if (getViewerType(item)) {
+        openViewer(item);
+    } else if (isEditable(item)) {
+        openEditor(item);
+    } else if (isArchive(item)) {
+        openArchive(item);
+    } else {
+        downloadItem();
+    }
+}
+
+// Which in-app viewer can display a file, based on its MIME type
+function getViewerType(item) {
+    const type = item.type || '';
+    if (type.startsWith('image/')) return 'image';
+    if (type.startsWith('video/')) return 'video';
+    if (type.startsWith('audio/')) return 'audio';
+    if (type === 'application/pdf') return 'pdf';
+    return null;
+}
+
+function openViewer(item) {
+    const viewerType = getViewerType(item);
+    const url = `/api/open?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(item.path)}`;
     
-    const confirmDelete = confirm(`Are you sure you want to delete "${selectedItem.name}"?`);
-    if (!confirmDelete) return;
+    viewerBody.innerHTML = '';
+    viewerTitle.textContent = item.name;
+    
+    let element;
+    if (viewerType === 'image') {
+        element = document.createElement('img');
+        element.alt = item.name;
+    } else if (viewerType === 'video' || viewerType === 'audio') {
+        element = document.createElement(viewerType);
+        element.controls = true;
+        element.autoplay = true;
+        element.preload = 'metadata';
+    } else {
+        element = document.createElement('iframe');
+        element.title = item.name;
+    }
+    element.className = `viewer-${viewerType}`;
+    element.src = url;
+    element.addEventListener('error', () => {
+        showNotification('This file cannot be displayed', 'error');
+    });
+    
+    viewerBody.appendChild(element);
+    showModal(viewerModal);
+}
+
+function closeViewer() {
+    hideModal(viewerModal);
+    // Removing the element stops playback and releases the connection
+    viewerBody.innerHTML = '';
+}
+
+// Text editor
+let editorInstance = null; // CodeMirror, or a plain textarea when the library did not load
+let editorState = null; // { item, root, etag, dirty, readOnly }
+
+function isEditable(item) {
+    if (item.isDirectory) return false;
+    const ext = getExtension(item.name);
+    const type = item.type || '';
+    return type.startsWith('text/') || ext in CODE_EDITOR_MODES || TEXT_EXTENSIONS.includes(ext) ||
+        ['application/json', 'application/xml', 'application/javascript'].includes(type);
+}
+
+function getEditor() {
+    if (editorInstance) return editorInstance;
+    
+    if (window.CodeMirror) {
+        editorInstance = CodeMirror(editorContainer, {
+            lineNumbers: true,
+            indentUnit: 4,
+            lineWrapping: false
+        });
+    } else {
+        // CDN unavailable: a textarea behind the same small interface
+        const textarea = document.createElement('textarea');
+        textarea.className = 'editor-fallback';
+        textarea.spellcheck = false;
+        editorContainer.appendChild(textarea);
+        editorInstance = {
+            getValue: () => textarea.value,
+            setValue: (value) => { textarea.value = value; },
+            setOption: (name, value) => {
+                if (name === 'readOnly') textarea.readOnly = value;
+            },
+            on: (event, handler) => textarea.addEventListener('input', handler),
+            clearHistory: () => {},
+            refresh: () => {},
+            focus: () => textarea.focus()
+        };
+    }
+    
+    editorInstance.on('change', () => setEditorDirty(true));
+    return editorInstance;
+}
+
+function setEditorDirty(dirty) {
+    if (!editorState) return;
+    editorState.dirty = dirty;
+    editorTitle.textContent = (dirty ? '\u25CF ' : '') + editorState.item.name;
+    saveEditorBtn.disabled = !dirty || editorState.readOnly;
+}
+
+async function openEditor(item) {
+    if (item.isDirectory) return;
     
+    let file;
     try {
-        await apiCall(`/api/files?path=${encodeURIComponent(selectedItem.path)}`, {
-            method: 'DELETE'
+        file = await apiCall(`/api/content?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(item.path)}`);
+    } catch (error) {
+        return;
+    }
+    
+    const readOnly = !canPerform('uploader');
+    editorState = { item, root: currentRoot, etag: file.etag, dirty: false, readOnly };
+    
+    const editor = getEditor();
+    showModal(editorModal);
+    editor.setOption('mode', CODE_EDITOR_MODES[getExtension(item.name)] || 'text/plain');
+    editor.setOption('theme', document.body.getAttribute('data-theme') === 'dark' ? 'material-darker' : 'default');
+    editor.setOption('readOnly', readOnly);
+    editor.setValue(file.content);
+    editor.clearHistory();
+    editor.refresh();
+    editor.focus();
+    
+    setEditorDirty(false);
+    editorStatus.textContent = readOnly ? 'Read-only' : 'Ctrl+S to save';
+}
+
+async function saveEditor(etag) {
+    if (!editorState || editorState.readOnly) return;
+    
+    const state = editorState;
+    try {
+        const result = await apiCall('/api/content', {
+            method: 'PUT',
+            quiet: true,
+            body: JSON.stringify({
+                root: state.root,
+                path: state.item.path,
+                content: getEditor().getValue(),
+                etag: etag === undefined ? state.etag : etag
+            })
+        });
+        
+        state.etag = result.etag;
+        setEditorDirty(false);
+        editorStatus.textContent = `Saved at ${new Date(result.modified).toLocaleTimeString()}`;
+        if (state.root === currentRoot) {
+            loadFiles(currentPath);
+        }
+    } catch (error) {
+        if (error.status === 409) {
+            const overwrite = confirm(`${error.message}. Overwrite it with your version?`);
+            if (overwrite) {
+                saveEditor(error.details.etag || null);
+            }
+            return;
+        }
+        showNotification(error.message, 'error');
+    }
+}
+
+function closeEditor() {
+    if (editorState && editorState.dirty && !confirm('Discard unsaved changes?')) return;
+    editorState = null;
+    hideModal(editorModal);
+}
+
+// Archives
+function isArchive(item) {
+    return !item.isDirectory && /\.(zip|tar|tar\.gz|tgz)$/i.test(item.name);
+}
+
+// Show an archive's entries without extracting it
+async function openArchive(item) {
+    let listing;
+    try {
+        listing = await apiCall(`/api/archive/entries?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(item.path)}`);
+    } catch (error) {
+        return;
+    }
+    
+    selectedItem = item;
+    archiveTitle.textContent = item.name;
+    const files = listing.entries.filter(entry => !entry.isDirectory);
+    const totalSize = files.reduce((sum, entry) => sum + entry.size, 0);
+    archiveSummary.textContent = `${files.length} files, ${formatFileSize(totalSize)} uncompressed` +
+        (listing.truncated ? ` (only the first ${listing.entries.length} entries are listed)` : '');
+    
+    archiveEntries.innerHTML = '';
+    listing.entries.forEach(entry => {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.innerHTML = getFileIcon({ name: entry.name, isDirectory: entry.isDirectory });
+        nameCell.appendChild(document.createTextNode(entry.name));
+        
+        const sizeCell = document.createElement('td');
+        sizeCell.textContent = entry.isDirectory ? '' : formatFileSize(entry.size);
+        
+        const modifiedCell = document.createElement('td');
+        modifiedCell.textContent = entry.modified ? formatDate(entry.modified) : '';
+        
+        row.append(nameCell, sizeCell, modifiedCell);
+        archiveEntries.appendChild(row);
+    });
+    
+    showModal(archiveModal);
+}
+
+async function extractArchive(item) {
+    if (!item || !isArchive(item)) return;
+    
+    // Suggest a folder named after the archive, next to it
+    const baseName = item.name.replace(/\.(zip|tar|tar\.gz|tgz)$/i, '');
+    const folder = item.path.includes('/') ? item.path.slice(0, item.path.lastIndexOf('/')) : '';
+    const destination = prompt('Extract into folder:', folder ? `${folder}/${baseName}` : baseName);
+    if (destination === null) return;
+    
+    try {
+        const result = await apiCall('/api/archive/extract', {
+            method: 'POST',
+            quiet: true,
+            body: JSON.stringify({
+                root: currentRoot,
+                path: item.path,
+                destination: destination.trim().replace(/^\/+|\/+$/g, '')
+            })
         });
         
         loadFiles(currentPath);
         loadDirectoryTree();
-        actionsSection.style.display = 'none';
-        selectedItem = null;
-        showNotification('Item deleted successfully', 'success');
+        let message = `Extracted ${result.files} files`;
+        if (result.skipped.length > 0) {
+            message += ` (${result.skipped.length} links skipped)`;
+        }
+        showNotification(message, 'success');
+    } catch (error) {
+        const conflicts = error.details && error.details.conflicts;
+        showNotification(conflicts ? `${error.message}: ${conflicts.join(', ')}` : error.message, 'error');
+    }
+}
+
+// Compress the selection into an archive in the current folder
+async function compressSelection() {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    
+    const folderName = currentPath.split('/').pop() || getCurrentRootInfo().name;
+    const suggested = `${items.length === 1 ? items[0].name : folderName}.zip`;
+    const name = prompt('Archive name (.zip, .tar or .tar.gz):', suggested);
+    if (!name || !name.trim()) return;
+    
+    try {
+        const result = await apiCall('/api/archive/create', {
+            method: 'POST',
+            body: JSON.stringify({
+                root: currentRoot,
+                paths: items.map(item => item.path),
+                destination: currentPath,
+                name: name.trim()
+            })
+        });
+        
+        trackJob(result.job, job => showNotification(`Created ${job.result.path.split('/').pop()}`, 'success'));
+    } catch (error) {
+        console.error('Failed to create archive:', error);
+    }
+}
+
+// Download item
+function downloadItem() {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    
+    // Several items come back as one zip
+    const pathParams = items.map(item => `&path=${encodeURIComponent(item.path)}`).join('');
+    const downloadUrl = `/api/download?root=${encodeURIComponent(currentRoot)}${pathParams}`;
+    const link = document.createElement('a');
+    link.href = downloadUrl;
+    link.download = items.length === 1 ? items[0].name : '';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+// The items actions apply to: the whole selection, or the focused item (e.g. a search result)
+function getSelectedItems() {
+    if (selectedItems.length > 0) return selectedItems;
+    return selectedItem ? [selectedItem] : [];
+}
+
+// Report a batch response: one success message, or the first failure and how many failed
+function reportBatch(result, verb) {
+    if (result.failed === 0) {
+        // Items skipped because of a conflict count as succeeded
+        const skipped = result.results.filter(item => item.skipped).length;
+        const done = result.succeeded - skipped;
+        const message = done === 0
+            ? `${skipped === 1 ? 'Existing item' : `${skipped} existing items`} kept`
+            : `${done === 1 ? 'Item' : `${done} items`} ${verb}${skipped ? `, ${skipped} existing kept` : ''}`;
+        showNotification(message, 'success');
+        return;
+    }
+    
+    const failure = result.results.find(item => !item.ok);
+    const name = failure.path.split('/').pop();
+    const message = result.results.length === 1
+        ? `"${name}": ${failure.error}`
+        : `${result.failed} of ${result.results.length} items failed ("${name}": ${failure.error})`;
+    showNotification(message, 'error');
+}
+
+// Conflicts: the "file already exists" dialog for uploads and pastes (see lib/conflicts.js).
+// Questions are asked one at a time; a choice made "for all" answers the rest of its batch.
+let conflictQueue = Promise.resolve();
+
+function createConflictBatch(count) {
+    return { count, policy: null };
+}
+
+// Resolves the policy chosen for one conflict, or null when the user cancelled
+function askConflict(conflict, batch) {
+    const answer = conflictQueue.then(() => batch.policy || showConflictDialog(conflict, batch));
+    conflictQueue = answer.catch(() => {});
+    return answer;
+}
+
+function showConflictDialog(conflict, batch) {
+    const kind = conflict.existing.isDirectory ? 'A folder' : 'A file';
+    conflictMessage.textContent = `${kind} named "${conflict.name}" already exists in /${conflict.path.slice(0, -conflict.name.length).replace(/\/$/, '')}.`;
+    conflictExistingSize.textContent = conflict.existing.isDirectory ? '' : formatFileSize(conflict.existing.size);
+    conflictExistingModified.textContent = formatDate(conflict.existing.modified);
+    conflictIncomingSize.textContent = conflict.incoming.isDirectory || conflict.incoming.size === null ? '' : formatFileSize(conflict.incoming.size);
+    conflictIncomingModified.textContent = conflict.incoming.modified ? formatDate(conflict.incoming.modified) : '';
+    conflictApplyAll.checked = false;
+    conflictApplyAllLabel.style.display = batch.count > 1 ? '' : 'none';
+    conflictApplyAllText.textContent = `Do this for all ${batch.count} items`;
+    showModal(conflictModal);
+    
+    return new Promise(resolve => {
+        const onClick = (e) => {
+            const button = e.target.closest('[data-conflict]');
+            if (!button) return;
+            conflictModal.removeEventListener('click', onClick);
+            hideModal(conflictModal);
+            
+            const choice = button.dataset.conflict === 'cancel' ? null : button.dataset.conflict;
+            if (conflictApplyAll.checked) {
+                batch.policy = choice;
+                // Cancelling "for all" stops asking about this batch
+                if (!choice) batch.cancelled = true;
+            }
+            resolve(choice);
+        };
+        conflictModal.addEventListener('click', onClick);
+    });
+}
+
+// Copy/Cut item
+function copyItem(operation) {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    
+    clipboard = { root: currentRoot, items: [...items] };
+    clipboardOperation = operation;
+    pasteBtn.disabled = false;
+    
+    const label = items.length === 1 ? 'Item' : `${items.length} items`;
+    showNotification(`${label} ${operation === 'copy' ? 'copied' : 'cut'}`, 'success');
+}
+
+// Paste item
+// On a 409 every conflicting item is asked about, then the paste is sent again with the answers
+async function pasteItem(resolutions = {}) {
+    if (!clipboard) return;
+    
+    try {
+        const result = await apiCall(clipboardOperation === 'cut' ? '/api/batch/move' : '/api/batch/copy', {
+            method: 'POST',
+            quiet: true,
+            body: JSON.stringify({
+                sourceRoot: clipboard.root,
+                paths: clipboard.items.map(item => item.path),
+                destinationRoot: currentRoot,
+                destination: currentPath,
+                resolutions
+            })
+        });
+        
+        if (clipboardOperation === 'cut') {
+            // Clear clipboard after move
+            clipboard = null;
+            clipboardOperation = null;
+            pasteBtn.disabled = true;
+        }
+        
+        trackJob(result.job, job => reportBatch(job.result, 'pasted'));
+    } catch (error) {
+        const conflicts = error.status === 409 && error.details && error.details.conflicts;
+        if (!conflicts) {
+            showNotification(error.message || 'Paste failed', 'error');
+            return;
+        }
+        
+        const batch = createConflictBatch(conflicts.length);
+        const answers = { ...resolutions };
+        for (const conflict of conflicts) {
+            const policy = batch.cancelled ? null : await askConflict(conflict, batch);
+            if (!policy) return;
+            answers[conflict.source] = policy;
+        }
+        pasteItem(answers);
+    }
+}
+
+// Delete item
+async function deleteItem() {
+    const items = getSelectedItems();
+    if (items.length === 0) return;
+    
+    const confirmDelete = confirm(items.length === 1
+        ? `Move "${items[0].name}" to the trash?`
+        : `Move ${items.length} items to the trash?`);
+    if (!confirmDelete) return;
+    
+    try {
+        const result = await apiCall('/api/batch/delete', {
+            method: 'POST',
+            body: JSON.stringify({
+                root: currentRoot,
+                paths: items.map(item => item.path)
+            })
+        });
+        
+        trackJob(result.job, job => reportBatch(job.result, 'moved to trash'));
     } catch (error) {
         showNotification('Delete failed', 'error');
     }
 }
+
+// Share links
+function openShareModal() {
+    const items = getSelectedItems();
+    if (items.length !== 1) {
+        showNotification('Select one file or folder to share', 'error');
+        return;
+    }
+    
+    const item = items[0];
+    shareModalTitle.textContent = `Share "${item.name}"`;
+    shareForm.reset();
+    shareMode.disabled = !item.isDirectory || getCurrentRootInfo().readOnly;
+    shareMaxDownloads.disabled = false;
+    shareResult.style.display = 'none';
+    createShareBtn.style.display = '';
+    showModal(shareModal);
+}
+
+function getShareUrl(share) {
+    return `${window.location.origin}/s/${share.token}`;
+}
+
+async function createShare() {
+    const item = selectedItem;
+    if (!item) return;
+    
+    try {
+        const share = await apiCall('/api/shares', {
+            method: 'POST',
+            body: JSON.stringify({
+                root: currentRoot,
+                path: item.path,
+                mode: shareMode.value,
+                password: sharePassword.value || null,
+                // datetime-local has no zone; the browser's is the one the user meant
+                expiresAt: shareExpires.value ? new Date(shareExpires.value).toISOString() : null,
+                maxDownloads: shareMaxDownloads.value || null
+            })
+        });
+        
+        shareLink.value = getShareUrl(share);
+        shareResult.style.display = '';
+        createShareBtn.style.display = 'none';
+        shareLink.select();
+    } catch (error) {
+        console.error('Failed to create share:', error);
+    }
+}
+
+async function copyShareLink(url) {
+    try {
+        await navigator.clipboard.writeText(url);
+        showNotification('Link copied', 'success');
+    } catch (error) {
+        // Clipboard access needs a secure context; leave the link selected instead
+        shareLink.select();
+    }
+}
+
+function showShares() {
+    clearSelection();
+    cancelSearch();
+    searchView.style.display = 'none';
+    filesView.style.display = 'none';
+    trashView.style.display = 'none';
+    activityView.style.display = 'none';
+    usageView.style.display = 'none';
+    duplicatesView.style.display = 'none';
+    sharesView.style.display = 'block';
+    document.querySelectorAll('.tree-item').forEach(el => el.classList.remove('selected'));
+    sharesItem.classList.add('selected');
+    
+    breadcrumb.innerHTML = '';
+    const sharesCrumb = document.createElement('span');
+    sharesCrumb.className = 'breadcrumb-item';
+    sharesCrumb.innerHTML = '<i class="fas fa-share-alt"></i> Share Links';
+    breadcrumb.appendChild(sharesCrumb);
+    
+    loadShares();
+}
+
+async function loadShares() {
+    try {
+        renderShares(await apiCall('/api/shares'));
+    } catch (error) {
+        console.error('Failed to load shares:', error);
+    }
+}
+
+function renderShares(shares) {
+    sharesList.innerHTML = '';
+    
+    if (shares.length === 0) {
+        const emptyRow = document.createElement('tr');
+        const emptyCell = document.createElement('td');
+        emptyCell.colSpan = 6;
+        emptyCell.className = 'trash-empty';
+        emptyCell.textContent = 'There are no active share links';
+        emptyRow.appendChild(emptyCell);
+        sharesList.appendChild(emptyRow);
+        return;
+    }
+    
+    shares.forEach(share => {
+        const row = document.createElement('tr');
+        
+        const itemCell = document.createElement('td');
+        itemCell.innerHTML = getFileIcon({ name: share.name, isDirectory: share.isDirectory });
+        itemCell.appendChild(document.createTextNode(`${share.root}:/${share.path}`));
+        if (share.hasPassword) {
+            const lock = document.createElement('i');
+            lock.className = 'fas fa-lock share-lock';
+            lock.title = 'Password protected';
+            itemCell.appendChild(lock);
+        }
+        
+        const modeCell = document.createElement('td');
+        modeCell.textContent = share.mode === 'upload' ? 'Upload only' : 'Download';
+        
+        const expiresCell = document.createElement('td');
+        expiresCell.textContent = share.expiresAt ? formatDate(share.expiresAt) : 'Never';
+        
+        const downloadsCell = document.createElement('td');
+        downloadsCell.textContent = share.maxDownloads === null
+            ? String(share.downloads)
+            : `${share.downloads} / ${share.maxDownloads}`;
+        
+        const byCell = document.createElement('td');
+        byCell.textContent = share.createdBy || '';
+        
+        const actionsCell = document.createElement('td');
+        actionsCell.className = 'trash-actions';
+        
+        const copyButton = document.createElement('button');
+        copyButton.className = 'btn';
+        copyButton.innerHTML = '<i class="fas fa-link"></i> Copy Link';
+        copyButton.addEventListener('click', () => copyShareLink(getShareUrl(share)));
+        
+        const revokeButton = document.createElement('button');
+        revokeButton.className = 'btn btn-danger';
+        revokeButton.innerHTML = '<i class="fas fa-ban"></i> Revoke';
+        revokeButton.addEventListener('click', () => revokeShare(share));
+        
+        actionsCell.append(copyButton, revokeButton);
+        row.append(itemCell, modeCell, expiresCell, downloadsCell, byCell, actionsCell);
+        sharesList.appendChild(row);
+    });
+}
+
+async function revokeShare(share) {
+    if (!confirm(`Revoke the link to "${share.name}"? It stops working immediately.`)) return;
+    
+    try {
+        await apiCall(`/api/shares/${encodeURIComponent(share.token)}`, { method: 'DELETE' });
+        showNotification('Share link revoked', 'success');
+        loadShares();
+    } catch (error) {
+        console.error('Failed to revoke share:', error);
+    }
+}
+
+// Activity view
+let activityRoot = null; // set when the view shows one item's history
+
+function showActivity(filters = {}) {
+    clearSelection();
+    cancelSearch();
+    searchView.style.display = 'none';
+    filesView.style.display = 'none';
+    trashView.style.display = 'none';
+    sharesView.style.display = 'none';
+    usageView.style.display = 'none';
+    duplicatesView.style.display = 'none';
+    activityView.style.display = 'block';
+    document.querySelectorAll('.tree-item').forEach(el => el.classList.remove('selected'));
+    activityItem.classList.add('selected');
+    
+    breadcrumb.innerHTML = '';
+    const activityCrumb = document.createElement('span');
+    activityCrumb.className = 'breadcrumb-item';
+    activityCrumb.innerHTML = '<i class="fas fa-history"></i> Activity';
+    breadcrumb.appendChild(activityCrumb);
+    
+    activityRoot = filters.root || null;
+    activityPath.value = filters.path || '';
+    activityUser.value = '';
+    activityAction.value = '';
+    activityFrom.value = '';
+    activityTo.value = '';
+    loadActivity();
+}
+
+function formatActivityItem(itemPath, root) {
+    if (itemPath === null || itemPath === undefined) return '';
+    return root ? `${root}:/${itemPath}` : `/${itemPath}`;
+}
+
+async function loadActivity() {
+    const params = new URLSearchParams();
+    if (activityPath.value.trim()) params.set('path', activityPath.value.trim());
+    if (activityRoot) params.set('root', activityRoot);
+    if (activityUser.value.trim()) params.set('user', activityUser.value.trim());
+    if (activityAction.value) params.set('action', activityAction.value);
+    // Date inputs hold local days; the range covers both of them completely
+    if (activityFrom.value) params.set('from', new Date(`${activityFrom.value}T00:00:00`).toISOString());
+    if (activityTo.value) params.set('to', new Date(`${activityTo.value}T23:59:59.999`).toISOString());
+    
+    activityStatus.textContent = 'Loading...';
+    try {
+        renderActivity(await apiCall(`/api/audit?${params}`));
+    } catch (error) {
+        activityStatus.textContent = '';
+        console.error('Failed to load activity:', error);
+    }
+}
+
+function renderActivity(result) {
+    activityList.innerHTML = '';
+    activityStatus.textContent = result.truncated
+        ? `Showing the latest ${result.entries.length} of ${result.matched} entries`
+        : `${result.matched} ${result.matched === 1 ? 'entry' : 'entries'}`;
+    
+    if (result.entries.length === 0) {
+        const emptyRow = document.createElement('tr');
+        const emptyCell = document.createElement('td');
+        emptyCell.colSpan = 7;
+        emptyCell.className = 'trash-empty';
+        emptyCell.textContent = 'No activity matches these filters';
+        emptyRow.appendChild(emptyCell);
+        activityList.appendChild(emptyRow);
+        return;
+    }
+    
+    result.entries.forEach(entry => {
+        const row = document.createElement('tr');
+        
+        const timeCell = document.createElement('td');
+        timeCell.textContent = formatDate(entry.time);
+        
+        const userCell = document.createElement('td');
+        userCell.textContent = entry.user || 'public link';
+        userCell.title = entry.ip || '';
+        
+        const actionCell = document.createElement('td');
+        actionCell.textContent = entry.action;
+        
+        const itemCell = document.createElement('td');
+        itemCell.className = 'activity-path';
+        itemCell.textContent = entry.paths
+            ? entry.paths.map(itemPath => formatActivityItem(itemPath, entry.root)).join(', ')
+            : formatActivityItem(entry.path, entry.root);
+        itemCell.title = itemCell.textContent;
+        
+        const destinationCell = document.createElement('td');
+        destinationCell.className = 'activity-path';
+        destinationCell.textContent = formatActivityItem(entry.destination, entry.destinationRoot || entry.root);
+        destinationCell.title = destinationCell.textContent;
+        
+        const sizeCell = document.createElement('td');
+        sizeCell.textContent = entry.bytes === null || entry.bytes === undefined ? '' : formatFileSize(entry.bytes);
+        
+        const outcomeCell = document.createElement('td');
+        outcomeCell.className = `activity-outcome ${entry.outcome}`;
+        outcomeCell.textContent = entry.outcome;
+        if (entry.error) outcomeCell.title = entry.error;
+        
+        row.append(timeCell, userCell, actionCell, itemCell, destinationCell, sizeCell, outcomeCell);
+        activityList.appendChild(row);
+    });
+}
+
+// Disk usage view
+let usagePath = '';
+let usageResult = null;
+let usageTimer = null;
+let usageRequest = 0;
+let usageTab = 'treemap';
+const usageSort = { field: 'size', order: 'desc' };
+
+function showUsage(path) {
+    clearSelection();
+    cancelSearch();
+    searchView.style.display = 'none';
+    filesView.style.display = 'none';
+    trashView.style.display = 'none';
+    sharesView.style.display = 'none';
+    activityView.style.display = 'none';
+    duplicatesView.style.display = 'none';
+    usageView.style.display = 'block';
+    document.querySelectorAll('.tree-item').forEach(el => el.classList.remove('selected'));
+    usageItem.classList.add('selected');
+    
+    usagePath = path.replace(/^\/+|\/+$/g, '');
+    usageResult = null;
+    updateUsageBreadcrumb();
+    loadUsage(true);
+}
+
+// Disk Usage / root / folder / ..., each part opening the usage of that folder
+function updateUsageBreadcrumb() {
+    breadcrumb.innerHTML = '';
+    const usageCrumb = document.createElement('span');
+    usageCrumb.className = 'breadcrumb-item';
+    usageCrumb.innerHTML = '<i class="fas fa-chart-pie"></i> ';
+    const rootInfo = getCurrentRootInfo();
+    usageCrumb.appendChild(document.createTextNode(rootInfo ? rootInfo.name : 'Root'));
+    usageCrumb.addEventListener('click', () => showUsage(''));
+    breadcrumb.appendChild(usageCrumb);
+    
+    const parts = usagePath ? usagePath.split('/') : [];
+    parts.forEach((part, index) => {
+        const separator = document.createElement('span');
+        separator.className = 'breadcrumb-separator';
+        separator.textContent = ' / ';
+        breadcrumb.appendChild(separator);
+        
+        const crumb = document.createElement('span');
+        crumb.className = 'breadcrumb-item';
+        crumb.textContent = part;
+        const crumbPath = parts.slice(0, index + 1).join('/');
+        crumb.addEventListener('click', () => showUsage(crumbPath));
+        breadcrumb.appendChild(crumb);
+    });
+    usageTitle.textContent = parts.length > 0 ? `Disk Usage of ${parts[parts.length - 1]}` : 'Disk Usage';
+}
+
+// Fetch the folder's usage; polls while its scan runs. startIfMissing scans folders
+// nobody has scanned yet.
+async function loadUsage(startIfMissing = false) {
+    clearTimeout(usageTimer);
+    const request = ++usageRequest;
+    const params = `root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(usagePath)}`;
+    try {
+        const result = await apiCall(`/api/usage?${params}`);
+        if (request !== usageRequest || usageView.style.display === 'none') return;
+        
+        if (!result.scan && startIfMissing) {
+            startUsageScan(false);
+            return;
+        }
+        renderUsage(result);
+        if (result.scan && result.scan.status === 'running') {
+            usageTimer = setTimeout(() => loadUsage(), 1000);
+        }
+    } catch (error) {
+        console.error('Failed to load disk usage:', error);
+    }
+}
+
+async function startUsageScan(refresh) {
+    try {
+        await apiCall('/api/usage/scan', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ root: currentRoot, path: usagePath, refresh })
+        });
+        loadUsage();
+    } catch (error) {
+        console.error('Failed to start disk usage scan:', error);
+    }
+}
+
+async function cancelUsageScan() {
+    const scanPath = usageResult && usageResult.scan ? usageResult.scan.path : usagePath;
+    try {
+        await apiCall(`/api/usage/scan?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(scanPath)}`, { method: 'DELETE' });
+        loadUsage();
+    } catch (error) {
+        console.error('Failed to cancel disk usage scan:', error);
+    }
+}
+
+function renderUsage(result) {
+    usageResult = result;
+    const { scan, disk } = result;
+    
+    usageDisk.style.display = disk ? '' : 'none';
+    if (disk) {
+        usageDiskUsed.style.width = `${disk.total ? (disk.used / disk.total) * 100 : 0}%`;
+        usageDiskText.textContent = `${formatFileSize(disk.used)} used, ${formatFileSize(disk.free)} free of ${formatFileSize(disk.total)}`;
+    }
+    
+    const running = !!scan && scan.status === 'running';
+    // Only whoever started a running scan, or an admin, may cancel it
+    const canCancel = running && (scan.user === currentUser.username || hasRole('admin'));
+    cancelScanBtn.style.display = canCancel ? '' : 'none';
+    rescanBtn.disabled = running;
+    
+    if (!scan) {
+        usageStatus.textContent = 'This folder has not been scanned';
+    } else if (running) {
+        const { progress } = scan;
+        usageStatus.textContent = `Scanning... ${progress.files} files in ${progress.folders} folders, ${formatFileSize(progress.size)}`;
+    } else if (scan.status === 'done' && result.item) {
+        const { item } = result;
+        const unreadable = scan.errors > 0 ? ` (${scan.errors} items could not be read)` : '';
+        usageStatus.textContent = `${formatFileSize(item.size)} in ${item.files} files and ${item.folders} folders, scanned ${formatDate(scan.finishedAt)}${unreadable}`;
+    } else if (scan.status === 'canceled') {
+        usageStatus.textContent = 'The scan was canceled';
+    } else {
+        usageStatus.textContent = `The scan failed${scan.error ? `: ${scan.error}` : ''}`;
+    }
+    
+    renderTreemap();
+    renderUsageList();
+}
+
+function setUsageTab(tab) {
+    usageTab = tab;
+    usageTreemapTab.classList.toggle('active', tab === 'treemap');
+    usageListTab.classList.toggle('active', tab === 'list');
+    usageListKind.style.display = tab === 'list' ? '' : 'none';
+    usageTreemap.style.display = tab === 'treemap' ? '' : 'none';
+    usageTable.style.display = tab === 'list' ? '' : 'none';
+    renderTreemap();
+}
+
+// Squarified treemap: lay items out in rows whose cells stay as close to squares as possible.
+// Returns { entry, x, y, width, height } for each entry, in the units of the rectangle.
+function layoutTreemap(entries, width, height) {
+    const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const scale = (width * height) / total;
+    const cells = [];
+    let x = 0;
+    let y = 0;
+    let row = [];
+    
+    const worst = (areas, side) => {
+        const sum = areas.reduce((a, b) => a + b.area, 0);
+        const max = Math.max(...areas.map(cell => cell.area));
+        const min = Math.min(...areas.map(cell => cell.area));
+        return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    };
+    
+    const layoutRow = (areas) => {
+        const sum = areas.reduce((a, b) => a + b.area, 0);
+        if (width >= height) {
+            const rowWidth = sum / height;
+            let offset = y;
+            areas.forEach(cell => {
+                const cellHeight = cell.area / rowWidth;
+                cells.push({ entry: cell.entry, x, y: offset, width: rowWidth, height: cellHeight });
+                offset += cellHeight;
+            });
+            x += rowWidth;
+            width -= rowWidth;
+        } else {
+            const rowHeight = sum / width;
+            let offset = x;
+            areas.forEach(cell => {
+                const cellWidth = cell.area / rowHeight;
+                cells.push({ entry: cell.entry, x: offset, y, width: cellWidth, height: rowHeight });
+                offset += cellWidth;
+            });
+            y += rowHeight;
+            height -= rowHeight;
+        }
+    };
+    
+    entries.forEach(entry => {
+        const cell = { entry, area: entry.size * scale };
+        const side = Math.min(width, height);
+        if (row.length === 0 || worst([...row, cell], side) <= worst(row, side)) {
+            row.push(cell);
+        } else {
+            layoutRow(row);
+            row = [cell];
+        }
+    });
+    if (row.length > 0) layoutRow(row);
+    return cells;
+}
+
+function renderTreemap() {
+    usageTreemap.innerHTML = '';
+    const item = usageResult && usageResult.item;
+    if (usageTab !== 'treemap' || !item) return;
+    
+    const entries = item.children.filter(child => child.size > 0);
+    if (item.otherFiles.size > 0) {
+        entries.push({ name: `${item.otherFiles.count} smaller files`, size: item.otherFiles.size, other: true });
+    }
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'trash-empty';
+        empty.textContent = 'This folder is empty';
+        usageTreemap.appendChild(empty);
+        return;
+    }
+    
+    // Laid out in the container's own proportions, placed in percentages so it scales along
+    const width = usageTreemap.clientWidth || 1;
+    const height = usageTreemap.clientHeight || 1;
+    layoutTreemap(entries, width, height).forEach(({ entry, x, y, width: cellWidth, height: cellHeight }) => {
+        const cell = document.createElement('div');
+        cell.className = `treemap-cell ${entry.other ? 'other' : entry.isDirectory ? 'folder' : 'file'}`;
+        cell.style.left = `${(x / width) * 100}%`;
+        cell.style.top = `${(y / height) * 100}%`;
+        cell.style.width = `${(cellWidth / width) * 100}%`;
+        cell.style.height = `${(cellHeight / height) * 100}%`;
+        cell.title = `${entry.name}\n${formatFileSize(entry.size)}${entry.isDirectory ? `, ${entry.files} files` : ''}`;
+        
+        const name = document.createElement('span');
+        name.className = 'treemap-name';
+        name.textContent = entry.name;
+        const size = document.createElement('span');
+        size.className = 'treemap-size';
+        size.textContent = formatFileSize(entry.size);
+        cell.append(name, size);
+        
+        if (entry.isDirectory) {
+            cell.addEventListener('click', () => showUsage(entry.path));
+        }
+        usageTreemap.appendChild(cell);
+    });
+}
+
+function setUsageSort(field) {
+    if (usageSort.field === field) {
+        usageSort.order = usageSort.order === 'asc' ? 'desc' : 'asc';
+    } else {
+        usageSort.field = field;
+        usageSort.order = field === 'name' ? 'asc' : 'desc';
+    }
+    renderUsageList();
+}
+
+function renderUsageList() {
+    usageList.innerHTML = '';
+    usageTable.querySelectorAll('th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted', th.dataset.sort === usageSort.field);
+        th.classList.toggle('descending', usageSort.order === 'desc');
+    });
+    if (!usageResult || !usageResult.item) return;
+    
+    const direction = usageSort.order === 'asc' ? 1 : -1;
+    const items = [...(usageListKind.value === 'files' ? usageResult.largestFiles : usageResult.largestFolders)];
+    items.sort((a, b) => {
+        const result = usageSort.field === 'name'
+            ? a.name.localeCompare(b.name)
+            : a[usageSort.field] - b[usageSort.field];
+        return result * direction;
+    });
+    
+    if (items.length === 0) {
+        const emptyRow = document.createElement('tr');
+        const emptyCell = document.createElement('td');
+        emptyCell.colSpan = 3;
+        emptyCell.className = 'trash-empty';
+        emptyCell.textContent = usageListKind.value === 'files' ? 'There are no files here' : 'There are no subfolders here';
+        emptyRow.appendChild(emptyCell);
+        usageList.appendChild(emptyRow);
+        return;
+    }
+    
+    items.forEach(item => {
+        const row = document.createElement('tr');
+        row.className = 'search-result';
+        
+        const nameCell = document.createElement('td');
+        nameCell.innerHTML = getFileIcon(item);
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = `/${item.path}`;
+        link.title = item.isDirectory ? 'Show its disk usage' : 'Show in folder';
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            if (item.isDirectory) {
+                showUsage(item.path);
+            } else {
+                const slash = item.path.lastIndexOf('/');
+                revealItem({ ...item, folder: slash < 0 ? '' : item.path.slice(0, slash) });
+            }
+        });
+        nameCell.appendChild(link);
+        
+        const sizeCell = document.createElement('td');
+        sizeCell.textContent = formatFileSize(item.size);
+        
+        const filesCell = document.createElement('td');
+        filesCell.textContent = item.isDirectory ? String(item.files) : '';
+        
+        row.append(nameCell, sizeCell, filesCell);
+        usageList.appendChild(row);
+    });
+}
+
+// Duplicates view: groups of identical files below a folder (see lib/duplicates.js). Copies
+// are picked per file or in bulk and go to the trash; at least one file of a group stays.
+let duplicatesPath = '';
+let duplicatesResult = null;
+let duplicatesTimer = null;
+let duplicatesRequest = 0;
+const selectedDuplicates = new Set(); // paths
+
+function showDuplicates(path) {
+    clearSelection();
+    cancelSearch();
+    searchView.style.display = 'none';
+    filesView.style.display = 'none';
+    trashView.style.display = 'none';
+    sharesView.style.display = 'none';
+    activityView.style.display = 'none';
+    usageView.style.display = 'none';
+    duplicatesView.style.display = 'block';
+    document.querySelectorAll('.tree-item').forEach(el => el.classList.remove('selected'));
+    duplicatesItem.classList.add('selected');
+    
+    duplicatesPath = path.replace(/^\/+|\/+$/g, '');
+    duplicatesResult = null;
+    selectedDuplicates.clear();
+    
+    breadcrumb.innerHTML = '';
+    const duplicatesCrumb = document.createElement('span');
+    duplicatesCrumb.className = 'breadcrumb-item';
+    duplicatesCrumb.innerHTML = '<i class="fas fa-clone"></i> ';
+    const rootInfo = getCurrentRootInfo();
+    duplicatesCrumb.appendChild(document.createTextNode(`${rootInfo ? rootInfo.name : 'Root'}:/${duplicatesPath}`));
+    breadcrumb.appendChild(duplicatesCrumb);
+    duplicatesTitle.textContent = duplicatesPath ? `Duplicates in ${duplicatesPath.split('/').pop()}` : 'Duplicates';
+    
+    loadDuplicates(true);
+}
+
+// Fetch the folder's duplicates; polls while its scan runs. startIfMissing scans folders
+// nobody has scanned yet.
+async function loadDuplicates(startIfMissing = false) {
+    clearTimeout(duplicatesTimer);
+    const request = ++duplicatesRequest;
+    const params = `root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(duplicatesPath)}`;
+    try {
+        const result = await apiCall(`/api/duplicates?${params}`, { background: true });
+        if (request !== duplicatesRequest || duplicatesView.style.display === 'none') return;
+        
+        if (!result.scan && startIfMissing) {
+            startDuplicatesScan(false);
+            return;
+        }
+        renderDuplicates(result);
+        if (result.scan && result.scan.status === 'running') {
+            duplicatesTimer = setTimeout(() => loadDuplicates(), 1000);
+        }
+    } catch (error) {
+        console.error('Failed to load duplicates:', error);
+    }
+}
+
+async function startDuplicatesScan(refresh) {
+    try {
+        await apiCall('/api/duplicates/scan', {
+            method: 'POST',
+            body: JSON.stringify({
+                root: currentRoot,
+                path: duplicatesPath,
+                minSize: Number(duplicatesMinSize.value),
+                refresh
+            })
+        });
+        selectedDuplicates.clear();
+        loadDuplicates();
+    } catch (error) {
+        console.error('Failed to start duplicate scan:', error);
+    }
+}
+
+async function cancelDuplicatesScan() {
+    try {
+        await apiCall(`/api/duplicates/scan?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(duplicatesPath)}`, { method: 'DELETE' });
+        loadDuplicates();
+    } catch (error) {
+        console.error('Failed to cancel duplicate scan:', error);
+    }
+}
+
+function renderDuplicates(result) {
+    duplicatesResult = result;
+    const { scan, totals } = result;
+    const running = !!scan && scan.status === 'running';
+    const canCancel = running && (scan.user === currentUser.username || hasRole('admin'));
+    cancelDuplicatesBtn.style.display = canCancel ? '' : 'none';
+    rescanDuplicatesBtn.disabled = running;
+    if (scan) duplicatesMinSize.value = String(scan.minSize);
+    
+    if (!scan) {
+        duplicatesStatus.textContent = 'This folder has not been scanned';
+    } else if (running) {
+        const { progress } = scan;
+        duplicatesStatus.textContent = progress.phase === 'listing'
+            ? `Listing... ${progress.files} files in ${progress.folders} folders`
+            : `Comparing ${progress.candidates} files of equal size... ${formatFileSize(progress.hashedBytes)} of ${formatFileSize(progress.totalBytes)} read`;
+    } else if (scan.status === 'done' && totals) {
+        const unreadable = scan.errors > 0 ? ` (${scan.errors} items could not be read)` : '';
+        const shown = result.groups.length < totals.groups ? `, the ${result.groups.length} largest shown` : '';
+        duplicatesStatus.textContent = totals.groups === 0
+            ? `No duplicates, scanned ${formatDate(scan.finishedAt)}${unreadable}`
+            : `${totals.files} files in ${totals.groups} groups${shown}, ${formatFileSize(totals.wasted)} in extra copies, scanned ${formatDate(scan.finishedAt)}${unreadable}`;
+    } else if (scan.status === 'canceled') {
+        duplicatesStatus.textContent = 'The scan was canceled';
+    } else {
+        duplicatesStatus.textContent = `The scan failed${scan.error ? `: ${scan.error}` : ''}`;
+    }
+    
+    const groups = result.groups || [];
+    // Forget selections of files that are gone
+    const present = new Set(groups.flatMap(group => group.files.map(file => file.path)));
+    [...selectedDuplicates].forEach(filePath => {
+        if (!present.has(filePath)) selectedDuplicates.delete(filePath);
+    });
+    duplicatesToolbar.style.display = groups.length > 0 ? '' : 'none';
+    
+    duplicatesList.innerHTML = '';
+    groups.forEach(group => {
+        const header = document.createElement('tr');
+        header.className = 'duplicates-group';
+        const headerCell = document.createElement('td');
+        headerCell.colSpan = 3;
+        headerCell.textContent = `${group.files.length} copies of ${formatFileSize(group.size)}, ${formatFileSize(group.wasted)} in extra copies`;
+        headerCell.title = `SHA-256 ${group.hash}`;
+        header.appendChild(headerCell);
+        duplicatesList.appendChild(header);
+        
+        group.files.forEach(file => {
+            const row = document.createElement('tr');
+            row.className = 'search-result';
+            
+            const checkCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = selectedDuplicates.has(file.path);
+            checkbox.dataset.path = file.path;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    selectedDuplicates.add(file.path);
+                } else {
+                    selectedDuplicates.delete(file.path);
+                }
+                updateDuplicatesToolbar();
+            });
+            checkCell.appendChild(checkbox);
+            
+            const nameCell = document.createElement('td');
+            nameCell.innerHTML = getFileIcon(file);
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = `/${file.path}`;
+            link.title = 'Show in folder';
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const slash = file.path.lastIndexOf('/');
+                revealItem({ ...file, isDirectory: false, folder: slash < 0 ? '' : file.path.slice(0, slash) });
+            });
+            nameCell.appendChild(link);
+            
+            const modifiedCell = document.createElement('td');
+            modifiedCell.textContent = formatDate(file.modified);
+            
+            row.append(checkCell, nameCell, modifiedCell);
+            duplicatesList.appendChild(row);
+        });
+    });
+    updateDuplicatesToolbar();
+}
+
+// Select every copy but the newest or oldest of each group, or none (keep null)
+function selectDuplicates(keep) {
+    selectedDuplicates.clear();
+    if (keep && duplicatesResult && duplicatesResult.groups) {
+        duplicatesResult.groups.forEach(group => {
+            const byAge = [...group.files].sort((a, b) => new Date(a.modified) - new Date(b.modified));
+            const kept = keep === 'newest' ? byAge[byAge.length - 1] : byAge[0];
+            group.files.forEach(file => {
+                if (file !== kept) selectedDuplicates.add(file.path);
+            });
+        });
+    }
+    duplicatesList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = selectedDuplicates.has(checkbox.dataset.path);
+    });
+    updateDuplicatesToolbar();
+}
+
+function updateDuplicatesToolbar() {
+    const count = selectedDuplicates.size;
+    deleteDuplicatesBtn.disabled = count === 0;
+    deleteDuplicatesBtn.innerHTML = `<i class="fas fa-trash"></i> Delete selected${count ? ` (${count})` : ''}`;
+}
+
+async function deleteSelectedDuplicates() {
+    const groups = duplicatesResult && duplicatesResult.groups ? duplicatesResult.groups : [];
+    const emptied = groups.find(group => group.files.every(file => selectedDuplicates.has(file.path)));
+    if (emptied) {
+        showNotification(`Keep at least one copy of "${emptied.files[0].name}"`, 'error');
+        return;
+    }
+    const paths = [...selectedDuplicates];
+    const size = groups.reduce((sum, group) => (
+        sum + group.size * group.files.filter(file => selectedDuplicates.has(file.path)).length
+    ), 0);
+    if (!confirm(`Move ${paths.length} ${paths.length === 1 ? 'copy' : 'copies'} (${formatFileSize(size)}) to the trash?`)) return;
+    
+    try {
+        const result = await apiCall('/api/batch/delete', {
+            method: 'POST',
+            body: JSON.stringify({ root: currentRoot, paths })
+        });
+        trackJob(result.job, job => {
+            reportBatch(job.result, 'moved to trash');
+            if (duplicatesView.style.display !== 'none') loadDuplicates();
+        });
+    } catch (error) {
+        showNotification('Delete failed', 'error');
+    }
+}
+
+// Trash view
+function showFilesView() {
+    cancelSearch();
+    searchView.style.display = 'none';
+    trashView.style.display = 'none';
+    sharesView.style.display = 'none';
+    activityView.style.display = 'none';
+    usageView.style.display = 'none';
+    duplicatesView.style.display = 'none';
+    filesView.style.display = '';
+    trashItem.classList.remove('selected');
+    sharesItem.classList.remove('selected');
+    activityItem.classList.remove('selected');
+    usageItem.classList.remove('selected');
+    duplicatesItem.classList.remove('selected');
+}
+
+function showTrash() {
+    clearSelection();
+    cancelSearch();
+    searchView.style.display = 'none';
+    filesView.style.display = 'none';
+    sharesView.style.display = 'none';
+    activityView.style.display = 'none';
+    usageView.style.display = 'none';
+    duplicatesView.style.display = 'none';
+    trashView.style.display = 'block';
+    document.querySelectorAll('.tree-item').forEach(el => el.classList.remove('selected'));
+    trashItem.classList.add('selected');
+    
+    breadcrumb.innerHTML = '';
+    const trashCrumb = document.createElement('span');
+    trashCrumb.className = 'breadcrumb-item';
+    trashCrumb.innerHTML = '<i class="fas fa-trash"></i> Trash';
+    breadcrumb.appendChild(trashCrumb);
+    
+    loadTrash();
+}
+
+async function loadTrash() {
+    try {
+        const entries = await apiCall(`/api/trash?root=${encodeURIComponent(currentRoot)}`);
+        renderTrash(entries);
+    } catch (error) {
+        console.error('Failed to load trash:', error);
+    }
+}
+
+function renderTrash(entries) {
+    trashList.innerHTML = '';
+    emptyTrashBtn.disabled = entries.length === 0;
+    
+    if (entries.length === 0) {
+        const emptyRow = document.createElement('tr');
+        const emptyCell = document.createElement('td');
+        emptyCell.colSpan = 5;
+        emptyCell.className = 'trash-empty';
+        emptyCell.textContent = 'The trash is empty';
+        emptyRow.appendChild(emptyCell);
+        trashList.appendChild(emptyRow);
+        return;
+    }
+    
+    entries.forEach(entry => {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        nameCell.innerHTML = getFileIcon({ name: entry.name, isDirectory: entry.isDirectory });
+        nameCell.appendChild(document.createTextNode(entry.name));
+        
+        const originCell = document.createElement('td');
+        originCell.textContent = entry.originalPath;
+        
+        const deletedCell = document.createElement('td');
+        deletedCell.textContent = formatDate(entry.deletedAt);
+        
+        const byCell = document.createElement('td');
+        byCell.textContent = entry.deletedBy || '';
+        
+        const actionsCell = document.createElement('td');
+        actionsCell.className = 'trash-actions';
+        
+        const restoreButton = document.createElement('button');
+        restoreButton.className = 'btn';
+        restoreButton.innerHTML = '<i class="fas fa-undo"></i> Restore';
+        restoreButton.addEventListener('click', () => restoreTrashEntry(entry));
+        
+        const purgeButton = document.createElement('button');
+        purgeButton.className = 'btn btn-danger';
+        purgeButton.innerHTML = '<i class="fas fa-times"></i> Delete';
+        purgeButton.addEventListener('click', () => purgeTrashEntry(entry));
+        
+        actionsCell.append(restoreButton, purgeButton);
+        row.append(nameCell, originCell, deletedCell, byCell, actionsCell);
+        trashList.appendChild(row);
+    });
+}
+
+async function restoreTrashEntry(entry, conflict = 'fail') {
+    try {
+        const result = await apiCall('/api/trash/restore', {
+            method: 'POST',
+            quiet: true,
+            body: JSON.stringify({
+                root: currentRoot,
+                id: entry.id,
+                conflict
+            })
+        });
+        
+        loadTrash();
+        loadDirectoryTree();
+        showNotification(`Restored to "${result.path}"`, 'success');
+    } catch (error) {
+        if (error.status === 409) {
+            const restoreAsCopy = confirm(`"${entry.originalPath}" already exists. Restore it under a new name instead?`);
+            if (restoreAsCopy) {
+                restoreTrashEntry(entry, 'rename');
+            }
+            return;
+        }
+        showNotification(error.message, 'error');
+    }
+}
+
+async function purgeTrashEntry(entry) {
+    const confirmPurge = confirm(`Permanently delete "${entry.name}"? This cannot be undone.`);
+    if (!confirmPurge) return;
+    
+    try {
+        await apiCall(`/api/trash?root=${encodeURIComponent(currentRoot)}&id=${encodeURIComponent(entry.id)}`, {
+            method: 'DELETE'
+        });
+        loadTrash();
+        showNotification('Item permanently deleted', 'success');
+    } catch (error) {
+        console.error('Failed to purge trash entry:', error);
+    }
+}
+
+async function emptyTrash() {
+    const confirmEmpty = confirm('Permanently delete everything in the trash? This cannot be undone.');
+    if (!confirmEmpty) return;
+    
+    try {
+        const result = await apiCall(`/api/trash?root=${encodeURIComponent(currentRoot)}`, {
+            method: 'DELETE'
+        });
+        loadTrash();
+        showNotification(`Trash emptied (${result.purged} items)`, 'success');
+    } catch (error) {
+        console.error('Failed to empty trash:', error);
+    }
+}
+
+// Search
+let searchController = null; // aborts the running search request
+
+function getSearchParams() {
+    const params = new URLSearchParams({ root: currentRoot, path: currentPath });
+    const megabytes = (value) => String(Math.round(parseFloat(value) * 1024 * 1024));
+    const fields = {
+        name: searchInput.value.trim(),
+        content: document.getElementById('searchContent').value,
+        type: document.getElementById('searchType').value,
+        minSize: document.getElementById('searchMinSize').value,
+        maxSize: document.getElementById('searchMaxSize').value,
+        modifiedAfter: document.getElementById('searchModifiedAfter').value,
+        modifiedBefore: document.getElementById('searchModifiedBefore').value
+    };
+    
+    if (fields.name) params.set('name', fields.name);
+    if (fields.content) params.set('content', fields.content);
+    if (fields.type) params.set('type', fields.type);
+    if (fields.minSize) params.set('minSize', megabytes(fields.minSize));
+    if (fields.maxSize) params.set('maxSize', megabytes(fields.maxSize));
+    if (fields.modifiedAfter) params.set('modifiedAfter', new Date(`${fields.modifiedAfter}T00:00:00`).toISOString());
+    if (fields.modifiedBefore) params.set('modifiedBefore', new Date(`${fields.modifiedBefore}T23:59:59.999`).toISOString());
+    if (document.getElementById('searchRegex').checked) params.set('regex', 'true');
+    if (document.getElementById('searchCaseSensitive').checked) params.set('caseSensitive', 'true');
+    return params;
+}
+
+async function startSearch(event) {
+    event.preventDefault();
+    searchOptions.classList.remove('show');
+    
+    const params = getSearchParams();
+    if ([...params.keys()].every(key => ['root', 'path', 'regex', 'caseSensitive'].includes(key))) {
+        searchInput.focus();
+        return;
+    }
+    
+    showSearchView();
+    const controller = new AbortController();
+    searchController = controller;
+    cancelSearchBtn.disabled = false;
+    searchResults.innerHTML = '';
+    searchTitle.textContent = `Search in /${currentPath}`;
+    searchStatus.textContent = 'Searching...';
+    
+    let count = 0;
+    try {
+        const response = await fetch(`/api/search?${params}`, { signal: controller.signal });
+        if (response.status === 401) {
+            showLoginScreen();
+            return;
+        }
+        if (!response.ok) {
+            const body = await response.json();
+            throw new Error(body.error || 'Search failed');
+        }
+        
+        // Results arrive as one JSON object per line
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines.filter(Boolean)) {
+                const message = JSON.parse(line);
+                if (message.type === 'match') {
+                    addSearchResult(message.item);
+                    count++;
+                    searchStatus.textContent = `Searching... ${count} found`;
+                } else if (message.type === 'done') {
+                    let summary = `${count} found, ${message.scanned} items scanned`;
+                    if (message.truncated) summary += ' (result limit reached)';
+                    if (message.timedOut) summary += ' (stopped after the time limit)';
+                    searchStatus.textContent = summary;
+                } else if (message.type === 'error') {
+                    throw new Error(message.error);
+                }
+            }
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            searchStatus.textContent = `Stopped, ${count} found`;
+        } else {
+            searchStatus.textContent = error.message;
+            showNotification(error.message, 'error');
+        }
+    } finally {
+        if (searchController === controller) {
+            searchController = null;
+            cancelSearchBtn.disabled = true;
+        }
+        if (count === 0 && !searchResults.children.length) {
+            const emptyRow = document.createElement('tr');
+            const emptyCell = document.createElement('td');
+            emptyCell.colSpan = 4;
+            emptyCell.className = 'trash-empty';
+            emptyCell.textContent = 'No matches';
+            emptyRow.appendChild(emptyCell);
+            searchResults.appendChild(emptyRow);
+        }
+    }
+}
+
+function cancelSearch() {
+    if (searchController) {
+        searchController.abort();
+    }
+}
+
+function showSearchView() {
+    cancelSearch();
+    clearSelection();
+    filesView.style.display = 'none';
+    trashView.style.display = 'none';
+    sharesView.style.display = 'none';
+    activityView.style.display = 'none';
+    usageView.style.display = 'none';
+    duplicatesView.style.display = 'none';
+    trashItem.classList.remove('selected');
+    sharesItem.classList.remove('selected');
+    activityItem.classList.remove('selected');
+    usageItem.classList.remove('selected');
+    duplicatesItem.classList.remove('selected');
+    searchView.style.display = 'block';
+}
+
+function addSearchResult(item) {
+    const row = document.createElement('tr');
+    row.className = 'search-result';
+    
+    const nameCell = document.createElement('td');
+    nameCell.innerHTML = getFileIcon(item);
+    nameCell.appendChild(document.createTextNode(item.name));
+    if (item.match) {
+        const snippet = document.createElement('div');
+        snippet.className = 'search-snippet';
+        snippet.textContent = `${item.match.line}: ${item.match.text}`;
+        nameCell.appendChild(snippet);
+    }
+    
+    const folderCell = document.createElement('td');
+    const folderLink = document.createElement('a');
+    folderLink.href = '#';
+    folderLink.textContent = `/${item.folder}`;
+    folderLink.title = 'Show in folder';
+    folderLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        revealItem(item);
+    });
+    folderCell.appendChild(folderLink);
+    
+    const sizeCell = document.createElement('td');
+    sizeCell.textContent = item.isDirectory ? '' : formatFileSize(item.size);
+    
+    const modifiedCell = document.createElement('td');
+    modifiedCell.textContent = formatDate(item.modified);
+    
+    row.addEventListener('dblclick', () => {
+        selectedItem = item;
+        openItem(item);
+    });
+    row.append(nameCell, folderCell, sizeCell, modifiedCell);
+    searchResults.appendChild(row);
+}
+
+// Open the folder holding a search hit and select the hit
+async function revealItem(item) {
+    await loadFiles(item.folder);
+    let file = getFileByPath(item.path);
+    while (!file && listingCursor) {
+        const cursor = listingCursor;
+        await loadMoreFiles();
+        if (listingCursor === cursor) break; // the page failed to load
+        file = getFileByPath(item.path);
+    }
+    if (file) {
+        selectionAnchor = file;
+        setSelection([file]);
+        scrollToFile(file);
+    }
+}
+
+// Live updates: the server pushes changes in the current folder over server-sent events
+let eventSource = null;
+let watchedFolder = null; // "<root>:<path>" the event source listens to
+
+function watchFolder(path) {
+    const key = `${currentRoot}:${path}`;
+    if (eventSource && watchedFolder === key) return;
+    
+    stopWatching();
+    // Changes are watched on the local file system only
+    if (!isLocalRoot()) return;
+    watchedFolder = key;
+    eventSource = new EventSource(`/api/events?root=${encodeURIComponent(currentRoot)}&path=${encodeURIComponent(path)}`);
+    
+    // After a reconnect, changes made while disconnected are unknown, so reload once
+    let connected = false;
+    eventSource.addEventListener('ready', () => {
+        if (connected) loadFiles(currentPath);
+        connected = true;
+    });
+    eventSource.addEventListener('change', (e) => applyChange(JSON.parse(e.data)));
+}
+
+function stopWatching() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+    watchedFolder = null;
+}
+
+function applyChange(change) {
+    if (change.root !== currentRoot) return;
+    
+    patchTree(change);
+    if (change.folder !== currentPath) return;
+    
+    switch (change.type) {
+        case 'create':
+        case 'modify':
+            upsertFileItem(change.item);
+            break;
+        case 'delete':
+            removeFileItem(change.path);
+            break;
+        case 'rename': {
+            const wasSelected = removeFileItem(change.oldPath);
+            upsertFileItem(change.item);
+            if (wasSelected) {
+                setSelection([...selectedItems, getFileByPath(change.item.path)]);
+            }
+            break;
+        }
+        case 'unavailable':
+            showNotification('This folder no longer exists', 'error');
+            stopWatching();
+            navigateToPath(currentPath.split('/').slice(0, -1).join('/'));
+            break;
+    }
+}
+
+// Same order as the server: folders first, then by the sort field and name
+function compareFiles(a, b) {
+    if (a.isDirectory !== b.isDirectory) return a.isDirectory ? -1 : 1;
+    
+    let result = 0;
+    if (listingOptions.sort === 'size') {
+        result = (a.isDirectory ? 0 : a.size) - (b.isDirectory ? 0 : b.size);
+    } else if (listingOptions.sort === 'modified') {
+        result = new Date(a.modified) - new Date(b.modified);
+    } else if (listingOptions.sort === 'type') {
+        result = a.type.localeCompare(b.type);
+    }
+    if (result === 0) result = a.name.localeCompare(b.name);
+    return listingOptions.order === 'desc' ? -result : result;
+}
+
+function getFileElement(path) {
+    return fileGrid.querySelector(`.file-item[data-path="${CSS.escape(path)}"]`);
+}
+
+// Add or refresh one item in the grid without reloading the folder
+function upsertFileItem(item) {
+    const existing = getFileByPath(item.path);
+    const existingElement = getFileElement(item.path);
+    if (existingElement && existingElement.classList.contains('renaming')) return;
+    if (!listingOptions.showHidden && item.name.startsWith('.')) return;
+    
+    if (existing) {
+        currentFiles.splice(currentFiles.indexOf(existing), 1);
+    } else {
+        listingTotal++;
+    }
+    
+    // Items sorting after everything loaded arrive with a later page
+    let index = currentFiles.findIndex(file => compareFiles(item, file) < 0);
+    if (index < 0) index = currentFiles.length;
+    if (index < currentFiles.length || !listingCursor) {
+        currentFiles.splice(index, 0, item);
+    }
+    
+    // Point the selection at the new object
+    if (existing) {
+        if (selectionAnchor === existing) selectionAnchor = currentFiles.includes(item) ? item : null;
+        selectedItems = selectedItems.map(selected => (selected === existing ? item : selected)).filter(selected => currentFiles.includes(selected));
+        if (selectedItem === existing) selectedItem = currentFiles.includes(item) ? item : null;
+    }
+    updateListingCount();
+    renderVisibleFiles(true);
+}
+
+// Remove one item from the grid. Returns whether it was selected.
+function removeFileItem(path) {
+    const file = getFileByPath(path);
+    if (!file) return false;
+    
+    currentFiles.splice(currentFiles.indexOf(file), 1);
+    listingTotal--;
+    updateListingCount();
+    if (selectionAnchor === file) selectionAnchor = null;
+    
+    const wasSelected = selectedItems.includes(file);
+    if (wasSelected) {
+        const remaining = selectedItems.filter(selected => selected !== file);
+        setSelection(remaining, selectedItem === file ? undefined : selectedItem);
+    }
+    if (currentFiles.length === 0) {
+        showEmptyFolder();
+    } else {
+        renderVisibleFiles(true);
+    }
+    return wasSelected;
+}
+
+// Keep the sidebar tree in step with folder changes
+function patchTree(change) {
+    if (change.type === 'create' && change.item.isDirectory) {
+        addTreeItem(change.folder, change.item);
+    } else if (change.type === 'delete' && change.isDirectory) {
+        removeTreeItem(change.path);
+    } else if (change.type === 'rename' && change.item.isDirectory) {
+        renameTreeItem(change.oldPath, change.item);
+    }
+}
+
+function findTreeElement(selector, path) {
+    return directoryTree.querySelector(`${selector}[data-path="${CSS.escape(path)}"]`);
+}
+
+// The element holding a folder's subfolders; null while the folder is collapsed
+function getTreeChildren(folder) {
+    if (folder === '') return directoryTree;
+    return findTreeElement('.tree-children', folder);
+}
+
+// Show or hide the expand caret of a folder's tree item
+function setTreeItemHasChildren(folder, hasChildren) {
+    const treeItem = folder === '' ? null : findTreeElement('.tree-item', folder);
+    if (treeItem) {
+        treeItem.querySelector('.tree-caret').classList.toggle('empty', !hasChildren);
+    }
+}
+
+// Insert a tree item (and its subfolders) in name order among its siblings
+function insertTreeItem(container, treeItem, children) {
+    const name = treeItem.querySelector('span').textContent;
+    const next = [...container.children]
+        .find(el => el.classList.contains('tree-item') && el.querySelector('span').textContent.localeCompare(name) > 0);
+    container.insertBefore(treeItem, next || null);
+    if (children) treeItem.after(children);
+}
+
+function addTreeItem(folder, item) {
+    if (findTreeElement('.tree-item', item.path)) return;
+    setTreeItemHasChildren(folder, true);
+    
+    // Collapsed folders fetch their subfolders when expanded
+    const container = getTreeChildren(folder);
+    if (!container) return;
+    
+    const level = container === directoryTree ? 0 : Number(container.dataset.level);
+    insertTreeItem(container, createTreeItem(item, level));
+}
+
+function removeTreeItem(path) {
+    const treeItem = findTreeElement('.tree-item', path);
+    const children = findTreeElement('.tree-children', path);
+    const container = treeItem && treeItem.parentElement;
+    if (treeItem) treeItem.remove();
+    if (children) children.remove();
+    
+    // Collapse a parent whose last subfolder went away
+    if (container && container !== directoryTree && !container.querySelector('.tree-item')) {
+        const parentPath = container.dataset.path;
+        container.remove();
+        const parentItem = findTreeElement('.tree-item', parentPath);
+        if (parentItem) parentItem.classList.remove('expanded');
+        setTreeItemHasChildren(parentPath, false);
+    }
+}
+
+function renameTreeItem(oldPath, item) {
+    const treeItem = findTreeElement('.tree-item', oldPath);
+    if (!treeItem) {
+        addTreeItem(item.path.split('/').slice(0, -1).join('/'), item);
+        return;
+    }
+    
+    const children = findTreeElement('.tree-children', oldPath);
+    const container = treeItem.parentElement;
+    treeItem.dataset.path = item.path;
+    treeItem.querySelector('span').textContent = item.name;
+    
+    // Subfolders keep their place but their paths change prefix
+    const expanded = getExpandedFolders();
+    const renamed = [...expanded].map(path => (
+        path === oldPath || path.startsWith(`${oldPath}/`) ? item.path + path.slice(oldPath.length) : path
+    ));
+    saveExpandedFolders(new Set(renamed));
+    if (children) {
+        [children, ...children.querySelectorAll('[data-path]')].forEach(el => {
+            el.dataset.path = item.path + el.dataset.path.slice(oldPath.length);
+        });
+        children.remove();
+    }
+    treeItem.remove();
+    insertTreeItem(container, treeItem, children);
+}
@@ -0,0 +1,123 @@
+// Public page for a share link: /s/<token>
+const shareUrl = window.location.pathname.replace(/\/+$/, '');
+
+const shareTitle = document.getElementById('shareTitle');
+const unlockForm = document.getElementById('unlockForm');
+const unlockPassword = document.getElementById('unlockPassword');
+const downloadSection = document.getElementById('downloadSection');
+const shareDetails = document.getElementById('shareDetails');
+const shareDownloadLink = document.getElementById('shareDownloadLink');
+const dropForm = document.getElementById('dropForm');
+const dropFiles = document.getElementById('dropFiles');
+const shareMessage = document.getElementById('shareMessage');
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (localStorage.getItem('darkMode') === 'true') {
+        document.body.setAttribute('data-theme', 'dark');
+    }
+    unlockForm.addEventListener('submit', unlock);
+    dropForm.addEventListener('submit', uploadFiles);
+    loadShare();
+});
+
+function showSection(section) {
+    [unlockForm, downloadSection, dropForm].forEach(el => {
+        el.style.display = el === section ? '' : 'none';
+    });
+}
+
+function showMessage(text, success = false) {
+    shareMessage.textContent = text;
+    shareMessage.classList.toggle('success', success);
+}
+
+// Same as in the main app
+function formatFileSize(bytes) {
+    if (bytes === null || bytes === undefined) return '';
+    if (bytes === 0) return '0 B';
+    
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+    return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+}
+
+async function loadShare() {
+    try {
+        const response = await fetch(`${shareUrl}/info`);
+        const body = await response.json();
+        
+        if (response.status === 401 && body.requiresPassword) {
+            showSection(unlockForm);
+            unlockPassword.focus();
+            return;
+        }
+        if (!response.ok) {
+            showSection(null);
+            showMessage(body.error || 'This share is not available');
+            return;
+        }
+        
+        shareTitle.textContent = body.name;
+        document.title = body.name;
+        if (body.mode === 'upload') {
+            showSection(dropForm);
+            return;
+        }
+        
+        const details = [body.isDirectory ? 'Folder, downloaded as a zip' : formatFileSize(body.size)];
+        if (body.expiresAt) {
+            details.push(`available until ${new Date(body.expiresAt).toLocaleString()}`);
+        }
+        if (body.downloadsLeft !== null) {
+            details.push(`${body.downloadsLeft} download${body.downloadsLeft === 1 ? '' : 's'} left`);
+        }
+        shareDetails.textContent = details.join(' · ');
+        shareDownloadLink.href = `${shareUrl}/download`;
+        showSection(downloadSection);
+    } catch (error) {
+        showMessage('This share is not available');
+    }
+}
+
+async function unlock(event) {
+    event.preventDefault();
+    showMessage('');
+    
+    try {
+        const response = await fetch(`${shareUrl}/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: unlockPassword.value })
+        });
+        if (!response.ok) {
+            const body = await response.json();
+            showMessage(body.error || 'Wrong password');
+            return;
+        }
+        unlockPassword.value = '';
+        loadShare();
+    } catch (error) {
+        showMessage('Could not check the password');
+    }
+}
+
+async function uploadFiles(event) {
+    event.preventDefault();
+    showMessage('');
+    
+    const formData = new FormData();
+    Array.from(dropFiles.files).forEach(file => formData.append('files', file));
+    
+    try {
+        const response = await fetch(`${shareUrl}/upload`, { method: 'POST', body: formData });
+        const body = await response.json();
+        if (!response.ok) {
+            showMessage(body.error || 'Upload failed');
+            return;
+        }
+        dropForm.reset();
+        showMessage(`Uploaded ${body.files.length} file${body.files.length === 1 ? '' : 's'}`, true);
+    } catch (error) {
+        showMessage('Upload failed');
+    }
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Manage the local user store:
+//   npm run user -- add <username> <role> [password]
+//   npm run user -- remove <username>
+//   npm run user -- list
+const crypto = require('crypto');
+const { ROLES, loadUsers, setUser, removeUser } = require('../lib/auth');
+const { USERS_FILE } = require('../lib/config');
+
+const [command, username, role, password] = process.argv.slice(2);
+
+function usage() {
+  console.log('Usage:');
+  console.log('  npm run user -- add <username> <role> [password]');
+  console.log('  npm run user -- remove <username>');
+  console.log('  npm run user -- list');
+  console.log(`Roles: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  if (command === 'add' && username && role) {
+    const newPassword = password || crypto.randomBytes(9).toString('base64url');
+    setUser(USERS_FILE, username, newPassword, role);
+    console.log(`Saved user "${username}" with role ${role}`);
+    if (!password) {
+      console.log(`Generated password: ${newPassword}`);
+    }
+  } else if (command === 'remove' && username) {
+    if (!removeUser(USERS_FILE, username)) {
+      console.error(`No such user "${username}"`);
+      process.exit(1);
+    }
+    console.log(`Removed user "${username}"`);
+  } else if (command === 'list') {
+    loadUsers(USERS_FILE).forEach(user => console.log(`${user.username}\t${user.role}`));
+  } else {
+    usage();
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
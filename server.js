@@ -1,288 +1,2559 @@
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { buffer: readBuffer } = require('stream/consumers');
 const multer = require('multer');
 const mime = require('mime-types');
 const archiver = require('archiver');
 const cors = require('cors');
+const { createAuth } = require('./lib/auth');
+const {
+  USERS_FILE,
+  SHARES_FILE,
+  AUDIT_LOG_FILE,
+  JOBS_FILE,
+  CORS_ORIGINS,
+  ROOTS,
+  TRASH_RETENTION_DAYS,
+  VERSIONS_MAX,
+  VERSIONS_MAX_AGE_DAYS,
+  UPLOAD_SESSION_TTL_HOURS,
+  SHARE_UPLOAD_MAX_FILE_SIZE,
+  SHARE_UPLOAD_MAX_FILES,
+  EDITOR_MAX_SIZE,
+  SEARCH_TIMEOUT_SECONDS,
+  SEARCH_CONTENT_MAX_SIZE,
+  ARCHIVE_MAX_ENTRIES,
+  ARCHIVE_MAX_EXTRACTED_SIZE,
+  WATCH_POLLING,
+  WATCH_POLL_INTERVAL_SECONDS,
+  LISTING_STAT_CONCURRENCY,
+  USAGE_CACHE_MINUTES,
+  JOB_CONCURRENCY,
+  JOB_HISTORY_LIMIT,
+  RATE_LIMIT_PER_MINUTE,
+  LOGIN_RATE_LIMIT_PER_MINUTE,
+  SCAN_RATE_LIMIT_PER_MINUTE
+} = require('./lib/config');
+const { HttpError, sendError } = require('./lib/errors');
+const trash = require('./lib/trash');
+const uploads = require('./lib/uploads');
+const { sendFile, contentDisposition, getETag } = require('./lib/send-file');
+const { isTextBuffer, isTextInStorage } = require('./lib/text-files');
+const search = require('./lib/search');
+const archives = require('./lib/archives');
+const { createWatcher } = require('./lib/watcher');
+const { parseListingOptions, listDirectory, listEntries } = require('./lib/listing');
+const { createShares } = require('./lib/shares');
+const { parseAuditFilters, createAuditLog } = require('./lib/audit');
+const { getDiskSpace, createDiskUsage } = require('./lib/disk-usage');
+const { createDuplicateFinder } = require('./lib/duplicates');
+const { parseAlgorithms, hashStream } = require('./lib/checksums');
+const permissions = require('./lib/permissions');
+const { copyWithProgress, moveWithProgress, createJobs } = require('./lib/jobs');
+const { createWebDav } = require('./lib/webdav');
+const { createVersions } = require('./lib/versions');
+const { isInternal, resolveInRoot } = require('./lib/paths');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { createStorage, copyBetween, moveBetween } = require('./lib/storage');
+const { diffLines, toHunks } = require('./lib/diff');
+const {
+  parseConflictPolicy,
+  parseConflictResolutions,
+  getAvailablePath,
+  describeConflict,
+  conflictError,
+  decideConflict
+} = require('./lib/conflicts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const ROOT_DIR = '/mnt/test';
 
-// Ensure root directory exists
-fs.ensureDirSync(ROOT_DIR);
+// Every root reads and writes through a storage adapter (see lib/storage). Features that need a
+// file system of their own (trash, versions, search, archives, ...) exist on local roots only.
+const storages = new Map(ROOTS.map(root => [root.id, createStorage(root)]));
+const LOCAL_ROOTS = ROOTS.filter(root => root.storage.type === 'local');
+
+// Ensure writable root directories exist
+LOCAL_ROOTS.filter(root => !root.readOnly).forEach(root => fs.ensureDirSync(root.path));
+
+trash.scheduleTrashExpiry(LOCAL_ROOTS, TRASH_RETENTION_DAYS);
+uploads.scheduleUploadCleanup(ROOTS, UPLOAD_SESSION_TTL_HOURS);
+const versions = createVersions({ maxVersions: VERSIONS_MAX, maxAgeDays: VERSIONS_MAX_AGE_DAYS });
+versions.scheduleVersionExpiry(LOCAL_ROOTS);
+
+const auth = createAuth({ usersFile: USERS_FILE });
+const { requireRole } = auth;
+const shares = createShares({ sharesFile: SHARES_FILE });
+const audit = createAuditLog({ logFile: AUDIT_LOG_FILE });
+const jobs = createJobs({ historyFile: JOBS_FILE, concurrency: JOB_CONCURRENCY, historyLimit: JOB_HISTORY_LIMIT });
+
+const watcher = createWatcher({
+  describe: describeEntry,
+  stat: statEntry,
+  skip: (root, fullPath) => isInternalPath(root, fullPath),
+  forcePolling: WATCH_POLLING,
+  pollIntervalMs: WATCH_POLL_INTERVAL_SECONDS * 1000
+});
+const diskUsage = createDiskUsage({
+  skip: (root, fullPath) => isInternalPath(root, fullPath),
+  cacheMinutes: USAGE_CACHE_MINUTES,
+  concurrency: LISTING_STAT_CONCURRENCY
+});
+const duplicates = createDuplicateFinder({
+  skip: (root, fullPath) => isInternalPath(root, fullPath),
+  cacheMinutes: USAGE_CACHE_MINUTES,
+  concurrency: LISTING_STAT_CONCURRENCY
+});
+const webdav = createWebDav({
+  mount: '/dav',
+  roots: LOCAL_ROOTS,
+  getRoot,
+  getWritableRoot,
+  getSafePath,
+  isInternalPath,
+  validateFileName,
+  createTempPath: archives.createTempPath,
+  swapIn,
+  authenticate: auth.authenticateBasic('Web File Manager'),
+  audit,
+  trash,
+  versions,
+  concurrency: LISTING_STAT_CONCURRENCY
+});
+
+// Request limits per client; failed logins count separately and much lower. WebDAV clients
+// first ask without credentials and get a 401 challenge, so there only a rejected
+// Authorization header counts as a failed login.
+const requestLimiter = createRateLimiter({ windowMs: 60 * 1000, max: RATE_LIMIT_PER_MINUTE });
+const loginLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: LOGIN_RATE_LIMIT_PER_MINUTE,
+  countIf: (req, res) => res.statusCode === 401 &&
+    (req.baseUrl !== '/dav' || /^Basic /i.test(req.headers.authorization || ''))
+});
+// Folder scans started per user (so it goes after requireRole); polling their results is not limited
+const scanLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: SCAN_RATE_LIMIT_PER_MINUTE,
+  key: req => req.user.username
+});
 
 // Middleware
-app.use(cors());
+if (CORS_ORIGINS.length > 0) {
+  app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+}
+app.use(['/api', '/dav', '/s'], requestLimiter);
+// WebDAV reads request bodies itself, so it comes before the JSON parser
+app.use('/dav', loginLimiter, webdav);
+// Editor saves carry whole files, so they get a larger body limit (JSON escaping included)
+app.use('/api/content', express.json({ limit: EDITOR_MAX_SIZE * 2 + 64 * 1024 }));
 app.use(express.json());
 app.use(express.static('public'));
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+// The "root" and "path" fields must come before the files in the form data. Files arrive in
+// scratch space (see createTempPathFor) and are put in place once the conflict policy has been applied.
+const uploadStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadPath = req.body.path || ROOT_DIR;
-    const fullPath = path.join(ROOT_DIR, uploadPath.replace(ROOT_DIR, ''));
-    fs.ensureDirSync(fullPath);
-    cb(null, fullPath);
+    try {
+      const root = getWritableRoot(req.body.root);
+      if (isLocalRoot(root)) {
+        getSafePath(root, req.body.path);
+      }
+      createTempPathFor(root).then(tempPath => {
+        file.tempName = path.basename(tempPath);
+        cb(null, path.dirname(tempPath));
+      }, cb);
+    } catch (error) {
+      cb(error);
+    }
   },
   filename: (req, file, cb) => {
-    cb(null, file.originalname);
+    cb(null, file.tempName);
+  }
+});
+
+const upload = multer({ storage: uploadStorage });
+
+// Uploads through a share link land in the shared folder (req.share.fullPath) and never replace
+// files: each one is created with "wx", so of two uploads of the same name at once only the first
+// gets through. limits are the share's own (see lib/shares.js) or the configured defaults.
+const shareUploadStorage = {
+  _handleFile(req, file, cb) {
+    try {
+      validateFileName(file.originalname);
+    } catch (error) {
+      return cb(error);
+    }
+    const filePath = path.join(req.share.fullPath, file.originalname);
+    const output = fs.createWriteStream(filePath, { flags: 'wx' });
+    output.on('error', error => {
+      file.stream.resume();
+      cb(error.code === 'EEXIST' ? new HttpError(409, `"${file.originalname}" already exists`) : error);
+    });
+    output.on('finish', () => {
+      cb(null, { destination: req.share.fullPath, filename: file.originalname, path: filePath, size: output.bytesWritten });
+    });
+    file.stream.pipe(output);
+  },
+  // Only files this request created are removed, never one that was there before
+  _removeFile(req, file, cb) {
+    if (!file.path) return cb(null);
+    fs.remove(file.path).then(() => cb(null), cb);
+  }
+};
+
+function createShareUpload(limits) {
+  return multer({ storage: shareUploadStorage, limits });
+}
+
+// Helper function to look up a configured root (the first one by default)
+function getRoot(rootId) {
+  const root = rootId ? ROOTS.find(r => r.id === rootId) : ROOTS[0];
+  if (!root) {
+    throw new HttpError(404, `Unknown root "${rootId}"`);
+  }
+  return root;
+}
+
+// Helper function to look up a root that accepts changes
+function getWritableRoot(rootId) {
+  const root = getRoot(rootId);
+  if (root.readOnly) {
+    throw new HttpError(403, `Root "${root.id}" is read-only`);
+  }
+  return root;
+}
+
+// Helper function to get safe path inside a root. Every path a request names goes through here:
+// it must stay inside the root, also through symlinks, and out of the internal directory.
+// options: { followLinks } (see lib/paths.js). Only local roots have paths; routes asking for
+// one on other storage answer 501.
+function getSafePath(root, relativePath, options) {
+  requireLocalRoot(root);
+  return resolveInRoot(root, relativePath, options);
+}
+
+// Helper function to get the storage adapter of a root (see lib/storage)
+function getStorage(root) {
+  return storages.get(root.id);
+}
+
+function isLocalRoot(root) {
+  return root.storage.type === 'local';
+}
+
+// Helper function for features that still use the local file system directly rather than a
+// storage adapter (trash, versions, search, events, archives, usage, duplicates, shares,
+// permissions; see "Storage backends" in the README). Other roots get 501.
+function requireLocalRoot(root) {
+  if (!isLocalRoot(root)) {
+    throw new HttpError(501, `Root "${root.id}" is on ${root.storage.type} storage, which does not support this`);
+  }
+  return root;
+}
+
+// Scratch file for incoming data: inside a local root, so it can be renamed into place,
+// otherwise in the system's temp folder
+function createTempPathFor(root) {
+  if (isLocalRoot(root)) {
+    return archives.createTempPath(root);
+  }
+  return Promise.resolve(path.join(os.tmpdir(), `wfm-${crypto.randomBytes(8).toString('hex')}`));
+}
+
+// Display name of an item, the root's own name for the root
+function getItemName(root, relativePath) {
+  return path.basename(path.join('/', relativePath || '')) || root.name;
+}
+
+// The root's .wfm directory (trash, versions, ...) is never exposed through the file API
+function isInternalPath(root, fullPath) {
+  return isInternal(root.path, fullPath);
+}
+
+// Whether a path inside a local root still leads into it once its symlinks are followed
+function isReachable(root, fullPath) {
+  try {
+    resolveInRoot(root, path.relative(root.path, fullPath));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Names Windows refuses to create; rejected so the tree stays portable to SMB clients
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Helper function to validate a single file or directory name
+function validateFileName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new HttpError(400, 'Name is required');
+  }
+  // Also with surrounding spaces, which some clients trim and others do not
+  if (name.trim() === '.' || name.trim() === '..') {
+    throw new HttpError(400, 'Invalid name');
+  }
+  if (/[\/\\\0]/.test(name)) {
+    throw new HttpError(400, 'Name must not contain path separators');
+  }
+  if (RESERVED_NAMES.test(name)) {
+    throw new HttpError(400, `"${name}" is a reserved name`);
+  }
+  if (Buffer.byteLength(name) > 255) {
+    throw new HttpError(400, 'Name is too long');
+  }
+}
+
+// Helper function to get file info
+async function getFileInfo(filePath, relativePath) {
+  return describeItem(path.basename(filePath), relativePath, await fs.stat(filePath));
+}
+
+// File info for an entry of a local root, as listings and change events send it. Symlinks
+// describe their target, except broken ones and those leading out of the root: they only
+// describe themselves, so nothing about what is outside shows.
+async function describeEntry(root, fullPath, relativePath) {
+  const stats = await statEntry(root, fullPath);
+  const name = path.basename(fullPath);
+  return stats.isSymbolicLink() ? describeLink(name, relativePath, stats) : describeItem(name, relativePath, stats);
+}
+
+// fs.stat of an entry in a local root, or fs.lstat for a symlink that is broken or leads out of it
+async function statEntry(root, fullPath) {
+  const linkStats = await fs.lstat(fullPath);
+  if (!linkStats.isSymbolicLink() || !isReachable(root, fullPath)) {
+    return linkStats;
+  }
+  return fs.stat(fullPath).catch(() => linkStats);
+}
+
+// File info of a symlink whose target is not described
+function describeLink(name, relativePath, linkStats) {
+  return {
+    name,
+    path: relativePath,
+    isDirectory: false,
+    size: null,
+    modified: linkStats.mtime,
+    type: 'unknown',
+    linkBroken: true
+  };
+}
+
+// File info from stats, fs.Stats or a storage adapter's
+function describeItem(name, relativePath, stats) {
+  const isDirectory = stats.isDirectory();
+  
+  return {
+    name,
+    path: relativePath,
+    isDirectory,
+    size: isDirectory ? null : stats.size,
+    modified: stats.mtime,
+    type: isDirectory ? 'folder' : mime.lookup(name) || 'unknown'
+  };
+}
+
+// Helper function to validate the "paths" list of a batch request
+function getBatchPaths(paths) {
+  if (!Array.isArray(paths) || paths.length === 0 || !paths.every(p => typeof p === 'string' && p !== '')) {
+    throw new HttpError(400, 'A non-empty "paths" array is required');
+  }
+  return [...new Set(paths)];
+}
+
+// Run fn for every path and report each outcome instead of stopping at the first failure.
+// Once the optional signal is aborted the remaining paths are left out.
+async function runBatch(paths, fn, logMessage, signal) {
+  const results = [];
+  for (const itemPath of paths) {
+    if (signal && signal.aborted) break;
+    try {
+      results.push({ path: itemPath, ok: true, ...await fn(itemPath) });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        results.push({ path: itemPath, ok: false, error: 'Canceled' });
+        break;
+      }
+      if (!(error instanceof HttpError)) {
+        console.error(logMessage, error);
+      }
+      results.push({
+        path: itemPath,
+        ok: false,
+        status: error instanceof HttpError ? error.status : 500,
+        error: error instanceof HttpError ? error.message : 'Operation failed'
+      });
+    }
+  }
+  
+  const succeeded = results.filter(result => result.ok).length;
+  return { results, succeeded, failed: results.length - succeeded };
+}
+
+// Queue a background job for a request and answer 202 with it (see lib/jobs.js). The request's
+// audit entry is written once the job has finished, with auditDetails(result) added.
+function respondWithJob(req, res, options, run, auditDetails) {
+  const job = jobs.startJob({ ...options, user: req.user }, run);
+  res.locals.audit = {
+    pending: jobs.waitForJob(job.id).then(record => ({
+      ...(record.result && auditDetails(record.result)),
+      ...(record.status === 'canceled' && { outcome: 'aborted' }),
+      ...(record.status === 'failed' && { outcome: 'failure', error: record.error })
+    }))
+  };
+  res.status(202).json({ message: 'Job started', jobId: job.id, job });
+}
+
+// Measure a job's items up front so its progress has totals. Resolves the totals per path.
+async function measureJob(job, root, relativePaths) {
+  const totals = new Map();
+  let totalBytes = 0;
+  let totalFiles = 0;
+  for (const itemPath of relativePaths) {
+    if (job.signal.aborted) break;
+    // Items that cannot be measured fail later on, with a proper error
+    const itemTotals = await Promise.resolve()
+      .then(() => (isLocalRoot(root) ? measurePath(root, getSafePath(root, itemPath)) : measureStoragePath(root, itemPath)))
+      .catch(() => ({ size: 0, files: 0, folders: 0 }));
+    totals.set(itemPath, itemTotals);
+    totalBytes += itemTotals.size;
+    totalFiles += itemTotals.files;
+  }
+  Object.assign(job.progress, { totalBytes, totalFiles });
+  return totals;
+}
+
+// Run one item of a job. fn gets the { signal, onBytes, onFile } that copyWithProgress and
+// moveWithProgress report to; afterwards the item counts as done, unless the job was canceled.
+async function runJobItem(job, itemPath, itemTotals, fn) {
+  const { bytes, files } = job.progress;
+  job.progress.currentItem = itemPath;
+  try {
+    return await fn({
+      signal: job.signal,
+      onBytes: count => { job.progress.bytes += count; },
+      onFile: () => { job.progress.files++; }
+    });
+  } finally {
+    if (!job.signal.aborted) {
+      if (itemTotals) {
+        job.progress.bytes = bytes + itemTotals.size;
+        job.progress.files = files + itemTotals.files;
+      }
+      job.progress.items++;
+    }
+  }
+}
+
+// Helper function to check a copy/move of one item to destRelative. Between local roots items
+// are transferred by full path (symlinks kept, renames within a file system); once another
+// storage is involved, through the adapters.
+async function prepareTransfer(sourceRoot, sourceRelative, destRoot, destRelative) {
+  if (!isLocalRoot(sourceRoot) || !isLocalRoot(destRoot)) {
+    const sourceKey = normalizeFolderPath(sourceRelative);
+    const destKey = normalizeFolderPath(destRelative);
+    if (!sourceKey) {
+      throw new HttpError(400, 'Cannot transfer the root directory');
+    }
+    const sourceStats = await getStorage(sourceRoot).stat(sourceRelative);
+    if (!sourceStats) {
+      throw new HttpError(404, 'File not found');
+    }
+    if (sourceRoot.id === destRoot.id && (destKey === sourceKey || destKey.startsWith(`${sourceKey}/`))) {
+      throw new HttpError(400, 'Cannot copy or move a folder into itself');
+    }
+    return {
+      local: false,
+      sourceRelative: sourceKey,
+      destRelative: destKey,
+      incoming: { root: sourceRoot.id, relativePath: sourceKey, ...describeIncoming(null, sourceStats) }
+    };
+  }
+  
+  const sourcePath = getSafePath(sourceRoot, sourceRelative);
+  if (sourcePath === sourceRoot.path) {
+    throw new HttpError(400, 'Cannot transfer the root directory');
+  }
+  const sourceStats = await fs.lstat(sourcePath).catch(() => null);
+  if (!sourceStats) {
+    throw new HttpError(404, 'File not found');
+  }
+  
+  const destPath = getSafePath(destRoot, destRelative);
+  if (destPath === sourcePath || destPath.startsWith(sourcePath + path.sep)) {
+    throw new HttpError(400, 'Cannot copy or move a folder into itself');
+  }
+  return {
+    local: true,
+    sourcePath,
+    destPath,
+    destRelative: path.relative(destRoot.path, destPath),
+    incoming: describeIncoming(sourcePath, sourceStats)
+  };
+}
+
+// What a copy or move brings to its destination, for conflict decisions and 409 responses
+function describeIncoming(sourcePath, stats) {
+  return { fullPath: sourcePath, isDirectory: stats.isDirectory(), size: stats.size, modified: stats.mtime };
+}
+
+// The item already at a transfer's destination, if any
+function statTransferTarget(destRoot, transfer) {
+  return transfer.local
+    ? fs.lstat(transfer.destPath).catch(() => null)
+    : getStorage(destRoot).stat(transfer.destRelative);
+}
+
+// Copy or move a prepared item (see prepareTransfer) under a conflict policy. Resolves where it
+// ended up, relative to the destination root, or null when it was skipped.
+async function runTransfer(transfer, sourceRoot, destRoot, policy, move, user, progress) {
+  if (transfer.local) {
+    const placement = await placeIncoming(destRoot, transfer.destPath, policy, transfer.incoming);
+    if (!placement) return null;
+    const { targetPath, replace } = placement;
+    // What gets replaced stays untouched until the new item is complete
+    const writePath = replace ? await archives.createTempPath(destRoot) : targetPath;
+    await (move ? moveWithProgress : copyWithProgress)(transfer.sourcePath, writePath, progress);
+    if (replace) {
+      await swapIn(destRoot, writePath, targetPath, user).catch(async error => {
+        // Leave things as they were: a moved item goes back, a copy is dropped
+        await (move ? fs.move(writePath, transfer.sourcePath) : fs.remove(writePath)).catch(() => {});
+        throw error;
+      });
+    }
+    return path.relative(destRoot.path, targetPath);
+  }
+  
+  const placement = await placeInStorage(destRoot, transfer.destRelative, policy, transfer.incoming);
+  if (!placement) return null;
+  const source = getStorage(sourceRoot);
+  const destination = getStorage(destRoot);
+  return writeInStorage(destination, placement, target => {
+    if (source === destination) {
+      return move ? source.move(transfer.sourceRelative, target) : source.copy(transfer.sourceRelative, target);
+    }
+    return (move ? moveBetween : copyBetween)(source, transfer.sourceRelative, destination, target, progress);
+  });
+}
+
+// Apply a conflict policy to an item about to land on destPath (see lib/conflicts.js). Resolves
+// { targetPath, replace } with the path to write to and whether an existing item is to be
+// replaced there, or null when the item is skipped. Nothing is changed yet: the caller writes the
+// new item elsewhere and hands it to swapIn once it is complete.
+async function placeIncoming(root, destPath, policy, incoming) {
+  const existing = await fs.lstat(destPath).catch(() => null);
+  if (!existing) return { targetPath: destPath, replace: false };
+  
+  const decision = decideConflict(policy, existing, incoming);
+  if (decision === 'fail') {
+    throw conflictError([describeConflict(path.relative(root.path, destPath), existing, incoming)]);
+  }
+  if (decision === 'skip') return null;
+  if (decision === 'rename') return { targetPath: await getAvailablePath(destPath), replace: false };
+  
+  if (incoming.fullPath && incoming.fullPath.startsWith(destPath + path.sep)) {
+    throw new HttpError(400, 'Cannot replace a folder with an item from inside it');
+  }
+  return { targetPath: destPath, replace: true };
+}
+
+// Move a complete item from sourcePath to targetPath (see placeIncoming). With replace, a file
+// replacing a file is renamed over it once its snapshot is in the versions (see lib/versions.js),
+// so the path never goes missing; anything else replaced is moved to the trash, and put back
+// should the item then fail to take its place.
+async function swapIn(root, sourcePath, targetPath, user, replace = true) {
+  const existing = replace && await fs.lstat(targetPath).catch(() => null);
+  if (!existing) {
+    await fs.move(sourcePath, targetPath);
+    return;
+  }
+  
+  const incoming = await fs.lstat(sourcePath);
+  if (existing.isFile() && incoming.isFile() &&
+      await versions.keepVersion(root, targetPath, { savedBy: user.username, reason: 'overwrite', link: true })) {
+    await fs.rename(sourcePath, targetPath).catch(error => {
+      if (error.code !== 'EXDEV') throw error;
+      return fs.move(sourcePath, targetPath, { overwrite: true });
+    });
+    return;
+  }
+  
+  const trashed = await trash.moveToTrash(root, targetPath, user.username);
+  try {
+    await fs.move(sourcePath, targetPath);
+  } catch (error) {
+    await trash.restoreFromTrash(root, trashed.id).catch(() => {});
+    throw error;
+  }
+}
+
+// placeIncoming for roots on other storage, by path relative to the root. Resolves
+// { targetRelative, replace } or null when the item is skipped; nothing is changed yet, the
+// caller writes the item with writeInStorage.
+async function placeInStorage(root, destRelative, policy, incoming) {
+  const storage = getStorage(root);
+  const existing = await storage.stat(destRelative);
+  if (!existing) return { targetRelative: destRelative, replace: false };
+  
+  const decision = decideConflict(policy, existing, incoming);
+  if (decision === 'fail') {
+    throw conflictError([describeConflict(destRelative, existing, incoming)]);
+  }
+  if (decision === 'skip') return null;
+  if (decision === 'rename') {
+    return {
+      targetRelative: await getAvailablePath(destRelative, async candidate => !!await storage.stat(candidate)),
+      replace: false
+    };
+  }
+  
+  if (incoming.root === root.id && incoming.relativePath.startsWith(`${normalizeFolderPath(destRelative)}/`)) {
+    throw new HttpError(400, 'Cannot replace a folder with an item from inside it');
+  }
+  return { targetRelative: destRelative, replace: true };
+}
+
+// Write an item to a placement from placeInStorage through write(relativePath), leaving what it
+// replaces untouched until the item is complete. With direct (write streams one file into
+// storage.createWriteStream) a file is written over the file it replaces, as adapters only
+// replace a file once its new content is complete. Otherwise the item is written to a temporary
+// path beside the target and then takes the place of what is there, which is gone for good
+// (these roots have neither trash nor versions). Resolves the path the item ended up at.
+async function writeInStorage(storage, { targetRelative, replace }, write, { direct = false } = {}) {
+  const existing = replace && await storage.stat(targetRelative);
+  if (!existing || (direct && !existing.isDirectory())) {
+    await write(targetRelative);
+    return targetRelative;
+  }
+  
+  const tempRelative = path.join(path.dirname(targetRelative), `.wfm-incoming-${crypto.randomBytes(8).toString('hex')}`);
+  try {
+    await write(tempRelative);
+  } catch (error) {
+    await storage.remove(tempRelative).catch(() => {});
+    throw error;
+  }
+  await storage.remove(targetRelative);
+  await storage.move(tempRelative, targetRelative).catch(error => {
+    console.error(`Could not move "${tempRelative}" into place of "${targetRelative}":`, error);
+    throw error;
+  });
+  return targetRelative;
+}
+
+// Where a batch puts an item: in the destination folder, under the item's name
+function getBatchTarget(destination, itemPath) {
+  return path.join(destination || '', path.basename(path.join('/', itemPath)));
+}
+
+// Copy or move several items into one folder as a background job. Under the "fail" policy
+// nothing is transferred while any item conflicts, and the 409 lists every conflict so they can
+// be resolved at once; "resolutions" then sets the policy per source path.
+async function startTransferBatch(req, res, move) {
+  const { root, paths, destination, sourceRoot, destinationRoot, conflict, resolutions } = req.body;
+  const sourceRootInfo = move ? getWritableRoot(sourceRoot || root) : getRoot(sourceRoot || root);
+  const destRootInfo = getWritableRoot(destinationRoot || root);
+  const policy = parseConflictPolicy(conflict);
+  const itemPolicies = parseConflictResolutions(resolutions);
+  const itemPaths = getBatchPaths(paths);
+  
+  const conflicts = [];
+  for (const itemPath of itemPaths) {
+    if ((itemPolicies[itemPath] || policy) !== 'fail') continue;
+    // Items that cannot be transferred at all are reported by runBatch below
+    const transfer = await prepareTransfer(sourceRootInfo, itemPath, destRootInfo, getBatchTarget(destination, itemPath)).catch(() => null);
+    const existing = transfer && await statTransferTarget(destRootInfo, transfer);
+    if (existing) {
+      conflicts.push({ ...describeConflict(transfer.destRelative, existing, transfer.incoming), source: itemPath });
+    }
+  }
+  if (conflicts.length > 0) {
+    throw conflictError(conflicts);
+  }
+  
+  respondWithJob(req, res, {
+    type: move ? 'move' : 'copy',
+    root: sourceRootInfo.id,
+    paths: itemPaths,
+    destinationRoot: destRootInfo.id,
+    destination: destination || '',
+    totalItems: itemPaths.length
+  }, async job => {
+    const totals = await measureJob(job, sourceRootInfo, itemPaths);
+    return runBatch(itemPaths, itemPath => runJobItem(job, itemPath, totals.get(itemPath), async progress => {
+      const transfer = await prepareTransfer(sourceRootInfo, itemPath, destRootInfo, getBatchTarget(destination, itemPath));
+      const target = await runTransfer(transfer, sourceRootInfo, destRootInfo, itemPolicies[itemPath] || policy, move, req.user, progress);
+      if (!target) {
+        return { skipped: true, destination: null };
+      }
+      return { destination: target };
+    }), move ? 'Error moving file:' : 'Error copying file:', job.signal);
+  }, result => ({ items: result.results }));
+}
+
+// Add a file or folder to a zip under the given name (false for a folder's contents only).
+// entry: { fullPath, relativePath, stats, name }. Local roots read fullPath with archiver, leaving
+// their internal data out; other roots are walked through their storage adapter.
+async function addToArchive(archive, root, { fullPath, relativePath, stats, name }) {
+  if (!isLocalRoot(root)) {
+    return addStorageToArchive(archive, getStorage(root), relativePath, stats, name);
+  }
+  
+  if (stats.isDirectory()) {
+    archive.directory(fullPath, name, entry => (
+      isInternalPath(root, path.join(fullPath, entry.name)) ? false : entry
+    ));
+  } else {
+    archive.file(fullPath, { name, stats });
+  }
+}
+
+// Files are appended as streams that are only opened once the zip gets to them
+async function addStorageToArchive(archive, storage, relativePath, stats, name) {
+  if (!stats.isDirectory()) {
+    archive.append(storage.createReadStream(relativePath), { name, date: stats.mtime || new Date() });
+    return;
+  }
+  if (name) {
+    archive.append(null, { name: `${name}/`, date: stats.mtime || new Date() });
+  }
+  for (const entry of await storage.list(relativePath)) {
+    const childName = name ? `${name}/${entry.name}` : entry.name;
+    await addStorageToArchive(archive, storage, path.join(relativePath, entry.name), entry.stats, childName);
+  }
+}
+
+// Write a zip, tar or tar.gz of the given { fullPath, stats, name } entries to outputPath.
+// onProgress gets archiver's progress events; aborting signal stops writing.
+function writeArchive(root, entries, type, outputPath, { signal, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const archive = type === 'zip'
+      ? archiver('zip', { zlib: { level: 9 } })
+      : archiver('tar', { gzip: type === 'tar.gz' });
+    const output = fs.createWriteStream(outputPath);
+    
+    if (signal) {
+      const abort = () => {
+        archive.abort();
+        output.destroy();
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', abort, { once: true });
+      output.on('close', () => signal.removeEventListener('abort', abort));
+    }
+    if (onProgress) {
+      archive.on('progress', onProgress);
+    }
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+    archive.on('warning', err => console.warn('Archive warning:', err.message));
+    archive.pipe(output);
+    entries.forEach(entry => addToArchive(archive, root, entry));
+    archive.finalize();
+  });
+}
+
+// Stream a zip of the given entries (see addToArchive), built as it is sent
+async function sendZip(res, root, entries, zipName) {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', contentDisposition('attachment', zipName));
+  
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('warning', err => console.warn('Zip warning:', err.message));
+  archive.on('error', err => {
+    console.error('Error creating zip:', err);
+    res.destroy(err);
+  });
+  res.on('close', () => archive.abort());
+  archive.pipe(res);
+  try {
+    for (const entry of entries) {
+      await addToArchive(archive, root, entry);
+    }
+  } catch (error) {
+    // The response has started, so all that is left is to break it off
+    console.error('Error creating zip:', error);
+    archive.abort();
+    res.destroy(error);
+    return;
+  }
+  archive.finalize();
+}
+
+// Zip entries for items of a root by relative path; local roots also need the full path
+function getZipEntry(root, relativePath, stats, name) {
+  return {
+    fullPath: isLocalRoot(root) ? getSafePath(root, relativePath) : null,
+    relativePath,
+    stats,
+    name
+  };
+}
+
+// Total size and file/folder counts below a path (symlinked folders are not followed)
+async function measurePath(root, fullPath, totals = { size: 0, files: 0, folders: 0 }) {
+  const stats = await fs.lstat(fullPath);
+  if (stats.isDirectory()) {
+    totals.folders++;
+    for (const name of await fs.readdir(fullPath)) {
+      const childPath = path.join(fullPath, name);
+      if (isInternalPath(root, childPath)) continue;
+      await measurePath(root, childPath, totals).catch(err => {
+        console.warn(`Could not measure ${childPath}:`, err.message);
+      });
+    }
+  } else {
+    totals.files++;
+    totals.size += stats.size;
+  }
+  return totals;
+}
+
+// measurePath for roots on other storage
+async function measureStoragePath(root, relativePath, totals = { size: 0, files: 0, folders: 0 }) {
+  const storage = getStorage(root);
+  const stats = await storage.stat(relativePath);
+  if (!stats) {
+    throw new HttpError(404, 'File not found');
+  }
+  if (!stats.isDirectory()) {
+    totals.files++;
+    totals.size += stats.size;
+    return totals;
+  }
+  
+  totals.folders++;
+  for (const entry of await storage.list(relativePath)) {
+    if (entry.stats.isDirectory()) {
+      await measureStoragePath(root, path.join(relativePath, entry.name), totals);
+    } else {
+      totals.files++;
+      totals.size += entry.stats.size;
+    }
+  }
+  return totals;
+}
+
+// Whether a folder contains at least one subfolder. Stops reading at the first one,
+// so folders with many files stay cheap.
+async function hasSubdirectories(root, dirPath) {
+  let dir;
+  try {
+    dir = await fs.promises.opendir(dirPath);
+  } catch (err) {
+    return false;
+  }
+  
+  for await (const entry of dir) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (isInternalPath(root, entryPath)) continue;
+    if (entry.isDirectory()) return true;
+    if (entry.isSymbolicLink()) {
+      const stats = await fs.stat(entryPath).catch(() => null);
+      if (stats && stats.isDirectory()) return true;
+    }
+  }
+  return false;
+}
+
+// One level of the sidebar tree for a root on other storage, which has no symlinks and so no loops
+async function listStorageTree(root, relativePath) {
+  const storage = getStorage(root);
+  const folders = (await storage.list(relativePath)).filter(entry => entry.stats.isDirectory());
+  const tree = await Promise.all(folders.map(async entry => {
+    const itemPath = path.join(relativePath, entry.name);
+    const children = await storage.list(itemPath).catch(() => []);
+    return {
+      name: entry.name,
+      path: itemPath,
+      isDirectory: true,
+      isSymlink: false,
+      loop: false,
+      hasChildren: children.some(child => child.stats.isDirectory())
+    };
+  }));
+  return tree.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Routes
+
+// Log in and start a session (cookie for the browser, token for scripts)
+app.post('/api/login', loginLimiter, (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  const session = auth.login(String(username), String(password));
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  auth.setSessionCookie(res, session.token);
+  res.json(session);
+});
+
+// Every other API route requires an authenticated user
+app.use('/api', auth.authenticate);
+
+// Current user
+app.get('/api/session', (req, res) => {
+  res.json({ user: req.user, csrfToken: req.csrfToken });
+});
+
+// Log out
+app.post('/api/logout', (req, res) => {
+  auth.logout(req.sessionToken);
+  auth.clearSessionCookie(res);
+  res.json({ message: 'Logged out successfully' });
+});
+
+// List configured roots
+app.get('/api/roots', requireRole('read-only'), (req, res) => {
+  res.json(ROOTS.map(root => ({
+    id: root.id,
+    name: root.name,
+    readOnly: root.readOnly,
+    storage: root.storage.type
+  })));
+});
+
+// Get directory contents, one page at a time. Responds { items, total, nextCursor };
+// pass nextCursor back as "cursor" for the following page. See lib/listing.js for the options.
+app.get('/api/files', requireRole('read-only'), async (req, res) => {
+  try {
+    const relativePath = req.query.path || '';
+    const root = getRoot(req.query.root);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    
+    if (!isLocalRoot(root)) {
+      const storage = getStorage(root);
+      const stats = await storage.stat(relativePath);
+      if (!stats || !stats.isDirectory()) {
+        return res.status(404).json({ error: 'Directory not found' });
+      }
+      const items = (await storage.list(relativePath))
+        .map(entry => describeItem(entry.name, path.join(relativePath, entry.name), entry.stats));
+      return res.json(listEntries(items, { limit, ...parseListingOptions(req.query) }));
+    }
+    
+    const fullPath = getSafePath(root, relativePath);
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      return res.status(404).json({ error: 'Directory not found' });
+    }
+    
+    const page = await listDirectory({
+      fullPath,
+      relativePath,
+      describe: (itemPath, itemRelativePath) => describeEntry(root, itemPath, itemRelativePath),
+      canFollow: itemPath => isReachable(root, itemPath),
+      skip: itemPath => isInternalPath(root, itemPath),
+      limit,
+      concurrency: LISTING_STAT_CONCURRENCY,
+      ...parseListingOptions(req.query)
+    });
+    
+    // Folder sizes are known once a disk usage scan has covered them
+    page.items = page.items.map(item => {
+      const usage = item.isDirectory && diskUsage.getCachedSize(root, normalizeFolderPath(item.path));
+      return usage ? { ...item, totalSize: usage.size } : item;
+    });
+    res.json(page);
+  } catch (error) {
+    sendError(res, error, 'Error reading directory:', 'Failed to read directory');
+  }
+});
+
+// Live updates for one folder as server-sent events. Each "change" event carries
+// { type, item?, path?, oldPath?, isDirectory? }, see lib/watcher.js.
+app.get('/api/events', requireRole('read-only'), async (req, res) => {
+  try {
+    const root = getRoot(req.query.root);
+    // Normalized so "docs", "docs/" and "./docs" share one watcher and report the same paths
+    const relativePath = normalizeFolderPath(req.query.path);
+    const fullPath = getSafePath(root, relativePath);
+    
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      return res.status(404).json({ error: 'Directory not found' });
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    
+    // Comments keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+    let unsubscribe = null;
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+    });
+    
+    unsubscribe = await watcher.subscribe(root, relativePath, fullPath, event => {
+      res.write(`event: change\ndata: ${JSON.stringify({ root: root.id, folder: relativePath, ...event })}\n\n`);
+    });
+    if (closed) {
+      unsubscribe();
+      return;
+    }
+    res.write('event: ready\ndata: {}\n\n');
+  } catch (error) {
+    sendError(res, error, 'Error watching directory:', 'Failed to watch directory');
+  }
+});
+
+// Get one level of the directory tree (for sidebar). Folders are expanded on demand,
+// so nothing below "path" is walked except to tell whether a subfolder has children.
+app.get('/api/tree', requireRole('read-only'), async (req, res) => {
+  try {
+    const root = getRoot(req.query.root);
+    const relativePath = req.query.path || '';
+    if (!isLocalRoot(root)) {
+      return res.json(await listStorageTree(root, relativePath));
+    }
+    const dirPath = getSafePath(root, relativePath);
+    
+    // Inodes of the folder and its ancestors: a subfolder resolving to one of them
+    // is a symlink loop and must not be offered for expansion
+    const ancestors = new Set();
+    let ancestorPath = dirPath;
+    while (true) {
+      const stats = await fs.stat(ancestorPath);
+      ancestors.add(`${stats.dev}:${stats.ino}`);
+      if (ancestorPath === root.path) break;
+      ancestorPath = path.dirname(ancestorPath);
+    }
+    
+    const tree = [];
+    for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+      const itemPath = path.join(dirPath, entry.name);
+      if (isInternalPath(root, itemPath)) continue;
+      if (!entry.isDirectory() && !entry.isSymbolicLink()) continue;
+      
+      try {
+        const stats = await fs.stat(itemPath);
+        if (!stats.isDirectory()) continue;
+        
+        const loop = ancestors.has(`${stats.dev}:${stats.ino}`);
+        tree.push({
+          name: entry.name,
+          path: path.join(relativePath, entry.name),
+          isDirectory: true,
+          isSymlink: entry.isSymbolicLink(),
+          loop,
+          hasChildren: !loop && await hasSubdirectories(root, itemPath)
+        });
+      } catch (err) {
+        console.warn(`Could not process ${entry.name}:`, err.message);
+      }
+    }
+    
+    res.json(tree.sort((a, b) => a.name.localeCompare(b.name)));
+  } catch (error) {
+    sendError(res, error, 'Error building tree:', 'Failed to build directory tree');
+  }
+});
+
+// Search a subtree. Results stream as newline-delimited JSON:
+//   { "type": "match", "item": { ...file info, folder, match } } for every hit, then
+//   { "type": "done", scanned, matched, truncated, timedOut }
+// The search stops when the client disconnects, after the timeout or at "limit" hits.
+app.get('/api/search', requireRole('read-only'), async (req, res) => {
+  const controller = new AbortController();
+  let timer;
+  try {
+    const root = getRoot(req.query.root);
+    const relativePath = req.query.path || '';
+    const startPath = getSafePath(root, relativePath);
+    const criteria = search.parseCriteria(req.query);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 5000);
+    
+    const stats = await fs.stat(startPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      return res.status(404).json({ error: 'Directory not found' });
+    }
+    
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.on('close', () => controller.abort());
+    
+    let timedOut = false;
+    if (SEARCH_TIMEOUT_SECONDS > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, SEARCH_TIMEOUT_SECONDS * 1000);
+    }
+    
+    // Wait for the client to catch up instead of buffering results in memory
+    const writeLine = async (data) => {
+      if (!res.write(JSON.stringify(data) + '\n') && !controller.signal.aborted) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          controller.signal.addEventListener('abort', resolve, { once: true });
+        });
+      }
+    };
+    
+    const result = await search.searchTree({
+      startPath,
+      relativeStart: relativePath,
+      criteria,
+      describe: getFileInfo,
+      skip: fullPath => isInternalPath(root, fullPath),
+      canFollow: fullPath => isReachable(root, fullPath),
+      onMatch: item => writeLine({ type: 'match', item }),
+      signal: controller.signal,
+      limit,
+      contentMaxSize: SEARCH_CONTENT_MAX_SIZE
+    });
+    
+    if (!res.writableEnded && !res.destroyed) {
+      await writeLine({ type: 'done', ...result, timedOut });
+      res.end();
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      if (!(error instanceof HttpError)) {
+        console.error('Error searching files:', error);
+      }
+      res.end(JSON.stringify({ type: 'error', error: error instanceof HttpError ? error.message : 'Search failed' }) + '\n');
+    } else {
+      sendError(res, error, 'Error searching files:', 'Search failed');
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+});
+
+// Create directory
+app.post('/api/directory', requireRole('uploader'), audit.track('mkdir'), async (req, res) => {
+  try {
+    const { root, path: relativePath, name } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Directory name is required' });
+    }
+    validateFileName(name);
+    res.locals.audit = { path: path.join(relativePath || '', name) };
+    
+    const storage = getStorage(getWritableRoot(root));
+    const parentStats = await storage.stat(relativePath || '');
+    if (!parentStats || !parentStats.isDirectory()) {
+      return res.status(404).json({ error: 'Parent folder not found' });
+    }
+    
+    const newDirPath = path.join(relativePath || '', name);
+    if (await storage.stat(newDirPath)) {
+      return res.status(409).json({ error: `"${name}" already exists` });
+    }
+    
+    // EEXIST still happens for a broken symlink of that name, which stat does not see
+    await storage.mkdir(newDirPath).catch(error => {
+      throw error.code === 'EEXIST' ? new HttpError(409, `"${name}" already exists`) : error;
+    });
+    res.json({ message: 'Directory created successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error creating directory:', 'Failed to create directory');
+  }
+});
+
+// Upload files
+// The "conflict" field (see lib/conflicts.js) decides about files that already exist; under
+// "fail" nothing is kept when any of them does.
+app.post('/api/upload', requireRole('uploader'), audit.track('upload'), (req, res) => {
+  upload.array('files')(req, res, async error => {
+    if (error) {
+      return sendError(res, error, 'Error uploading files:', 'Failed to upload files');
+    }
+    
+    try {
+      const root = getWritableRoot(req.body.root);
+      const local = isLocalRoot(root);
+      const storage = getStorage(root);
+      const folder = req.body.path || '';
+      const folderPath = local ? getSafePath(root, folder) : null;
+      const policy = parseConflictPolicy(req.body.conflict);
+      
+      const conflicts = [];
+      for (const file of req.files) {
+        validateFileName(file.originalname);
+        const existing = local
+          ? await fs.lstat(path.join(folderPath, file.originalname)).catch(() => null)
+          : await storage.stat(path.join(folder, file.originalname));
+        if (existing && policy === 'fail') {
+          conflicts.push(describeConflict(path.join(folder, file.originalname), existing, { size: file.size }));
+        }
+      }
+      if (conflicts.length > 0) {
+        throw conflictError(conflicts);
+      }
+      
+      if (local) {
+        await fs.ensureDir(folderPath);
+      } else {
+        const folderStats = await storage.stat(folder);
+        if (!folderStats || !folderStats.isDirectory()) {
+          throw new HttpError(404, 'Directory not found');
+        }
+      }
+      const files = [];
+      const skipped = [];
+      for (const file of req.files) {
+        let targetName;
+        if (local) {
+          const placement = await placeIncoming(root, path.join(folderPath, file.originalname), policy, { size: file.size });
+          if (placement) {
+            await swapIn(root, file.path, placement.targetPath, req.user, placement.replace);
+            targetName = path.basename(placement.targetPath);
+          }
+        } else {
+          const placement = await placeInStorage(root, path.join(folder, file.originalname), policy, { size: file.size });
+          if (placement) {
+            const target = await writeInStorage(storage, placement, relative => (
+              pipeline(fs.createReadStream(file.path), storage.createWriteStream(relative))
+            ), { direct: true });
+            targetName = path.basename(target);
+          }
+        }
+        if (!targetName) {
+          skipped.push(file.originalname);
+          continue;
+        }
+        files.push({ name: targetName, bytes: file.size });
+      }
+      
+      res.locals.audit = {
+        items: files.map(file => ({ path: path.join(folder, file.name), bytes: file.bytes }))
+      };
+      res.json({ 
+        message: 'Files uploaded successfully',
+        files: files.map(file => file.name),
+        skipped
+      });
+    } catch (error) {
+      sendError(res, error, 'Error uploading files:', 'Failed to upload files');
+    } finally {
+      // Whatever was not moved into place
+      await Promise.all((req.files || []).map(file => fs.remove(file.path)));
+    }
+  });
+});
+
+// Start a resumable upload
+app.post('/api/uploads', requireRole('uploader'), async (req, res) => {
+  try {
+    const { root, path: relativePath, name, size, checksum, modified } = req.body;
+    validateFileName(name);
+    const conflict = parseConflictPolicy(req.body.conflict);
+    
+    const writableRoot = getWritableRoot(root);
+    const targetRelative = path.join(relativePath || '', name);
+    
+    // Settle conflicts before any data is sent; finalizing checks again
+    const existing = isLocalRoot(writableRoot)
+      ? await fs.lstat(getSafePath(writableRoot, targetRelative)).catch(() => null)
+      : await getStorage(writableRoot).stat(targetRelative);
+    if (existing) {
+      const incoming = { size, modified };
+      const decision = decideConflict(conflict, existing, incoming);
+      if (decision === 'fail') {
+        throw conflictError([describeConflict(path.join(relativePath || '', name), existing, incoming)]);
+      }
+      if (decision === 'skip') {
+        return res.json({ skipped: true });
+      }
+    }
+    
+    const session = await uploads.createUpload(writableRoot, {
+      directory: relativePath,
+      name,
+      size,
+      checksum,
+      conflict,
+      modified
+    }, req.user);
+    res.status(201).json(session);
+  } catch (error) {
+    sendError(res, error, 'Error starting upload:', 'Failed to start upload');
+  }
+});
+
+// Get the state of a resumable upload (offset = bytes received so far)
+app.get('/api/uploads/:id', requireRole('uploader'), async (req, res) => {
+  try {
+    res.json(await uploads.getSession(getWritableRoot(req.query.root), req.params.id, req.user));
+  } catch (error) {
+    sendError(res, error, 'Error reading upload:', 'Failed to read upload');
+  }
+});
+
+// Append a chunk; the raw request body is written at the Upload-Offset header
+app.patch('/api/uploads/:id', requireRole('uploader'), async (req, res) => {
+  try {
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+    
+    const session = await uploads.appendChunk(getWritableRoot(req.query.root), req.params.id, offset, req, req.user);
+    res.json({ offset: session.offset, size: session.size });
+  } catch (error) {
+    sendError(res, error, 'Error appending upload chunk:', 'Failed to store upload chunk');
+  }
+});
+
+// Verify a completed upload and move it into its folder
+app.post('/api/uploads/:id/finalize', requireRole('uploader'), audit.track('upload'), async (req, res) => {
+  try {
+    const { root, checksum } = req.body;
+    const writableRoot = getWritableRoot(root);
+    const session = await uploads.getSession(writableRoot, req.params.id, req.user);
+    // A policy sent now (after a 409 here) replaces the one the session started with
+    const conflict = parseConflictPolicy(req.body.conflict || session.conflict);
+    const local = isLocalRoot(writableRoot);
+    let targetRelative = path.join(session.directory, session.name);
+    let placement = local
+      ? { targetPath: getSafePath(writableRoot, targetRelative), replace: false }
+      : { targetRelative, replace: false };
+    res.locals.audit = { path: targetRelative, bytes: session.size };
+    
+    if (session.offset === session.size) {
+      const incoming = { size: session.size, modified: session.modified };
+      if (local) {
+        placement = await placeIncoming(writableRoot, placement.targetPath, conflict, incoming);
+        targetRelative = placement && path.relative(writableRoot.path, placement.targetPath);
+      } else {
+        placement = await placeInStorage(writableRoot, targetRelative, conflict, incoming);
+        targetRelative = placement && placement.targetRelative;
+      }
+      if (!targetRelative) {
+        await uploads.cancelUpload(writableRoot, req.params.id, req.user);
+        res.locals.audit.bytes = null;
+        return res.json({ message: 'An existing file was kept', skipped: true });
+      }
+    }
+    
+    // Only verified data replaces an existing file
+    const storage = getStorage(writableRoot);
+    const target = local
+      ? partPath => swapIn(writableRoot, partPath, placement.targetPath, req.user, placement.replace)
+      : async partPath => {
+        await writeInStorage(storage, placement, relative => (
+          pipeline(fs.createReadStream(partPath), storage.createWriteStream(relative))
+        ), { direct: true });
+        await fs.remove(partPath);
+      };
+    await uploads.finalizeUpload(writableRoot, req.params.id, target, { checksum }, req.user);
+    res.locals.audit.path = targetRelative;
+    res.json({
+      message: 'File uploaded successfully',
+      path: targetRelative
+    });
+  } catch (error) {
+    sendError(res, error, 'Error finalizing upload:', 'Failed to finalize upload');
+  }
+});
+
+// Cancel a resumable upload and discard its data
+app.delete('/api/uploads/:id', requireRole('uploader'), async (req, res) => {
+  try {
+    await uploads.cancelUpload(getWritableRoot(req.query.root), req.params.id, req.user);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    sendError(res, error, 'Error cancelling upload:', 'Failed to cancel upload');
+  }
+});
+
+// Download file. Folders and multiple items (repeat "path") are sent as one zip.
+app.get('/api/download', requireRole('read-only'), audit.track('download', { countBytes: true }), async (req, res) => {
+  try {
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    
+    const root = getRoot(req.query.root);
+    const storage = getStorage(root);
+    
+    if (Array.isArray(relativePath)) {
+      const entries = [];
+      for (const itemPath of getBatchPaths(relativePath)) {
+        const stats = await storage.stat(itemPath);
+        if (!stats) {
+          return res.status(404).json({ error: `"${itemPath}" not found` });
+        }
+        entries.push(getZipEntry(root, itemPath, stats, getItemName(root, itemPath)));
+      }
+      
+      // Name the zip after the folder holding the selection
+      const zipName = `${getItemName(root, path.dirname(entries[0].relativePath))}.zip`;
+      return await sendZip(res, root, entries, zipName);
+    }
+    
+    const stats = await storage.stat(relativePath);
+    if (!stats) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const fileName = getItemName(root, relativePath);
+    
+    if (stats.isDirectory()) {
+      // Create zip for directory
+      await sendZip(res, root, [getZipEntry(root, relativePath, stats, false)], `${fileName}.zip`);
+    } else {
+      // Send file directly, with Range and conditional request support
+      await sendFile(req, res, relativePath, {
+        disposition: 'attachment',
+        fileName,
+        stats,
+        open: range => storage.createReadStream(relativePath, range)
+      });
+    }
+  } catch (error) {
+    sendError(res, error, 'Error downloading file:', 'Failed to download file');
+  }
+});
+
+// Open file for viewing in the browser (inline, seekable for media players)
+app.get('/api/open', requireRole('read-only'), async (req, res) => {
+  try {
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    
+    const root = getRoot(req.query.root);
+    const storage = getStorage(root);
+    const stats = await storage.stat(relativePath);
+    if (!stats) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (stats.isDirectory()) {
+      return res.status(400).json({ error: 'Directories cannot be opened' });
+    }
+    
+    await sendFile(req, res, relativePath, {
+      disposition: 'inline',
+      fileName: getItemName(root, relativePath),
+      stats,
+      open: range => storage.createReadStream(relativePath, range)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error opening file:', 'Failed to open file');
+  }
+});
+
+// Read a text file for the editor
+app.get('/api/content', requireRole('read-only'), async (req, res) => {
+  try {
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    
+    const storage = getStorage(getRoot(req.query.root));
+    const stats = await storage.stat(relativePath);
+    if (!stats) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (stats.isDirectory()) {
+      return res.status(400).json({ error: 'Directories cannot be edited' });
+    }
+    if (stats.size > EDITOR_MAX_SIZE) {
+      return res.status(413).json({ error: `File is larger than the editor limit of ${EDITOR_MAX_SIZE} bytes` });
+    }
+    
+    const buffer = await readBuffer(storage.createReadStream(relativePath));
+    if (!isTextBuffer(buffer)) {
+      return res.status(415).json({ error: 'Binary files cannot be edited' });
+    }
+    
+    const etag = getETag(stats);
+    res.setHeader('ETag', etag);
+    res.json({
+      path: relativePath,
+      content: buffer.toString('utf8'),
+      etag,
+      size: stats.size,
+      modified: stats.mtime
+    });
+  } catch (error) {
+    sendError(res, error, 'Error reading file content:', 'Failed to read file');
+  }
+});
+
+// Save a text file from the editor. "etag" must match the version the client loaded
+// (omit it only to create a new file); otherwise 409 with the current etag.
+app.put('/api/content', requireRole('uploader'), audit.track('save'), async (req, res) => {
+  try {
+    const { root, path: relativePath, content, etag } = req.body;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content must be a string' });
+    }
+    
+    const buffer = Buffer.from(content, 'utf8');
+    if (buffer.length > EDITOR_MAX_SIZE) {
+      return res.status(413).json({ error: `Content is larger than the editor limit of ${EDITOR_MAX_SIZE} bytes` });
+    }
+    
+    const writableRoot = getWritableRoot(root);
+    const storage = getStorage(writableRoot);
+    validateFileName(getItemName(writableRoot, relativePath));
+    
+    const currentStats = await storage.stat(relativePath);
+    if (currentStats) {
+      if (currentStats.isDirectory()) {
+        return res.status(400).json({ error: 'Directories cannot be edited' });
+      }
+      if (!await isTextInStorage(storage, relativePath, currentStats)) {
+        return res.status(415).json({ error: 'Binary files cannot be edited' });
+      }
+      
+      const currentETag = getETag(currentStats);
+      if (etag !== currentETag) {
+        return res.status(409).json({
+          error: 'The file was changed by someone else since it was loaded',
+          etag: currentETag,
+          modified: currentStats.mtime
+        });
+      }
+    } else if (etag) {
+      return res.status(409).json({ error: 'The file was deleted since it was loaded', etag: null });
+    }
+    
+    if (isLocalRoot(writableRoot)) {
+      const filePath = getSafePath(writableRoot, relativePath);
+      if (currentStats) {
+        await versions.keepVersion(writableRoot, filePath, { savedBy: req.user.username, reason: 'edit' });
+      }
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, buffer);
+    } else {
+      await pipeline(Readable.from([buffer]), storage.createWriteStream(relativePath));
+    }
+    res.locals.audit = { bytes: buffer.length };
+    
+    const stats = await storage.stat(relativePath);
+    const newETag = getETag(stats);
+    res.setHeader('ETag', newETag);
+    res.json({
+      message: 'File saved successfully',
+      etag: newETag,
+      size: stats.size,
+      modified: stats.mtime
+    });
+  } catch (error) {
+    sendError(res, error, 'Error saving file content:', 'Failed to save file');
+  }
+});
+
+// Earlier versions of a file, newest first
+app.get('/api/versions', requireRole('read-only'), async (req, res) => {
+  try {
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const root = getRoot(req.query.root);
+    const filePath = getSafePath(root, relativePath);
+    res.json({ path: relativePath, versions: await versions.listVersions(root, filePath) });
+  } catch (error) {
+    sendError(res, error, 'Error listing file versions:', 'Failed to list file versions');
+  }
+});
+
+// Download the content of a version
+app.get('/api/versions/download', requireRole('read-only'), audit.track('download', { countBytes: true }), async (req, res) => {
+  try {
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const root = getRoot(req.query.root);
+    const { entry, contentPath } = await versions.getVersion(root, getSafePath(root, relativePath), req.query.id);
+    await sendFile(req, res, contentPath, { disposition: 'attachment', fileName: entry.name });
+  } catch (error) {
+    sendError(res, error, 'Error downloading file version:', 'Failed to download file version');
+  }
+});
+
+// Text of a version, or of the file itself for "current", for diffs
+async function readVersionText(root, filePath, id) {
+  let contentPath = filePath;
+  if (id !== 'current') {
+    contentPath = (await versions.getVersion(root, filePath, id)).contentPath;
+  }
+
+  const stats = await fs.stat(contentPath).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    throw new HttpError(404, 'File not found');
+  }
+  if (stats.size > EDITOR_MAX_SIZE) {
+    throw new HttpError(413, `Versions larger than ${EDITOR_MAX_SIZE} bytes cannot be compared`);
+  }
+  const buffer = await fs.readFile(contentPath);
+  if (!isTextBuffer(buffer)) {
+    throw new HttpError(415, 'Binary files cannot be compared');
+  }
+  return buffer.toString('utf8');
+}
+
+// Line diff between two versions of a text file. "from" and "to" are version ids or "current"
+// (the default for "to"); the result lists unified-diff style hunks.
+app.get('/api/versions/diff', requireRole('read-only'), async (req, res) => {
+  try {
+    const relativePath = req.query.path;
+    const { from, to = 'current' } = req.query;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    if (!from) {
+      return res.status(400).json({ error: 'The version to compare from is required' });
+    }
+
+    const root = getRoot(req.query.root);
+    const filePath = getSafePath(root, relativePath);
+    const edits = diffLines(await readVersionText(root, filePath, from), await readVersionText(root, filePath, to));
+    res.json({
+      path: relativePath,
+      from,
+      to,
+      added: edits.filter(edit => edit.type === 'add').length,
+      removed: edits.filter(edit => edit.type === 'remove').length,
+      hunks: toHunks(edits)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error comparing file versions:', 'Failed to compare file versions');
+  }
+});
+
+// Put an earlier version back; the content it replaces becomes a version too
+app.post('/api/versions/restore', requireRole('uploader'), audit.track('restore-version'), async (req, res) => {
+  try {
+    const { root, path: relativePath, id } = req.body;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+
+    const writableRoot = getWritableRoot(root);
+    const entry = await versions.restoreVersion(writableRoot, getSafePath(writableRoot, relativePath), id, req.user.username);
+    res.locals.audit = { bytes: entry.size };
+    res.json({ message: 'Version restored', version: entry });
+  } catch (error) {
+    sendError(res, error, 'Error restoring file version:', 'Failed to restore file version');
+  }
+});
+
+// Check that an item can be deleted: it exists and is not the root. Resolves its full path on
+// local roots.
+async function checkDeletable(root, relativePath) {
+  if (!isLocalRoot(root)) {
+    if (!normalizeFolderPath(relativePath)) {
+      throw new HttpError(400, 'Cannot delete the root directory');
+    }
+    if (!await getStorage(root).stat(relativePath)) {
+      throw new HttpError(404, 'File not found');
+    }
+    return null;
+  }
+  
+  const filePath = getSafePath(root, relativePath, { followLinks: false });
+  if (filePath === root.path) {
+    throw new HttpError(400, 'Cannot delete the root directory');
+  }
+  if (!await fs.pathExists(filePath)) {
+    throw new HttpError(404, 'File not found');
+  }
+  return filePath;
+}
+
+// Delete an item: into the trash on local roots, for good on others, which have no trash
+async function deleteItem(root, relativePath, user) {
+  const filePath = await checkDeletable(root, relativePath);
+  if (!isLocalRoot(root)) {
+    await getStorage(root).remove(relativePath);
+    return { trashId: null };
+  }
+  const entry = await trash.moveToTrash(root, filePath, user.username);
+  return { trashId: entry.id };
+}
+
+// Delete file/directory
+app.delete('/api/files', requireRole('admin'), audit.track('delete'), async (req, res) => {
+  try {
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    
+    const root = getWritableRoot(req.query.root);
+    await checkDeletable(root, relativePath);
+    
+    respondWithJob(req, res, { type: 'delete', root: root.id, paths: [relativePath], totalItems: 1 }, job => (
+      runJobItem(job, relativePath, null, () => deleteItem(root, relativePath, req.user))
+    ), () => ({}));
+  } catch (error) {
+    sendError(res, error, 'Error deleting file:', 'Failed to delete file/directory');
+  }
+});
+
+// List trash entries of a root
+app.get('/api/trash', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await trash.listTrash(requireLocalRoot(getWritableRoot(req.query.root))));
+  } catch (error) {
+    sendError(res, error, 'Error listing trash:', 'Failed to list trash');
+  }
+});
+
+// Restore a trash entry to its original path
+app.post('/api/trash/restore', requireRole('admin'), audit.track('restore'), async (req, res) => {
+  try {
+    const { root, id, conflict } = req.body;
+    if (!id) {
+      return res.status(400).json({ error: 'Trash entry id is required' });
+    }
+    if (conflict && !['fail', 'rename', 'overwrite'].includes(conflict)) {
+      return res.status(400).json({ error: 'Conflict must be one of: fail, rename, overwrite' });
+    }
+    
+    const entry = await trash.restoreFromTrash(requireLocalRoot(getWritableRoot(root)), id, {
+      conflict,
+      restoredBy: req.user.username
+    });
+    res.locals.audit = { path: entry.originalPath, destination: entry.restoredPath };
+    res.json({ message: 'Item restored successfully', path: entry.restoredPath });
+  } catch (error) {
+    sendError(res, error, 'Error restoring from trash:', 'Failed to restore item');
+  }
+});
+
+// Permanently delete one trash entry, or empty the trash when no id is given
+app.delete('/api/trash', requireRole('admin'), audit.track('purge'), async (req, res) => {
+  try {
+    const root = requireLocalRoot(getWritableRoot(req.query.root));
+    
+    if (req.query.id) {
+      const entry = await trash.purgeTrashEntry(root, req.query.id);
+      res.locals.audit = { path: entry.originalPath };
+      return res.json({ message: 'Item permanently deleted' });
+    }
+    
+    const purged = await trash.purgeTrash(root);
+    res.locals.audit = { count: purged };
+    res.json({ message: 'Trash emptied', purged });
+  } catch (error) {
+    sendError(res, error, 'Error purging trash:', 'Failed to purge trash');
+  }
+});
+
+// Copy or move one item to a new path as a background job: { source, destination, conflict },
+// see lib/conflicts.js. Under the "fail" policy an existing item is refused right away.
+async function startTransferItem(req, res, move) {
+  const { root, source, destination, sourceRoot, destinationRoot, conflict } = req.body;
+  if (!source || !destination) {
+    throw new HttpError(400, 'Source and destination paths are required');
+  }
+  
+  // Items may be transferred between roots; both default to "root"
+  const sourceRootInfo = move ? getWritableRoot(sourceRoot || root) : getRoot(sourceRoot || root);
+  const destRootInfo = getWritableRoot(destinationRoot || root);
+  const policy = parseConflictPolicy(conflict);
+  
+  const transfer = await prepareTransfer(sourceRootInfo, source, destRootInfo, destination);
+  const existing = policy === 'fail' && await statTransferTarget(destRootInfo, transfer);
+  if (existing) {
+    throw conflictError([describeConflict(transfer.destRelative, existing, transfer.incoming)]);
+  }
+  
+  respondWithJob(req, res, {
+    type: move ? 'move' : 'copy',
+    root: sourceRootInfo.id,
+    paths: [source],
+    destinationRoot: destRootInfo.id,
+    destination,
+    totalItems: 1
+  }, async job => {
+    const totals = await measureJob(job, sourceRootInfo, [source]);
+    return runJobItem(job, source, totals.get(source), async progress => {
+      const target = await runTransfer(transfer, sourceRootInfo, destRootInfo, policy, move, req.user, progress);
+      if (!target) {
+        return { skipped: true, path: null };
+      }
+      return { skipped: false, path: target };
+    });
+  }, result => ({ destination: result.path }));
+}
+
+// Copy file/directory
+app.post('/api/copy', requireRole('uploader'), audit.track('copy'), async (req, res) => {
+  try {
+    await startTransferItem(req, res, false);
+  } catch (error) {
+    sendError(res, error, 'Error copying file:', 'Failed to copy file/directory');
+  }
+});
+
+// Move file/directory
+app.post('/api/move', requireRole('admin'), audit.track('move'), async (req, res) => {
+  try {
+    await startTransferItem(req, res, true);
+  } catch (error) {
+    sendError(res, error, 'Error moving file:', 'Failed to move file/directory');
+  }
+});
+
+// Rename file/directory in place
+app.post('/api/rename', requireRole('admin'), audit.track('rename'), async (req, res) => {
+  try {
+    const { root, path: relativePath, name } = req.body;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    if (!name) {
+      return res.status(400).json({ error: 'New name is required' });
+    }
+    validateFileName(name);
+    if (!normalizeFolderPath(relativePath)) {
+      return res.status(400).json({ error: 'Cannot rename the root directory' });
+    }
+    
+    const writableRoot = getWritableRoot(root);
+    const newRelativePath = path.join(path.dirname(relativePath), name);
+    res.locals.audit = { destination: newRelativePath };
+    
+    if (!isLocalRoot(writableRoot)) {
+      const storage = getStorage(writableRoot);
+      if (!await storage.stat(relativePath)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      if (normalizeFolderPath(newRelativePath) !== normalizeFolderPath(relativePath)) {
+        if (await storage.stat(newRelativePath)) {
+          return res.status(409).json({ error: `"${name}" already exists` });
+        }
+        await storage.move(relativePath, newRelativePath);
+      }
+      return res.json({ message: 'File/directory renamed successfully', path: newRelativePath });
+    }
+    
+    const sourcePath = getSafePath(writableRoot, relativePath, { followLinks: false });
+    const destPath = getSafePath(writableRoot, newRelativePath, { followLinks: false });
+    if (!await fs.pathExists(sourcePath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (sourcePath !== destPath) {
+      if (await fs.pathExists(destPath)) {
+        return res.status(409).json({ error: `"${name}" already exists` });
+      }
+      await fs.rename(sourcePath, destPath);
+    }
+    
+    res.json({ message: 'File/directory renamed successfully', path: newRelativePath });
+  } catch (error) {
+    sendError(res, error, 'Error renaming file:', 'Failed to rename file/directory');
   }
 });
 
-const upload = multer({ storage });
-
-// Helper function to get safe path
-function getSafePath(relativePath) {
-  const safePath = path.join(ROOT_DIR, relativePath || '');
-  if (!safePath.startsWith(ROOT_DIR)) {
-    throw new Error('Invalid path');
+// Copy several items into one folder. Every item is attempted; the job's result lists each outcome.
+app.post('/api/batch/copy', requireRole('uploader'), audit.track('copy'), async (req, res) => {
+  try {
+    await startTransferBatch(req, res, false);
+  } catch (error) {
+    sendError(res, error, 'Error copying files:', 'Failed to copy files');
   }
-  return safePath;
-}
+});
 
-// Helper function to get file info
-async function getFileInfo(filePath, relativePath) {
-  const stats = await fs.stat(filePath);
-  const isDirectory = stats.isDirectory();
-  
-  return {
-    name: path.basename(filePath),
-    path: relativePath,
-    isDirectory,
-    size: isDirectory ? null : stats.size,
-    modified: stats.mtime,
-    type: isDirectory ? 'folder' : mime.lookup(filePath) || 'unknown'
-  };
-}
+// Move several items into one folder
+app.post('/api/batch/move', requireRole('admin'), audit.track('move'), async (req, res) => {
+  try {
+    await startTransferBatch(req, res, true);
+  } catch (error) {
+    sendError(res, error, 'Error moving files:', 'Failed to move files');
+  }
+});
 
-// Routes
+// Move several items to the trash
+app.post('/api/batch/delete', requireRole('admin'), audit.track('delete'), async (req, res) => {
+  try {
+    const { root, paths } = req.body;
+    const rootInfo = getWritableRoot(root);
+    const itemPaths = getBatchPaths(paths);
+    
+    respondWithJob(req, res, { type: 'delete', root: rootInfo.id, paths: itemPaths, totalItems: itemPaths.length }, job => (
+      runBatch(itemPaths, itemPath => runJobItem(job, itemPath, null, () => (
+        deleteItem(rootInfo, itemPath, req.user)
+      )), 'Error deleting file:', job.signal)
+    ), result => ({ items: result.results }));
+  } catch (error) {
+    sendError(res, error, 'Error deleting files:', 'Failed to delete files');
+  }
+});
 
-// Get directory contents
-app.get('/api/files', async (req, res) => {
+// List the entries of a zip, tar or tar.gz file without extracting it
+app.get('/api/archive/entries', requireRole('read-only'), async (req, res) => {
   try {
-    const relativePath = req.query.path || '';
-    const fullPath = getSafePath(relativePath);
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
     
-    if (!await fs.pathExists(fullPath)) {
-      return res.status(404).json({ error: 'Directory not found' });
+    const filePath = getSafePath(getRoot(req.query.root), relativePath);
+    if (!await fs.pathExists(filePath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!archives.getArchiveType(filePath)) {
+      return res.status(415).json({ error: 'Not a zip, tar or tar.gz archive' });
+    }
+    
+    res.json(await archives.listArchive(filePath, { maxEntries: ARCHIVE_MAX_ENTRIES }));
+  } catch (error) {
+    sendError(res, error, 'Error reading archive:', 'Failed to read archive');
+  }
+});
+
+// Extract an archive into a folder (by default the one holding the archive)
+app.post('/api/archive/extract', requireRole('uploader'), audit.track('extract'), async (req, res) => {
+  try {
+    const { root, path: relativePath, destination } = req.body;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
     }
     
-    const items = await fs.readdir(fullPath);
-    const fileInfos = [];
+    const rootInfo = getWritableRoot(root);
+    const filePath = getSafePath(rootInfo, relativePath);
+    const destinationRelative = destination ?? path.dirname(relativePath);
+    const destPath = getSafePath(rootInfo, destinationRelative);
     
-    for (const item of items) {
-      const itemPath = path.join(fullPath, item);
-      const itemRelativePath = path.join(relativePath, item);
-      try {
-        const info = await getFileInfo(itemPath, itemRelativePath);
-        fileInfos.push(info);
-      } catch (err) {
-        console.warn(`Could not get info for ${item}:`, err.message);
-      }
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats || stats.isDirectory()) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!archives.getArchiveType(filePath)) {
+      return res.status(415).json({ error: 'Not a zip, tar or tar.gz archive' });
     }
     
-    // Sort: directories first, then files
-    fileInfos.sort((a, b) => {
-      if (a.isDirectory && !b.isDirectory) return -1;
-      if (!a.isDirectory && b.isDirectory) return 1;
-      return a.name.localeCompare(b.name);
+    const result = await archives.extractArchive(rootInfo, filePath, destPath, {
+      maxEntries: ARCHIVE_MAX_ENTRIES,
+      maxSize: ARCHIVE_MAX_EXTRACTED_SIZE
     });
-    
-    res.json(fileInfos);
+    res.locals.audit = { destination: destinationRelative, bytes: result.size };
+    res.json({ message: 'Archive extracted successfully', destination: destinationRelative, ...result });
   } catch (error) {
-    console.error('Error reading directory:', error);
-    res.status(500).json({ error: 'Failed to read directory' });
+    sendError(res, error, 'Error extracting archive:', 'Failed to extract archive');
   }
 });
 
-// Get directory tree (for sidebar)
-app.get('/api/tree', async (req, res) => {
+// Compress items into a new archive as a background job. The name's extension (.zip, .tar,
+// .tar.gz/.tgz) picks the format; names without one get ".zip".
+app.post('/api/archive/create', requireRole('uploader'), audit.track('compress'), async (req, res) => {
   try {
-    async function buildTree(dirPath, relativePath = '') {
-      const items = await fs.readdir(dirPath);
-      const tree = [];
+    const { root, paths, destination, name } = req.body;
+    validateFileName(name);
+    const type = archives.getArchiveType(name) || 'zip';
+    const fileName = archives.getArchiveType(name) ? name : `${name}.zip`;
+    validateFileName(fileName);
+    
+    const rootInfo = getWritableRoot(root);
+    const targetRelative = path.join(destination || '', fileName);
+    const targetPath = getSafePath(rootInfo, targetRelative);
+    if (await fs.pathExists(targetPath)) {
+      return res.status(409).json({ error: `"${fileName}" already exists` });
+    }
+    
+    const itemPaths = getBatchPaths(paths);
+    const entries = [];
+    for (const itemPath of itemPaths) {
+      const fullPath = getSafePath(rootInfo, itemPath);
+      if (fullPath === rootInfo.path) {
+        return res.status(400).json({ error: 'Cannot compress the root directory' });
+      }
+      const stats = await fs.stat(fullPath).catch(() => null);
+      if (!stats) {
+        return res.status(404).json({ error: `"${itemPath}" not found` });
+      }
+      entries.push({ fullPath, stats, name: path.basename(fullPath) });
+    }
+    
+    respondWithJob(req, res, {
+      type: 'zip',
+      root: rootInfo.id,
+      paths: itemPaths,
+      destinationRoot: rootInfo.id,
+      destination: targetRelative,
+      totalItems: itemPaths.length
+    }, async job => {
+      const totals = await measureJob(job, rootInfo, itemPaths);
+      // Archives count folders as entries too
+      job.progress.totalFiles = [...totals.values()].reduce((sum, item) => sum + item.files + item.folders, 0);
       
-      for (const item of items) {
-        const itemPath = path.join(dirPath, item);
-        const itemRelativePath = path.join(relativePath, item);
-        
-        try {
-          const stats = await fs.stat(itemPath);
-          if (stats.isDirectory()) {
-            tree.push({
-              name: item,
-              path: itemRelativePath,
-              isDirectory: true,
-              children: await buildTree(itemPath, itemRelativePath)
-            });
+      // Build the archive out of sight, then move it into place
+      const tempPath = await archives.createTempPath(rootInfo);
+      try {
+        await writeArchive(rootInfo, entries, type, tempPath, {
+          signal: job.signal,
+          onProgress: progress => {
+            job.progress.bytes = progress.fs.processedBytes;
+            job.progress.files = progress.entries.processed;
           }
-        } catch (err) {
-          console.warn(`Could not process ${item}:`, err.message);
-        }
+        });
+        await fs.move(tempPath, targetPath);
+      } finally {
+        await fs.remove(tempPath).catch(() => {});
       }
       
-      return tree.sort((a, b) => a.name.localeCompare(b.name));
-    }
-    
-    const tree = await buildTree(ROOT_DIR);
-    res.json(tree);
+      job.progress.items = itemPaths.length;
+      const stats = await fs.stat(targetPath);
+      return { path: targetRelative, size: stats.size };
+    }, result => ({ destination: result.path, bytes: result.size }));
   } catch (error) {
-    console.error('Error building tree:', error);
-    res.status(500).json({ error: 'Failed to build directory tree' });
+    sendError(res, error, 'Error creating archive:', 'Failed to create archive');
   }
 });
 
-// Create directory
-app.post('/api/directory', async (req, res) => {
+// Properties of items on other storage, which have neither permissions nor symlinks
+async function getStorageProperties(root, relativePath) {
+  const storage = getStorage(root);
+  if (Array.isArray(relativePath)) {
+    const paths = getBatchPaths(relativePath);
+    const totals = { size: 0, files: 0, folders: 0 };
+    for (const itemPath of paths) {
+      await measureStoragePath(root, itemPath, totals).catch(error => {
+        throw error.status === 404 ? new HttpError(404, `"${itemPath}" not found`) : error;
+      });
+    }
+    return { count: paths.length, ...totals };
+  }
+  
+  const stats = await storage.stat(relativePath);
+  if (!stats) {
+    throw new HttpError(404, 'File or directory not found');
+  }
+  const info = { ...describeItem(getItemName(root, relativePath), relativePath, stats), isSymlink: false };
+  if (info.isDirectory) {
+    info.itemCount = (await storage.list(relativePath)).length;
+  }
+  return info;
+}
+
+// Get file properties. For several items (repeat "path") the total size and counts are returned.
+app.get('/api/properties', requireRole('read-only'), async (req, res) => {
   try {
-    const { path: relativePath, name } = req.body;
-    if (!name) {
-      return res.status(400).json({ error: 'Directory name is required' });
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
     }
     
-    const parentPath = getSafePath(relativePath || '');
-    const newDirPath = path.join(parentPath, name);
+    const root = getRoot(req.query.root);
     
-    await fs.ensureDir(newDirPath);
-    res.json({ message: 'Directory created successfully' });
+    if (!isLocalRoot(root)) {
+      return res.json(await getStorageProperties(root, relativePath));
+    }
+    
+    if (Array.isArray(relativePath)) {
+      const paths = getBatchPaths(relativePath);
+      const totals = { size: 0, files: 0, folders: 0 };
+      for (const itemPath of paths) {
+        const fullPath = getSafePath(root, itemPath);
+        if (!await fs.pathExists(fullPath)) {
+          return res.status(404).json({ error: `"${itemPath}" not found` });
+        }
+        await measurePath(root, fullPath, totals);
+      }
+      return res.json({ count: paths.length, ...totals });
+    }
+    
+    const filePath = getSafePath(root, relativePath, { followLinks: false });
+    const linkStats = await fs.lstat(filePath).catch(() => null);
+    if (!linkStats) {
+      return res.status(404).json({ error: 'File or directory not found' });
+    }
+    
+    // Symlinks describe their target; broken ones and those leading out of the root only themselves
+    let info;
+    if (linkStats.isSymbolicLink()) {
+      info = await Promise.resolve().then(() => getFileInfo(getSafePath(root, relativePath), relativePath)).catch(() => (
+        describeLink(path.basename(filePath), relativePath, linkStats)
+      ));
+      info.isSymlink = true;
+      info.linkTarget = await fs.readlink(filePath);
+    } else {
+      info = await getFileInfo(filePath, relativePath);
+      info.isSymlink = false;
+    }
+    // Mode, ownership and timestamps of the item itself, not a link's target
+    Object.assign(info, permissions.describeStats(linkStats));
+    
+    if (info.isDirectory) {
+      // Count directory contents
+      const contents = await fs.readdir(filePath);
+      info.itemCount = contents.length;
+      // Recursive totals when a disk usage scan has them
+      info.usage = diskUsage.getCachedSize(root, normalizeFolderPath(relativePath));
+    }
+    
+    res.json(info);
   } catch (error) {
-    console.error('Error creating directory:', error);
-    res.status(500).json({ error: 'Failed to create directory' });
+    sendError(res, error, 'Error getting file properties:', 'Failed to get file properties');
   }
 });
 
-// Upload files
-app.post('/api/upload', upload.array('files'), (req, res) => {
+// Checksums of a file, read once for all algorithms asked for ("algorithm=md5,sha256", default all)
+app.get('/api/checksum', requireRole('read-only'), async (req, res) => {
   try {
-    res.json({ 
-      message: 'Files uploaded successfully',
-      files: req.files.map(file => file.filename)
+    const relativePath = req.query.path;
+    if (!relativePath) {
+      return res.status(400).json({ error: 'File path is required' });
+    }
+    const algorithms = parseAlgorithms(req.query.algorithm);
+    
+    const root = getRoot(req.query.root);
+    const storage = getStorage(root);
+    const stats = await storage.stat(relativePath);
+    if (!stats) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (stats.isDirectory()) {
+      return res.status(400).json({ error: 'Checksums can only be computed for files' });
+    }
+    
+    // Large files take a while; stop reading when the client gives up
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    const checksums = await hashStream(storage.createReadStream(relativePath), algorithms, { signal: controller.signal });
+    res.json({
+      path: relativePath,
+      size: stats.size,
+      modified: stats.mtime,
+      checksums
     });
   } catch (error) {
-    console.error('Error uploading files:', error);
-    res.status(500).json({ error: 'Failed to upload files' });
+    // Nobody is left to answer when the client went away
+    if (res.destroyed) return;
+    sendError(res, error, 'Error computing checksum:', 'Failed to compute checksum');
   }
 });
 
-// Download file
-app.get('/api/download', async (req, res) => {
+// Permissions
+
+// Change the mode of an item: { root, path, mode, recursive }. mode is octal ("755") or
+// symbolic ("u+x,go-w", "a+rX"). Symlinks have no mode of their own and are left alone.
+app.post('/api/chmod', requireRole('admin'), audit.track('chmod'), async (req, res) => {
   try {
-    const relativePath = req.query.path;
+    const { root, path: relativePath, mode, recursive } = req.body;
     if (!relativePath) {
       return res.status(400).json({ error: 'File path is required' });
     }
     
-    const filePath = getSafePath(relativePath);
+    const writableRoot = getWritableRoot(root);
+    const fullPath = getSafePath(writableRoot, relativePath, { followLinks: false });
+    const getMode = permissions.parseMode(mode);
+    res.locals.audit = { mode: String(mode), recursive: !!recursive };
     
-    if (!await fs.pathExists(filePath)) {
-      return res.status(404).json({ error: 'File not found' });
+    const stats = await fs.lstat(fullPath).catch(() => null);
+    if (!stats) {
+      return res.status(404).json({ error: 'File or directory not found' });
+    }
+    if (stats.isSymbolicLink()) {
+      return res.status(400).json({ error: 'Symlinks have no permissions of their own; change the target instead' });
     }
     
-    const stats = await fs.stat(filePath);
-    const fileName = path.basename(filePath);
+    const result = await permissions.applyToTree(fullPath, relativePath, {
+      recursive: !!recursive,
+      skip: itemPath => isInternalPath(writableRoot, itemPath),
+      fn: async (itemPath, itemStats) => {
+        if (itemStats.isSymbolicLink()) return false;
+        await fs.chmod(itemPath, getMode(itemStats.mode, itemStats.isDirectory()));
+      }
+    });
     
-    if (stats.isDirectory()) {
-      // Create zip for directory
-      res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.zip"`);
-      
-      const archive = archiver('zip', { zlib: { level: 9 } });
-      archive.pipe(res);
-      archive.directory(filePath, false);
-      archive.finalize();
-    } else {
-      // Send file directly
-      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-      res.sendFile(filePath);
-    }
+    res.json({ success: result.failed === 0, ...result });
   } catch (error) {
-    console.error('Error downloading file:', error);
-    res.status(500).json({ error: 'Failed to download file' });
+    sendError(res, error, 'Error changing permissions:', 'Failed to change permissions');
   }
 });
 
-// Delete file/directory
-app.delete('/api/files', async (req, res) => {
+// Change the owner and/or group of an item: { root, path, owner, group, recursive }, each
+// given as a name or numeric id. Usually only possible when the server runs as root.
+app.post('/api/chown', requireRole('admin'), audit.track('chown'), async (req, res) => {
   try {
-    const relativePath = req.query.path;
+    const { root, path: relativePath, owner, group, recursive } = req.body;
     if (!relativePath) {
       return res.status(400).json({ error: 'File path is required' });
     }
+    const hasOwner = owner !== undefined && owner !== null && owner !== '';
+    const hasGroup = group !== undefined && group !== null && group !== '';
+    if (!hasOwner && !hasGroup) {
+      return res.status(400).json({ error: 'An owner or group is required' });
+    }
+    
+    const writableRoot = getWritableRoot(root);
+    const fullPath = getSafePath(writableRoot, relativePath, { followLinks: false });
+    // -1 keeps the current value
+    const uid = hasOwner ? permissions.resolveUser(owner) : -1;
+    const gid = hasGroup ? permissions.resolveGroup(group) : -1;
+    res.locals.audit = { owner: hasOwner ? String(owner) : null, group: hasGroup ? String(group) : null, recursive: !!recursive };
+    
+    const result = await permissions.applyToTree(fullPath, relativePath, {
+      recursive: !!recursive,
+      skip: itemPath => isInternalPath(writableRoot, itemPath),
+      // lchown changes a symlink itself instead of its target, which may be outside the root
+      fn: itemPath => fs.lchown(itemPath, uid, gid)
+    });
     
-    const filePath = getSafePath(relativePath);
-    await fs.remove(filePath);
-    res.json({ message: 'File/directory deleted successfully' });
+    res.json({ success: result.failed === 0, ...result });
   } catch (error) {
-    console.error('Error deleting file:', error);
-    res.status(500).json({ error: 'Failed to delete file/directory' });
+    sendError(res, error, 'Error changing owner:', 'Failed to change owner');
   }
 });
 
-// Copy file/directory
-app.post('/api/copy', async (req, res) => {
+// Disk usage
+
+// Scans key folders by path, so "a/b/", "/a/b" and "a/b" must be the same folder
+function normalizeFolderPath(relativePath) {
+  return String(relativePath || '').split(/[\\/]+/).filter(part => part && part !== '.').join('/');
+}
+
+// Results of the scan covering a folder, with the free and total space of its file system.
+// depth sets how many levels of subfolders are included (default 1).
+app.get('/api/usage', requireRole('read-only'), async (req, res) => {
+  try {
+    const root = getRoot(req.query.root);
+    const relativePath = normalizeFolderPath(req.query.path);
+    getSafePath(root, relativePath);
+    const depth = Math.min(Math.max(parseInt(req.query.depth, 10) || 1, 1), 5);
+    
+    res.json({
+      root: root.id,
+      path: relativePath,
+      disk: await getDiskSpace(root.path),
+      ...diskUsage.getUsage(root, relativePath, { depth })
+    });
+  } catch (error) {
+    sendError(res, error, 'Error getting disk usage:', 'Failed to get disk usage');
+  }
+});
+
+// Start a background scan of a folder. A running or cached scan covering it is reused
+// unless refresh is set; poll GET /api/usage for progress and results.
+app.post('/api/usage/scan', requireRole('read-only'), scanLimiter, async (req, res) => {
   try {
-    const { source, destination } = req.body;
-    if (!source || !destination) {
-      return res.status(400).json({ error: 'Source and destination paths are required' });
+    const { root: rootId, refresh } = req.body || {};
+    const root = getRoot(rootId);
+    const relativePath = normalizeFolderPath(req.body.path);
+    const fullPath = getSafePath(root, relativePath);
+    
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      return res.status(404).json({ error: 'Directory not found' });
     }
     
-    const sourcePath = getSafePath(source);
-    const destPath = getSafePath(destination);
+    diskUsage.startScan(root, relativePath, fullPath, { user: req.user, refresh: !!refresh });
+    res.status(202).json(diskUsage.getUsage(root, relativePath));
+  } catch (error) {
+    sendError(res, error, 'Error starting disk usage scan:', 'Failed to start scan');
+  }
+});
+
+// Cancel the running scan of a folder
+app.delete('/api/usage/scan', requireRole('read-only'), (req, res) => {
+  try {
+    const root = getRoot(req.query.root);
+    if (!diskUsage.cancelScan(root, normalizeFolderPath(req.query.path), req.user)) {
+      return res.status(404).json({ error: 'No scan is running for this folder' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error canceling disk usage scan:', 'Failed to cancel scan');
+  }
+});
+
+// Duplicate files below a folder (see lib/duplicates.js). Scans run in the background like disk
+// usage scans: start one, then poll GET /api/duplicates. Copies are deleted with /api/batch/delete.
+
+// Results of the folder's scan: { scan, groups, totals }, groups of identical files with the
+// space the extra copies take up, largest first
+app.get('/api/duplicates', requireRole('read-only'), async (req, res) => {
+  try {
+    const root = getRoot(req.query.root);
+    const relativePath = normalizeFolderPath(req.query.path);
+    getSafePath(root, relativePath);
     
-    await fs.copy(sourcePath, destPath);
-    res.json({ message: 'File/directory copied successfully' });
+    res.json({ root: root.id, path: relativePath, ...await duplicates.getDuplicates(root, relativePath) });
   } catch (error) {
-    console.error('Error copying file:', error);
-    res.status(500).json({ error: 'Failed to copy file/directory' });
+    sendError(res, error, 'Error getting duplicates:', 'Failed to get duplicates');
   }
 });
 
-// Move file/directory
-app.post('/api/move', async (req, res) => {
+// Start scanning a folder: { root, path, minSize, refresh }. A running or cached scan is reused
+// unless refresh is set or minSize (bytes, default 1) differs.
+app.post('/api/duplicates/scan', requireRole('read-only'), scanLimiter, async (req, res) => {
   try {
-    const { source, destination } = req.body;
-    if (!source || !destination) {
-      return res.status(400).json({ error: 'Source and destination paths are required' });
+    const { root: rootId, refresh, minSize = 1 } = req.body || {};
+    const root = getRoot(rootId);
+    const relativePath = normalizeFolderPath(req.body.path);
+    const fullPath = getSafePath(root, relativePath);
+    if (!Number.isSafeInteger(minSize) || minSize < 0) {
+      return res.status(400).json({ error: 'minSize must be a number of bytes' });
     }
     
-    const sourcePath = getSafePath(source);
-    const destPath = getSafePath(destination);
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      return res.status(404).json({ error: 'Directory not found' });
+    }
     
-    await fs.move(sourcePath, destPath);
-    res.json({ message: 'File/directory moved successfully' });
+    duplicates.startScan(root, relativePath, fullPath, { user: req.user, refresh: !!refresh, minSize });
+    res.status(202).json(await duplicates.getDuplicates(root, relativePath));
   } catch (error) {
-    console.error('Error moving file:', error);
-    res.status(500).json({ error: 'Failed to move file/directory' });
+    sendError(res, error, 'Error starting duplicate scan:', 'Failed to start scan');
   }
 });
 
-// Get file properties
-app.get('/api/properties', async (req, res) => {
+// Cancel the running duplicate scan of a folder
+app.delete('/api/duplicates/scan', requireRole('read-only'), (req, res) => {
   try {
-    const relativePath = req.query.path;
-    if (!relativePath) {
-      return res.status(400).json({ error: 'File path is required' });
+    const root = getRoot(req.query.root);
+    if (!duplicates.cancelScan(root, normalizeFolderPath(req.query.path), req.user)) {
+      return res.status(404).json({ error: 'No scan is running for this folder' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Error canceling duplicate scan:', 'Failed to cancel scan');
+  }
+});
+
+// Background jobs (see lib/jobs.js): copies, moves, deletions and archives answer 202 with a
+// job, whose progress and result are read here
+
+// Queued and running jobs plus the history of finished ones
+app.get('/api/jobs', requireRole('read-only'), (req, res) => {
+  res.json(jobs.listJobs(req.user));
+});
+
+app.get('/api/jobs/:id', requireRole('read-only'), (req, res) => {
+  try {
+    res.json(jobs.getJob(req.params.id, req.user));
+  } catch (error) {
+    sendError(res, error, 'Error reading job:', 'Failed to read job');
+  }
+});
+
+// Items a canceled job already finished stay where they are; a half-copied item is removed
+app.post('/api/jobs/:id/cancel', requireRole('read-only'), (req, res) => {
+  try {
+    res.json(jobs.cancelJob(req.params.id, req.user));
+  } catch (error) {
+    sendError(res, error, 'Error canceling job:', 'Failed to cancel job');
+  }
+});
+
+// Share links
+
+// Look up the share behind /s/:token and the item it points to. Password protected
+// shares answer 401 until the visitor has unlocked them.
+async function resolveShare(req) {
+  const share = shares.getShare(req.params.token);
+  if (!shares.isUnlocked(share, req)) {
+    throw new HttpError(401, 'This share is password protected', { requiresPassword: true });
+  }
+  
+  const root = share.mode === 'upload' ? getWritableRoot(share.root) : getRoot(share.root);
+  const fullPath = getSafePath(root, share.path);
+  const stats = await fs.stat(fullPath).catch(() => null);
+  if (!stats) {
+    throw new HttpError(404, 'The shared item no longer exists');
+  }
+  return { share, root, fullPath, stats };
+}
+
+// Create a share link for a file or folder
+app.post('/api/shares', requireRole('admin'), audit.track('share'), async (req, res) => {
+  try {
+    const { path: relativePath, mode, password, expiresAt, maxDownloads, maxFileSize, maxFiles } = req.body;
+    const root = mode === 'upload' ? getWritableRoot(req.body.root) : getRoot(req.body.root);
+    const fullPath = getSafePath(root, relativePath);
+    const stats = await fs.stat(fullPath).catch(() => null);
+    if (!stats) {
+      return res.status(404).json({ error: 'File not found' });
     }
     
-    const filePath = getSafePath(relativePath);
-    const info = await getFileInfo(filePath, relativePath);
-    
-    if (info.isDirectory) {
-      // Count directory contents
-      const contents = await fs.readdir(filePath);
-      info.itemCount = contents.length;
+    const share = shares.createShare({
+      root: root.id,
+      path: path.relative(root.path, fullPath),
+      name: fullPath === root.path ? root.name : path.basename(fullPath),
+      isDirectory: stats.isDirectory(),
+      mode,
+      password,
+      expiresAt,
+      maxDownloads,
+      maxFileSize,
+      maxFiles,
+      createdBy: req.user.username
+    });
+    res.json(share);
+  } catch (error) {
+    sendError(res, error, 'Error creating share:', 'Failed to create share');
+  }
+});
+
+// List active share links
+app.get('/api/shares', requireRole('admin'), (req, res) => {
+  try {
+    res.json(shares.listShares());
+  } catch (error) {
+    sendError(res, error, 'Error listing shares:', 'Failed to list shares');
+  }
+});
+
+// Revoke a share link
+app.delete('/api/shares/:token', requireRole('admin'), audit.track('unshare'), (req, res) => {
+  try {
+    const share = shares.revokeShare(req.params.token);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+    res.locals.audit = { root: share.root, path: share.path };
+    res.json({ message: 'Share revoked' });
+  } catch (error) {
+    sendError(res, error, 'Error revoking share:', 'Failed to revoke share');
+  }
+});
+
+// Public share page; everything below /s/:token needs no account
+app.get('/s/:token', (req, res) => {
+  res.sendFile('share.html', { root: 'public' });
+});
+
+// What the share page shows about the shared item
+app.get('/s/:token/info', async (req, res) => {
+  try {
+    const { share, stats } = await resolveShare(req);
+    res.json({
+      name: share.name,
+      isDirectory: share.isDirectory,
+      mode: share.mode,
+      size: stats.isDirectory() ? null : stats.size,
+      expiresAt: share.expiresAt,
+      downloadsLeft: share.maxDownloads === null ? null : share.maxDownloads - share.downloads
+    });
+  } catch (error) {
+    sendError(res, error, 'Error reading share:', 'Failed to read share');
+  }
+});
+
+// Enter the password of a protected share
+app.post('/s/:token/unlock', loginLimiter, (req, res) => {
+  try {
+    shares.unlock(shares.getShare(req.params.token), (req.body || {}).password, res);
+    res.json({ message: 'Unlocked' });
+  } catch (error) {
+    sendError(res, error, 'Error unlocking share:', 'Failed to unlock share');
+  }
+});
+
+// Download the shared file, or the shared folder as a zip
+app.get('/s/:token/download', audit.track('share-download', { countBytes: true }), async (req, res) => {
+  try {
+    const { share, root, fullPath, stats } = await resolveShare(req);
+    res.locals.audit = { root: share.root, path: share.path };
+    if (share.mode !== 'read') {
+      return res.status(403).json({ error: 'This share only accepts uploads' });
     }
     
-    res.json(info);
+    // Every response carrying content counts, ranges included, so splitting a download into
+    // ranged requests cannot get around maxDownloads; HEAD and 304 do not count
+    if (stats.isDirectory()) {
+      if (req.method === 'GET') {
+        shares.recordDownload(share.token);
+      }
+      await sendZip(res, root, [{ fullPath, stats, name: false }], `${share.name}.zip`);
+    } else {
+      await sendFile(req, res, fullPath, {
+        disposition: 'attachment',
+        fileName: share.name,
+        stats,
+        onBody: () => shares.recordDownload(share.token)
+      });
+    }
+  } catch (error) {
+    sendError(res, error, 'Error downloading share:', 'Failed to download share');
+  }
+});
+
+// Upload files into a drop-box share
+app.post('/s/:token/upload', audit.track('share-upload'), async (req, res) => {
+  try {
+    req.share = await resolveShare(req);
+    res.locals.audit = { root: req.share.share.root, path: req.share.share.path };
+    if (req.share.share.mode !== 'upload') {
+      return res.status(403).json({ error: 'This share does not accept uploads' });
+    }
+  } catch (error) {
+    return sendError(res, error, 'Error uploading to share:', 'Failed to upload files');
+  }
+  
+  const limits = {
+    fileSize: req.share.share.maxFileSize ?? SHARE_UPLOAD_MAX_FILE_SIZE,
+    files: req.share.share.maxFiles ?? SHARE_UPLOAD_MAX_FILES
+  };
+  createShareUpload(limits).array('files')(req, res, error => {
+    // multer removes the files of a request that goes over a limit
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      error = new HttpError(413, `Files may be at most ${limits.fileSize} bytes`);
+    } else if (error && error.code === 'LIMIT_FILE_COUNT') {
+      error = new HttpError(413, `At most ${limits.files} files can be uploaded at once`);
+    }
+    if (error) {
+      return sendError(res, error, 'Error uploading to share:', 'Failed to upload files');
+    }
+    res.locals.audit = {
+      ...res.locals.audit,
+      items: req.files.map(file => ({ path: path.join(req.share.share.path, file.filename), bytes: file.size }))
+    };
+    res.json({
+      message: 'Files uploaded successfully',
+      files: req.files.map(file => file.filename)
+    });
+  });
+});
+
+// Query the audit log (see lib/audit.js for the filters), newest entries first
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+    res.json(await audit.query(parseAuditFilters(req.query), limit));
   } catch (error) {
-    console.error('Error getting file properties:', error);
-    res.status(500).json({ error: 'Failed to get file properties' });
+    sendError(res, error, 'Error reading audit log:', 'Failed to read audit log');
   }
 });
 
 app.listen(PORT, () => {
   console.log(`File manager server running on http://localhost:${PORT}`);
-  console.log(`Managing directory: ${ROOT_DIR}`);
+  ROOTS.forEach(root => {
+    const location = root.storage.type === 's3'
+      ? `s3://${root.storage.bucket}/${root.storage.prefix || ''} at ${root.storage.endpoint}`
+      : root.path || `${root.storage.type} storage`;
+    console.log(`Managing root "${root.id}": ${location}${root.readOnly ? ' (read-only)' : ''}`);
+  });
 });
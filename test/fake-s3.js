@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// A small in-process stand-in for S3, enough for lib/storage/s3.js: path-style ListObjectsV2
+// (pages of pageSize keys, so continuation tokens are used), GET with ranges, HEAD, PUT, PUT
+// with x-amz-copy-source and DELETE on one bucket. Every request must carry a valid Signature
+// Version 4 for the given credentials, otherwise it fails like S3 does.
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function encode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function sendError(res, status, code) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/xml');
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+// Recompute the signature from what arrived, as S3 does
+function checkSignature(req, url, { region, accessKeyId, secretAccessKey }) {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/
+    .exec(req.headers.authorization || '');
+  if (!match) return 'AccessDenied';
+  const [, keyId, date, scopeRegion, signedHeaders, signature] = match;
+  if (keyId !== accessKeyId) return 'InvalidAccessKeyId';
+  if (scopeRegion !== region) return 'AuthorizationHeaderMalformed';
+
+  const amzDate = req.headers['x-amz-date'] || '';
+  const names = signedHeaders.split(';');
+  if (!amzDate.startsWith(date) || !names.includes('host') || !names.includes('x-amz-date')) {
+    return 'SignatureDoesNotMatch';
+  }
+  const canonicalQuery = [...url.searchParams]
+    .map(([name, value]) => `${encode(name)}=${encode(value)}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [
+    req.method,
+    url.pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${String(req.headers[name] || '').trim()}\n`).join(''),
+    signedHeaders,
+    req.headers['x-amz-content-sha256']
+  ].join('\n');
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  return hmac(signingKey, stringToSign).toString('hex') === signature ? null : 'SignatureDoesNotMatch';
+}
+
+function listObjects(objects, res, query, pageSize) {
+  const prefix = query.get('prefix') || '';
+  const delimiter = query.get('delimiter');
+  const maxKeys = Math.min(Number(query.get('max-keys') || 1000), pageSize);
+  const after = query.get('continuation-token')
+    ? Buffer.from(query.get('continuation-token'), 'base64').toString()
+    : '';
+
+  // Keys and common prefixes in one sorted run, as S3 counts both against max-keys
+  const entries = [];
+  for (const key of [...objects.keys()].filter(candidate => candidate.startsWith(prefix)).sort()) {
+    const rest = key.slice(prefix.length);
+    const cut = delimiter ? rest.indexOf(delimiter) : -1;
+    const entry = cut === -1 ? { key } : { prefix: prefix + rest.slice(0, cut + delimiter.length) };
+    const name = entry.key || entry.prefix;
+    if (name <= after || (entries.length > 0 && entries[entries.length - 1].prefix === name)) continue;
+    entries.push(entry);
+  }
+
+  const page = entries.slice(0, maxKeys);
+  const truncated = entries.length > page.length;
+  const last = page[page.length - 1];
+  let xml = '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>';
+  xml += `<Prefix>${escapeXml(prefix)}</Prefix><KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>`;
+  if (truncated) {
+    xml += `<NextContinuationToken>${Buffer.from(last.key || last.prefix).toString('base64')}</NextContinuationToken>`;
+  }
+  for (const entry of page.filter(candidate => candidate.key)) {
+    const object = objects.get(entry.key);
+    xml += `<Contents><Key>${escapeXml(entry.key)}</Key><LastModified>${object.modified.toISOString()}</LastModified>` +
+      `<Size>${object.data.length}</Size></Contents>`;
+  }
+  for (const entry of page.filter(candidate => candidate.prefix)) {
+    xml += `<CommonPrefixes><Prefix>${escapeXml(entry.prefix)}</Prefix></CommonPrefixes>`;
+  }
+  res.setHeader('Content-Type', 'application/xml');
+  res.end(`${xml}</ListBucketResult>`);
+}
+
+function sendObject(req, res, object) {
+  res.setHeader('Last-Modified', object.modified.toUTCString());
+  res.setHeader('Content-Type', object.type);
+  let data = object.data;
+  const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+  if (range) {
+    const start = Number(range[1]);
+    if (start >= data.length) return sendError(res, 416, 'InvalidRange');
+    const end = range[2] ? Math.min(Number(range[2]), data.length - 1) : data.length - 1;
+    res.statusCode = 206;
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${data.length}`);
+    data = data.subarray(start, end + 1);
+  }
+  res.setHeader('Content-Length', data.length);
+  res.end(req.method === 'HEAD' ? undefined : data);
+}
+
+// Resolves { endpoint, objects, close } once listening on a free port. objects maps keys to
+// { data, type, modified } for tests that look behind the adapter.
+function startFakeS3({ bucket = 'test', region = 'us-east-1', accessKeyId = 'test-key', secretAccessKey = 'test-secret', pageSize = 1000 } = {}) {
+  const objects = new Map();
+  const credentials = { region, accessKeyId, secretAccessKey };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const authError = checkSignature(req, url, credentials);
+      if (authError) return sendError(res, 403, authError);
+
+      const [, bucketName, ...keyParts] = url.pathname.split('/');
+      if (decodeURIComponent(bucketName) !== bucket) return sendError(res, 404, 'NoSuchBucket');
+      const key = keyParts.map(decodeURIComponent).join('/');
+
+      if (!key) {
+        if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+          return listObjects(objects, res, url.searchParams, pageSize);
+        }
+        return sendError(res, 405, 'MethodNotAllowed');
+      }
+
+      const object = objects.get(key);
+      switch (req.method) {
+        case 'HEAD':
+        case 'GET':
+          if (!object) {
+            res.statusCode = 404;
+            return req.method === 'HEAD' ? res.end() : sendError(res, 404, 'NoSuchKey');
+          }
+          return sendObject(req, res, object);
+        case 'PUT': {
+          const source = req.headers['x-amz-copy-source'];
+          if (source) {
+            const [, sourceBucket, ...sourceParts] = source.split('/');
+            const original = decodeURIComponent(sourceBucket) === bucket && objects.get(sourceParts.map(decodeURIComponent).join('/'));
+            if (!original) return sendError(res, 404, 'NoSuchKey');
+            objects.set(key, { ...original, modified: new Date() });
+            res.setHeader('Content-Type', 'application/xml');
+            return res.end('<?xml version="1.0" encoding="UTF-8"?><CopyObjectResult></CopyObjectResult>');
+          }
+          const data = Buffer.concat(chunks);
+          if (Number(req.headers['content-length']) !== data.length) return sendError(res, 400, 'IncompleteBody');
+          objects.set(key, { data, type: req.headers['content-type'] || 'application/octet-stream', modified: new Date() });
+          return res.end();
+        }
+        case 'DELETE':
+          objects.delete(key);
+          res.statusCode = 204;
+          return res.end();
+        default:
+          return sendError(res, 405, 'MethodNotAllowed');
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        bucket,
+        region,
+        accessKeyId,
+        secretAccessKey,
+        objects,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startFakeS3
+};
@@ -0,0 +1,122 @@
+const assert = require('assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { setUser } = require('../lib/auth');
+
+// Share links through the running server, started on a free port with its own data folder and
+// a single local root
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(dir) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      WFM_CONFIG: path.join(dir, 'config.json'),
+      WFM_DATA_DIR: path.join(dir, 'data'),
+      WFM_ROOTS: `files=${path.join(dir, 'files')}`
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('server running')) resolve();
+    });
+    child.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    child.on('exit', code => reject(new Error(`The server exited with ${code}:\n${output}`)));
+  });
+  return { url: `http://127.0.0.1:${port}`, stop: () => child.kill() };
+}
+
+describe('share links', () => {
+  let dir;
+  let server;
+  let token;
+
+  const api = async (method, route, body) => {
+    const res = await fetch(server.url + route, {
+      method,
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'wfm-shares-'));
+    await fs.outputFile(path.join(dir, 'files', 'report.txt'), 'quarterly numbers');
+    await fs.ensureDir(path.join(dir, 'files', 'inbox'));
+    await fs.ensureDir(path.join(dir, 'data'));
+    setUser(path.join(dir, 'data', 'users.json'), 'admin', 'secret', 'admin');
+    server = await startServer(dir);
+
+    const res = await fetch(`${server.url}/api/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'secret' })
+    });
+    ({ token } = await res.json());
+  });
+
+  after(async () => {
+    if (server) server.stop();
+    await fs.remove(dir);
+  });
+
+  it('counts ranged downloads against maxDownloads', async () => {
+    const { body: share } = await api('POST', '/api/shares', { root: 'files', path: 'report.txt', maxDownloads: 1 });
+    const download = `${server.url}/s/${share.token}/download`;
+
+    // Neither HEAD nor a cache revalidation sends the file
+    const head = await fetch(download, { method: 'HEAD' });
+    assert.equal(head.status, 200);
+    const cached = await fetch(download, { headers: { 'if-none-match': head.headers.get('etag') } });
+    assert.equal(cached.status, 304);
+
+    const first = await fetch(download, { headers: { range: 'bytes=1-' } });
+    assert.equal(first.status, 206);
+    assert.equal(await first.text(), 'uarterly numbers');
+
+    const second = await fetch(download, { headers: { range: 'bytes=1-' } });
+    assert.equal(second.status, 410);
+    assert.equal((await fetch(download)).status, 410);
+  });
+
+  it('keeps the first of two uploads with the same name', async () => {
+    const { body: share } = await api('POST', '/api/shares', { root: 'files', path: 'inbox', mode: 'upload' });
+    const send = content => {
+      const form = new FormData();
+      form.append('files', new Blob([content]), 'notes.txt');
+      return fetch(`${server.url}/s/${share.token}/upload`, { method: 'POST', body: form });
+    };
+
+    const contents = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth'];
+    const statuses = (await Promise.all(contents.map(send))).map(res => res.status).sort();
+    assert.deepEqual(statuses, [200, 409, 409, 409, 409, 409, 409, 409]);
+    assert.ok(contents.includes(await fs.readFile(path.join(dir, 'files', 'inbox', 'notes.txt'), 'utf8')));
+
+    // A later upload of the same name leaves the file as it is
+    const before = await fs.readFile(path.join(dir, 'files', 'inbox', 'notes.txt'), 'utf8');
+    assert.equal((await send('ninth')).status, 409);
+    assert.equal(await fs.readFile(path.join(dir, 'files', 'inbox', 'notes.txt'), 'utf8'), before);
+  });
+});
@@ -0,0 +1,271 @@
+const assert = require('assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { describe, it, before, after } = require('node:test');
+const { createStorage, copyBetween, moveBetween } = require('../lib/storage');
+
+const { startFakeS3 } = require('./fake-s3');
+
+// The same behaviour is expected of every adapter. S3 runs against the in-process fake in
+// fake-s3.js, which checks the request signatures and pages listings two keys at a time.
+
+async function write(storage, relativePath, content) {
+  await pipeline(Readable.from([Buffer.from(content)]), storage.createWriteStream(relativePath));
+}
+
+async function read(storage, relativePath, range) {
+  const chunks = [];
+  for await (const chunk of storage.createReadStream(relativePath, range)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+async function names(storage, relativePath) {
+  return (await storage.list(relativePath)).map(entry => entry.name).sort();
+}
+
+function createLocalRoot() {
+  const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'wfm-storage-'));
+  return {
+    storage: createStorage({ id: 'local', path: rootPath, storage: { type: 'local' } }),
+    rootPath,
+    cleanup: () => fs.remove(rootPath)
+  };
+}
+
+function createMemoryRoot() {
+  return { storage: createStorage({ id: 'memory', path: null, storage: { type: 'memory' } }), cleanup: async () => {} };
+}
+
+function createS3Settings(server, prefix) {
+  return {
+    type: 's3',
+    endpoint: server.endpoint,
+    region: server.region,
+    bucket: server.bucket,
+    prefix,
+    accessKeyId: server.accessKeyId,
+    secretAccessKey: server.secretAccessKey
+  };
+}
+
+async function createS3Root() {
+  const server = await startFakeS3({ pageSize: 2 });
+  return {
+    storage: createStorage({ id: 's3', path: null, storage: createS3Settings(server, 'root') }),
+    server,
+    cleanup: () => server.close()
+  };
+}
+
+const adapters = [
+  ['local', createLocalRoot],
+  ['memory', createMemoryRoot],
+  ['s3', createS3Root]
+];
+
+for (const [type, createRoot] of adapters) {
+  describe(`${type} storage`, () => {
+    let root;
+    let storage;
+    before(async () => {
+      root = await createRoot();
+      storage = root.storage;
+      await storage.mkdir('docs');
+      await write(storage, 'docs/a.txt', 'hello world');
+    });
+    after(() => root.cleanup());
+
+    it('stats files and folders', async () => {
+      const file = await storage.stat('docs/a.txt');
+      assert.equal(file.isDirectory(), false);
+      assert.equal(file.size, 11);
+      assert.ok(file.mtime instanceof Date);
+      assert.equal((await storage.stat('docs')).isDirectory(), true);
+      assert.equal((await storage.stat('')).isDirectory(), true);
+      assert.equal(await storage.stat('docs/missing.txt'), null);
+    });
+
+    it('lists a folder with the stats of its entries', async () => {
+      await storage.mkdir('docs/sub');
+      const entries = await storage.list('docs');
+      assert.deepEqual(entries.map(entry => entry.name).sort(), ['a.txt', 'sub']);
+      const file = entries.find(entry => entry.name === 'a.txt');
+      assert.equal(file.stats.size, 11);
+      assert.equal(entries.find(entry => entry.name === 'sub').stats.isDirectory(), true);
+      assert.deepEqual(await names(storage, 'docs/sub'), []);
+    });
+
+    it('reads whole files and byte ranges', async () => {
+      assert.equal(await read(storage, 'docs/a.txt'), 'hello world');
+      assert.equal(await read(storage, 'docs/a.txt', { start: 6, end: 10 }), 'world');
+      await assert.rejects(read(storage, 'docs/missing.txt'), { code: 'ENOENT' });
+    });
+
+    it('replaces a file through a write stream', async () => {
+      await write(storage, 'docs/b.txt', 'first');
+      await write(storage, 'docs/b.txt', 'second');
+      assert.equal(await read(storage, 'docs/b.txt'), 'second');
+      assert.equal((await storage.stat('docs/b.txt')).size, 6);
+    });
+
+    it('refuses to create a folder that exists', async () => {
+      await assert.rejects(storage.mkdir('docs'), { code: 'EEXIST' });
+    });
+
+    it('copies files and folders', async () => {
+      await storage.copy('docs', 'copy');
+      assert.equal(await read(storage, 'copy/a.txt'), 'hello world');
+      assert.deepEqual(await names(storage, 'copy'), await names(storage, 'docs'));
+      await storage.copy('docs/a.txt', 'copy/c.txt');
+      assert.equal(await read(storage, 'copy/c.txt'), 'hello world');
+      // The copy is independent of its source
+      await write(storage, 'copy/a.txt', 'changed');
+      assert.equal(await read(storage, 'docs/a.txt'), 'hello world');
+    });
+
+    it('moves files and folders', async () => {
+      await storage.move('copy', 'moved');
+      assert.equal(await storage.stat('copy'), null);
+      assert.equal(await read(storage, 'moved/c.txt'), 'hello world');
+      await storage.move('moved/c.txt', 'moved/d.txt');
+      assert.equal(await storage.stat('moved/c.txt'), null);
+      assert.equal(await read(storage, 'moved/d.txt'), 'hello world');
+    });
+
+    it('removes folders with everything in them', async () => {
+      await storage.mkdir('gone');
+      await storage.mkdir('gone/deeper');
+      await write(storage, 'gone/deeper/x.txt', 'x');
+      await storage.remove('gone');
+      assert.equal(await storage.stat('gone'), null);
+      assert.equal(await storage.stat('gone/deeper/x.txt'), null);
+    });
+
+    it('refuses paths leaving the root', async () => {
+      await assert.rejects(read(storage, '../outside.txt'), { status: 400 });
+      await assert.rejects(Promise.resolve().then(() => storage.stat('docs/../../outside')), { status: 400 });
+    });
+  });
+}
+
+describe('transfers between adapters', () => {
+  let local;
+  let memory;
+  before(async () => {
+    local = createLocalRoot();
+    memory = createMemoryRoot();
+    await local.storage.mkdir('tree');
+    await local.storage.mkdir('tree/sub');
+    await write(local.storage, 'tree/one.txt', 'one');
+    await write(local.storage, 'tree/sub/two.txt', 'two!');
+  });
+  after(() => local.cleanup());
+
+  it('copies a folder from local to memory with progress', async () => {
+    let bytes = 0;
+    let files = 0;
+    await copyBetween(local.storage, 'tree', memory.storage, 'tree', {
+      onBytes: count => {
+        bytes += count;
+      },
+      onFile: () => {
+        files++;
+      }
+    });
+    assert.equal(await read(memory.storage, 'tree/sub/two.txt'), 'two!');
+    assert.deepEqual(await names(memory.storage, 'tree'), ['one.txt', 'sub']);
+    assert.equal(bytes, 7);
+    assert.equal(files, 2);
+    assert.ok(await local.storage.stat('tree/one.txt'));
+  });
+
+  it('moves a folder from memory to local and removes the source', async () => {
+    await moveBetween(memory.storage, 'tree', local.storage, 'back');
+    assert.equal(await memory.storage.stat('tree'), null);
+    assert.equal(await read(local.storage, 'back/sub/two.txt'), 'two!');
+    assert.equal(await fs.readFile(path.join(local.rootPath, 'back/one.txt'), 'utf8'), 'one');
+  });
+
+  it('removes what it wrote of a canceled copy', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(copyBetween(local.storage, 'tree', memory.storage, 'canceled', { signal: controller.signal }), { name: 'AbortError' });
+    assert.equal(await memory.storage.stat('canceled'), null);
+  });
+
+  it('leaves the source of a failed move in place', async () => {
+    await assert.rejects(moveBetween(local.storage, 'missing', memory.storage, 'missing'), { code: 'ENOENT' });
+    await memory.storage.mkdir('taken');
+    await assert.rejects(moveBetween(local.storage, 'tree', memory.storage, 'taken'), { code: 'EEXIST' });
+    assert.ok(await local.storage.stat('tree/sub/two.txt'));
+  });
+});
+
+describe('s3 storage requests', () => {
+  let server;
+  let storage;
+  before(async () => {
+    server = await startFakeS3({ pageSize: 2 });
+    storage = createStorage({ id: 's3', path: null, storage: createS3Settings(server, 'base/dir') });
+  });
+  after(() => server.close());
+
+  it('keeps files under the prefix, with folder markers for empty folders', async () => {
+    await storage.mkdir('empty');
+    await write(storage, 'file.txt', 'x');
+    assert.deepEqual([...server.objects.keys()].sort(), ['base/dir/empty/', 'base/dir/file.txt']);
+    assert.equal(server.objects.get('base/dir/file.txt').type, 'text/plain');
+  });
+
+  it('signs keys that need encoding', async () => {
+    const name = 'a b+c(1)!*~ü.txt';
+    await write(storage, name, 'odd');
+    assert.equal(await read(storage, name), 'odd');
+    assert.ok((await names(storage, '')).includes(name));
+    await storage.copy(name, 'copy of it.txt');
+    assert.equal(await read(storage, 'copy of it.txt'), 'odd');
+  });
+
+  it('follows continuation tokens through long listings', async () => {
+    await storage.mkdir('many');
+    for (const name of ['1.txt', '2.txt', '3.txt', '4.txt', '5.txt']) {
+      await write(storage, `many/${name}`, name);
+    }
+    await storage.mkdir('many/sub');
+    assert.deepEqual(await names(storage, 'many'), ['1.txt', '2.txt', '3.txt', '4.txt', '5.txt', 'sub']);
+    await storage.remove('many');
+    assert.equal([...server.objects.keys()].some(key => key.startsWith('base/dir/many')), false);
+  });
+
+  it('reports refused requests with the S3 error code', async () => {
+    const wrongKey = createStorage({
+      id: 's3',
+      path: null,
+      storage: { ...createS3Settings(server, 'base/dir'), secretAccessKey: 'wrong' }
+    });
+    // HEAD responses have no body to name the error
+    await assert.rejects(wrongKey.stat('file.txt'), { code: 'EIO', message: /status 403/ });
+    await assert.rejects(read(wrongKey, 'file.txt'), { code: 'EIO', s3Code: 'SignatureDoesNotMatch' });
+    await assert.rejects(read(storage, 'missing.txt'), { code: 'ENOENT', s3Code: 'NoSuchKey' });
+  });
+
+  it('copies between S3 and local storage', async () => {
+    const local = createLocalRoot();
+    try {
+      await local.storage.mkdir('up');
+      await write(local.storage, 'up/one.txt', 'one');
+      await copyBetween(local.storage, 'up', storage, 'up');
+      assert.equal(await read(storage, 'up/one.txt'), 'one');
+      await moveBetween(storage, 'up', local.storage, 'down');
+      assert.equal(await storage.stat('up'), null);
+      assert.equal(await read(local.storage, 'down/one.txt'), 'one');
+    } finally {
+      await local.cleanup();
+    }
+  });
+});